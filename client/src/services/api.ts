@@ -27,6 +27,25 @@ api.interceptors.request.use(
   }
 );
 
+// Requests that fail together once the access token expires share a single refresh. The refresh
+// token rotates on every use, so presenting it twice at once looks like token theft to the server.
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/auth/refresh')
+      .then((response) => {
+        const { accessToken } = response.data;
+        store.dispatch(setAccessToken(accessToken));
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response: AxiosResponse) => {
@@ -35,14 +54,11 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
     
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && !originalRequest._retry && originalRequest.url !== '/auth/refresh') {
       originalRequest._retry = true;
       
       try {
-        const response = await api.post('/auth/refresh');
-        const { accessToken } = response.data;
-        
-        store.dispatch(setAccessToken(accessToken));
+        const accessToken = await refreshAccessToken();
         
         // Retry original request
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -61,7 +77,7 @@ api.interceptors.response.use(
 
 // API endpoints
 export const authAPI = {
-  login: (credentials: { email: string; password: string; mfaToken?: string }) =>
+  login: (credentials: { email: string; password: string; mfaToken?: string; recoveryCode?: string }) =>
     api.post('/auth/login', credentials),
   
   logout: () => api.post('/auth/logout'),
@@ -77,11 +93,22 @@ export const authAPI = {
   
   updateProfile: (profileData: any) => api.put('/auth/profile', profileData),
   
-  setupMFA: () => api.post('/auth/setup-mfa'),
+  // enrolmentToken is the token login returns to admins who must set up MFA first
+  setupMFA: (enrolmentToken?: string) =>
+    api.post('/auth/setup-mfa', undefined, enrolmentToken ? { headers: { Authorization: `Bearer ${enrolmentToken}` } } : undefined),
   
-  verifyMFA: (token: string) => api.post('/auth/verify-mfa', { token }),
+  verifyMFA: (token: string, enrolmentToken?: string) =>
+    api.post('/auth/verify-mfa', { token }, enrolmentToken ? { headers: { Authorization: `Bearer ${enrolmentToken}` } } : undefined),
   
   disableMFA: (password: string) => api.post('/auth/disable-mfa', { password }),
+  
+  regenerateRecoveryCodes: (password: string) => api.post('/auth/regenerate-recovery-codes', { password }),
+  
+  // passwordChangeToken is the token login returns when the password has expired
+  changePassword: (currentPassword: string, newPassword: string, passwordChangeToken?: string) =>
+    api.post('/auth/change-password', { currentPassword, newPassword }, passwordChangeToken ? { headers: { Authorization: `Bearer ${passwordChangeToken}` } } : undefined),
+  
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
 };
 
 export const visitorsAPI = {
@@ -105,6 +132,25 @@ export const visitorsAPI = {
     api.post(`/visitors/${id}/blacklist`, { reason }),
   
   removeFromBlacklist: (id: string) => api.delete(`/visitors/${id}/blacklist`),
+  
+  revealFields: (id: string, fields: string[], reason: string) =>
+    api.post(`/visitors/${id}/reveal`, { fields, reason }),
+  
+  getConsents: (id: string) => api.get(`/visitors/${id}/consents`),
+  
+  recordConsents: (id: string, consents: Record<string, boolean>) =>
+    api.post(`/visitors/${id}/consents`, { consents }),
+  
+  withdrawConsent: (id: string, consentType: string, reason?: string) =>
+    api.post(`/visitors/${id}/consents/${consentType}/withdraw`, { reason }),
+};
+
+export const consentTextsAPI = {
+  getTexts: () => api.get('/consent-texts'),
+  
+  getVersions: (consentType: string) => api.get(`/consent-texts/${consentType}/versions`),
+  
+  publishText: (data: any) => api.post('/consent-texts', data),
 };
 
 export const visitsAPI = {
@@ -116,7 +162,8 @@ export const visitsAPI = {
   
   updateVisit: (id: string, visitData: any) => api.put(`/visits/${id}`, visitData),
   
-  checkIn: (id: string) => api.post(`/visits/${id}/checkin`),
+  checkIn: (id: string, consents?: Record<string, boolean>) =>
+    api.post(`/visits/${id}/checkin`, consents ? { consents } : undefined),
   
   checkOut: (id: string, data?: any) => api.post(`/visits/${id}/checkout`, data),
   
@@ -145,6 +192,28 @@ export const usersAPI = {
   toggleUserStatus: (id: string) => api.post(`/users/${id}/toggle-status`),
 };
 
+export const sessionsAPI = {
+  getMySessions: () => api.get('/sessions'),
+  
+  revokeSession: (id: string) => api.delete(`/sessions/${id}`),
+  
+  revokeOtherSessions: () => api.post('/sessions/revoke-others'),
+  
+  getUserSessions: (userId: string) => api.get(`/sessions/users/${userId}`),
+  
+  forceLogout: (userId: string) => api.post(`/sessions/users/${userId}/force-logout`),
+};
+
+export const mfaResetsAPI = {
+  getRequests: (params?: { status?: string }) => api.get('/mfa-resets', { params }),
+  
+  requestReset: (userId: string, reason: string) => api.post('/mfa-resets', { userId, reason }),
+  
+  approveReset: (id: string, notes?: string) => api.post(`/mfa-resets/${id}/approve`, { notes }),
+  
+  rejectReset: (id: string, notes?: string) => api.post(`/mfa-resets/${id}/reject`, { notes }),
+};
+
 export const reportsAPI = {
   getVisitorReport: (params?: any) => api.get('/reports/visitors', { params }),
   
@@ -152,7 +221,7 @@ export const reportsAPI = {
   
   getSecurityReport: (params?: any) => api.get('/reports/security', { params }),
   
-  getAuditReport: (params?: any) => api.get('/reports/audit', { params }),
+  getAuditReport: (params?: any) => api.get('/audit/statistics', { params }),
   
   exportReport: (type: string, params?: any) =>
     api.get(`/reports/${type}/export`, { params, responseType: 'blob' }),
@@ -178,6 +247,19 @@ export const emergencyAPI = {
   markEvacuated: (visitId: string, evacuationData: any) =>
     api.post(`/emergency/evacuate/${visitId}`, evacuationData),
   
+  getIncident: (incidentId: string) => api.get(`/emergency/incidents/${incidentId}`),
+  
+  startRollCall: (incidentId: string) => api.post(`/emergency/incidents/${incidentId}/roll-call`),
+  
+  getRollCall: (rollCallId: string, params?: any) => api.get(`/emergency/roll-calls/${rollCallId}`, { params }),
+  
+  markRollCallEntry: (rollCallId: string, entryId: string, musterData: any) =>
+    api.put(`/emergency/roll-calls/${rollCallId}/entries/${entryId}`, musterData),
+  
+  closeRollCall: (rollCallId: string) => api.post(`/emergency/roll-calls/${rollCallId}/close`),
+  
+  getDrillReport: (params?: any) => api.get('/emergency/drills', { params }),
+  
   getEmergencyContacts: () => api.get('/emergency/contacts'),
   
   updateEmergencyContacts: (contacts: any) => api.put('/emergency/contacts', contacts),
@@ -209,6 +291,60 @@ export const analyticsAPI = {
   getSecurityStats: (params?: any) => api.get('/analytics/security', { params }),
 };
 
+export const dsarAPI = {
+  getRequests: (params?: any) => api.get('/dsar', { params }),
+  
+  getRequest: (id: string) => api.get(`/dsar/${id}`),
+  
+  createRequest: (data: any) => api.post('/dsar', data),
+  
+  resendCode: (id: string) => api.post(`/dsar/${id}/resend-code`),
+  
+  verify: (id: string, code: string) => api.post(`/dsar/${id}/verify`, { code }),
+  
+  exportData: (id: string) => api.get(`/dsar/${id}/export`, { responseType: 'blob' }),
+  
+  eraseSubject: (id: string) => api.post(`/dsar/${id}/erase`),
+  
+  getErasureCertificate: (id: string) => api.get(`/dsar/${id}/certificate`),
+  
+  rejectRequest: (id: string, reason: string) => api.post(`/dsar/${id}/reject`, { reason }),
+};
+
+export const retentionAPI = {
+  getPolicies: () => api.get('/retention/policies'),
+  
+  updatePolicy: (dataType: string, data: any) => api.put(`/retention/policies/${dataType}`, data),
+  
+  preview: (params?: any) => api.get('/retention/preview', { params }),
+  
+  run: (data?: any) => api.post('/retention/run', data),
+  
+  getReports: (params?: any) => api.get('/retention/reports', { params }),
+};
+
+export const auditAPI = {
+  verifyChain: () => api.get('/audit/verify'),
+  
+  getCheckpoints: (params?: any) => api.get('/audit/checkpoints', { params }),
+  
+  createCheckpoint: () => api.post('/audit/checkpoints'),
+  
+  getLogs: (params?: any) => api.get('/audit/logs', { params }),
+  
+  exportLogs: (params?: any) =>
+    api.get('/audit/logs/export', { params, responseType: 'blob' }),
+  
+  getStatistics: (params?: any) => api.get('/audit/statistics', { params }),
+  
+  getSecurityReport: (params?: any) => api.get('/audit/security-report', { params }),
+};
+
+export const accessLogsAPI = {
+  getActivity: (params: { userId?: string; ipAddress?: string; [key: string]: any }) =>
+    api.get('/access-logs', { params }),
+};
+
 export const publicAPI = {
   preRegister: (visitorData: any) => api.post('/public/pre-register', visitorData),
   
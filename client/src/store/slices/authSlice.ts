@@ -32,6 +32,8 @@ interface AuthState {
   loading: boolean;
   error: string | null;
   mfaRequired: boolean;
+  mfaEnrolmentToken: string | null;
+  passwordChangeToken: string | null;
 }
 
 const initialState: AuthState = {
@@ -41,12 +43,14 @@ const initialState: AuthState = {
   loading: false,
   error: null,
   mfaRequired: false,
+  mfaEnrolmentToken: null,
+  passwordChangeToken: null,
 };
 
 // Async thunks
 export const login = createAsyncThunk(
   'auth/login',
-  async (credentials: { email: string; password: string; mfaToken?: string }) => {
+  async (credentials: { email: string; password: string; mfaToken?: string; recoveryCode?: string }) => {
     const response = await authAPI.login(credentials);
     return response.data;
   }
@@ -93,16 +97,18 @@ export const updateProfile = createAsyncThunk(
 
 export const setupMFA = createAsyncThunk(
   'auth/setupMFA',
-  async () => {
-    const response = await authAPI.setupMFA();
+  async (_, { getState }) => {
+    const { auth } = getState() as { auth: AuthState };
+    const response = await authAPI.setupMFA(auth.mfaEnrolmentToken ?? undefined);
     return response.data;
   }
 );
 
 export const verifyMFA = createAsyncThunk(
   'auth/verifyMFA',
-  async (token: string) => {
-    const response = await authAPI.verifyMFA(token);
+  async (token: string, { getState }) => {
+    const { auth } = getState() as { auth: AuthState };
+    const response = await authAPI.verifyMFA(token, auth.mfaEnrolmentToken ?? undefined);
     return response.data;
   }
 );
@@ -115,6 +121,15 @@ export const disableMFA = createAsyncThunk(
   }
 );
 
+export const changePassword = createAsyncThunk(
+  'auth/changePassword',
+  async ({ currentPassword, newPassword }: { currentPassword: string; newPassword: string }, { getState }) => {
+    const { auth } = getState() as { auth: AuthState };
+    const response = await authAPI.changePassword(currentPassword, newPassword, auth.passwordChangeToken ?? undefined);
+    return response.data;
+  }
+);
+
 const authSlice = createSlice({
   name: 'auth',
   initialState,
@@ -147,6 +162,10 @@ const authSlice = createSlice({
         state.loading = false;
         if (action.payload.mfaRequired) {
           state.mfaRequired = true;
+        } else if (action.payload.passwordChangeRequired) {
+          state.passwordChangeToken = action.payload.passwordChangeToken;
+        } else if (action.payload.mfaEnrolmentRequired) {
+          state.mfaEnrolmentToken = action.payload.enrolmentToken;
         } else {
           state.user = action.payload.user;
           state.accessToken = action.payload.accessToken;
@@ -165,6 +184,8 @@ const authSlice = createSlice({
         state.accessToken = null;
         state.isAuthenticated = false;
         state.mfaRequired = false;
+        state.mfaEnrolmentToken = null;
+        state.passwordChangeToken = null;
         state.error = null;
       })
       
@@ -239,9 +260,15 @@ const authSlice = createSlice({
         state.loading = true;
         state.error = null;
       })
-      .addCase(verifyMFA.fulfilled, (state) => {
+      .addCase(verifyMFA.fulfilled, (state, action) => {
         state.loading = false;
-        if (state.user) {
+        // Enrolment forced at login signs the user in once MFA is verified
+        if (action.payload.accessToken) {
+          state.user = action.payload.user;
+          state.accessToken = action.payload.accessToken;
+          state.isAuthenticated = true;
+          state.mfaEnrolmentToken = null;
+        } else if (state.user) {
           state.user.mfaEnabled = true;
         }
       })
@@ -250,6 +277,27 @@ const authSlice = createSlice({
         state.error = action.error.message || 'MFA verification failed';
       })
       
+      // Change password; an expired password's change continues the login
+      .addCase(changePassword.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(changePassword.fulfilled, (state, action) => {
+        state.loading = false;
+        state.passwordChangeToken = null;
+        if (action.payload.mfaEnrolmentRequired) {
+          state.mfaEnrolmentToken = action.payload.enrolmentToken;
+        } else if (action.payload.accessToken) {
+          state.user = action.payload.user;
+          state.accessToken = action.payload.accessToken;
+          state.isAuthenticated = true;
+        }
+      })
+      .addCase(changePassword.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.error.message || 'Password change failed';
+      })
+      
       // Disable MFA
       .addCase(disableMFA.pending, (state) => {
         state.loading = true;
@@ -2,12 +2,14 @@ import { createSlice, PayloadAction } from '@reduxjs/toolkit';
 
 interface NotificationState {
   notifications: any[];
+  unreadCount: number;
   loading: boolean;
   error: string | null;
 }
 
 const initialState: NotificationState = {
   notifications: [],
+  unreadCount: 0,
   loading: false,
   error: null,
 };
@@ -25,6 +27,9 @@ const notificationSlice = createSlice({
     setNotifications: (state, action: PayloadAction<any[]>) => {
       state.notifications = action.payload;
     },
+    setUnreadCount: (state, action: PayloadAction<number>) => {
+      state.unreadCount = action.payload;
+    },
     addNotification: (state, action: PayloadAction<any>) => {
       state.notifications.unshift(action.payload);
     },
@@ -40,5 +45,5 @@ const notificationSlice = createSlice({
   },
 });
 
-export const { setLoading, setError, setNotifications, addNotification, markAsRead, removeNotification } = notificationSlice.actions;
+export const { setLoading, setError, setNotifications, setUnreadCount, addNotification, markAsRead, removeNotification } = notificationSlice.actions;
 export default notificationSlice.reducer;
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
 import { io, Socket } from 'socket.io-client';
 import { RootState } from '../index';
+import { setUnreadCount } from './notificationSlice';
 
 interface SocketState {
   socket: Socket | null;
@@ -22,7 +23,7 @@ const initialState: SocketState = {
 
 export const initializeSocket = createAsyncThunk(
   'socket/initialize',
-  async (_, { getState }) => {
+  async (_, { getState, dispatch }) => {
     const state = getState() as RootState;
     const token = state.auth.accessToken;
     
@@ -55,6 +56,11 @@ export const initializeSocket = createAsyncThunk(
         // Handle notification in component
       });
 
+      // Sent to every open tab, so reading a notification in one clears the badge in the others
+      socket.on('notification_unread_count', (data) => {
+        dispatch(setUnreadCount(data.unreadCount));
+      });
+
       socket.on('visitor_arrived', (data) => {
         // Handle visitor arrival
       });
@@ -67,6 +73,10 @@ export const initializeSocket = createAsyncThunk(
         // Handle emergency notification
       });
 
+      socket.on('roll_call_updated', (data) => {
+        // Handle muster roll call progress (remaining count)
+      });
+
       socket.on('occupancy_changed', (data) => {
         // Handle occupancy change
       });
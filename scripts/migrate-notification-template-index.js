@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Template Index Migration Script
+ * Templates used to be unique by name alone. They are now unique per (name, type, language), so one
+ * template can exist in several languages and channels. `sequelize.sync` does not change existing
+ * constraints, so databases created before the change need this run once. Safe to run again.
+ *
+ * Usage: node scripts/migrate-notification-template-index.js
+ */
+
+const { sequelize } = require('../server/models');
+const logger = require('../server/utils/logger');
+
+const TABLE = 'notification_templates';
+const LOCALE_INDEX = 'notification_templates_name_type_language';
+const LOCALE_FIELDS = ['name', 'type', 'language'];
+
+const indexFields = (index) => index.fields.map(field => field.attribute);
+
+const isNameOnlyUnique = (index) => index.unique && !index.primary && indexFields(index).join() === 'name';
+
+const isLocaleUnique = (index) => index.unique && indexFields(index).join() === LOCALE_FIELDS.join();
+
+async function migrateNotificationTemplateIndex() {
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    await sequelize.authenticate();
+    logger.info('Database connection established');
+
+    const indexes = await queryInterface.showIndex(TABLE);
+
+    await sequelize.transaction(async (transaction) => {
+      for (const index of indexes.filter(isNameOnlyUnique)) {
+        // A column declared `unique` is backed by a constraint on PostgreSQL, which has to be dropped as one
+        if (sequelize.getDialect() === 'postgres') {
+          await sequelize.query(
+            `ALTER TABLE "${TABLE}" DROP CONSTRAINT IF EXISTS "${index.name}"`,
+            { transaction }
+          );
+          await sequelize.query(`DROP INDEX IF EXISTS "${index.name}"`, { transaction });
+        } else {
+          await queryInterface.removeIndex(TABLE, index.name, { transaction });
+        }
+        console.log(`🗑️  Dropped unique index on name: ${index.name}`);
+      }
+
+      if (!indexes.some(isLocaleUnique)) {
+        await queryInterface.addIndex(TABLE, LOCALE_FIELDS, { name: LOCALE_INDEX, unique: true, transaction });
+        console.log(`✅ Added unique index on (${LOCALE_FIELDS.join(', ')})`);
+      } else {
+        console.log(`✅ Unique index on (${LOCALE_FIELDS.join(', ')}) already present`);
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to migrate notification template index:', error);
+    console.error('\n❌ Failed to migrate notification template index:', error.message);
+    if (sequelize.getDialect() === 'sqlite') {
+      console.error('SQLite cannot drop a column-level unique constraint; recreate the development database instead.');
+    }
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  migrateNotificationTemplateIndex();
+}
+
+module.exports = { migrateNotificationTemplateIndex };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Rotate PII Encryption Keys Script
+ * Re-encrypts visitor PII and users' MFA secrets under PII_ACTIVE_KEY_ID. Run it after adding a new key to
+ * PII_ENCRYPTION_KEYS, then remove the old key once it reports nothing left to re-encrypt.
+ *
+ * Usage: node scripts/rotate-pii-keys.js [--batch-size=100] [--dry-run]
+ */
+
+const { sequelize } = require('../server/models');
+const { rotateVisitorKeys, rotateMfaSecretKeys } = require('../server/services/piiKeyRotationService');
+const logger = require('../server/utils/logger');
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--batch-size=')) {
+      const batchSize = parseInt(arg.split('=')[1]);
+      if (batchSize > 0) {
+        options.batchSize = batchSize;
+      }
+    }
+  }
+  return options;
+};
+
+async function rotatePiiKeys() {
+  try {
+    await sequelize.authenticate();
+    logger.info('Database connection established');
+
+    const options = parseArgs(process.argv.slice(2));
+    const report = await rotateVisitorKeys(options);
+    const mfaReport = await rotateMfaSecretKeys(options);
+
+    console.log(`\n🔑 Active key: ${report.activeKeyId}`);
+    console.log(`🔍 Visitors scanned: ${report.scanned} in ${report.batches} batch(es)`);
+    console.log(`🔍 MFA secrets scanned: ${mfaReport.scanned} in ${mfaReport.batches} batch(es)`);
+    if (report.dryRun) {
+      console.log(`📝 Would re-encrypt: ${report.reencrypted} visitor(s), ${mfaReport.reencrypted} MFA secret(s)`);
+    } else {
+      console.log(`✅ Re-encrypted: ${report.reencrypted} visitor(s), ${mfaReport.reencrypted} MFA secret(s)`);
+    }
+
+  } catch (error) {
+    logger.error('Failed to rotate PII keys:', error);
+    console.error('\n❌ Failed to rotate PII keys:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  rotatePiiKeys();
+}
+
+module.exports = { rotatePiiKeys, parseArgs };
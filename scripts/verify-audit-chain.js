@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Verify Audit Chain Script
+ * Walks the audit log hash chain and its signed checkpoints, and exits non-zero
+ * if entries were modified, removed or re-linked.
+ *
+ * Usage: node scripts/verify-audit-chain.js [--json]
+ */
+
+const { sequelize } = require('../server/models');
+const { verifyAuditChain } = require('../server/services/auditChainService');
+const logger = require('../server/utils/logger');
+
+async function verifyChain() {
+  try {
+    await sequelize.authenticate();
+    logger.info('Database connection established');
+
+    const report = await verifyAuditChain();
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`\n🔗 Entries checked: ${report.checkedEntries} (sequence ${report.firstSequence ?? '-'} to ${report.lastSequence ?? '-'})`);
+      console.log(`🔏 Checkpoints matched: ${report.checkpointsChecked}`);
+      if (report.unchainedEntries > 0) {
+        console.log(`ℹ️  Entries from before chaining: ${report.unchainedEntries}`);
+      }
+      if (report.valid) {
+        console.log('✅ Audit chain intact');
+      } else {
+        console.log(`❌ ${report.issueCount} issue(s) found:`);
+        report.issues.forEach(issue => console.log(`   - ${JSON.stringify(issue)}`));
+      }
+    }
+
+    if (!report.valid) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.error('Failed to verify audit chain:', error);
+    console.error('\n❌ Failed to verify audit chain:', error.message);
+    process.exitCode = 2;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  verifyChain();
+}
+
+module.exports = { verifyChain };
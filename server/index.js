@@ -27,7 +27,14 @@ const requiredEnvVars = [
   'JWT_REFRESH_SECRET', 
   'SESSION_SECRET',
   'DB_PASSWORD',
-  'REDIS_PASSWORD'
+  'REDIS_PASSWORD',
+  'PII_ENCRYPTION_KEYS',
+  'PII_BLIND_INDEX_KEY',
+  'MFA_RECOVERY_CODE_KEY',
+  'QR_SIGNING_KEYS',
+  'INVITATION_SECRET',
+  'ERASURE_SIGNING_SECRET',
+  'AUDIT_CHECKPOINT_SECRET'
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -40,19 +47,40 @@ if (missingVars.length > 0) {
 console.log('✅ Environment variables validated');
 
 // Import modules
-const { sequelize } = require('./models');
+const { sequelize, SystemSetting, DataRetentionPolicy, ConsentText } = require('./models');
 const logger = require('./utils/logger');
 const authRoutes = require('./routes/auth');
 const visitorRoutes = require('./routes/visitors');
+const visitRoutes = require('./routes/visits');
 const userRoutes = require('./routes/users');
 const reportRoutes = require('./routes/reports');
 const settingsRoutes = require('./routes/settings');
 const uploadRoutes = require('./routes/upload');
 const emergencyRoutes = require('./routes/emergency');
+const publicRoutes = require('./routes/public');
+const invitationRoutes = require('./routes/invitations');
+const holidayRoutes = require('./routes/holidays');
+const notificationRoutes = require('./routes/notifications');
+const notificationQueueRoutes = require('./routes/notificationQueue');
+const notificationTemplateRoutes = require('./routes/notificationTemplates');
+const dsarRoutes = require('./routes/dsar');
+const retentionRoutes = require('./routes/retention');
+const consentTextRoutes = require('./routes/consentTexts');
+const auditRoutes = require('./routes/audit');
+const accessLogRoutes = require('./routes/accessLogs');
+const sessionRoutes = require('./routes/sessions');
+const mfaResetRoutes = require('./routes/mfaResets');
 const { authenticateToken } = require('./middleware/auth');
+const { accessLog } = require('./middleware/accessLog');
 const { setupCSRF } = require('./middleware/csrf');
 const { setupSocketAuth } = require('./middleware/socketAuth');
 const { initializeSocket } = require('./services/socketService');
+const { startScheduler, stopScheduler } = require('./services/schedulerService');
+const { startWorkers, stopWorkers } = require('./services/notificationQueueService');
+const { seedDefaultTemplates } = require('./services/notificationTemplateService');
+const { consentDefinitions } = require('./services/consentService');
+const { flushAccessLogs } = require('./services/accessLogService');
+const { flushContactDeliveries } = require('./services/emergencyService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -73,6 +101,9 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
 
+// Request IDs and access logging (registered early so rate-limited requests are recorded too)
+app.use(accessLog);
+
 // Rate limiting with latest syntax
 const limiter = rateLimit({
   windowMs: (process.env.RATE_LIMIT_WINDOW || 15) * 60 * 1000,
@@ -126,7 +157,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Request-ID'],
+  exposedHeaders: ['X-Request-ID']
 }));
 
 // CSRF protection
@@ -139,11 +171,25 @@ app.use('/public', express.static(path.join(__dirname, '../public')));
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/visitors', authenticateToken, visitorRoutes);
+app.use('/api/visits', authenticateToken, visitRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/reports', authenticateToken, reportRoutes);
 app.use('/api/settings', authenticateToken, settingsRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
 app.use('/api/emergency', authenticateToken, emergencyRoutes);
+app.use('/api/invitations', authenticateToken, invitationRoutes);
+app.use('/api/holidays', authenticateToken, holidayRoutes);
+app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/notification-queue', authenticateToken, notificationQueueRoutes);
+app.use('/api/notification-templates', authenticateToken, notificationTemplateRoutes);
+app.use('/api/dsar', authenticateToken, dsarRoutes);
+app.use('/api/retention', authenticateToken, retentionRoutes);
+app.use('/api/consent-texts', authenticateToken, consentTextRoutes);
+app.use('/api/audit', authenticateToken, auditRoutes);
+app.use('/api/access-logs', authenticateToken, accessLogRoutes);
+app.use('/api/sessions', authenticateToken, sessionRoutes);
+app.use('/api/mfa-resets', authenticateToken, mfaResetRoutes);
+app.use('/api/public', publicRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -206,6 +252,18 @@ async function startServer() {
     // Sync database models
     await sequelize.sync({ force: false });
     logger.info('Database models synchronized');
+
+    // Seed default system settings
+    await SystemSetting.initializeDefaults();
+
+    // Seed one retention policy per data type (edited policies are left alone)
+    await DataRetentionPolicy.initializeDefaults();
+
+    // Seed version 1.0 of each consent text from the built-in definitions
+    await ConsentText.initializeDefaults(consentDefinitions);
+    
+    // Seed built-in notification templates (edited templates are left alone)
+    await seedDefaultTemplates();
     
     // Create uploads directory if it doesn't exist
     const uploadsDir = path.join(__dirname, '../uploads');
@@ -258,6 +316,16 @@ async function startServer() {
     // Initialize socket service
     initializeSocket(io);
     
+    // Start background jobs (set SCHEDULER_ENABLED=false on instances that should never run them)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      await startScheduler();
+    }
+    
+    // Deliver queued notifications (set NOTIFICATION_WORKERS_ENABLED=false to only enqueue on this instance)
+    if (process.env.NOTIFICATION_WORKERS_ENABLED !== 'false') {
+      startWorkers();
+    }
+    
     // Start listening
     server.listen(PORT, HOST, () => {
       logger.info(`Server running on ${server instanceof https.Server ? 'https' : 'http'}://${HOST}:${PORT}`);
@@ -273,12 +341,20 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
+  stopWorkers();
+  await stopScheduler();
+  await flushContactDeliveries();
+  await flushAccessLogs();
   await sequelize.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
+  stopWorkers();
+  await stopScheduler();
+  await flushContactDeliveries();
+  await flushAccessLogs();
   await sequelize.close();
   process.exit(0);
 });
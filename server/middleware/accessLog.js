@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { recordAccess } = require('../services/accessLogService');
+const { runWithContext } = require('../utils/requestContext');
+
+// A caller-supplied X-Request-ID is kept so a request can be traced across services
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+// Polled constantly by load balancers and monitoring; recording them would drown out real traffic
+const SKIP_PATHS = (process.env.ACCESS_LOG_SKIP_PATHS || '/api/health')
+  .split(',')
+  .map(skipPath => skipPath.trim())
+  .filter(Boolean);
+
+const MAX_ENDPOINT_LENGTH = 255;
+
+const describeRoute = (req) => {
+  // Route patterns group requests for the same endpoint, e.g. GET /api/visitors/:id
+  if (req.route) {
+    return `${req.method} ${req.baseUrl}${req.route.path}`;
+  }
+  return `${req.method} ${req.baseUrl || req.originalUrl.split('?')[0]}`;
+};
+
+const describeResource = (req) => {
+  const match = /^\/api\/([^/?]+)/.exec(req.originalUrl);
+  return match ? match[1] : null;
+};
+
+/**
+ * Give every request an ID and record API requests in access_logs.
+ * The ID is returned in the X-Request-ID header and in JSON error bodies, tagged on log lines,
+ * and stored on audit log entries written while the request is handled.
+ */
+const accessLog = (req, res, next) => {
+  const incoming = req.get('X-Request-ID');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  let errorMessage = null;
+
+  req.requestId = requestId;
+  res.setHeader('X-Request-ID', requestId);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      errorMessage = body.message || body.error || null;
+      if (body.error && !body.requestId) {
+        body = { ...body, requestId };
+      }
+    }
+    return json(body);
+  };
+
+  const path = req.originalUrl.split('?')[0];
+  const shouldRecord = path.startsWith('/api/') && !SKIP_PATHS.some(skipPath => path === skipPath);
+
+  if (shouldRecord) {
+    res.once('close', () => {
+      // A response that never finished was abandoned by the client
+      const statusCode = res.writableFinished ? res.statusCode : 499;
+
+      recordAccess({
+        userId: req.user ? req.user.id : null,
+        ipAddress: req.ip || req.socket.remoteAddress || 'unknown',
+        userAgent: req.get('User-Agent') || null,
+        action: describeRoute(req),
+        resource: describeResource(req),
+        method: req.method,
+        endpoint: path.slice(0, MAX_ENDPOINT_LENGTH),
+        statusCode,
+        responseTime: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        success: statusCode < 400,
+        errorMessage: statusCode === 499 ? 'Client closed request' : errorMessage,
+        requestId,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    });
+  }
+
+  runWithContext({ requestId }, next);
+};
+
+module.exports = {
+  accessLog
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { validateSession } = require('../services/sessionService');
 const logger = require('../utils/logger');
 
 // SECURITY FIX: Remove hardcoded fallback secrets
@@ -11,29 +12,62 @@ if (!JWT_SECRET || !JWT_REFRESH_SECRET) {
   throw new Error('JWT_SECRET and JWT_REFRESH_SECRET environment variables are required');
 }
 
-// Generate JWT token
-const generateToken = (user) => {
+// Generate JWT token; sid ties it to the user session it was issued for
+const generateToken = (user, { sessionId = null } = {}) => {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      ...(sessionId ? { sid: sessionId } : {})
     },
     JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (user) => {
+// Generate refresh token; jti and family link it to its server-side refresh_tokens record
+const generateRefreshToken = (user, { jti, familyId }) => {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
-      type: 'refresh'
+      type: 'refresh',
+      family: familyId
     },
     JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+      jwtid: jti
+    }
+  );
+};
+
+// Responses for scoped tokens used outside the routes that accept them
+const SCOPED_TOKEN_ERRORS = {
+  mfa_enrolment: {
+    error: 'MFA enrolment required',
+    message: 'Multi-factor authentication must be set up before continuing'
+  },
+  password_change: {
+    error: 'Password change required',
+    message: 'Your password has expired and must be changed before continuing'
+  }
+};
+
+// Short-lived token for a login that must finish a step first: mfa_enrolment for admins
+// without MFA, password_change for expired passwords. authenticateToken only accepts it
+// on routes behind allowTokenScope(scope).
+const generateScopedToken = (user, scope) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      scope
+    },
+    JWT_SECRET,
+    { expiresIn: '10m' }
   );
 };
 
@@ -43,8 +77,8 @@ const verifyToken = (token) => {
 };
 
 // Verify refresh token
-const verifyRefreshToken = (token) => {
-  return jwt.verify(token, JWT_REFRESH_SECRET);
+const verifyRefreshToken = (token, options = {}) => {
+  return jwt.verify(token, JWT_REFRESH_SECRET, options);
 };
 
 // Authentication middleware
@@ -61,6 +95,13 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+
+    if (decoded.scope && decoded.scope !== req.allowedTokenScope) {
+      return res.status(403).json(SCOPED_TOKEN_ERRORS[decoded.scope] || {
+        error: 'Insufficient token scope',
+        message: 'This token cannot be used here'
+      });
+    }
     
     // Get user from database
     const user = await User.findByPk(decoded.id);
@@ -86,7 +127,20 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Signed-out and idle sessions stop working before their access token expires
+    if (decoded.sid) {
+      const session = await validateSession(decoded.sid, user.id, { ipAddress: req.ip });
+      if (!session.valid) {
+        return res.status(401).json({
+          error: 'Session ended',
+          message: session.reason === 'idle' ? 'Session timed out due to inactivity' : 'Session has been signed out'
+        });
+      }
+      req.sessionId = decoded.sid;
+    }
+
     req.user = user;
+    req.tokenScope = decoded.scope || null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -111,6 +165,14 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Lets tokens of one scope through the authenticateToken that follows
+const allowTokenScope = (scope) => {
+  return (req, res, next) => {
+    req.allowedTokenScope = scope;
+    next();
+  };
+};
+
 // Role-based authorization middleware
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -151,7 +213,7 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      const user = await User.findByPk(decoded.id);
+      const user = decoded.scope ? null : await User.findByPk(decoded.id);
       
       if (user && user.isActive && !user.isLocked()) {
         req.user = user;
@@ -191,9 +253,11 @@ const authRateLimit = require('express-rate-limit')({
 module.exports = {
   generateToken,
   generateRefreshToken,
+  generateScopedToken,
   verifyToken,
   verifyRefreshToken,
   authenticateToken,
+  allowTokenScope,
   requireRole,
   requireAdmin,
   requireAdminOrReceptionist,
@@ -32,7 +32,10 @@ const setupCSRF = (app) => {
       '/api/auth/refresh',
       '/api/auth/forgot-password',
       '/api/auth/reset-password',
-      '/api/visitor/pre-register' // Allow public visitor pre-registration
+      // Allow public visitor self-service
+      '/api/public/pre-register',
+      '/api/public/checkin',
+      '/api/public/feedback'
     ];
 
     // Skip CSRF for WebSocket connections
@@ -2,6 +2,9 @@ const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const logger = require('../utils/logger');
 
+// Required lazily: sessionService depends on socketService, which depends on this module
+const sessionService = () => require('../services/sessionService');
+
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
 
 /**
@@ -22,6 +25,11 @@ const setupSocketAuth = (io) => {
 
       // Verify JWT token
       const decoded = jwt.verify(token, JWT_SECRET);
+
+      // Scoped tokens, such as MFA enrolment tokens, do not grant a socket connection
+      if (decoded.scope) {
+        return next(new Error('Authentication failed'));
+      }
       
       // Get user from database
       const user = await User.findByPk(decoded.id);
@@ -53,10 +61,25 @@ const setupSocketAuth = (io) => {
         return next(new Error('User account is locked'));
       }
 
+      // Same check as authenticateToken, so idle sessions cannot reconnect either
+      if (decoded.sid) {
+        const session = await sessionService().validateSession(decoded.sid, user.id, { ipAddress: socket.handshake.address });
+        if (!session.valid) {
+          logger.warn('Socket connection with ended session', {
+            socketId: socket.id,
+            userId: user.id,
+            reason: session.reason,
+            ip: socket.handshake.address
+          });
+          return next(new Error(session.reason === 'idle' ? 'Session timed out due to inactivity' : 'Session has been signed out'));
+        }
+      }
+
       // Attach user to socket
       socket.user = user;
       socket.userId = user.id;
       socket.userRole = user.role;
+      socket.sessionId = decoded.sid || null;
       
       logger.info('Socket authenticated successfully', {
         socketId: socket.id,
@@ -0,0 +1,87 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+
+const photoDir = path.join(__dirname, '../../uploads/photos');
+
+// Multer configuration for photo uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(photoDir)) {
+      fs.mkdirSync(photoDir, { recursive: true });
+    }
+    cb(null, photoDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `visitor-${uniqueSuffix}.${file.originalname.split('.').pop()}`);
+  }
+});
+
+const photoUpload = multer({
+  storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG, and GIF are allowed.'));
+    }
+  }
+});
+
+// Resize an uploaded photo, remove the original and return the stored filename
+const processVisitorPhoto = async (file) => {
+  const processedFilename = `processed-${file.filename}`;
+  const processedPath = path.join(path.dirname(file.path), processedFilename);
+
+  await sharp(file.path)
+    .resize(400, 400, {
+      fit: 'cover',
+      position: 'center'
+    })
+    .jpeg({ quality: 90 })
+    .toFile(processedPath);
+
+  fs.unlinkSync(file.path);
+
+  return processedFilename;
+};
+
+// Where a stored visitor photo lives; only the base name is used, so a stored value cannot point elsewhere
+const getVisitorPhotoPath = (filename) => path.join(photoDir, path.basename(filename));
+
+// Remove a stored visitor photo if it exists; returns whether a file was removed
+const removeVisitorPhoto = (filename) => {
+  if (!filename) {
+    return false;
+  }
+
+  const photoPath = getVisitorPhotoPath(filename);
+  if (!fs.existsSync(photoPath)) {
+    return false;
+  }
+
+  fs.unlinkSync(photoPath);
+  return true;
+};
+
+// Discard an upload that will not be used
+const discardUpload = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+module.exports = {
+  photoUpload,
+  processVisitorPhoto,
+  getVisitorPhotoPath,
+  removeVisitorPhoto,
+  discardUpload
+};
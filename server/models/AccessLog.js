@@ -60,6 +60,15 @@ module.exports = (sequelize) => {
     sessionId: {
       type: DataTypes.STRING,
       allowNull: true
+    },
+    requestId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Matches the X-Request-ID response header and audit log entries written by the request'
+    },
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'access_logs',
@@ -76,6 +85,9 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['createdAt']
+      },
+      {
+        fields: ['requestId']
       }
     ]
   });
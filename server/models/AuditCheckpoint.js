@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AuditCheckpoint = sequelize.define('AuditCheckpoint', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Audit log sequence the checkpoint vouches for'
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Chain hash of the entry at that sequence'
+    },
+    reason: {
+      type: DataTypes.ENUM('scheduled', 'manual', 'prune'),
+      allowNull: false,
+      defaultValue: 'scheduled',
+      comment: 'prune checkpoints mark where the chain starts after old entries were deleted'
+    },
+    signature: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'audit_checkpoints',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['sequence']
+      },
+      {
+        fields: ['reason']
+      }
+    ]
+  });
+
+  // Class methods
+  AuditCheckpoint.findLatest = function(options = {}) {
+    return this.findOne({
+      where: options.where || {},
+      order: [['sequence', 'DESC'], ['createdAt', 'DESC']],
+      transaction: options.transaction
+    });
+  };
+
+  AuditCheckpoint.findLatestPrune = function(options = {}) {
+    return this.findLatest({ ...options, where: { reason: 'prune' } });
+  };
+
+  return AuditCheckpoint;
+};
@@ -1,5 +1,37 @@
+const crypto = require('crypto');
 const { DataTypes } = require('sequelize');
 
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by each entry's hash. isAnonymized, anonymizedAt and redactedDigests change by design.
+const HASHED_FIELDS = [
+  'userId', 'visitorId', 'visitId', 'action', 'resource', 'resourceId', 'details', 'oldValues', 'newValues',
+  'ipAddress', 'userAgent', 'sessionId', 'requestId', 'method', 'endpoint', 'statusCode', 'responseTime',
+  'severity', 'category', 'outcome', 'riskLevel', 'complianceFlags', 'retentionDate', 'tags', 'metadata', 'createdAt'
+];
+
+// Anonymisation rewrites these; their original digests move to redactedDigests
+const REDACTABLE_FIELDS = ['ipAddress', 'userAgent', 'sessionId', 'requestId', 'details', 'oldValues', 'newValues'];
+
+// JSON round trip first so values hash the same before saving and after reading back, then sort keys
+const canonicalise = (value) => {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) {
+      return item.map(sortKeys);
+    }
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  return JSON.stringify(sortKeys(JSON.parse(JSON.stringify(value === undefined ? null : value))));
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
 module.exports = (sequelize) => {
   const AuditLog = sequelize.define('AuditLog', {
     id: {
@@ -151,6 +183,26 @@ module.exports = (sequelize) => {
       allowNull: true,
       defaultValue: {}
     },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      unique: true,
+      comment: 'Position in the hash chain; gaps mean entries were removed'
+    },
+    previousHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    redactedDigests: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Digests of field values removed by anonymisation, so the entry hash still verifies'
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -203,12 +255,19 @@ module.exports = (sequelize) => {
       }
     ],
     hooks: {
-      beforeCreate: (auditLog) => {
-        // Set retention date if not already set
+      beforeCreate: async (auditLog, options) => {
+        // Set retention date from the audit_logs policy if not already set
         if (!auditLog.retentionDate) {
-          const retentionDays = parseInt(process.env.LOG_RETENTION_DAYS) || 2555; // 7 years default
-          auditLog.retentionDate = new Date(Date.now() + (retentionDays * 24 * 60 * 60 * 1000));
+          auditLog.retentionDate = await sequelize.models.DataRetentionPolicy.getRetentionDate('audit_logs', {
+            transaction: options.transaction
+          });
         }
+
+        // Link the entry to the chain head
+        const head = await AuditLog.getChainHead({ transaction: options.transaction });
+        auditLog.sequence = head.sequence + 1;
+        auditLog.previousHash = head.hash;
+        auditLog.hash = auditLog.computeHash();
       }
     }
   });
@@ -218,42 +277,51 @@ module.exports = (sequelize) => {
     return this.retentionDate && this.retentionDate < new Date();
   };
 
-  AuditLog.prototype.anonymize = async function() {
+  AuditLog.prototype.anonymize = async function({ transaction } = {}) {
     if (this.isAnonymized) {
       return;
     }
 
+    const originals = {};
+    REDACTABLE_FIELDS.forEach(field => {
+      originals[field] = this[field];
+    });
+
     // Remove or hash sensitive data
     this.ipAddress = this.ipAddress ? this.hashData(this.ipAddress) : null;
     this.userAgent = null;
     this.sessionId = null;
     this.requestId = null;
     
-    // Remove sensitive details
-    if (this.details && typeof this.details === 'object') {
-      delete this.details.email;
-      delete this.details.phone;
-      delete this.details.nationalId;
-      delete this.details.address;
-    }
+    // Remove sensitive details (copied so Sequelize sees the JSON change)
+    const stripSensitive = (values) => {
+      if (!values || typeof values !== 'object') {
+        return values;
+      }
+      const copy = { ...values };
+      delete copy.email;
+      delete copy.phone;
+      delete copy.nationalId;
+      delete copy.address;
+      return copy;
+    };
 
-    if (this.oldValues && typeof this.oldValues === 'object') {
-      delete this.oldValues.email;
-      delete this.oldValues.phone;
-      delete this.oldValues.nationalId;
-      delete this.oldValues.address;
-    }
+    this.details = stripSensitive(this.details);
+    this.oldValues = stripSensitive(this.oldValues);
+    this.newValues = stripSensitive(this.newValues);
 
-    if (this.newValues && typeof this.newValues === 'object') {
-      delete this.newValues.email;
-      delete this.newValues.phone;
-      delete this.newValues.nationalId;
-      delete this.newValues.address;
-    }
+    // Keep the digest of each original value so the chain still verifies without the data
+    const redactedDigests = { ...(this.redactedDigests || {}) };
+    REDACTABLE_FIELDS.forEach(field => {
+      if (!redactedDigests[field] && canonicalise(originals[field]) !== canonicalise(this[field])) {
+        redactedDigests[field] = AuditLog.digestValue(originals[field]);
+      }
+    });
+    this.redactedDigests = redactedDigests;
 
     this.isAnonymized = true;
     this.anonymizedAt = new Date();
-    await this.save();
+    await this.save({ transaction });
   };
 
   AuditLog.prototype.hashData = function(data) {
@@ -261,6 +329,19 @@ module.exports = (sequelize) => {
     return crypto.createHash('sha256').update(data).digest('hex');
   };
 
+  /**
+   * Hash of the entry: the previous hash plus a digest of each hashed field,
+   * taking redacted fields' digests from redactedDigests
+   */
+  AuditLog.prototype.computeHash = function() {
+    const redacted = this.redactedDigests || {};
+    const digests = {};
+    HASHED_FIELDS.forEach(field => {
+      digests[field] = redacted[field] || AuditLog.digestValue(this[field]);
+    });
+    return sha256(`${this.previousHash}\n${canonicalise({ sequence: this.sequence, digests })}`);
+  };
+
   AuditLog.prototype.isHighRisk = function() {
     return this.riskLevel === 'high' || this.riskLevel === 'critical';
   };
@@ -274,6 +355,33 @@ module.exports = (sequelize) => {
   };
 
   // Class methods
+  AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+  AuditLog.digestValue = function(value) {
+    return sha256(canonicalise(value));
+  };
+
+  /**
+   * Sequence and hash the next entry links to. When every entry has been pruned,
+   * the chain continues from the latest prune checkpoint.
+   */
+  AuditLog.getChainHead = async function(options = {}) {
+    const last = await this.findOne({
+      where: { sequence: { [sequelize.Sequelize.Op.ne]: null } },
+      order: [['sequence', 'DESC']],
+      attributes: ['sequence', 'hash'],
+      transaction: options.transaction
+    });
+    if (last) {
+      return { sequence: last.sequence, hash: last.hash };
+    }
+
+    const pruned = await sequelize.models.AuditCheckpoint.findLatestPrune(options);
+    return pruned
+      ? { sequence: pruned.sequence, hash: pruned.hash }
+      : { sequence: 0, hash: GENESIS_HASH };
+  };
+
   AuditLog.findByUser = function(userId) {
     return this.findAll({
       where: { userId },
@@ -65,7 +65,8 @@ module.exports = (sequelize) => {
       references: {
         model: 'users',
         key: 'id'
-      }
+      },
+      onDelete: 'SET NULL'
     },
     withdrawnAt: {
       type: DataTypes.DATE,
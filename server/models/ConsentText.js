@@ -0,0 +1,139 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ConsentText = sequelize.define('ConsentText', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    consentType: {
+      type: DataTypes.ENUM(
+        'gdpr_processing',
+        'marketing_communications',
+        'photo_capture',
+        'biometric_data',
+        'data_sharing',
+        'cookies',
+        'location_tracking',
+        'emergency_contact'
+      ),
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        is: /^\d+(\.\d+)*$/
+      }
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    processingPurpose: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    dataCategories: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: []
+    },
+    legalBasis: {
+      type: DataTypes.ENUM(
+        'consent',
+        'contract',
+        'legal_obligation',
+        'vital_interests',
+        'public_task',
+        'legitimate_interests'
+      ),
+      allowNull: false,
+      defaultValue: 'consent'
+    },
+    requiresReconsent: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Visitors who agreed to an earlier version are asked again; false for wording-only fixes'
+    },
+    publishedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'consent_texts',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['consentType', 'version']
+      }
+    ]
+  });
+
+  // Compare dotted version strings numerically, so 1.10 sorts after 1.9
+  ConsentText.compareVersions = function(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) {
+        return diff;
+      }
+    }
+    return 0;
+  };
+
+  // Class methods
+  ConsentText.findVersions = async function(consentType) {
+    const texts = await this.findAll({ where: { consentType } });
+    return texts.sort((a, b) => this.compareVersions(b.version, a.version));
+  };
+
+  ConsentText.findCurrent = async function(consentType) {
+    const [current] = await this.findVersions(consentType);
+    return current || null;
+  };
+
+  ConsentText.getCatalogue = async function() {
+    const texts = await this.findAll();
+    const catalogue = {};
+    for (const text of texts) {
+      const current = catalogue[text.consentType];
+      if (!current || this.compareVersions(text.version, current.version) > 0) {
+        catalogue[text.consentType] = text;
+      }
+    }
+    return catalogue;
+  };
+
+  ConsentText.initializeDefaults = async function(definitions) {
+    let created = 0;
+    for (const [consentType, definition] of Object.entries(definitions)) {
+      const existing = await this.findOne({ where: { consentType } });
+      if (!existing) {
+        await this.create({
+          consentType,
+          version: '1.0',
+          text: definition.consentText,
+          processingPurpose: definition.processingPurpose,
+          dataCategories: definition.dataCategories
+        });
+        created++;
+      }
+    }
+    return created;
+  };
+
+  return ConsentText;
+};
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 
+const DATA_TYPES = ['visitor_profiles', 'visit_records', 'photos', 'documents', 'audit_logs', 'access_logs'];
+
 module.exports = (sequelize) => {
   const DataRetentionPolicy = sequelize.define('DataRetentionPolicy', {
     id: {
@@ -10,7 +12,10 @@ module.exports = (sequelize) => {
     dataType: {
       type: DataTypes.STRING,
       allowNull: false,
-      unique: true
+      unique: true,
+      validate: {
+        isIn: [DATA_TYPES]
+      }
     },
     retentionPeriod: {
       type: DataTypes.INTEGER,
@@ -25,7 +30,13 @@ module.exports = (sequelize) => {
     autoDelete: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
-      defaultValue: false
+      defaultValue: false,
+      comment: 'Applied by the scheduled retention job without a manual run'
+    },
+    mode: {
+      type: DataTypes.ENUM('anonymize', 'delete'),
+      allowNull: false,
+      defaultValue: 'anonymize'
     },
     description: {
       type: DataTypes.TEXT,
@@ -41,5 +52,73 @@ module.exports = (sequelize) => {
     ]
   });
 
+  DataRetentionPolicy.DATA_TYPES = DATA_TYPES;
+
+  // Class methods
+  DataRetentionPolicy.findActive = function() {
+    return this.findAll({ where: { isActive: true } });
+  };
+
+  // When a record counted from `from` falls due under the active policy for its type; null when no policy applies
+  DataRetentionPolicy.getRetentionDate = async function(dataType, { from = new Date(), transaction } = {}) {
+    const policy = await this.findOne({ where: { dataType, isActive: true }, transaction });
+    if (!policy) {
+      return null;
+    }
+    return new Date(new Date(from).getTime() + policy.retentionPeriod * 24 * 60 * 60 * 1000);
+  };
+
+  DataRetentionPolicy.initializeDefaults = async function() {
+    const visitorDays = parseInt(process.env.DATA_RETENTION_DAYS) || 2555;
+    const defaultPolicies = [
+      {
+        dataType: 'visitor_profiles',
+        retentionPeriod: visitorDays,
+        mode: 'anonymize',
+        description: 'Visitor personal details, counted from the last visit'
+      },
+      {
+        dataType: 'visit_records',
+        retentionPeriod: visitorDays,
+        mode: 'anonymize',
+        description: 'Completed visits; anonymising keeps dates and durations for reporting'
+      },
+      {
+        dataType: 'photos',
+        retentionPeriod: parseInt(process.env.PHOTO_RETENTION_DAYS) || 90,
+        mode: 'delete',
+        description: 'Visitor photo files; the period follows the photo_retention_days setting'
+      },
+      {
+        dataType: 'documents',
+        retentionPeriod: 365,
+        mode: 'delete',
+        description: 'Uploaded documents'
+      },
+      {
+        dataType: 'audit_logs',
+        retentionPeriod: parseInt(process.env.LOG_RETENTION_DAYS) || 2555,
+        mode: 'anonymize',
+        description: 'Audit trail entries'
+      },
+      {
+        dataType: 'access_logs',
+        retentionPeriod: 365,
+        mode: 'delete',
+        description: 'HTTP access log entries'
+      }
+    ];
+
+    let created = 0;
+    for (const policy of defaultPolicies) {
+      const existing = await this.findOne({ where: { dataType: policy.dataType } });
+      if (!existing) {
+        await this.create(policy);
+        created++;
+      }
+    }
+    return created;
+  };
+
   return DataRetentionPolicy;
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DataSubjectRequest = sequelize.define('DataSubjectRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    visitorId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    requestType: {
+      type: DataTypes.ENUM('access', 'portability', 'erasure'),
+      allowNull: false,
+      defaultValue: 'access'
+    },
+    status: {
+      type: DataTypes.ENUM('pending_verification', 'verified', 'completed', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending_verification'
+    },
+    requestedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Staff member who logged the request'
+    },
+    receivedVia: {
+      type: DataTypes.ENUM('in_person', 'email', 'phone', 'post', 'web'),
+      allowNull: false,
+      defaultValue: 'in_person'
+    },
+    verificationEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Address the verification code was sent to'
+    },
+    otpHash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    otpExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    otpAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dueDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Statutory response deadline'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    exportCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    rejectionReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'data_subject_requests',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['visitorId']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['dueDate']
+      }
+    ]
+  });
+
+  // Instance methods
+  DataSubjectRequest.prototype.isOpen = function() {
+    return this.status === 'pending_verification' || this.status === 'verified';
+  };
+
+  DataSubjectRequest.prototype.isOverdue = function(now = new Date()) {
+    return this.isOpen() && new Date(this.dueDate) < now;
+  };
+
+  DataSubjectRequest.prototype.getDaysRemaining = function(now = new Date()) {
+    return Math.ceil((new Date(this.dueDate) - now) / (24 * 60 * 60 * 1000));
+  };
+
+  DataSubjectRequest.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.otpHash;
+    values.overdue = this.isOverdue();
+    values.daysRemaining = this.isOpen() ? this.getDaysRemaining() : null;
+    return values;
+  };
+
+  return DataSubjectRequest;
+};
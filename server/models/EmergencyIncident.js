@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EmergencyIncident = sequelize.define('EmergencyIncident', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'general'
+    },
+    level: {
+      type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+      allowNull: false,
+      defaultValue: 'high'
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    affectedArea: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    isDrill: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Drills only alert the configured drill audience and never mark visits evacuated'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'resolved'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    triggeredBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    resolvedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolutionNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'emergency_incidents',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['createdAt']
+      },
+      {
+        fields: ['isDrill']
+      }
+    ]
+  });
+
+  // Instance methods
+  EmergencyIncident.prototype.isActive = function() {
+    return this.status === 'active';
+  };
+
+  EmergencyIncident.prototype.resolve = function(userId, notes = null) {
+    return this.update({
+      status: 'resolved',
+      resolvedBy: userId,
+      resolvedAt: new Date(),
+      resolutionNotes: notes
+    });
+  };
+
+  /**
+   * Audit tags for anything recorded against this incident
+   */
+  EmergencyIncident.prototype.getAuditTags = function() {
+    return this.isDrill ? ['drill'] : [];
+  };
+
+  // Class methods
+  EmergencyIncident.findActive = function() {
+    return this.findAll({
+      where: { status: 'active' },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  return EmergencyIncident;
+};
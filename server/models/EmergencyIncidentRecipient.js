@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EmergencyIncidentRecipient = sequelize.define('EmergencyIncidentRecipient', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    incidentId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    recipientType: {
+      type: DataTypes.ENUM('contact', 'user'),
+      allowNull: false
+    },
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Emergency contact priority at the time of the alert'
+    },
+    deliveries: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Delivery status per channel: { sms: { status, at, error } }'
+    },
+    acknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    acknowledgedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'User who recorded the acknowledgement (the recipient or a security officer)'
+    },
+    acknowledgementNote: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'emergency_incident_recipients',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['incidentId']
+      },
+      {
+        fields: ['incidentId', 'userId']
+      }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Record the outcome of one delivery channel
+   */
+  EmergencyIncidentRecipient.prototype.recordDelivery = function(channel, status, error = null) {
+    // Assign a new object so Sequelize picks up the JSON change
+    this.deliveries = {
+      ...this.deliveries,
+      [channel]: { status, at: new Date(), ...(error ? { error } : {}) }
+    };
+    return this.save();
+  };
+
+  EmergencyIncidentRecipient.prototype.isAcknowledged = function() {
+    return this.acknowledgedAt !== null;
+  };
+
+  EmergencyIncidentRecipient.prototype.acknowledge = function(userId, note = null) {
+    return this.update({
+      acknowledgedAt: new Date(),
+      acknowledgedBy: userId,
+      acknowledgementNote: note
+    });
+  };
+
+  return EmergencyIncidentRecipient;
+};
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ErasureTombstone = sequelize.define('ErasureTombstone', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    visitorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'The pseudonymised visitor row kept for visit statistics'
+    },
+    dataSubjectRequestId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    subjectReference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Keyed hash of the erased email; cannot be reversed to the address'
+    },
+    erasedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    erasedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    summary: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    certificate: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    signature: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'erasure_tombstones',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['visitorId']
+      },
+      {
+        fields: ['dataSubjectRequestId']
+      },
+      {
+        fields: ['subjectReference']
+      }
+    ]
+  });
+
+  // Class methods
+  ErasureTombstone.findBySubjectReference = function(subjectReference) {
+    return this.findOne({ where: { subjectReference } });
+  };
+
+  return ErasureTombstone;
+};
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EvacuationRollCall = sequelize.define('EvacuationRollCall', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    incidentId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    isDrill: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Copied from the incident; drill roll calls leave visits untouched'
+    },
+    startedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    musteredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the last unaccounted person was marked'
+    },
+    closedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    report: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Final muster report, saved when the roll call is closed'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'evacuation_roll_calls',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['incidentId']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Instance methods
+  EvacuationRollCall.prototype.isOpen = function() {
+    return this.status === 'open';
+  };
+
+  EvacuationRollCall.prototype.close = function(userId, report) {
+    return this.update({
+      status: 'closed',
+      closedBy: userId,
+      closedAt: new Date(),
+      report
+    });
+  };
+
+  // Class methods
+  EvacuationRollCall.findOpenForIncident = function(incidentId) {
+    return this.findOne({
+      where: { incidentId, status: 'open' }
+    });
+  };
+
+  return EvacuationRollCall;
+};
@@ -0,0 +1,119 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const EvacuationRollCallEntry = sequelize.define('EvacuationRollCallEntry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    rollCallId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    personType: {
+      type: DataTypes.ENUM('visitor', 'host'),
+      allowNull: false
+    },
+    visitId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Host user for host entries'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    company: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Last known location on site'
+    },
+    status: {
+      type: DataTypes.ENUM('unaccounted', 'safe', 'missing', 'injured'),
+      allowNull: false,
+      defaultValue: 'unaccounted'
+    },
+    assemblyPoint: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    markedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    markedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'evacuation_roll_call_entries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['rollCallId', 'status']
+      },
+      {
+        fields: ['visitId']
+      }
+    ]
+  });
+
+  // Instance methods
+  EvacuationRollCallEntry.prototype.isAccounted = function() {
+    return this.status === 'safe' || this.status === 'injured';
+  };
+
+  EvacuationRollCallEntry.prototype.mark = function(status, { assemblyPoint = null, notes = null, markedBy = null } = {}) {
+    return this.update({
+      status,
+      assemblyPoint,
+      notes,
+      markedBy,
+      markedAt: new Date()
+    });
+  };
+
+  // Class methods
+  EvacuationRollCallEntry.getStatusCounts = async function(rollCallId) {
+    const rows = await this.findAll({
+      where: { rollCallId },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const counts = { total: 0, unaccounted: 0, safe: 0, missing: 0, injured: 0 };
+    for (const row of rows) {
+      counts[row.status] = parseInt(row.count);
+      counts.total += parseInt(row.count);
+    }
+    return counts;
+  };
+
+  return EvacuationRollCallEntry;
+};
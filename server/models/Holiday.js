@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Holiday = sequelize.define('Holiday', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 100]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'holidays',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['date']
+      }
+    ]
+  });
+
+  // Class methods
+  Holiday.findBetween = function(startDate, endDate) {
+    return this.findAll({
+      where: {
+        date: {
+          [sequelize.Sequelize.Op.between]: [startDate, endDate]
+        }
+      },
+      order: [['date', 'ASC']]
+    });
+  };
+
+  Holiday.isHoliday = async function(date) {
+    const count = await this.count({ where: { date } });
+    return count > 0;
+  };
+
+  return Holiday;
+};
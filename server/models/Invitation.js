@@ -0,0 +1,220 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Invitation = sequelize.define('Invitation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    hostId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    firstName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    purpose: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    scheduledArrival: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    expectedDuration: {
+      type: DataTypes.INTEGER, // in minutes
+      allowNull: true
+    },
+    location: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'opened', 'completed', 'expired', 'revoked'),
+      allowNull: false,
+      defaultValue: 'sent'
+    },
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resendCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    openedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    visitorId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    visitId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'invitations',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['hostId']
+      },
+      {
+        fields: ['email']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['expiresAt']
+      },
+      {
+        fields: ['visitId']
+      }
+    ]
+  });
+
+  // Instance methods
+  Invitation.prototype.isExpired = function() {
+    return this.expiresAt && this.expiresAt < new Date();
+  };
+
+  Invitation.prototype.isPending = function() {
+    return ['sent', 'opened'].includes(this.status);
+  };
+
+  Invitation.prototype.markOpened = async function() {
+    if (this.status === 'sent') {
+      this.status = 'opened';
+      this.openedAt = new Date();
+      await this.save();
+    }
+  };
+
+  // Use up the one-time link. The conditional update means only one of two racing submissions wins;
+  // returns false for the loser.
+  Invitation.prototype.claim = async function({ transaction } = {}) {
+    const completedAt = new Date();
+    const [claimed] = await Invitation.update(
+      { status: 'completed', completedAt, tokenHash: null },
+      { where: { id: this.id, tokenHash: this.tokenHash, status: ['sent', 'opened'] }, transaction }
+    );
+    if (claimed === 0) {
+      return false;
+    }
+
+    this.set({ status: 'completed', completedAt, tokenHash: null });
+    return true;
+  };
+
+  Invitation.prototype.complete = async function(visitorId, visitId, { transaction } = {}) {
+    this.status = 'completed';
+    this.completedAt = this.completedAt || new Date();
+    this.visitorId = visitorId;
+    this.visitId = visitId;
+    this.tokenHash = null; // One-time link
+    await this.save({ transaction });
+  };
+
+  Invitation.prototype.revoke = async function(revokedBy) {
+    this.status = 'revoked';
+    this.revokedAt = new Date();
+    this.revokedBy = revokedBy;
+    this.tokenHash = null;
+    await this.save();
+  };
+
+  Invitation.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.tokenHash;
+    return values;
+  };
+
+  // Class methods
+  Invitation.findByHost = function(hostId) {
+    return this.findAll({
+      where: { hostId },
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  Invitation.findPending = function() {
+    return this.findAll({
+      where: {
+        status: {
+          [sequelize.Sequelize.Op.in]: ['sent', 'opened']
+        }
+      }
+    });
+  };
+
+  Invitation.expireStale = async function() {
+    const [count] = await this.update(
+      { status: 'expired', tokenHash: null },
+      {
+        where: {
+          status: {
+            [sequelize.Sequelize.Op.in]: ['sent', 'opened']
+          },
+          expiresAt: {
+            [sequelize.Sequelize.Op.lt]: new Date()
+          }
+        }
+      }
+    );
+    return count;
+  };
+
+  return Invitation;
+};
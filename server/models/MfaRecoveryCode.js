@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MfaRecoveryCode = sequelize.define('MfaRecoveryCode', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    codeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Keyed SHA-256 of the normalised code; the code itself is shown once and never stored'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'mfa_recovery_codes',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'codeHash']
+      }
+    ]
+  });
+
+  // Class methods
+  MfaRecoveryCode.countUnused = function(userId) {
+    return this.count({ where: { userId, usedAt: null } });
+  };
+
+  return MfaRecoveryCode;
+};
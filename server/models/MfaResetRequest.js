@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MfaResetRequest = sequelize.define('MfaResetRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE',
+      comment: 'User whose MFA is to be reset'
+    },
+    requestedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Second admin who approved or rejected the request'
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'mfa_reset_requests',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'status']
+      },
+      {
+        fields: ['status', 'createdAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  MfaResetRequest.prototype.isOpen = function() {
+    return this.status === 'pending' && new Date(this.expiresAt) > new Date();
+  };
+
+  // Class methods
+  MfaResetRequest.findOpenForUser = function(userId) {
+    return this.findOne({
+      where: {
+        userId,
+        status: 'pending',
+        expiresAt: { [sequelize.Sequelize.Op.gt]: new Date() }
+      }
+    });
+  };
+
+  return MfaResetRequest;
+};
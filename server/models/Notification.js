@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Notification = sequelize.define('Notification', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {}
+    },
+    priority: {
+      type: DataTypes.ENUM('low', 'normal', 'high', 'critical'),
+      allowNull: false,
+      defaultValue: 'normal'
+    },
+    read: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'notifications',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'read']
+      },
+      {
+        fields: ['userId', 'createdAt']
+      },
+      {
+        fields: ['type']
+      }
+    ]
+  });
+
+  // Instance methods
+  Notification.prototype.markRead = async function() {
+    if (this.read) {
+      return this;
+    }
+    return this.update({ read: true, readAt: new Date() });
+  };
+
+  // Class methods
+  Notification.countUnread = function(userId) {
+    return this.count({ where: { userId, read: false } });
+  };
+
+  Notification.markAllRead = async function(userId) {
+    const [updated] = await this.update(
+      { read: true, readAt: new Date() },
+      { where: { userId, read: false } }
+    );
+    return updated;
+  };
+
+  return Notification;
+};
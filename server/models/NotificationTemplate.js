@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { render, collectVariables } = require('../utils/templateEngine');
 
 module.exports = (sequelize) => {
   const NotificationTemplate = sequelize.define('NotificationTemplate', {
@@ -9,8 +10,7 @@ module.exports = (sequelize) => {
     },
     name: {
       type: DataTypes.STRING,
-      allowNull: false,
-      unique: true
+      allowNull: false
     },
     type: {
       type: DataTypes.ENUM('email', 'sms', 'push'),
@@ -29,6 +29,10 @@ module.exports = (sequelize) => {
       allowNull: true,
       defaultValue: {}
     },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     isActive: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -38,11 +42,23 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false,
       defaultValue: 'en'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    updatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
     }
   }, {
     tableName: 'notification_templates',
     timestamps: true,
     indexes: [
+      {
+        unique: true,
+        fields: ['name', 'type', 'language']
+      },
       {
         fields: ['name']
       },
@@ -52,5 +68,490 @@ module.exports = (sequelize) => {
     ]
   });
 
+  // Built-in templates: seeded on startup, and used when a template has no row at all
+  const DEFAULT_TEMPLATES = [
+    // Email templates
+    {
+      name: 'welcome',
+      type: 'email',
+      subject: 'Welcome to Neo VMS',
+      body: `
+    <h2>Welcome to Neo VMS, {{firstName}}!</h2>
+    <p>Your account has been created successfully. Please verify your email address by clicking the link below:</p>
+    <a href="{{verificationUrl}}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a>
+    <p>If you didn't create this account, please ignore this email.</p>
+  `,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        verificationUrl: { required: true, description: 'Email verification link', example: 'https://vms.example.com/verify/abc123' }
+      },
+      description: 'Sent when a user account is created'
+    },
+    {
+      name: 'password-reset',
+      type: 'email',
+      subject: 'Password Reset - Neo VMS',
+      body: `
+    <h2>Password Reset Request</h2>
+    <p>Hello {{firstName}},</p>
+    <p>We received a request to reset your password for your Neo VMS account.</p>
+    <p>Click the link below to reset your password:</p>
+    <a href="{{resetUrl}}" style="background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
+    <p>This link will expire in 1 hour.</p>
+    <p>If you didn't request this password reset, please ignore this email.</p>
+  `,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        resetUrl: { required: true, description: 'Password reset link', example: 'https://vms.example.com/reset/abc123' }
+      },
+      description: 'Sent when a user asks to reset their password'
+    },
+    {
+      name: 'notification',
+      type: 'email',
+      subject: '{{title}}',
+      body: `
+    <h2>{{title}}</h2>
+    <p>Hello {{firstName}},</p>
+    <p>{{message}}</p>
+    <p>This notification was sent from Neo VMS.</p>
+  `,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        title: { required: true, description: 'Notification title', example: 'Visitor Arrived' },
+        message: { required: true, description: 'Notification message', example: 'Your visitor has arrived' }
+      },
+      description: 'Generic email for notifications without a dedicated template'
+    },
+    {
+      name: 'visitor-arrival',
+      type: 'email',
+      subject: 'Visitor Arrival - Neo VMS',
+      body: `
+    <h2>Your Visitor Has Arrived</h2>
+    <p>Hello {{firstName}},</p>
+    <p><strong>{{visitorName}}</strong>{{#if company}} from {{company}}{{/if}} has arrived for:</p>
+    <p><em>{{purpose}}</em></p>
+    <p>Check-in time: {{checkedInAt}}</p>
+    <p>Please come to the reception area to meet your visitor.</p>
+  `,
+      variables: {
+        firstName: { description: 'Host first name', example: 'Jane' },
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        company: { description: 'Visitor company', example: 'Acme Corp' },
+        purpose: { description: 'Purpose of the visit', example: 'Quarterly review' },
+        checkedInAt: { description: 'Check-in time', example: '2024-01-15T09:00:00.000Z' }
+      },
+      description: 'Tells a host their visitor has checked in'
+    },
+    {
+      name: 'visitor-departure',
+      type: 'email',
+      subject: 'Visitor Departure - Neo VMS',
+      body: `
+    <h2>Visitor Departure</h2>
+    <p>Hello {{firstName}},</p>
+    <p><strong>{{visitorName}}</strong> has checked out.</p>
+    <p>Visit duration: {{duration}}</p>
+    <p>Check-out time: {{checkedOutAt}}</p>
+    <p>Thank you for hosting your visitor.</p>
+  `,
+      variables: {
+        firstName: { description: 'Host first name', example: 'Jane' },
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        duration: { description: 'Visit duration', example: '1h 30m' },
+        checkedOutAt: { description: 'Check-out time', example: '2024-01-15T10:30:00.000Z' }
+      },
+      description: 'Tells a host their visitor has checked out'
+    },
+    {
+      name: 'emergency',
+      type: 'email',
+      subject: 'EMERGENCY ALERT - {{emergencyType}}',
+      body: `
+    <h2 style="color: red;">EMERGENCY ALERT</h2>
+    <p>Hello {{firstName}},</p>
+    <p><strong>Emergency Type:</strong> {{emergencyType}}</p>
+    <p><strong>Message:</strong> {{message}}</p>
+    <p><strong>Location:</strong> {{location}}</p>
+    <p><strong>Time:</strong> {{timestamp}}</p>
+    <p style="color: red;"><strong>Please follow emergency procedures immediately.</strong></p>
+  `,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        emergencyType: { required: true, description: 'Type of emergency', example: 'FIRE' },
+        message: { required: true, description: 'Emergency message', example: 'Evacuate the building' },
+        location: { description: 'Affected location', example: 'Floor 2' },
+        timestamp: { description: 'When the emergency was raised', example: '2024-01-15T09:00:00.000Z' }
+      },
+      description: 'Emergency alert sent to administrators'
+    },
+    {
+      name: 'visit-overdue',
+      type: 'email',
+      subject: 'Visit Overdue - Neo VMS',
+      body: `
+    <h2>Visit Overdue Alert</h2>
+    <p>Hello {{firstName}},</p>
+    <p>Your visitor <strong>{{visitorName}}</strong>{{#if company}} from {{company}}{{/if}} is overdue by {{overdueMinutes}} minutes.</p>
+    <p>Expected checkout time: {{expectedCheckout}}</p>
+    <p>Please check on your visitor or contact security if needed.</p>
+  `,
+      variables: {
+        firstName: { description: 'Host first name', example: 'Jane' },
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        company: { description: 'Visitor company', example: 'Acme Corp' },
+        overdueMinutes: { description: 'Minutes past the expected checkout', example: 45 },
+        expectedCheckout: { description: 'Expected checkout time', example: '2024-01-15T17:00:00.000Z' }
+      },
+      description: 'Tells a host their visitor has stayed past the expected checkout'
+    },
+    {
+      name: 'security-alert',
+      type: 'email',
+      subject: 'Security Alert - Neo VMS',
+      body: `
+    <h2>Security Alert</h2>
+    <p>Hello {{firstName}},</p>
+    <p><strong>Alert Type:</strong> {{alertType}}</p>
+    <p><strong>Severity:</strong> {{severity}}</p>
+    <p><strong>Location:</strong> {{location}}</p>
+    <p><strong>Details:</strong> {{details}}</p>
+    <p>Please investigate immediately.</p>
+  `,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        alertType: { required: true, description: 'Type of alert', example: 'Tailgating' },
+        severity: { description: 'Alert severity', example: 'high' },
+        location: { description: 'Location of the alert', example: 'Main entrance' },
+        details: { description: 'Alert details', example: 'Door held open for 60 seconds' }
+      },
+      description: 'Security alert sent to the security team'
+    },
+    {
+      name: 'visitor-pre-registration',
+      type: 'email',
+      subject: 'Your Visit to {{company}} - Pre-Registration Confirmation',
+      body: `
+  <h2>Visit Confirmation</h2>
+  <p>Hello {{visitorName}},</p>
+  <p>Your visit to meet <strong>{{hostName}}</strong> has been confirmed.</p>
+
+  <h3>Visit Details:</h3>
+  <ul>
+    <li><strong>Host:</strong> {{hostName}}</li>
+    <li><strong>Purpose:</strong> {{purpose}}</li>
+    <li><strong>Scheduled Arrival:</strong> {{scheduledArrival}}</li>
+    <li><strong>Location:</strong> {{location}}</li>
+  </ul>
+
+  <h3>Instructions:</h3>
+  <p>Please present the QR code below when you arrive at the reception:</p>
+  <img src="cid:qrcode" alt="QR Code" style="border: 1px solid #ccc; padding: 10px;" />
+
+  <p>If you need to reschedule or cancel your visit, please contact your host directly.</p>
+
+  <p>Thank you!</p>
+`,
+      variables: {
+        company: { description: 'Company being visited', example: 'Neo VMS' },
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        hostName: { required: true, description: 'Host full name', example: 'Jane Doe' },
+        purpose: { description: 'Purpose of the visit', example: 'Quarterly review' },
+        scheduledArrival: { description: 'Scheduled arrival time', example: '2024-01-15T09:00:00.000Z' },
+        location: { description: 'Meeting location', example: 'Main Office' }
+      },
+      description: 'Confirms a pre-registered visit and carries the QR code'
+    },
+    {
+      name: 'visitor-invitation',
+      type: 'email',
+      subject: '{{hostName}} has invited you to visit',
+      body: `
+  <h2>You're Invited</h2>
+  <p>Hello {{guestName}},</p>
+  <p><strong>{{hostName}}</strong> has invited you to visit.</p>
+
+  <h3>Visit Details:</h3>
+  <ul>
+    <li><strong>Purpose:</strong> {{purpose}}</li>
+    <li><strong>Scheduled Arrival:</strong> {{scheduledArrival}}</li>
+    <li><strong>Location:</strong> {{location}}</li>
+  </ul>
+  {{#if message}}<p>{{message}}</p>{{/if}}
+
+  <p>Please complete your registration before you arrive:</p>
+  <a href="{{invitationUrl}}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Complete Registration</a>
+  <p>This link can be used once and expires on {{expiresAt}}.</p>
+`,
+      variables: {
+        guestName: { description: 'Guest name', example: 'John Smith' },
+        hostName: { required: true, description: 'Host full name', example: 'Jane Doe' },
+        purpose: { description: 'Purpose of the visit', example: 'Quarterly review' },
+        scheduledArrival: { description: 'Scheduled arrival time', example: '2024-01-15T09:00:00.000Z' },
+        location: { description: 'Meeting location', example: 'Main Office' },
+        message: { description: 'Personal message from the host', example: 'Looking forward to meeting you' },
+        invitationUrl: { required: true, description: 'Single-use registration link', example: 'https://vms.example.com/invite/abc123' },
+        expiresAt: { description: 'When the link expires', example: '2024-01-18T09:00:00.000Z' }
+      },
+      description: 'Invites a guest to pre-register for a visit'
+    },
+    {
+      name: 'daily-summary',
+      type: 'email',
+      subject: 'Daily Visitor Summary - {{date}}',
+      body: `
+  <h2>Daily Visitor Summary</h2>
+  <p>Hello {{firstName}},</p>
+  <p>Here's your daily visitor summary for {{date}}:</p>
+
+  <h3>Overview:</h3>
+  <ul>
+    <li><strong>Total Visits:</strong> {{totalVisits}}</li>
+    <li><strong>Active Visits:</strong> {{activeVisits}}</li>
+    <li><strong>New Visitors:</strong> {{newVisitors}}</li>
+    <li><strong>Average Visit Duration:</strong> {{averageVisitDuration}}</li>
+  </ul>
+
+  <h3>Top Companies:</h3>
+  <ul>
+    {{#each topCompanies}}
+    <li>{{name}}: {{count}} visits</li>
+    {{else}}
+    <li>No visits recorded</li>
+    {{/each}}
+  </ul>
+
+  <p>For detailed reports, please visit the Neo VMS dashboard.</p>
+`,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        date: { required: true, description: 'Summary date', example: 'Mon Jan 15 2024' },
+        totalVisits: { description: 'Visits today', example: 42 },
+        activeVisits: { description: 'Visitors still on site', example: 5 },
+        newVisitors: { description: 'First-time visitors', example: 12 },
+        averageVisitDuration: { description: 'Average visit duration', example: '1h 10m' },
+        topCompanies: { description: 'List of { name, count }', example: [{ name: 'Acme Corp', count: 8 }] }
+      },
+      description: 'Daily visitor summary for administrators'
+    },
+    {
+      name: 'security-digest',
+      type: 'email',
+      subject: 'Security Digest - {{date}}',
+      body: `
+  <h2>Security Digest</h2>
+  <p>Hello {{firstName}},</p>
+  <p>Here's your security digest for {{date}}:</p>
+
+  <h3>Security Events:</h3>
+  <ul>
+    <li><strong>Total Security Events:</strong> {{totalSecurityEvents}}</li>
+    <li><strong>Failed Logins:</strong> {{failedLogins}}</li>
+    <li><strong>Suspicious Activities:</strong> {{suspiciousActivities}}</li>
+    <li><strong>Blacklisted Visitors:</strong> {{blacklistedVisitors}}</li>
+    <li><strong>Emergency Alerts:</strong> {{emergencyAlerts}}</li>
+  </ul>
+
+  <p>Please review the security dashboard for detailed information.</p>
+
+  <p style="color: orange;">If you notice any concerning patterns, please investigate immediately.</p>
+`,
+      variables: {
+        firstName: { description: 'Recipient first name', example: 'Jane' },
+        date: { required: true, description: 'Digest date', example: 'Mon Jan 15 2024' },
+        totalSecurityEvents: { description: 'Security events recorded', example: 7 },
+        failedLogins: { description: 'Failed login attempts', example: 3 },
+        suspiciousActivities: { description: 'Suspicious activities', example: 1 },
+        blacklistedVisitors: { description: 'Blacklisted visitor attempts', example: 0 },
+        emergencyAlerts: { description: 'Emergency alerts raised', example: 0 }
+      },
+      description: 'Daily security digest for the security team'
+    },
+    {
+      name: 'dsar-verification',
+      type: 'email',
+      subject: 'Verify your data access request - Neo VMS',
+      body: `
+    <h2>Data Access Request</h2>
+    <p>Hello {{firstName}},</p>
+    <p>We received a request for a copy of the personal data we hold about you.</p>
+    <p>Your verification code is: <strong>{{code}}</strong></p>
+    <p>The code expires in {{expiresInMinutes}} minutes. Give it only to our staff handling your request.</p>
+    <p>If you did not make this request, please contact us.</p>
+  `,
+      variables: {
+        firstName: { description: 'Visitor first name', example: 'John' },
+        code: { required: true, description: 'One-time verification code', example: '482913' },
+        expiresInMinutes: { description: 'Minutes until the code expires', example: 15 }
+      },
+      description: 'One-time code that confirms a visitor\'s identity for a data access request'
+    },
+
+    // SMS templates
+    {
+      name: 'visitor-arrival',
+      type: 'sms',
+      body: '{{visitorName}}{{#if company}} from {{company}}{{/if}} has arrived for: {{purpose}}',
+      variables: {
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        company: { description: 'Visitor company', example: 'Acme Corp' },
+        purpose: { description: 'Purpose of the visit', example: 'Quarterly review' }
+      },
+      description: 'SMS to a host when their visitor checks in'
+    },
+    {
+      name: 'visit-overdue',
+      type: 'sms',
+      body: 'Visit overdue: {{visitorName}} is {{overdueMinutes}} minutes past the expected checkout.',
+      variables: {
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        overdueMinutes: { description: 'Minutes past the expected checkout', example: 45 }
+      },
+      description: 'SMS to a host when their visit is overdue'
+    },
+
+    // Push (in-app) templates
+    {
+      name: 'visitor-arrival',
+      type: 'push',
+      subject: 'Visitor Arrival',
+      body: '{{visitorName}} from {{#if company}}{{company}}{{else}}N/A{{/if}} has arrived for: {{purpose}}',
+      variables: {
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        company: { description: 'Visitor company', example: 'Acme Corp' },
+        purpose: { description: 'Purpose of the visit', example: 'Quarterly review' }
+      },
+      description: 'In-app notification when a visitor checks in'
+    },
+    {
+      name: 'visitor-departure',
+      type: 'push',
+      subject: 'Visitor Departure',
+      body: '{{visitorName}} has checked out after {{duration}}',
+      variables: {
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        duration: { description: 'Visit duration', example: '1h 30m' }
+      },
+      description: 'In-app notification when a visitor checks out'
+    },
+    {
+      name: 'visit-overdue',
+      type: 'push',
+      subject: 'Visit Overdue',
+      body: '{{visitorName}}\'s visit is overdue by {{overdueMinutes}} minutes',
+      variables: {
+        visitorName: { required: true, description: 'Visitor full name', example: 'John Smith' },
+        overdueMinutes: { description: 'Minutes past the expected checkout', example: 45 }
+      },
+      description: 'In-app notification when a visit is overdue'
+    }
+  ];
+
+  // Instance methods
+
+  /**
+   * Fill in declared defaults and report required variables that are missing
+   */
+  NotificationTemplate.prototype.resolveData = function(data = {}) {
+    const resolved = { ...data };
+    const missing = [];
+
+    for (const [name, declaration] of Object.entries(this.variables || {})) {
+      if (resolved[name] === undefined || resolved[name] === null) {
+        if (declaration && declaration.default !== undefined) {
+          resolved[name] = declaration.default;
+        } else if (declaration && declaration.required) {
+          missing.push(name);
+        }
+      }
+    }
+
+    return { data: resolved, missing };
+  };
+
+  /**
+   * Render subject and body. Email bodies are HTML, so their values are escaped.
+   */
+  NotificationTemplate.prototype.render = function(data = {}) {
+    const resolved = this.resolveData(data);
+    if (resolved.missing.length > 0) {
+      throw new Error(`Template '${this.name}' is missing required variables: ${resolved.missing.join(', ')}`);
+    }
+
+    return {
+      subject: this.subject ? render(this.subject, resolved.data) : null,
+      body: render(this.body, resolved.data, { escape: this.type === 'email' })
+    };
+  };
+
+  NotificationTemplate.prototype.renderTitle = function(data = {}) {
+    return this.render(data).subject || this.name;
+  };
+
+  NotificationTemplate.prototype.renderMessage = function(data = {}) {
+    return this.render(data).body;
+  };
+
+  /**
+   * Variables used by the subject or body that are not declared
+   */
+  NotificationTemplate.prototype.getUndeclaredVariables = function() {
+    const declared = Object.keys(this.variables || {});
+    const used = new Set([...collectVariables(this.subject || ''), ...collectVariables(this.body)]);
+    return [...used].filter(name => !declared.includes(name));
+  };
+
+  // Class methods
+
+  /**
+   * Find the active template for a language, falling back from a regional
+   * language (en-GB) to its base language (en), then to the default language
+   */
+  NotificationTemplate.findForLocale = async function(name, type, language = null) {
+    const defaultLanguage = await sequelize.models.SystemSetting.getSetting('language') || 'en';
+    const candidates = [];
+
+    for (const candidate of [language, language && language.split('-')[0], defaultLanguage, 'en']) {
+      if (candidate && !candidates.includes(candidate)) {
+        candidates.push(candidate);
+      }
+    }
+
+    const templates = await this.findAll({
+      where: { name, type, isActive: true, language: candidates }
+    });
+
+    for (const candidate of candidates) {
+      const template = templates.find(t => t.language === candidate);
+      if (template) {
+        return template;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Unsaved copy of a built-in template, or null if there is no built-in one by that name
+   */
+  NotificationTemplate.buildDefault = function(name, type) {
+    const template = DEFAULT_TEMPLATES.find(t => t.name === name && t.type === type);
+    return template ? this.build({ ...template, language: 'en' }) : null;
+  };
+
+  NotificationTemplate.initializeDefaults = async function() {
+    let created = 0;
+    for (const template of DEFAULT_TEMPLATES) {
+      const existing = await this.findOne({
+        where: { name: template.name, type: template.type, language: 'en' }
+      });
+      if (!existing) {
+        await this.create({ ...template, language: 'en' });
+        created++;
+      }
+    }
+    return created;
+  };
+
   return NotificationTemplate;
-};
\ No newline at end of file
+};
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'bcrypt hash of a password the user has replaced'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'password_history',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'createdAt']
+      }
+    ]
+  });
+
+  // Class methods
+  PasswordHistory.findRecentHashes = async function(userId, limit) {
+    const entries = await this.findAll({
+      where: { userId },
+      attributes: ['passwordHash'],
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+    return entries.map(entry => entry.passwordHash);
+  };
+
+  return PasswordHistory;
+};
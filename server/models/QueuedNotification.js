@@ -0,0 +1,179 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const QueuedNotification = sequelize.define('QueuedNotification', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    notificationId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    channel: {
+      type: DataTypes.ENUM('socket', 'email', 'sms'),
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    userRole: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {}
+    },
+    templateName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    templateData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {}
+    },
+    priority: {
+      type: DataTypes.ENUM('low', 'normal', 'high', 'critical'),
+      allowNull: false,
+      defaultValue: 'normal'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'sent', 'skipped', 'dead', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    idempotencyKey: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    availableAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'notification_queue',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['channel', 'status', 'availableAt']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['userId']
+      },
+      {
+        unique: true,
+        fields: ['idempotencyKey']
+      }
+    ]
+  });
+
+  // Instance methods
+  QueuedNotification.prototype.canRetry = function() {
+    return ['dead', 'cancelled', 'skipped'].includes(this.status);
+  };
+
+  QueuedNotification.prototype.canCancel = function() {
+    return this.status === 'pending';
+  };
+
+  // Class methods
+  QueuedNotification.findDue = function(channel, limit = 20, now = new Date()) {
+    const { Op } = sequelize.Sequelize;
+    return this.findAll({
+      where: {
+        channel,
+        availableAt: { [Op.lte]: now },
+        [Op.or]: [
+          { status: 'pending' },
+          // Reclaim items left behind by a worker that stopped mid-delivery
+          { status: 'processing', lockedUntil: { [Op.lt]: now } }
+        ]
+      },
+      order: [['availableAt', 'ASC']],
+      limit
+    });
+  };
+
+  QueuedNotification.getStatusCounts = async function() {
+    const rows = await this.findAll({
+      attributes: ['channel', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['channel', 'status'],
+      raw: true
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.channel] = counts[row.channel] || {};
+      counts[row.channel][row.status] = parseInt(row.count);
+      return counts;
+    }, {});
+  };
+
+  return QueuedNotification;
+};
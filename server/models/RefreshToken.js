@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Shared by every token rotated from the same login'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 of the token ID (jti); the token itself is never stored'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'rotated', 'revoked'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tokenHash']
+      },
+      {
+        fields: ['familyId']
+      },
+      {
+        fields: ['userId', 'status']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  RefreshToken.prototype.isExpired = function() {
+    return new Date() >= new Date(this.expiresAt);
+  };
+
+  // Class methods
+  RefreshToken.findByTokenHash = function(tokenHash) {
+    return this.findOne({ where: { tokenHash } });
+  };
+
+  return RefreshToken;
+};
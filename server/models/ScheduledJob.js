@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ScheduledJob = sequelize.define('ScheduledJob', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    intervalMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    nextRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastFinishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastStatus: {
+      type: DataTypes.ENUM('running', 'success', 'failure'),
+      allowNull: true
+    },
+    lastResult: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastRunBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Scheduler instance that ran the job'
+    },
+    runCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    failureCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'scheduled_jobs',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['name']
+      },
+      {
+        fields: ['nextRunAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  ScheduledJob.prototype.isDue = function(now = new Date()) {
+    return this.enabled && (!this.nextRunAt || this.nextRunAt <= now);
+  };
+
+  // Class methods
+  ScheduledJob.findDue = function(now = new Date()) {
+    return this.findAll({
+      where: {
+        enabled: true,
+        [sequelize.Sequelize.Op.or]: [
+          { nextRunAt: null },
+          { nextRunAt: { [sequelize.Sequelize.Op.lte]: now } }
+        ]
+      },
+      order: [['nextRunAt', 'ASC']]
+    });
+  };
+
+  return ScheduledJob;
+};
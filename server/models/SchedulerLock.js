@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SchedulerLock = sequelize.define('SchedulerLock', {
+    name: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    owner: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'scheduler_locks',
+    timestamps: true
+  });
+
+  // Class methods
+
+  /**
+   * Acquire or renew a lease. Returns true when the caller holds the lock.
+   * The conditional update is atomic, so only one instance can win an expired lease.
+   */
+  SchedulerLock.acquire = async function(name, owner, ttlSeconds) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+
+    const [updated] = await this.update(
+      { owner, expiresAt },
+      {
+        where: {
+          name,
+          [sequelize.Sequelize.Op.or]: [
+            { owner },
+            { expiresAt: { [sequelize.Sequelize.Op.lt]: now } }
+          ]
+        }
+      }
+    );
+
+    if (updated > 0) {
+      return true;
+    }
+
+    try {
+      await this.create({ name, owner, expiresAt });
+      return true;
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  SchedulerLock.release = function(name, owner) {
+    return this.destroy({ where: { name, owner } });
+  };
+
+  return SchedulerLock;
+};
@@ -56,7 +56,8 @@ module.exports = (sequelize) => {
       references: {
         model: 'users',
         key: 'id'
-      }
+      },
+      onDelete: 'SET NULL'
     },
     createdAt: {
       type: DataTypes.DATE,
@@ -155,7 +156,7 @@ module.exports = (sequelize) => {
     }
   };
 
-  SystemSetting.prototype.validate = function(value) {
+  SystemSetting.prototype.validateValue = function(value) {
     const rules = this.validationRules || {};
     
     if (this.isRequired && (value === null || value === undefined || value === '')) {
@@ -198,7 +199,7 @@ module.exports = (sequelize) => {
       throw new Error(`Setting ${key} not found`);
     }
 
-    setting.validate(value);
+    setting.validateValue(value);
     setting.setValue(value);
     setting.lastModifiedBy = userId;
     await setting.save();
@@ -345,6 +346,65 @@ module.exports = (sequelize) => {
         description: 'Require MFA for admin users',
         isRequired: true
       },
+      {
+        key: 'password_min_length',
+        value: '8',
+        type: 'number',
+        category: 'security',
+        description: 'Minimum password length',
+        isRequired: true,
+        validationRules: { min: 8, max: 128 }
+      },
+      {
+        key: 'password_require_uppercase',
+        value: 'true',
+        type: 'boolean',
+        category: 'security',
+        description: 'Passwords must contain an uppercase letter',
+        isRequired: true
+      },
+      {
+        key: 'password_require_lowercase',
+        value: 'true',
+        type: 'boolean',
+        category: 'security',
+        description: 'Passwords must contain a lowercase letter',
+        isRequired: true
+      },
+      {
+        key: 'password_require_number',
+        value: 'true',
+        type: 'boolean',
+        category: 'security',
+        description: 'Passwords must contain a number',
+        isRequired: true
+      },
+      {
+        key: 'password_require_symbol',
+        value: 'false',
+        type: 'boolean',
+        category: 'security',
+        description: 'Passwords must contain a symbol',
+        isRequired: true
+      },
+      {
+        key: 'password_max_age_days',
+        value: '0',
+        type: 'number',
+        category: 'security',
+        description: 'Days before a password must be changed (0 for never)',
+        isRequired: true,
+        validationRules: { min: 0, max: 365 }
+      },
+      {
+        key: 'password_history_count',
+        value: '5',
+        type: 'number',
+        category: 'security',
+        description: 'Number of previous passwords that cannot be reused',
+        isRequired: true,
+        validationRules: { min: 0, max: 24 }
+      },
       
       // Visitor settings
       {
@@ -393,6 +453,15 @@ module.exports = (sequelize) => {
         isRequired: true,
         validationRules: { min: 1, max: 24 }
       },
+      {
+        key: 'no_show_grace_minutes',
+        value: '120',
+        type: 'number',
+        category: 'visitor',
+        description: 'Minutes after the scheduled arrival before a pre-registered visit is marked as a no-show',
+        isRequired: true,
+        validationRules: { min: 15, max: 1440 }
+      },
       
       // PDPA settings
       {
@@ -429,6 +498,15 @@ module.exports = (sequelize) => {
         description: 'Enable automatic data purging',
         isRequired: true
       },
+      {
+        key: 'dsar_response_days',
+        value: '30',
+        type: 'number',
+        category: 'pdpa',
+        description: 'Days allowed to respond to a data subject access request',
+        isRequired: true,
+        validationRules: { min: 1, max: 90 }
+      },
       
       // Notification settings
       {
@@ -463,6 +541,22 @@ module.exports = (sequelize) => {
         description: 'Notification retry attempts',
         isRequired: true,
         validationRules: { min: 1, max: 10 }
+      },
+
+      // Emergency settings
+      {
+        key: 'emergency_drill_contact_ids',
+        value: '[]',
+        type: 'array',
+        category: 'emergency',
+        description: 'Emergency contacts paged during drills'
+      },
+      {
+        key: 'emergency_drill_roles',
+        value: '["admin","security"]',
+        type: 'array',
+        category: 'emergency',
+        description: 'User roles alerted during drills'
       }
     ];
 
@@ -1,5 +1,9 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
+const { encryptedAttribute } = require('../utils/fieldEncryption');
+
+// Highest allowed password_history_count; older hashes are deleted
+const MAX_PASSWORD_HISTORY = 24;
 
 module.exports = (sequelize) => {
   const User = sequelize.define('User', {
@@ -74,8 +78,10 @@ module.exports = (sequelize) => {
       defaultValue: false
     },
     mfaSecret: {
-      type: DataTypes.STRING,
-      allowNull: true
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'TOTP secret, encrypted at rest with the PII keyring',
+      ...encryptedAttribute('mfaSecret')
     },
     passwordResetToken: {
       type: DataTypes.STRING,
@@ -140,33 +146,69 @@ module.exports = (sequelize) => {
       }
     ],
     hooks: {
-      beforeSave: async (user) => {
+      beforeSave: async (user, options) => {
         if (user.changed('password')) {
+          const previousHash = user.previous('password');
           const rounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
           user.password = await bcrypt.hash(user.password, rounds);
           user.lastPasswordChange = new Date();
+
+          // Replaced hashes are kept so the password policy can refuse reuse
+          if (!user.isNewRecord && previousHash) {
+            const { PasswordHistory } = sequelize.models;
+            await PasswordHistory.create(
+              { userId: user.id, passwordHash: previousHash },
+              { transaction: options.transaction }
+            );
+
+            const stale = await PasswordHistory.findAll({
+              where: { userId: user.id },
+              attributes: ['id'],
+              order: [['createdAt', 'DESC']],
+              offset: MAX_PASSWORD_HISTORY,
+              transaction: options.transaction
+            });
+            if (stale.length > 0) {
+              await PasswordHistory.destroy({
+                where: { id: stale.map(entry => entry.id) },
+                transaction: options.transaction
+              });
+            }
+          }
         }
       }
     }
   });
 
   // Instance methods
+  User.prototype.getFullName = function() {
+    return `${this.firstName} ${this.lastName}`;
+  };
+
   User.prototype.validatePassword = async function(password) {
     return await bcrypt.compare(password, this.password);
   };
 
+  User.prototype.isPasswordExpired = function(maxAgeDays) {
+    if (!maxAgeDays || !this.lastPasswordChange) {
+      return false;
+    }
+    return Date.now() - new Date(this.lastPasswordChange).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+  };
+
   User.prototype.isLocked = function() {
     return this.lockedUntil && this.lockedUntil > new Date();
   };
 
   User.prototype.incrementFailedAttempts = async function() {
-    const maxAttempts = 5;
-    const lockoutTime = 30 * 60 * 1000; // 30 minutes
+    // Required lazily: the settings service loads the models
+    const { getSecurityPolicy } = require('../services/settingsService');
+    const { maxLoginAttempts, lockoutDurationMinutes } = await getSecurityPolicy();
 
     this.failedLoginAttempts += 1;
 
-    if (this.failedLoginAttempts >= maxAttempts) {
-      this.lockedUntil = new Date(Date.now() + lockoutTime);
+    if (this.failedLoginAttempts >= maxLoginAttempts) {
+      this.lockedUntil = new Date(Date.now() + lockoutDurationMinutes * 60 * 1000);
     }
 
     await this.save();
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserSession = sequelize.define('UserSession', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Also the familyId of the session\'s refresh tokens and the sid claim of its access tokens'
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    device: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Browser and operating system, derived from the user agent'
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Address the session signed in from'
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lastSeenIp: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    revokedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'User who ended the session, when it was not the system'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'revokedAt']
+      },
+      {
+        fields: ['lastSeenAt']
+      }
+    ]
+  });
+
+  // Instance methods
+  UserSession.prototype.isRevoked = function() {
+    return this.revokedAt !== null;
+  };
+
+  UserSession.prototype.isIdle = function(timeoutMinutes) {
+    return Date.now() - new Date(this.lastSeenAt).getTime() > timeoutMinutes * 60 * 1000;
+  };
+
+  // Class methods
+  UserSession.findActiveByUser = function(userId) {
+    return this.findAll({
+      where: { userId, revokedAt: null },
+      order: [['lastSeenAt', 'DESC']]
+    });
+  };
+
+  return UserSession;
+};
@@ -140,6 +140,10 @@ module.exports = (sequelize) => {
       allowNull: true,
       defaultValue: []
     },
+    overdueAlertSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     hostNotified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -218,6 +222,15 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    recurrenceRule: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null
+    },
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -339,15 +352,15 @@ module.exports = (sequelize) => {
   };
 
   Visit.prototype.addNotification = async function(notificationType, details) {
-    if (!this.notificationsSent) {
-      this.notificationsSent = [];
-    }
-    
-    this.notificationsSent.push({
-      type: notificationType,
-      sentAt: new Date(),
-      details
-    });
+    // Assign a new array so Sequelize detects the JSON change
+    this.notificationsSent = [
+      ...(this.notificationsSent || []),
+      {
+        type: notificationType,
+        sentAt: new Date(),
+        details
+      }
+    ];
     
     await this.save();
   };
@@ -403,12 +416,25 @@ module.exports = (sequelize) => {
     return this.count({ where: { status: 'checked_in' } });
   };
 
-  Visit.findEvacuationList = function() {
+  Visit.findSeries = function(parentId) {
+    return this.findAll({
+      where: {
+        [sequelize.Sequelize.Op.or]: [
+          { id: parentId },
+          { recurringParentId: parentId }
+        ]
+      },
+      order: [['scheduledArrival', 'ASC']]
+    });
+  };
+
+  Visit.findEvacuationList = function(options = {}) {
     return this.findAll({
       where: {
         status: 'checked_in',
         emergencyEvacuated: false
-      }
+      },
+      ...options
     });
   };
 
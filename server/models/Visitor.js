@@ -1,4 +1,9 @@
 const { DataTypes } = require('sequelize');
+const { encryptedAttribute, blindIndex } = require('../utils/fieldEncryption');
+
+// Blind indexes are computed over these forms so formatting differences still match
+const normalisePhone = (phone) => String(phone).replace(/[\s\-().]/g, '');
+const normaliseNationalId = (nationalId) => String(nationalId).replace(/\s/g, '').toUpperCase();
 
 module.exports = (sequelize) => {
   const Visitor = sequelize.define('Visitor', {
@@ -29,22 +34,28 @@ module.exports = (sequelize) => {
       }
     },
     phone: {
-      type: DataTypes.STRING,
+      type: DataTypes.TEXT,
       allowNull: true,
-      validate: {
-        len: [10, 20]
-      }
+      ...encryptedAttribute('phone', { index: 'phoneIndex', normalise: normalisePhone })
+    },
+    phoneIndex: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Blind index of the normalised phone number'
     },
     company: {
       type: DataTypes.STRING,
       allowNull: true
     },
     nationalId: {
-      type: DataTypes.STRING,
+      type: DataTypes.TEXT,
       allowNull: true,
-      validate: {
-        len: [5, 50]
-      }
+      ...encryptedAttribute('nationalId', { index: 'nationalIdIndex', normalise: normaliseNationalId })
+    },
+    nationalIdIndex: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Blind index of the normalised national ID'
     },
     photo: {
       type: DataTypes.STRING,
@@ -52,12 +63,14 @@ module.exports = (sequelize) => {
     },
     address: {
       type: DataTypes.TEXT,
-      allowNull: true
+      allowNull: true,
+      ...encryptedAttribute('address')
     },
     emergencyContact: {
       type: DataTypes.JSON,
       allowNull: true,
-      defaultValue: null
+      defaultValue: null,
+      ...encryptedAttribute('emergencyContact', { json: true })
     },
     customFields: {
       type: DataTypes.JSON,
@@ -142,6 +155,11 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    erasedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when personal data was erased; the row remains for visit statistics'
+    },
     createdAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -153,15 +171,28 @@ module.exports = (sequelize) => {
   }, {
     tableName: 'visitors',
     timestamps: true,
+    // Checked here rather than per attribute because attribute validators see the stored ciphertext
+    validate: {
+      phoneLength() {
+        if (this.phone && (this.phone.length < 10 || this.phone.length > 20)) {
+          throw new Error('Phone must be between 10 and 20 characters');
+        }
+      },
+      nationalIdLength() {
+        if (this.nationalId && (this.nationalId.length < 5 || this.nationalId.length > 50)) {
+          throw new Error('National ID must be between 5 and 50 characters');
+        }
+      }
+    },
     indexes: [
       {
         fields: ['email']
       },
       {
-        fields: ['phone']
+        fields: ['phoneIndex']
       },
       {
-        fields: ['nationalId']
+        fields: ['nationalIdIndex']
       },
       {
         fields: ['company']
@@ -183,11 +214,13 @@ module.exports = (sequelize) => {
       }
     ],
     hooks: {
-      beforeSave: async (visitor) => {
-        // Set data retention date if not already set
-        if (!visitor.dataRetentionDate) {
-          const retentionDays = parseInt(process.env.DATA_RETENTION_DAYS) || 2555; // 7 years default
-          visitor.dataRetentionDate = new Date(Date.now() + (retentionDays * 24 * 60 * 60 * 1000));
+      beforeSave: async (visitor, options) => {
+        // Profiles are kept for the visitor_profiles policy period, counted from the last visit
+        if (!visitor.dataRetentionDate || visitor.changed('lastVisit')) {
+          visitor.dataRetentionDate = await sequelize.models.DataRetentionPolicy.getRetentionDate('visitor_profiles', {
+            from: visitor.lastVisit || new Date(),
+            transaction: options.transaction
+          });
         }
       }
     }
@@ -214,6 +247,10 @@ module.exports = (sequelize) => {
     return this.biometricConsent && this.biometricConsentDate;
   };
 
+  Visitor.prototype.isErased = function() {
+    return !!this.erasedAt;
+  };
+
   Visitor.prototype.updateVisitStats = async function() {
     this.totalVisits += 1;
     this.lastVisit = new Date();
@@ -222,6 +259,8 @@ module.exports = (sequelize) => {
 
   Visitor.prototype.toJSON = function() {
     const values = Object.assign({}, this.get());
+    delete values.phoneIndex;
+    delete values.nationalIdIndex;
     // Remove sensitive data based on user role or context
     if (this.isRetentionExpired()) {
       delete values.nationalId;
@@ -238,11 +277,11 @@ module.exports = (sequelize) => {
   };
 
   Visitor.findByPhone = function(phone) {
-    return this.findOne({ where: { phone } });
+    return this.findOne({ where: { phoneIndex: blindIndex(normalisePhone(phone)) } });
   };
 
   Visitor.findByNationalId = function(nationalId) {
-    return this.findOne({ where: { nationalId } });
+    return this.findOne({ where: { nationalIdIndex: blindIndex(normaliseNationalId(nationalId)) } });
   };
 
   Visitor.findActive = function() {
@@ -253,6 +292,10 @@ module.exports = (sequelize) => {
     return this.findAll({ where: { isBlacklisted: true } });
   };
 
+  Visitor.findMarketingRecipients = function() {
+    return this.findAll({ where: { marketingConsent: true, isBlacklisted: false, erasedAt: null } });
+  };
+
   Visitor.findRecurring = function() {
     return this.findAll({ where: { isRecurring: true } });
   };
@@ -43,12 +43,31 @@ const User = require('./User')(sequelize);
 const Visitor = require('./Visitor')(sequelize);
 const Visit = require('./Visit')(sequelize);
 const ConsentRecord = require('./ConsentRecord')(sequelize);
+const ConsentText = require('./ConsentText')(sequelize);
 const AuditLog = require('./AuditLog')(sequelize);
+const AuditCheckpoint = require('./AuditCheckpoint')(sequelize);
 const SystemSetting = require('./SystemSetting')(sequelize);
 const NotificationTemplate = require('./NotificationTemplate')(sequelize);
 const DataRetentionPolicy = require('./DataRetentionPolicy')(sequelize);
 const EmergencyContact = require('./EmergencyContact')(sequelize);
 const AccessLog = require('./AccessLog')(sequelize);
+const Invitation = require('./Invitation')(sequelize);
+const Holiday = require('./Holiday')(sequelize);
+const ScheduledJob = require('./ScheduledJob')(sequelize);
+const SchedulerLock = require('./SchedulerLock')(sequelize);
+const QueuedNotification = require('./QueuedNotification')(sequelize);
+const Notification = require('./Notification')(sequelize);
+const EmergencyIncident = require('./EmergencyIncident')(sequelize);
+const EmergencyIncidentRecipient = require('./EmergencyIncidentRecipient')(sequelize);
+const EvacuationRollCall = require('./EvacuationRollCall')(sequelize);
+const EvacuationRollCallEntry = require('./EvacuationRollCallEntry')(sequelize);
+const DataSubjectRequest = require('./DataSubjectRequest')(sequelize);
+const ErasureTombstone = require('./ErasureTombstone')(sequelize);
+const RefreshToken = require('./RefreshToken')(sequelize);
+const UserSession = require('./UserSession')(sequelize);
+const PasswordHistory = require('./PasswordHistory')(sequelize);
+const MfaRecoveryCode = require('./MfaRecoveryCode')(sequelize);
+const MfaResetRequest = require('./MfaResetRequest')(sequelize);
 
 // Define associations
 User.hasMany(Visit, { foreignKey: 'hostId', as: 'hostedVisits' });
@@ -60,6 +79,9 @@ Visit.belongsTo(User, { foreignKey: 'checkedInBy', as: 'checkedInByUser' });
 User.hasMany(Visit, { foreignKey: 'checkedOutBy', as: 'checkedOutVisits' });
 Visit.belongsTo(User, { foreignKey: 'checkedOutBy', as: 'checkedOutByUser' });
 
+Visit.hasMany(Visit, { foreignKey: 'recurringParentId', as: 'occurrences' });
+Visit.belongsTo(Visit, { foreignKey: 'recurringParentId', as: 'recurringParent' });
+
 Visitor.hasMany(Visit, { foreignKey: 'visitorId', as: 'visits' });
 Visit.belongsTo(Visitor, { foreignKey: 'visitorId', as: 'visitor' });
 
@@ -78,6 +100,52 @@ AuditLog.belongsTo(Visit, { foreignKey: 'visitId', as: 'visit' });
 User.hasMany(AccessLog, { foreignKey: 'userId', as: 'accessLogs' });
 AccessLog.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+User.hasMany(RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(UserSession, { foreignKey: 'userId', as: 'sessions' });
+UserSession.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(PasswordHistory, { foreignKey: 'userId', as: 'passwordHistory' });
+PasswordHistory.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(MfaRecoveryCode, { foreignKey: 'userId', as: 'mfaRecoveryCodes' });
+MfaRecoveryCode.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(MfaResetRequest, { foreignKey: 'userId', as: 'mfaResetRequests' });
+MfaResetRequest.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+MfaResetRequest.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester' });
+MfaResetRequest.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+
+User.hasMany(Invitation, { foreignKey: 'hostId', as: 'invitations' });
+Invitation.belongsTo(User, { foreignKey: 'hostId', as: 'host' });
+
+Invitation.belongsTo(Visit, { foreignKey: 'visitId', as: 'visit' });
+
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+EmergencyIncident.hasMany(EmergencyIncidentRecipient, { foreignKey: 'incidentId', as: 'recipients' });
+EmergencyIncidentRecipient.belongsTo(EmergencyIncident, { foreignKey: 'incidentId', as: 'incident' });
+
+User.hasMany(EmergencyIncident, { foreignKey: 'triggeredBy', as: 'triggeredIncidents' });
+EmergencyIncident.belongsTo(User, { foreignKey: 'triggeredBy', as: 'triggeredByUser' });
+
+EmergencyIncident.hasMany(EvacuationRollCall, { foreignKey: 'incidentId', as: 'rollCalls' });
+EvacuationRollCall.belongsTo(EmergencyIncident, { foreignKey: 'incidentId', as: 'incident' });
+
+EvacuationRollCall.hasMany(EvacuationRollCallEntry, { foreignKey: 'rollCallId', as: 'entries' });
+EvacuationRollCallEntry.belongsTo(EvacuationRollCall, { foreignKey: 'rollCallId', as: 'rollCall' });
+
+Visitor.hasMany(DataSubjectRequest, { foreignKey: 'visitorId', as: 'dataSubjectRequests' });
+DataSubjectRequest.belongsTo(Visitor, { foreignKey: 'visitorId', as: 'visitor' });
+
+Visitor.hasOne(ErasureTombstone, { foreignKey: 'visitorId', as: 'erasureTombstone' });
+ErasureTombstone.belongsTo(Visitor, { foreignKey: 'visitorId', as: 'visitor' });
+
+DataSubjectRequest.hasOne(ErasureTombstone, { foreignKey: 'dataSubjectRequestId', as: 'erasureTombstone' });
+ErasureTombstone.belongsTo(DataSubjectRequest, { foreignKey: 'dataSubjectRequestId', as: 'dataSubjectRequest' });
+
 // Export models and sequelize instance
 module.exports = {
   sequelize,
@@ -85,10 +153,29 @@ module.exports = {
   Visitor,
   Visit,
   ConsentRecord,
+  ConsentText,
   AuditLog,
+  AuditCheckpoint,
   SystemSetting,
   NotificationTemplate,
   DataRetentionPolicy,
   EmergencyContact,
-  AccessLog
+  AccessLog,
+  Invitation,
+  Holiday,
+  ScheduledJob,
+  SchedulerLock,
+  QueuedNotification,
+  Notification,
+  EmergencyIncident,
+  EmergencyIncidentRecipient,
+  EvacuationRollCall,
+  EvacuationRollCallEntry,
+  DataSubjectRequest,
+  ErasureTombstone,
+  RefreshToken,
+  UserSession,
+  PasswordHistory,
+  MfaRecoveryCode,
+  MfaResetRequest
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const { requireRole } = require('../middleware/auth');
+const { getActivity } = require('../services/accessLogService');
+const { createAuditLog } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireRole(['admin', 'security']));
+
+// Validation middleware
+const activityValidation = [
+  query('userId').optional().isUUID().withMessage('userId must be a UUID'),
+  query('ipAddress').optional().isIP().withMessage('ipAddress must be an IP address'),
+  query('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+// GET /api/access-logs - Requests made by a user or from an IP address
+router.get('/', activityValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { userId, ipAddress, startDate, endDate, page = 1, limit = 50 } = req.query;
+    if (!userId && !ipAddress) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'userId or ipAddress is required'
+      });
+    }
+
+    const activity = await getActivity({
+      userId: userId || null,
+      ipAddress: ipAddress || null,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    // Looking into someone's activity is itself worth a record
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'ACCESS_LOGS_VIEWED',
+      resource: 'access_log',
+      resourceId: userId || null,
+      details: { userId, ipAddress, startDate, endDate },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'medium'
+    });
+
+    res.json(activity);
+
+  } catch (error) {
+    logger.error('Failed to get access logs:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve access logs',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
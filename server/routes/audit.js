@@ -0,0 +1,294 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const { AuditCheckpoint, AuditLog } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { createCheckpoint, verifyAuditChain, verifyCheckpointSignature } = require('../services/auditChainService');
+const {
+  createAuditLog,
+  exportAuditLogs,
+  getAuditStatistics,
+  getSecurityReport,
+  queryAuditLogs
+} = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Validation middleware
+const dateRangeValidation = [
+  query('startDate').optional().isISO8601().withMessage('startDate must be an ISO 8601 date'),
+  query('endDate').optional().isISO8601().withMessage('endDate must be an ISO 8601 date')
+];
+
+const filterValidation = [
+  ...dateRangeValidation,
+  query(['userId', 'visitorId', 'visitId']).optional().isUUID().withMessage('IDs must be UUIDs'),
+  query('category').optional().isIn(AuditLog.rawAttributes.category.values).withMessage('Unknown category'),
+  query('severity').optional().isIn(AuditLog.rawAttributes.severity.values).withMessage('Unknown severity'),
+  query('outcome').optional().isIn(AuditLog.rawAttributes.outcome.values).withMessage('Unknown outcome'),
+  query('riskLevel').optional().isIn(AuditLog.rawAttributes.riskLevel.values).withMessage('Unknown risk level'),
+  query(['action', 'resource', 'resourceId', 'ipAddress', 'requestId']).optional().isLength({ max: 255 })
+];
+
+const listValidation = [
+  ...filterValidation,
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  query('cursor').optional().isLength({ max: 500 })
+];
+
+const exportValidation = [
+  ...filterValidation,
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('Format must be csv or ndjson')
+];
+
+const FILTER_PARAMS = [
+  'userId', 'visitorId', 'visitId', 'action', 'resource', 'resourceId', 'category',
+  'severity', 'outcome', 'riskLevel', 'ipAddress', 'requestId', 'startDate', 'endDate'
+];
+
+const pickFilters = (params) => {
+  return FILTER_PARAMS.reduce((filters, name) => {
+    if (typeof params[name] === 'string' && params[name] !== '') filters[name] = params[name];
+    return filters;
+  }, {});
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    error: 'Validation failed',
+    message: errors.array()[0].msg
+  });
+  return true;
+};
+
+// GET /api/audit/logs - Filtered audit log entries, newest first, with cursor pagination
+router.get('/logs', listValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { auditLogs, nextCursor } = await queryAuditLogs({
+      ...pickFilters(req.query),
+      cursor: req.query.cursor || null,
+      limit: parseInt(req.query.limit || 50)
+    });
+
+    res.json({ auditLogs, nextCursor });
+
+  } catch (error) {
+    if (error instanceof TypeError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+    logger.error('Failed to get audit logs:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve audit logs',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/audit/logs/export - Stream matching entries as CSV or NDJSON
+router.get('/logs/export', exportValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const format = req.query.format || 'csv';
+    const filters = pickFilters(req.query);
+
+    // Recorded before streaming so an export that fails part way is still on record
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'AUDIT_LOG_EXPORTED',
+      resource: 'audit_log',
+      details: { format, filters },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'compliance',
+      severity: 'high',
+      riskLevel: 'medium'
+    });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${timestamp}.${format}"`);
+
+    await exportAuditLogs({ filters, format, output: res });
+    res.end();
+
+  } catch (error) {
+    logger.error('Failed to export audit logs:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the connection so the client sees it as incomplete
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to export audit logs',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/audit/statistics - Counts by category, severity and outcome, top users and daily activity
+router.get('/statistics', dateRangeValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { startDate, endDate } = req.query;
+    const statistics = await getAuditStatistics(
+      startDate ? new Date(startDate) : null,
+      endDate ? new Date(endDate) : null
+    );
+
+    res.json(statistics);
+
+  } catch (error) {
+    logger.error('Failed to get audit statistics:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve audit statistics',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/audit/security-report - Failed logins, suspicious activity and privilege changes
+router.get('/security-report', dateRangeValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { startDate, endDate } = req.query;
+    const report = await getSecurityReport(
+      startDate ? new Date(startDate) : null,
+      endDate ? new Date(endDate) : null
+    );
+
+    res.json(report);
+
+  } catch (error) {
+    logger.error('Failed to get security report:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve security report',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/audit/verify - Check the audit log hash chain and checkpoints
+router.get('/verify', async (req, res) => {
+  try {
+    const report = await verifyAuditChain();
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'AUDIT_CHAIN_VERIFIED',
+      resource: 'audit_log',
+      details: {
+        valid: report.valid,
+        checkedEntries: report.checkedEntries,
+        issueCount: report.issueCount,
+        issueTypes: [...new Set(report.issues.map(issue => issue.type))]
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: report.valid ? 'low' : 'critical',
+      outcome: report.valid ? 'success' : 'failure',
+      riskLevel: report.valid ? 'low' : 'critical'
+    });
+
+    res.json(report);
+
+  } catch (error) {
+    logger.error('Failed to verify audit chain:', error);
+    res.status(500).json({
+      error: 'Failed to verify audit chain',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/audit/checkpoints - Signed checkpoints, newest first
+router.get('/checkpoints', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await AuditCheckpoint.findAndCountAll({
+      order: [['sequence', 'DESC'], ['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      checkpoints: rows.map(checkpoint => ({
+        ...checkpoint.toJSON(),
+        signatureValid: verifyCheckpointSignature(checkpoint)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get audit checkpoints:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve audit checkpoints',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/audit/checkpoints - Sign a checkpoint of the current chain head now
+router.post('/checkpoints', async (req, res) => {
+  try {
+    const checkpoint = await createCheckpoint({ reason: 'manual', userId: req.user.id });
+    if (!checkpoint) {
+      return res.status(409).json({
+        error: 'Nothing to checkpoint',
+        message: 'The audit log has no entries yet'
+      });
+    }
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'AUDIT_CHECKPOINT_CREATED',
+      resource: 'audit_checkpoint',
+      resourceId: checkpoint.id,
+      details: { sequence: checkpoint.sequence },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'low'
+    });
+
+    res.status(201).json({
+      checkpoint,
+      message: 'Checkpoint recorded'
+    });
+
+  } catch (error) {
+    logger.error('Failed to create audit checkpoint:', error);
+    res.status(500).json({
+      error: 'Failed to create audit checkpoint',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
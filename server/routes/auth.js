@@ -7,17 +7,111 @@ const crypto = require('crypto');
 const { User, AuditLog } = require('../models');
 const { 
   generateToken, 
-  generateRefreshToken, 
-  verifyRefreshToken, 
+  generateScopedToken,
   authenticateToken,
+  allowTokenScope,
   authRateLimit 
 } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { sendEmail } = require('../services/emailService');
 const { createAuditLog } = require('../services/auditService');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('../services/refreshTokenService');
+const { createSession, validateSession, endSession, endAllSessions, endOtherSessions } = require('../services/sessionService');
+const { getSecurityPolicy } = require('../services/settingsService');
+const { checkPassword, isPasswordExpired, describePasswordPolicy } = require('../services/passwordPolicyService');
+const { generateRecoveryCodes, consumeRecoveryCode, clearMfa } = require('../services/mfaService');
 
 const router = express.Router();
 
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+};
+
+const REFRESH_FAILURE_MESSAGES = {
+  invalid: 'Invalid refresh token',
+  expired: 'Refresh token has expired',
+  unknown: 'Invalid refresh token',
+  revoked: 'Refresh token has been revoked',
+  reused: 'Refresh token has already been used; please log in again',
+  inactive: 'User not found or inactive'
+};
+
+// Start a session for a user who has passed every login check: sets the refresh cookie and returns the access token
+const startSession = async (req, res, user) => {
+  // Each login starts a new session, which is also the refresh token family
+  const session = await createSession(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  const accessToken = generateToken(user, { sessionId: session.id });
+  const refreshToken = await issueRefreshToken(user, {
+    familyId: session.id,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Set refresh token as httpOnly cookie
+  res.cookie('refreshToken', refreshToken, REFRESH_COOKIE_OPTIONS);
+
+  return accessToken;
+};
+
+// Finish a login whose credentials have been checked. Admins without MFA are sent to enrolment
+// while the policy requires it; everyone else gets a session. `extra` is added to the response.
+const completeLogin = async (req, res, user, { auditDetails = {}, extra = {} } = {}) => {
+  const { requireMfaForAdmin } = await getSecurityPolicy();
+  if (requireMfaForAdmin && user.role === 'admin' && !user.mfaEnabled) {
+    await createAuditLog({
+      action: 'MFA_ENROLMENT_REQUIRED',
+      details: { email: user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: user.id,
+      category: 'authentication',
+      severity: 'medium'
+    });
+
+    return res.status(200).json({
+      mfaEnrolmentRequired: true,
+      enrolmentToken: generateScopedToken(user, 'mfa_enrolment'),
+      message: 'Administrators must set up multi-factor authentication'
+    });
+  }
+
+  const accessToken = await startSession(req, res, user);
+
+  await createAuditLog({
+    action: 'LOGIN_SUCCESS',
+    details: { email: user.email, ...auditDetails },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    userId: user.id
+  });
+
+  return res.json({
+    user: user.toJSON(),
+    accessToken,
+    ...extra,
+    message: 'Login successful'
+  });
+};
+
+const rejectPassword = (res, check) => {
+  return res.status(400).json({
+    error: 'Password policy violation',
+    message: check.errors[0],
+    errors: check.errors
+  });
+};
+
 // Apply rate limiting to auth routes
 router.use(authRateLimit);
 
@@ -35,6 +129,11 @@ const registerValidation = [
   body('role').isIn(['admin', 'receptionist', 'host', 'security']).optional()
 ];
 
+const changePasswordValidation = [
+  body('currentPassword').isLength({ min: 1 }).withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 1 }).withMessage('New password is required')
+];
+
 const forgotPasswordValidation = [
   body('email').isEmail().normalizeEmail()
 ];
@@ -55,7 +154,7 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    const { email, password, mfaToken } = req.body;
+    const { email, password, mfaToken, recoveryCode } = req.body;
 
     // Find user
     const user = await User.findByEmail(email);
@@ -124,65 +223,83 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Check MFA if enabled
+    // Check MFA if enabled; a recovery code can stand in for the TOTP token
+    let recoveryCodesRemaining = null;
     if (user.mfaEnabled) {
-      if (!mfaToken) {
+      if (!mfaToken && !recoveryCode) {
         return res.status(200).json({
           mfaRequired: true,
           message: 'MFA token required'
         });
       }
 
-      const verified = speakeasy.totp.verify({
-        secret: user.mfaSecret,
-        encoding: 'base32',
-        token: mfaToken,
-        window: 2
-      });
+      let verified;
+      if (recoveryCode) {
+        const result = await consumeRecoveryCode(user, recoveryCode);
+        verified = result.valid;
+        recoveryCodesRemaining = result.remaining;
+      } else {
+        verified = speakeasy.totp.verify({
+          secret: user.mfaSecret,
+          encoding: 'base32',
+          token: mfaToken,
+          window: 2
+        });
+      }
 
       if (!verified) {
         await createAuditLog({
           action: 'LOGIN_FAILED',
-          details: { email, reason: 'Invalid MFA token' },
+          details: { email, reason: recoveryCode ? 'Invalid recovery code' : 'Invalid MFA token' },
           ipAddress: req.ip,
           userAgent: req.get('User-Agent'),
           userId: user.id
         });
         
         return res.status(401).json({
-          error: 'Invalid MFA token',
+          error: recoveryCode ? 'Invalid recovery code' : 'Invalid MFA token',
           message: 'Multi-factor authentication failed'
         });
       }
+
+      if (recoveryCode) {
+        await createAuditLog({
+          action: 'MFA_RECOVERY_CODE_USED',
+          details: { email, remaining: recoveryCodesRemaining },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          userId: user.id,
+          category: 'authentication',
+          severity: 'medium'
+        });
+      }
     }
 
     // Reset failed attempts on successful login
     await user.resetFailedAttempts();
 
-    // Generate tokens
-    const accessToken = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
-
-    // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Expired passwords must be changed before a session starts; change-password completes the login
+    if (await isPasswordExpired(user)) {
+      await createAuditLog({
+        action: 'PASSWORD_EXPIRED',
+        details: { email },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        userId: user.id,
+        category: 'authentication',
+        severity: 'low'
+      });
 
-    await createAuditLog({
-      action: 'LOGIN_SUCCESS',
-      details: { email },
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      userId: user.id
-    });
+      return res.status(200).json({
+        passwordChangeRequired: true,
+        passwordChangeToken: generateScopedToken(user, 'password_change'),
+        message: 'Your password has expired and must be changed'
+      });
+    }
 
-    res.json({
-      user: user.toJSON(),
-      accessToken,
-      message: 'Login successful'
+    await completeLogin(req, res, user, recoveryCodesRemaining === null ? {} : {
+      auditDetails: { recoveryCode: true },
+      extra: { recoveryCodesRemaining }
     });
 
   } catch (error) {
@@ -207,6 +324,11 @@ router.post('/register', registerValidation, async (req, res) => {
 
     const { email, password, firstName, lastName, role = 'host', phone, department } = req.body;
 
+    const passwordCheck = await checkPassword(password);
+    if (!passwordCheck.valid) {
+      return rejectPassword(res, passwordCheck);
+    }
+
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -263,10 +385,10 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
-// Refresh token endpoint
+// Refresh token endpoint - exchanges the refresh token for a new one; each token works once
 router.post('/refresh', async (req, res) => {
   try {
-    const refreshToken = req.cookies.refreshToken;
+    const refreshToken = req.cookies && req.cookies.refreshToken;
     
     if (!refreshToken) {
       return res.status(401).json({
@@ -275,27 +397,36 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
-    const user = await User.findByPk(decoded.id);
+    const result = await rotateRefreshToken(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    if (!user || !user.isActive) {
+    if (!result.valid) {
+      res.clearCookie('refreshToken');
       return res.status(401).json({
         error: 'Invalid refresh token',
-        message: 'User not found or inactive'
+        message: REFRESH_FAILURE_MESSAGES[result.reason]
       });
     }
 
-    // Generate new access token
-    const accessToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    // An idle session cannot be revived by refreshing
+    const session = await validateSession(result.sessionId, result.user.id, { ipAddress: req.ip });
+    if (!session.valid && session.reason !== 'unknown') {
+      res.clearCookie('refreshToken');
+      return res.status(401).json({
+        error: 'Session ended',
+        message: session.reason === 'idle' ? 'Session timed out due to inactivity' : 'Session has been signed out'
+      });
+    }
 
-    // Set new refresh token
-    res.cookie('refreshToken', newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Generate new access token; families from before sessions were tracked carry no sid
+    const accessToken = generateToken(result.user, { sessionId: session.valid ? result.sessionId : null });
+
+    // Set new refresh token; a replay inside the grace window leaves the cookie its concurrent request set
+    if (result.refreshToken) {
+      res.cookie('refreshToken', result.refreshToken, REFRESH_COOKIE_OPTIONS);
+    }
 
     res.json({
       accessToken,
@@ -304,9 +435,9 @@ router.post('/refresh', async (req, res) => {
 
   } catch (error) {
     logger.error('Token refresh error:', error);
-    res.status(401).json({
+    res.status(500).json({
       error: 'Token refresh failed',
-      message: 'Invalid refresh token'
+      message: 'Internal server error'
     });
   }
 });
@@ -314,6 +445,16 @@ router.post('/refresh', async (req, res) => {
 // Logout endpoint
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    // Revoke the refresh token's family so copies of it stop working too
+    if (req.cookies && req.cookies.refreshToken) {
+      await revokeRefreshToken(req.cookies.refreshToken, 'logout');
+    }
+
+    // End the session the access token belongs to, which also disconnects its sockets
+    if (req.sessionId) {
+      await endSession({ id: req.sessionId, userId: req.user.id }, { reason: 'logout' });
+    }
+
     // Clear refresh token cookie
     res.clearCookie('refreshToken');
 
@@ -427,6 +568,11 @@ router.post('/reset-password', resetPasswordValidation, async (req, res) => {
       });
     }
 
+    const passwordCheck = await checkPassword(password, { user });
+    if (!passwordCheck.valid) {
+      return rejectPassword(res, passwordCheck);
+    }
+
     // Update password
     user.password = password;
     user.passwordResetToken = null;
@@ -435,9 +581,12 @@ router.post('/reset-password', resetPasswordValidation, async (req, res) => {
     user.lockedUntil = null;
     await user.save();
 
+    // Sessions started with the old password must not survive the reset
+    const { sessions: endedSessions } = await endAllSessions(user.id, { reason: 'password_reset' });
+
     await createAuditLog({
       action: 'PASSWORD_RESET_SUCCESS',
-      details: { email: user.email },
+      details: { email: user.email, endedSessions },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
       userId: user.id
@@ -456,6 +605,83 @@ router.post('/reset-password', resetPasswordValidation, async (req, res) => {
   }
 });
 
+// Change password - for signed-in users, and for logins stopped by an expired password
+router.post('/change-password', allowTokenScope('password_change'), authenticateToken, changePasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const isValidPassword = await req.user.validatePassword(currentPassword);
+    if (!isValidPassword) {
+      await req.user.incrementFailedAttempts();
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordCheck = await checkPassword(newPassword, { user: req.user });
+    if (!passwordCheck.valid) {
+      return rejectPassword(res, passwordCheck);
+    }
+
+    req.user.password = newPassword;
+    await req.user.save();
+
+    // Sessions signed in with the old password end; the one making the change stays
+    const endedSessions = await endOtherSessions(req.user.id, req.sessionId || null, {
+      revokedBy: req.user.id,
+      reason: 'password_changed'
+    });
+
+    const expired = req.tokenScope === 'password_change';
+
+    await createAuditLog({
+      action: 'PASSWORD_CHANGED',
+      details: { email: req.user.email, expired, endedSessions },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: req.user.id
+    });
+
+    if (expired) {
+      return await completeLogin(req, res, req.user, { auditDetails: { passwordChanged: true } });
+    }
+
+    res.json({
+      endedSessions,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Password change failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Password policy, so forms can show the rules before submitting
+router.get('/password-policy', async (req, res) => {
+  try {
+    res.json({ policy: await describePasswordPolicy() });
+  } catch (error) {
+    logger.error('Get password policy error:', error);
+    res.status(500).json({
+      error: 'Failed to get password policy',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -471,18 +697,34 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Setup MFA
-router.post('/setup-mfa', authenticateToken, async (req, res) => {
+// Setup MFA (also accepts the enrolment token from login)
+router.post('/setup-mfa', allowTokenScope('mfa_enrolment'), authenticateToken, async (req, res) => {
   try {
+    // Replacing an active secret would let a stolen session re-bind MFA to another device
+    if (req.user.mfaEnabled) {
+      return res.status(409).json({
+        error: 'MFA already enabled',
+        message: 'Disable MFA, or ask an administrator to reset it, before setting it up again'
+      });
+    }
+
     const secret = speakeasy.generateSecret({
       name: `Neo VMS (${req.user.email})`,
       issuer: 'Neo VMS'
     });
 
-    // Store secret temporarily (will be confirmed when user verifies)
+    // Store secret temporarily (will be confirmed when user verifies); it is encrypted at rest
     req.user.mfaSecret = secret.base32;
     await req.user.save();
 
+    await createAuditLog({
+      action: 'MFA_SETUP_STARTED',
+      details: { email: req.user.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: req.user.id
+    });
+
     res.json({
       secret: secret.base32,
       qrCode: secret.otpauth_url,
@@ -498,10 +740,10 @@ router.post('/setup-mfa', authenticateToken, async (req, res) => {
   }
 });
 
-// Verify MFA setup
-router.post('/verify-mfa', authenticateToken, async (req, res) => {
+// Verify MFA setup (also accepts the enrolment token from login)
+router.post('/verify-mfa', allowTokenScope('mfa_enrolment'), authenticateToken, async (req, res) => {
   try {
-    const { token } = req.body;
+    const { token } = req.body || {};
 
     if (!token) {
       return res.status(400).json({
@@ -510,6 +752,13 @@ router.post('/verify-mfa', authenticateToken, async (req, res) => {
       });
     }
 
+    if (req.user.mfaEnabled || !req.user.mfaSecret) {
+      return res.status(409).json({
+        error: 'No MFA setup in progress',
+        message: req.user.mfaEnabled ? 'MFA is already enabled' : 'Start MFA setup first'
+      });
+    }
+
     const verified = speakeasy.totp.verify({
       secret: req.user.mfaSecret,
       encoding: 'base32',
@@ -528,15 +777,27 @@ router.post('/verify-mfa', authenticateToken, async (req, res) => {
     req.user.mfaEnabled = true;
     await req.user.save();
 
+    // Shown once, for the user to keep in case they lose their authenticator
+    const recoveryCodes = await generateRecoveryCodes(req.user);
+
     await createAuditLog({
       action: 'MFA_ENABLED',
-      details: { email: req.user.email },
+      details: { email: req.user.email, recoveryCodes: recoveryCodes.length },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
       userId: req.user.id
     });
 
+    // Enrolment forced at login finishes by signing the admin in
+    if (req.tokenScope === 'mfa_enrolment') {
+      return await completeLogin(req, res, req.user, {
+        auditDetails: { mfaEnrolment: true },
+        extra: { recoveryCodes }
+      });
+    }
+
     res.json({
+      recoveryCodes,
       message: 'MFA enabled successfully'
     });
 
@@ -552,7 +813,7 @@ router.post('/verify-mfa', authenticateToken, async (req, res) => {
 // Disable MFA
 router.post('/disable-mfa', authenticateToken, async (req, res) => {
   try {
-    const { password } = req.body;
+    const { password } = req.body || {};
 
     if (!password) {
       return res.status(400).json({
@@ -561,6 +822,14 @@ router.post('/disable-mfa', authenticateToken, async (req, res) => {
       });
     }
 
+    const { requireMfaForAdmin } = await getSecurityPolicy();
+    if (requireMfaForAdmin && req.user.role === 'admin') {
+      return res.status(403).json({
+        error: 'MFA required',
+        message: 'Administrators cannot disable MFA while the security policy requires it'
+      });
+    }
+
     const isValidPassword = await req.user.validatePassword(password);
     if (!isValidPassword) {
       return res.status(401).json({
@@ -569,10 +838,8 @@ router.post('/disable-mfa', authenticateToken, async (req, res) => {
       });
     }
 
-    // Disable MFA
-    req.user.mfaEnabled = false;
-    req.user.mfaSecret = null;
-    await req.user.save();
+    // Disable MFA; its recovery codes go with it
+    await clearMfa(req.user);
 
     await createAuditLog({
       action: 'MFA_DISABLED',
@@ -595,4 +862,57 @@ router.post('/disable-mfa', authenticateToken, async (req, res) => {
   }
 });
 
+// Regenerate MFA recovery codes; the previous codes stop working
+router.post('/regenerate-recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
+        error: 'Password required',
+        message: 'Password is required to regenerate recovery codes'
+      });
+    }
+
+    if (!req.user.mfaEnabled) {
+      return res.status(409).json({
+        error: 'MFA not enabled',
+        message: 'Recovery codes are only issued while MFA is enabled'
+      });
+    }
+
+    const isValidPassword = await req.user.validatePassword(password);
+    if (!isValidPassword) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user);
+
+    await createAuditLog({
+      action: 'MFA_RECOVERY_CODES_REGENERATED',
+      details: { email: req.user.email, recoveryCodes: recoveryCodes.length },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      userId: req.user.id,
+      category: 'authentication',
+      severity: 'medium'
+    });
+
+    res.json({
+      recoveryCodes,
+      message: 'Recovery codes regenerated'
+    });
+
+  } catch (error) {
+    logger.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      error: 'Recovery code regeneration failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
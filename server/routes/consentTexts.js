@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { ConsentText } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { getCurrentTexts, publishConsentText } = require('../services/consentService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const CONSENT_TYPES = ConsentText.rawAttributes.consentType.values;
+
+// Validation middleware
+const publishValidation = [
+  body('consentType').isIn(CONSENT_TYPES).withMessage('Invalid consent type'),
+  body('version').matches(/^\d+(\.\d+)*$/).withMessage('Version must look like 1.0 or 2.1.3'),
+  body('text').trim().isLength({ min: 1, max: 10000 }).withMessage('Consent text is required'),
+  body('processingPurpose').trim().isLength({ min: 1, max: 1000 }).withMessage('Processing purpose is required'),
+  body('dataCategories').optional().isArray(),
+  body('legalBasis').optional().isIn(['consent', 'contract', 'legal_obligation', 'vital_interests', 'public_task', 'legitimate_interests']).withMessage('Invalid legal basis'),
+  body('requiresReconsent').optional().isBoolean()
+];
+
+// GET /api/consent-texts - Current text for each consent type
+router.get('/', async (req, res) => {
+  try {
+    const texts = await getCurrentTexts();
+
+    res.json({ texts: Object.values(texts) });
+
+  } catch (error) {
+    logger.error('Failed to get consent texts:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve consent texts',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/consent-texts/:consentType/versions - Every published version, newest first
+router.get('/:consentType/versions', async (req, res) => {
+  try {
+    const versions = await ConsentText.findVersions(req.params.consentType);
+
+    res.json({ versions });
+
+  } catch (error) {
+    logger.error('Failed to get consent text versions:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve consent text versions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/consent-texts - Publish a new version of a consent text
+router.post('/', requireAdmin, publishValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { consentType, version } = req.body;
+
+    const current = (await getCurrentTexts())[consentType];
+    if (current && ConsentText.compareVersions(version, current.version) <= 0) {
+      return res.status(409).json({
+        error: 'Version not newer',
+        message: `Version must be newer than the current version ${current.version}`
+      });
+    }
+
+    const consentText = await publishConsentText({
+      ...req.body,
+      publishedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      consentText,
+      message: 'Consent text published'
+    });
+
+  } catch (error) {
+    logger.error('Failed to publish consent text:', error);
+    res.status(500).json({
+      error: 'Failed to publish consent text',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
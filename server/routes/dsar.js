@@ -0,0 +1,424 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { DataSubjectRequest, ErasureTombstone, Visitor } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  createRequest,
+  sendVerificationCode,
+  verifyIdentity,
+  exportRequest,
+  rejectRequest
+} = require('../services/dsarService');
+const { SIGNATURE_ALGORITHM, eraseSubject, verifyCertificate } = require('../services/erasureService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Validation middleware
+const requestValidation = [
+  body('visitorId').isUUID().withMessage('Valid visitor ID is required'),
+  body('requestType').optional().isIn(['access', 'portability', 'erasure']).withMessage('Request type must be access, portability or erasure'),
+  body('receivedVia').optional().isIn(['in_person', 'email', 'phone', 'post', 'web']).withMessage('Invalid channel'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 1000 })
+];
+
+const verifyValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('Verification code must be 6 digits')
+];
+
+const rejectValidation = [
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Rejection reason is required')
+];
+
+// GET /api/dsar - List data subject requests
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', visitorId = '', overdue = '' } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (visitorId) whereClause.visitorId = visitorId;
+    if (overdue === 'true') {
+      whereClause.status = ['pending_verification', 'verified'];
+      whereClause.dueDate = { [DataSubjectRequest.sequelize.Sequelize.Op.lt]: new Date() };
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await DataSubjectRequest.findAndCountAll({
+      where: whereClause,
+      order: [['dueDate', 'ASC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      requests: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get data subject requests:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve data subject requests',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/dsar/:id - Get a data subject request
+router.get('/:id', async (req, res) => {
+  try {
+    const request = await DataSubjectRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested data subject request does not exist'
+      });
+    }
+
+    res.json({ request });
+
+  } catch (error) {
+    logger.error('Failed to get data subject request:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve data subject request',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/dsar - Log a request and email the visitor a verification code
+router.post('/', requestValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { visitorId, requestType = 'access', receivedVia = 'in_person', notes = null } = req.body;
+
+    const visitor = await Visitor.findByPk(visitorId);
+    if (!visitor) {
+      return res.status(404).json({
+        error: 'Visitor not found',
+        message: 'The requested visitor does not exist'
+      });
+    }
+
+    if (visitor.isErased()) {
+      return res.status(409).json({
+        error: 'Visitor erased',
+        message: 'This visitor\'s personal data has already been erased'
+      });
+    }
+
+    if (!visitor.email) {
+      return res.status(400).json({
+        error: 'Cannot verify identity',
+        message: 'The visitor has no email address to send a verification code to'
+      });
+    }
+
+    const request = await createRequest({
+      visitor,
+      requestType,
+      receivedVia,
+      notes,
+      requestedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      request,
+      message: 'Request logged and verification code sent'
+    });
+
+  } catch (error) {
+    logger.error('Failed to create data subject request:', error);
+    res.status(500).json({
+      error: 'Failed to create data subject request',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/dsar/:id/resend-code - Send a new verification code
+router.post('/:id/resend-code', async (req, res) => {
+  try {
+    const request = await DataSubjectRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested data subject request does not exist'
+      });
+    }
+
+    if (request.status !== 'pending_verification') {
+      return res.status(409).json({
+        error: 'Already verified',
+        message: 'Only requests awaiting verification can be sent a new code'
+      });
+    }
+
+    const visitor = await Visitor.findByPk(request.visitorId);
+    await sendVerificationCode(request, visitor, {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      request,
+      message: 'Verification code sent'
+    });
+
+  } catch (error) {
+    logger.error('Failed to resend verification code:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification code',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/dsar/:id/verify - Check the code the visitor received
+router.post('/:id/verify', verifyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const request = await DataSubjectRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested data subject request does not exist'
+      });
+    }
+
+    if (request.status !== 'pending_verification') {
+      return res.status(409).json({
+        error: 'Already verified',
+        message: 'This request is not awaiting verification'
+      });
+    }
+
+    const { verified, reason } = await verifyIdentity(request, req.body.code, {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (!verified) {
+      return res.status(400).json({
+        error: 'Verification failed',
+        message: reason
+      });
+    }
+
+    res.json({
+      request,
+      message: 'Identity verified'
+    });
+
+  } catch (error) {
+    logger.error('Failed to verify data subject identity:', error);
+    res.status(500).json({
+      error: 'Failed to verify identity',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/dsar/:id/export - Download the ZIP bundle for a verified request
+router.get('/:id/export', async (req, res) => {
+  try {
+    const request = await DataSubjectRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested data subject request does not exist'
+      });
+    }
+
+    if (request.requestType === 'erasure') {
+      return res.status(409).json({
+        error: 'Erasure request',
+        message: 'Erasure requests are fulfilled with POST /api/dsar/:id/erase'
+      });
+    }
+
+    if (request.status !== 'verified' && request.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Identity not verified',
+        message: 'The visitor\'s identity must be verified before data is released'
+      });
+    }
+
+    const { buffer, filename } = await exportRequest(request, req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+
+  } catch (error) {
+    logger.error('Failed to export data subject request:', error);
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/dsar/:id/erase - Erase the visitor's personal data and issue a signed certificate
+router.post('/:id/erase', async (req, res) => {
+  try {
+    const request = await DataSubjectRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested data subject request does not exist'
+      });
+    }
+
+    if (request.requestType !== 'erasure') {
+      return res.status(409).json({
+        error: 'Not an erasure request',
+        message: 'Only erasure requests can erase data'
+      });
+    }
+
+    if (request.status !== 'verified') {
+      return res.status(409).json({
+        error: 'Identity not verified',
+        message: 'The visitor\'s identity must be verified before data is erased'
+      });
+    }
+
+    const { holds, tombstone } = await eraseSubject(request, req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (holds.length > 0) {
+      return res.status(409).json({
+        error: 'Legal hold',
+        message: holds.map(hold => hold.message).join('; '),
+        holds
+      });
+    }
+
+    res.json({
+      request,
+      certificate: tombstone.certificate,
+      signature: tombstone.signature,
+      algorithm: SIGNATURE_ALGORITHM,
+      message: 'Personal data erased'
+    });
+
+  } catch (error) {
+    logger.error('Failed to erase data subject:', error);
+    res.status(500).json({
+      error: 'Failed to erase data',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/dsar/:id/certificate - Get the signed erasure certificate for a completed erasure
+router.get('/:id/certificate', async (req, res) => {
+  try {
+    const tombstone = await ErasureTombstone.findOne({
+      where: { dataSubjectRequestId: req.params.id }
+    });
+    if (!tombstone) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'No erasure has been completed for this request'
+      });
+    }
+
+    res.json({
+      certificate: tombstone.certificate,
+      signature: tombstone.signature,
+      algorithm: SIGNATURE_ALGORITHM,
+      valid: verifyCertificate(tombstone.certificate, tombstone.signature)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get erasure certificate:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve erasure certificate',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/dsar/:id/reject - Close a request without releasing data
+router.post('/:id/reject', rejectValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const request = await DataSubjectRequest.findByPk(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        error: 'Request not found',
+        message: 'The requested data subject request does not exist'
+      });
+    }
+
+    if (!request.isOpen()) {
+      return res.status(409).json({
+        error: 'Request closed',
+        message: 'This request has already been closed'
+      });
+    }
+
+    await rejectRequest(request, req.body.reason, req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      request,
+      message: 'Request rejected'
+    });
+
+  } catch (error) {
+    logger.error('Failed to reject data subject request:', error);
+    res.status(500).json({
+      error: 'Failed to reject data subject request',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,45 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
-const { EmergencyContact, Visit, Visitor } = require('../models');
+const { EmergencyContact, EmergencyIncident, EmergencyIncidentRecipient, EvacuationRollCall, EvacuationRollCallEntry, User, Visit, Visitor } = require('../models');
 const { requireRole } = require('../middleware/auth');
+const { createAuditLog } = require('../services/auditService');
+const { dispatchEmergencyAlert, getIncidentWithRecipients, acknowledgeRecipient, getIncidentMetrics, getDrillReport } = require('../services/emergencyService');
+const { ENTRY_STATUSES, startRollCall, markEntry, evacuateVisit, closeRollCall } = require('../services/evacuationService');
+const { serializeVisit } = require('../utils/piiMasking');
+const logger = require('../utils/logger');
+
+// Validation middleware
+const alertValidation = [
+  body('message').trim().isLength({ min: 1, max: 1000 }).withMessage('Alert message is required'),
+  body('level').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Level must be one of: low, medium, high, critical'),
+  body('type').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Type must be 1-50 characters'),
+  body('affectedArea').optional({ nullable: true }).trim().isLength({ max: 255 }),
+  body('drill').optional().isBoolean().withMessage('Drill must be a boolean').toBoolean()
+];
+
+const musterDetailsValidation = [
+  body('assemblyPoint')
+    .if(body('status').isIn(['safe', 'injured']))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Assembly point is required'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+];
+
+const entryValidation = [
+  body('status').isIn(ENTRY_STATUSES).withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  ...musterDetailsValidation
+];
+
+const evacuateValidation = [
+  body('status').optional().isIn(ENTRY_STATUSES).withMessage(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`),
+  ...musterDetailsValidation
+];
+
+const noteValidation = [
+  body('note').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+];
 
 // Get all emergency contacts
 router.get('/contacts', requireRole(['admin', 'security']), async (req, res) => {
@@ -16,48 +54,589 @@ router.get('/contacts', requireRole(['admin', 'security']), async (req, res) =>
   }
 });
 
-// Send emergency alert
-router.post('/alert', requireRole(['admin', 'security']), async (req, res) => {
+// POST /api/emergency/alert - Raise an incident and alert contacts and users
+router.post('/alert', requireRole(['admin', 'security']), alertValidation, async (req, res) => {
   try {
-    const { message, level, affectedArea } = req.body;
-    
-    // Get all emergency contacts
-    const contacts = await EmergencyContact.findAll({
-      where: { isActive: true },
-      order: [['priority', 'ASC']]
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { message, level = 'high', type = 'general', affectedArea = null, drill = false } = req.body;
+
+    const { incident, recipients, summary } = await dispatchEmergencyAlert({
+      type,
+      message,
+      level,
+      affectedArea,
+      triggeredBy: req.user.id,
+      isDrill: drill,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      message: drill ? 'Emergency drill started successfully' : 'Emergency alert sent successfully',
+      recipientCount: recipients.filter(recipient => recipient.recipientType === 'contact').length,
+      alertLevel: level,
+      incident,
+      summary
+    });
+  } catch (error) {
+    logger.error('Failed to send emergency alert:', error);
+    res.status(500).json({
+      error: 'Failed to send emergency alert',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/emergency/incidents - List emergency incidents
+router.get('/incidents', requireRole(['admin', 'security']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', drill = '' } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (drill === 'true' || drill === 'false') whereClause.isDrill = drill === 'true';
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await EmergencyIncident.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
     });
-    
-    // TODO: Implement actual alert sending logic
-    // This would integrate with email/SMS services
-    
+
     res.json({
-      message: 'Emergency alert sent successfully',
-      recipientCount: contacts.length,
-      alertLevel: level
+      incidents: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    logger.error('Failed to get emergency incidents:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve emergency incidents',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/emergency/drills - Drill timings side by side for comparison
+router.get('/drills', requireRole(['admin', 'security']), async (req, res) => {
+  try {
+    const { startDate = null, endDate = null } = req.query;
+
+    res.json(await getDrillReport({ startDate, endDate }));
+  } catch (error) {
+    logger.error('Failed to get drill report:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve drill report',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/emergency/incidents/:id - Incident with per-recipient delivery and acknowledgement status
+router.get('/incidents/:id', requireRole(['admin', 'security']), async (req, res) => {
+  try {
+    const result = await getIncidentWithRecipients(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: 'The requested emergency incident does not exist'
+      });
+    }
+
+    const { incident, summary } = result;
+
+    res.json({
+      incident,
+      summary,
+      metrics: await getIncidentMetrics(incident),
+      unacknowledged: incident.recipients.filter(recipient => !recipient.isAcknowledged())
+    });
+  } catch (error) {
+    logger.error('Failed to get emergency incident:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve emergency incident',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/emergency/incidents/:id/acknowledge - Confirm receipt of an alert as the current user
+router.post('/incidents/:id/acknowledge', noteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const incident = await EmergencyIncident.findByPk(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: 'The requested emergency incident does not exist'
+      });
+    }
+
+    const recipient = await EmergencyIncidentRecipient.findOne({
+      where: { incidentId: incident.id, userId: req.user.id }
+    });
+    if (!recipient) {
+      return res.status(404).json({
+        error: 'Recipient not found',
+        message: 'You were not alerted for this incident'
+      });
+    }
+
+    const { summary } = await acknowledgeRecipient(incident, recipient, req.user.id, (req.body && req.body.note) || null);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'EMERGENCY_ALERT_ACKNOWLEDGED',
+      resource: 'emergency_incident',
+      resourceId: incident.id,
+      details: { recipientId: recipient.id },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'medium',
+      tags: incident.getAuditTags()
+    });
+
+    res.json({
+      message: 'Emergency alert acknowledged',
+      recipient,
+      summary
+    });
+  } catch (error) {
+    logger.error('Failed to acknowledge emergency alert:', error);
+    res.status(500).json({
+      error: 'Failed to acknowledge emergency alert',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/emergency/incidents/:id/recipients/:recipientId/acknowledge - Record an acknowledgement on a recipient's behalf
+router.post('/incidents/:id/recipients/:recipientId/acknowledge', requireRole(['admin', 'security']), noteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const incident = await EmergencyIncident.findByPk(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: 'The requested emergency incident does not exist'
+      });
+    }
+
+    const recipient = await EmergencyIncidentRecipient.findOne({
+      where: { id: req.params.recipientId, incidentId: incident.id }
+    });
+    if (!recipient) {
+      return res.status(404).json({
+        error: 'Recipient not found',
+        message: 'The requested recipient was not alerted for this incident'
+      });
+    }
+
+    const { summary } = await acknowledgeRecipient(incident, recipient, req.user.id, (req.body && req.body.note) || null);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'EMERGENCY_ALERT_ACKNOWLEDGED',
+      resource: 'emergency_incident',
+      resourceId: incident.id,
+      details: {
+        recipientId: recipient.id,
+        recipientName: recipient.name,
+        onBehalf: true
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'medium',
+      tags: incident.getAuditTags()
+    });
+
+    res.json({
+      message: 'Acknowledgement recorded',
+      recipient,
+      summary
+    });
+  } catch (error) {
+    logger.error('Failed to record emergency acknowledgement:', error);
+    res.status(500).json({
+      error: 'Failed to record acknowledgement',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/emergency/incidents/:id/resolve - Close an incident
+router.post('/incidents/:id/resolve', requireRole(['admin', 'security']), noteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const incident = await EmergencyIncident.findByPk(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: 'The requested emergency incident does not exist'
+      });
+    }
+
+    if (!incident.isActive()) {
+      return res.status(409).json({
+        error: 'Incident already resolved',
+        message: 'This emergency incident has already been resolved'
+      });
+    }
+
+    await incident.resolve(req.user.id, (req.body && req.body.note) || null);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'EMERGENCY_INCIDENT_RESOLVED',
+      resource: 'emergency_incident',
+      resourceId: incident.id,
+      details: { type: incident.type, level: incident.level, drill: incident.isDrill },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'high',
+      tags: incident.getAuditTags()
+    });
+
+    res.json({
+      message: 'Emergency incident resolved',
+      incident
+    });
+  } catch (error) {
+    logger.error('Failed to resolve emergency incident:', error);
+    res.status(500).json({
+      error: 'Failed to resolve emergency incident',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/emergency/incidents/:id/roll-call - Start a muster roll call for an incident
+router.post('/incidents/:id/roll-call', requireRole(['admin', 'security']), async (req, res) => {
+  try {
+    const incident = await EmergencyIncident.findByPk(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: 'The requested emergency incident does not exist'
+      });
+    }
+
+    if (!incident.isActive()) {
+      return res.status(409).json({
+        error: 'Incident resolved',
+        message: 'A roll call cannot be started for a resolved incident'
+      });
+    }
+
+    const existing = await EvacuationRollCall.findOpenForIncident(incident.id);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Roll call in progress',
+        message: 'A roll call is already open for this incident',
+        rollCallId: existing.id
+      });
+    }
+
+    const { rollCall, counts } = await startRollCall(incident, req.user.id);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'EVACUATION_ROLL_CALL_STARTED',
+      resource: 'emergency_incident',
+      resourceId: incident.id,
+      details: { rollCallId: rollCall.id, people: counts.total, drill: incident.isDrill },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'high',
+      tags: incident.getAuditTags()
+    });
+
+    res.status(201).json({
+      message: 'Roll call started',
+      rollCall,
+      counts
+    });
+  } catch (error) {
+    logger.error('Failed to start roll call:', error);
+    res.status(500).json({
+      error: 'Failed to start roll call',
+      message: 'Internal server error'
+    });
   }
 });
 
-// Get evacuation list
-router.get('/evacuation-list', requireRole(['admin', 'security']), async (req, res) => {
+// GET /api/emergency/roll-calls/:id - Roll call with entries, optionally filtered by status
+router.get('/roll-calls/:id', requireRole(['admin', 'security', 'receptionist']), async (req, res) => {
   try {
-    const activeVisits = await Visit.findAll({
-      where: {
-        status: 'checked-in'
+    const { status = '' } = req.query;
+
+    const rollCall = await EvacuationRollCall.findByPk(req.params.id);
+    if (!rollCall) {
+      return res.status(404).json({
+        error: 'Roll call not found',
+        message: 'The requested roll call does not exist'
+      });
+    }
+
+    const whereClause = { rollCallId: rollCall.id };
+    if (status) whereClause.status = status;
+
+    const entries = await EvacuationRollCallEntry.findAll({
+      where: whereClause,
+      order: [['personType', 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      rollCall,
+      entries,
+      counts: await EvacuationRollCallEntry.getStatusCounts(rollCall.id)
+    });
+  } catch (error) {
+    logger.error('Failed to get roll call:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve roll call',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/emergency/roll-calls/:id/entries/:entryId - Mark a person safe, missing or injured
+router.put('/roll-calls/:id/entries/:entryId', requireRole(['admin', 'security', 'receptionist']), entryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const rollCall = await EvacuationRollCall.findByPk(req.params.id);
+    if (!rollCall) {
+      return res.status(404).json({
+        error: 'Roll call not found',
+        message: 'The requested roll call does not exist'
+      });
+    }
+
+    if (!rollCall.isOpen()) {
+      return res.status(409).json({
+        error: 'Roll call closed',
+        message: 'This roll call has already been closed'
+      });
+    }
+
+    const entry = await EvacuationRollCallEntry.findOne({
+      where: { id: req.params.entryId, rollCallId: rollCall.id }
+    });
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Entry not found',
+        message: 'The requested person is not on this roll call'
+      });
+    }
+
+    const { status, assemblyPoint = null, notes = null } = req.body;
+    const { counts } = await markEntry(rollCall, entry, { status, assemblyPoint, notes }, req.user.id);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'EVACUATION_ROLL_CALL_ENTRY_MARKED',
+      resource: 'emergency_incident',
+      resourceId: rollCall.incidentId,
+      details: {
+        rollCallId: rollCall.id,
+        entryId: entry.id,
+        personType: entry.personType,
+        status,
+        assemblyPoint,
+        drill: rollCall.isDrill
       },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      visitId: entry.visitId,
+      category: 'security',
+      severity: !rollCall.isDrill && ['missing', 'injured'].includes(status) ? 'high' : 'medium',
+      tags: rollCall.isDrill ? ['drill'] : []
+    });
+
+    res.json({
+      message: 'Roll call entry updated',
+      entry,
+      counts
+    });
+  } catch (error) {
+    logger.error('Failed to update roll call entry:', error);
+    res.status(500).json({
+      error: 'Failed to update roll call entry',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/emergency/roll-calls/:id/close - Close a roll call and save the muster report
+router.post('/roll-calls/:id/close', requireRole(['admin', 'security']), async (req, res) => {
+  try {
+    const rollCall = await EvacuationRollCall.findByPk(req.params.id);
+    if (!rollCall) {
+      return res.status(404).json({
+        error: 'Roll call not found',
+        message: 'The requested roll call does not exist'
+      });
+    }
+
+    if (!rollCall.isOpen()) {
+      return res.status(409).json({
+        error: 'Roll call closed',
+        message: 'This roll call has already been closed'
+      });
+    }
+
+    const { report } = await closeRollCall(rollCall, req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Roll call closed',
+      rollCall,
+      report
+    });
+  } catch (error) {
+    logger.error('Failed to close roll call:', error);
+    res.status(500).json({
+      error: 'Failed to close roll call',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/emergency/evacuation-list - Visitors on site who have not been evacuated
+router.get('/evacuation-list', requireRole(['admin', 'security', 'receptionist']), async (req, res) => {
+  try {
+    const activeVisits = await Visit.findEvacuationList({
       include: [
         {
           model: Visitor,
           as: 'visitor'
+        },
+        {
+          model: User,
+          as: 'host',
+          attributes: ['id', 'firstName', 'lastName', 'phone', 'department']
         }
       ]
     });
-    
-    res.json(activeVisits);
+
+    res.json(activeVisits.map(visit => serializeVisit(visit, req.user)));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    logger.error('Failed to get evacuation list:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve evacuation list',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/emergency/evacuate/:visitId - Mark a visitor as evacuated
+router.post('/evacuate/:visitId', requireRole(['admin', 'security', 'receptionist']), evacuateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const visit = await Visit.findByPk(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Visit not found',
+        message: 'The requested visit does not exist'
+      });
+    }
+
+    if (visit.status !== 'checked_in') {
+      return res.status(409).json({
+        error: 'Visitor not on site',
+        message: 'Only checked-in visitors can be evacuated'
+      });
+    }
+
+    const { status = 'safe', assemblyPoint = null, notes = null } = req.body || {};
+    const { entry } = await evacuateVisit(visit, { status, assemblyPoint, notes }, req.user.id);
+    const isDrill = Boolean(entry && entry.rollCall.isDrill);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'VISITOR_EVACUATED',
+      resource: 'visit',
+      resourceId: visit.id,
+      details: {
+        status,
+        assemblyPoint,
+        rollCallId: entry ? entry.rollCallId : null,
+        drill: isDrill
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      visitId: visit.id,
+      visitorId: visit.visitorId,
+      category: 'security',
+      severity: 'medium',
+      tags: isDrill ? ['drill'] : []
+    });
+
+    res.json({
+      message: isDrill ? 'Visitor marked safe for the drill' : 'Visitor marked as evacuated',
+      visit,
+      entry
+    });
+  } catch (error) {
+    logger.error('Failed to mark visitor evacuated:', error);
+    res.status(500).json({
+      error: 'Failed to mark visitor evacuated',
+      message: 'Internal server error'
+    });
   }
 });
 
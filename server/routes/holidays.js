@@ -0,0 +1,141 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { Holiday } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { createAuditLog } = require('../services/auditService');
+const { cancelOccurrencesOnHoliday } = require('../services/recurrenceService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const holidayValidation = [
+  body('date').isISO8601().withMessage('Date must be in YYYY-MM-DD format'),
+  body('name').isLength({ min: 1, max: 100 }).trim(),
+  body('description').optional().isLength({ max: 500 }),
+  body('cancelRecurringVisits').optional().isBoolean().toBoolean()
+];
+
+// GET /api/holidays - Get holiday calendar
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const holidays = from && to
+      ? await Holiday.findBetween(from, to)
+      : await Holiday.findAll({ order: [['date', 'ASC']] });
+
+    res.json({ holidays });
+
+  } catch (error) {
+    logger.error('Failed to get holidays:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve holidays',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/holidays - Add a holiday
+router.post('/', requireAdmin, holidayValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { name, description, cancelRecurringVisits = true } = req.body;
+    const date = req.body.date.slice(0, 10);
+
+    const existing = await Holiday.findOne({ where: { date } });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Holiday exists',
+        message: `${date} is already marked as ${existing.name}`
+      });
+    }
+
+    const holiday = await Holiday.create({
+      date,
+      name,
+      description,
+      createdBy: req.user.id
+    });
+
+    // Drop recurring occurrences that were materialised before the holiday was added
+    const cancelledVisits = cancelRecurringVisits ? await cancelOccurrencesOnHoliday(holiday) : [];
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'HOLIDAY_CREATED',
+      resource: 'holiday',
+      resourceId: holiday.id,
+      details: {
+        date,
+        name,
+        cancelledVisitIds: cancelledVisits.map(visit => visit.id)
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.status(201).json({
+      holiday,
+      cancelledVisits: cancelledVisits.length,
+      message: 'Holiday added successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to create holiday:', error);
+    res.status(500).json({
+      error: 'Failed to add holiday',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/holidays/:id - Remove a holiday
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const holiday = await Holiday.findByPk(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        error: 'Holiday not found',
+        message: 'The requested holiday does not exist'
+      });
+    }
+
+    await holiday.destroy();
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'HOLIDAY_DELETED',
+      resource: 'holiday',
+      resourceId: holiday.id,
+      details: { date: holiday.date, name: holiday.name },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      message: 'Holiday removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete holiday:', error);
+    res.status(500).json({
+      error: 'Failed to remove holiday',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,296 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { Invitation, User } = require('../models');
+const { createAuditLog } = require('../services/auditService');
+const { calculateExpiry, sendInvitation } = require('../services/invitationService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const invitationValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('firstName').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('lastName').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('purpose').isLength({ min: 1, max: 500 }).trim(),
+  body('scheduledArrival').isISO8601(),
+  body('expectedDuration').optional().isInt({ min: 15, max: 1440 }),
+  body('location').optional().isLength({ max: 100 }),
+  body('message').optional().isLength({ max: 1000 }),
+  body('hostId').optional().isUUID()
+];
+
+const canManageAllInvitations = (user) => ['admin', 'receptionist'].includes(user.role);
+
+/**
+ * Load an invitation the current user is allowed to manage
+ */
+const findManageableInvitation = async (req) => {
+  const invitation = await Invitation.findByPk(req.params.id, {
+    include: [
+      {
+        model: User,
+        as: 'host'
+      }
+    ]
+  });
+
+  if (!invitation) {
+    return null;
+  }
+
+  if (invitation.hostId !== req.user.id && !canManageAllInvitations(req.user)) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// GET /api/invitations - List invitations (own invitations for hosts)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', hostId = '' } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+
+    if (canManageAllInvitations(req.user)) {
+      if (hostId) whereClause.hostId = hostId;
+    } else {
+      whereClause.hostId = req.user.id;
+    }
+
+    // Expire stale links so the listed states are current
+    await Invitation.expireStale();
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Invitation.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset,
+      include: [
+        {
+          model: User,
+          as: 'host',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'department']
+        }
+      ]
+    });
+
+    res.json({
+      invitations: rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get invitations:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve invitations',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/invitations - Invite a guest
+router.post('/', invitationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const {
+      email,
+      firstName,
+      lastName,
+      purpose,
+      scheduledArrival,
+      expectedDuration,
+      location,
+      message
+    } = req.body;
+
+    // Hosts invite their own guests; front desk staff may invite on behalf of a host
+    let host = req.user;
+    if (req.body.hostId && req.body.hostId !== req.user.id) {
+      if (!canManageAllInvitations(req.user)) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: 'You can only invite guests for yourself'
+        });
+      }
+
+      host = await User.findByPk(req.body.hostId);
+      if (!host || !host.isActive) {
+        return res.status(404).json({
+          error: 'Host not found',
+          message: 'The specified host does not exist'
+        });
+      }
+    }
+
+    if (new Date(scheduledArrival) <= new Date()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Scheduled arrival must be in the future'
+      });
+    }
+
+    const invitation = Invitation.build({
+      hostId: host.id,
+      email,
+      firstName,
+      lastName,
+      purpose,
+      scheduledArrival,
+      expectedDuration,
+      location,
+      message,
+      status: 'sent',
+      expiresAt: calculateExpiry(scheduledArrival)
+    });
+
+    await sendInvitation(invitation, host);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'INVITATION_SENT',
+      resource: 'invitation',
+      resourceId: invitation.id,
+      details: { email, hostId: host.id, scheduledArrival, expiresAt: invitation.expiresAt },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.status(201).json({
+      invitation,
+      message: 'Invitation sent successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to create invitation:', error);
+    res.status(500).json({
+      error: 'Failed to send invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/invitations/:id/resend - Resend an invitation with a new link
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const invitation = await findManageableInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'The requested invitation does not exist'
+      });
+    }
+
+    if (!['sent', 'opened', 'expired'].includes(invitation.status)) {
+      return res.status(400).json({
+        error: 'Cannot resend invitation',
+        message: `Invitation is ${invitation.status}`
+      });
+    }
+
+    if (new Date(invitation.scheduledArrival) <= new Date()) {
+      return res.status(400).json({
+        error: 'Cannot resend invitation',
+        message: 'The scheduled arrival has already passed'
+      });
+    }
+
+    invitation.status = 'sent';
+    invitation.expiresAt = calculateExpiry(invitation.scheduledArrival);
+    invitation.resendCount += 1;
+
+    // Issuing a new token invalidates the previously sent link
+    await sendInvitation(invitation, invitation.host);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'INVITATION_RESENT',
+      resource: 'invitation',
+      resourceId: invitation.id,
+      details: { email: invitation.email, resendCount: invitation.resendCount },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      invitation,
+      message: 'Invitation resent successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to resend invitation:', error);
+    res.status(500).json({
+      error: 'Failed to resend invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/invitations/:id/revoke - Revoke an invitation
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const invitation = await findManageableInvitation(req);
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'The requested invitation does not exist'
+      });
+    }
+
+    if (['completed', 'revoked'].includes(invitation.status)) {
+      return res.status(400).json({
+        error: 'Cannot revoke invitation',
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    await invitation.revoke(req.user.id);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'INVITATION_REVOKED',
+      resource: 'invitation',
+      resourceId: invitation.id,
+      details: { email: invitation.email },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      invitation,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke invitation:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
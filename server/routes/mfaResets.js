@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { MfaResetRequest, User } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { requestMfaReset, approveMfaReset, rejectMfaReset } = require('../services/mfaService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Validation middleware
+const requestValidation = [
+  body('userId').isUUID().withMessage('Valid user ID is required'),
+  body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Reason is required')
+];
+
+const reviewValidation = [
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 1000 })
+];
+
+const USER_ATTRIBUTES = ['id', 'email', 'firstName', 'lastName', 'role'];
+
+const includeUsers = [
+  { model: User, as: 'user', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'requester', attributes: USER_ATTRIBUTES },
+  { model: User, as: 'reviewer', attributes: USER_ATTRIBUTES }
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Validation failed',
+      message: errors.array()[0].msg
+    });
+    return true;
+  }
+  return false;
+};
+
+// Looks up :id and checks it can still be reviewed; sends the error response and returns null otherwise
+const findOpenRequest = async (req, res) => {
+  const request = await MfaResetRequest.findByPk(req.params.id);
+  if (!request) {
+    res.status(404).json({
+      error: 'Request not found',
+      message: 'The requested MFA reset request does not exist'
+    });
+    return null;
+  }
+
+  if (!request.isOpen()) {
+    res.status(409).json({
+      error: 'Request closed',
+      message: request.status === 'pending' ? 'This request has expired' : 'This request has already been reviewed'
+    });
+    return null;
+  }
+
+  return request;
+};
+
+// GET /api/mfa-resets - List MFA reset requests, optionally by status
+router.get('/', async (req, res) => {
+  try {
+    const { status = '' } = req.query;
+
+    const requests = await MfaResetRequest.findAll({
+      where: status ? { status } : {},
+      include: includeUsers,
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    res.json({ requests });
+
+  } catch (error) {
+    logger.error('Failed to get MFA reset requests:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve MFA reset requests',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/mfa-resets - Ask for a user's MFA to be reset; a second admin must approve
+router.post('/', requestValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+
+    const user = await User.findByPk(req.body.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user with this ID'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(403).json({
+        error: 'Not allowed',
+        message: 'Another administrator must request a reset of your own MFA'
+      });
+    }
+
+    if (!user.mfaEnabled) {
+      return res.status(409).json({
+        error: 'MFA not enabled',
+        message: 'This user has no MFA to reset'
+      });
+    }
+
+    if (await MfaResetRequest.findOpenForUser(user.id)) {
+      return res.status(409).json({
+        error: 'Request already open',
+        message: 'An MFA reset for this user is already waiting for approval'
+      });
+    }
+
+    const request = await requestMfaReset(user, req.user.id, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      request,
+      message: 'MFA reset requested; another administrator must approve it'
+    });
+
+  } catch (error) {
+    logger.error('Failed to request MFA reset:', error);
+    res.status(500).json({
+      error: 'Failed to request MFA reset',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/mfa-resets/:id/approve - Approve and apply a reset (not by the requester or the user concerned)
+router.post('/:id/approve', reviewValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+
+    const request = await findOpenRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    if (request.requestedBy === req.user.id || request.userId === req.user.id) {
+      return res.status(403).json({
+        error: 'Second approval required',
+        message: 'A different administrator must approve this reset'
+      });
+    }
+
+    const result = await approveMfaReset(request, req.user.id, {
+      notes: req.body && req.body.notes,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!result.approved) {
+      return res.status(409).json({
+        error: 'Request closed',
+        message: 'This request has already been reviewed'
+      });
+    }
+
+    res.json({
+      request,
+      endedSessions: result.endedSessions,
+      message: 'MFA reset; the user will set it up again at their next login'
+    });
+
+  } catch (error) {
+    logger.error('Failed to approve MFA reset:', error);
+    res.status(500).json({
+      error: 'Failed to approve MFA reset',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/mfa-resets/:id/reject - Reject a reset, or withdraw one you requested
+router.post('/:id/reject', reviewValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) {
+      return;
+    }
+
+    const request = await findOpenRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const result = await rejectMfaReset(request, req.user.id, {
+      notes: req.body && req.body.notes,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!result.rejected) {
+      return res.status(409).json({
+        error: 'Request closed',
+        message: 'This request has already been reviewed'
+      });
+    }
+
+    res.json({
+      request,
+      message: 'MFA reset rejected'
+    });
+
+  } catch (error) {
+    logger.error('Failed to reject MFA reset:', error);
+    res.status(500).json({
+      error: 'Failed to reject MFA reset',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+
+const { QueuedNotification } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { createAuditLog } = require('../services/auditService');
+const { retryQueuedNotification, cancelQueuedNotification } = require('../services/notificationQueueService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// GET /api/notification-queue - List queued notifications
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = '', channel = '', userId = '', type = '' } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (channel) whereClause.channel = channel;
+    if (userId) whereClause.userId = userId;
+    if (type) whereClause.type = type;
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await QueuedNotification.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      notifications: rows,
+      counts: await QueuedNotification.getStatusCounts(),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get notification queue:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notification queue',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/notification-queue/:id - Get a queued notification
+router.get('/:id', async (req, res) => {
+  try {
+    const notification = await QueuedNotification.findByPk(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'The requested queued notification does not exist'
+      });
+    }
+
+    res.json({ notification });
+
+  } catch (error) {
+    logger.error('Failed to get queued notification:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve queued notification',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/notification-queue/:id/retry - Requeue a dead, skipped or cancelled notification
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const notification = await QueuedNotification.findByPk(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'The requested queued notification does not exist'
+      });
+    }
+
+    if (!notification.canRetry()) {
+      return res.status(409).json({
+        error: 'Cannot retry notification',
+        message: `Only dead, skipped or cancelled notifications can be retried (status: ${notification.status})`
+      });
+    }
+
+    const previousStatus = notification.status;
+    await retryQueuedNotification(notification);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'NOTIFICATION_REQUEUED',
+      resource: 'notification_queue',
+      resourceId: notification.id,
+      details: {
+        channel: notification.channel,
+        type: notification.type,
+        previousStatus
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      notification,
+      message: 'Notification requeued successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to retry queued notification:', error);
+    res.status(500).json({
+      error: 'Failed to retry notification',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/notification-queue/:id/cancel - Cancel a pending notification
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const notification = await QueuedNotification.findByPk(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'The requested queued notification does not exist'
+      });
+    }
+
+    if (!notification.canCancel()) {
+      return res.status(409).json({
+        error: 'Cannot cancel notification',
+        message: `Only pending notifications can be cancelled (status: ${notification.status})`
+      });
+    }
+
+    try {
+      await cancelQueuedNotification(notification, req.user.id);
+    } catch (error) {
+      // A worker claimed the item after it was loaded
+      return res.status(409).json({
+        error: 'Cannot cancel notification',
+        message: error.message
+      });
+    }
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'NOTIFICATION_CANCELLED',
+      resource: 'notification_queue',
+      resourceId: notification.id,
+      details: {
+        channel: notification.channel,
+        type: notification.type
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      notification,
+      message: 'Notification cancelled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to cancel queued notification:', error);
+    res.status(500).json({
+      error: 'Failed to cancel notification',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
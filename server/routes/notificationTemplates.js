@@ -0,0 +1,333 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { NotificationTemplate } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { createAuditLog } = require('../services/auditService');
+const { TYPES, validateTemplateDefinition, previewTemplate } = require('../services/notificationTemplateService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Validation middleware
+const templateValidation = [
+  body('name').matches(/^[a-z0-9][a-z0-9-]*$/).withMessage('Name may only contain lowercase letters, numbers and dashes').isLength({ max: 100 }),
+  body('type').isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+  body('subject').optional({ nullable: true }).isLength({ max: 255 }),
+  body('body').isLength({ min: 1 }).withMessage('Template body is required'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('description').optional({ nullable: true }).isLength({ max: 500 }),
+  body('language').optional().matches(/^[a-z]{2}(-[A-Z]{2})?$/).withMessage('Language must look like "en" or "en-GB"'),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const updateValidation = [
+  body('subject').optional({ nullable: true }).isLength({ max: 255 }),
+  body('body').optional().isLength({ min: 1 }).withMessage('Template body cannot be empty'),
+  body('variables').optional().isObject().withMessage('Variables must be an object'),
+  body('description').optional({ nullable: true }).isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const previewValidation = [
+  body('data').optional().isObject().withMessage('Preview data must be an object')
+];
+
+const draftValidation = [
+  body('type').isIn(TYPES).withMessage(`Type must be one of: ${TYPES.join(', ')}`),
+  body('body').isLength({ min: 1 }).withMessage('Template body is required'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+];
+
+// GET /api/notification-templates - List templates
+router.get('/', async (req, res) => {
+  try {
+    const { name = '', type = '', language = '', isActive = '' } = req.query;
+
+    const whereClause = {};
+    if (name) whereClause.name = name;
+    if (type) whereClause.type = type;
+    if (language) whereClause.language = language;
+    if (isActive === 'true' || isActive === 'false') whereClause.isActive = isActive === 'true';
+
+    const templates = await NotificationTemplate.findAll({
+      where: whereClause,
+      order: [['name', 'ASC'], ['type', 'ASC'], ['language', 'ASC']]
+    });
+
+    res.json({ templates });
+
+  } catch (error) {
+    logger.error('Failed to get notification templates:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notification templates',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/notification-templates/preview - Render a draft template
+router.post('/preview', draftValidation, previewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { type, subject, body: templateBody, variables = {}, data = {} } = req.body;
+
+    const validationError = validateTemplateDefinition({ type, subject, body: templateBody, variables });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: validationError
+      });
+    }
+
+    res.json({ preview: previewTemplate({ name: 'preview', type, subject, body: templateBody, variables }, data) });
+
+  } catch (error) {
+    logger.error('Failed to preview notification template:', error);
+    res.status(500).json({
+      error: 'Failed to preview notification template',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/notification-templates/:id - Get a template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested notification template does not exist'
+      });
+    }
+
+    res.json({ template });
+
+  } catch (error) {
+    logger.error('Failed to get notification template:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notification template',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/notification-templates/:id/preview - Render a saved template with sample data
+router.post('/:id/preview', previewValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const template = await NotificationTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested notification template does not exist'
+      });
+    }
+
+    res.json({ preview: previewTemplate(template, (req.body && req.body.data) || {}) });
+
+  } catch (error) {
+    logger.error('Failed to preview notification template:', error);
+    res.status(500).json({
+      error: 'Failed to preview notification template',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/notification-templates - Create a template
+router.post('/', templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { name, type, subject = null, body: templateBody, variables = {}, description, language = 'en', isActive = true } = req.body;
+
+    const validationError = validateTemplateDefinition({ type, subject, body: templateBody, variables });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: validationError
+      });
+    }
+
+    const existing = await NotificationTemplate.findOne({ where: { name, type, language } });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Template exists',
+        message: `A ${type} template named ${name} already exists for language ${language}`
+      });
+    }
+
+    const template = await NotificationTemplate.create({
+      name,
+      type,
+      subject,
+      body: templateBody,
+      variables,
+      description,
+      language,
+      isActive,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'NOTIFICATION_TEMPLATE_CREATED',
+      resource: 'notification_template',
+      resourceId: template.id,
+      details: { name, type, language },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.status(201).json({
+      template,
+      message: 'Notification template created successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to create notification template:', error);
+    res.status(500).json({
+      error: 'Failed to create notification template',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/notification-templates/:id - Update a template
+router.put('/:id', updateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const template = await NotificationTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested notification template does not exist'
+      });
+    }
+
+    const updates = {};
+    for (const field of ['subject', 'body', 'variables', 'description', 'isActive']) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    const validationError = validateTemplateDefinition({
+      type: template.type,
+      subject: updates.subject !== undefined ? updates.subject : template.subject,
+      body: updates.body !== undefined ? updates.body : template.body,
+      variables: updates.variables !== undefined ? updates.variables : template.variables
+    });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: validationError
+      });
+    }
+
+    await template.update({ ...updates, updatedBy: req.user.id });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'NOTIFICATION_TEMPLATE_UPDATED',
+      resource: 'notification_template',
+      resourceId: template.id,
+      details: {
+        name: template.name,
+        type: template.type,
+        language: template.language,
+        fields: Object.keys(updates)
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      template,
+      message: 'Notification template updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to update notification template:', error);
+    res.status(500).json({
+      error: 'Failed to update notification template',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/notification-templates/:id - Delete a template
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'The requested notification template does not exist'
+      });
+    }
+
+    await template.destroy();
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'NOTIFICATION_TEMPLATE_DELETED',
+      resource: 'notification_template',
+      resourceId: template.id,
+      details: { name: template.name, type: template.type, language: template.language },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'medium'
+    });
+
+    res.json({
+      message: 'Notification template deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete notification template:', error);
+    res.status(500).json({
+      error: 'Failed to delete notification template',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { Notification, User } = require('../models');
+const { createAuditLog } = require('../services/auditService');
+const { emitUnreadCount } = require('../services/notificationInboxService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const settingsValidation = [
+  body('email').optional().isBoolean().withMessage('email must be true or false').toBoolean(),
+  body('sms').optional().isBoolean().withMessage('sms must be true or false').toBoolean(),
+  body('push').optional().isBoolean().withMessage('push must be true or false').toBoolean()
+];
+
+// GET /api/notifications - Get the current user's notifications
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type = '', priority = '', read = '' } = req.query;
+
+    const whereClause = { userId: req.user.id };
+    if (type) whereClause.type = type;
+    if (priority) whereClause.priority = priority;
+    if (read === 'true' || read === 'false') whereClause.read = read === 'true';
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Notification.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      notifications: rows,
+      unreadCount: await Notification.countUnread(req.user.id),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get notifications:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notifications',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/notifications/settings - Get the current user's notification channels
+router.get('/settings', async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    res.json({ settings: user.preferences.notifications });
+
+  } catch (error) {
+    logger.error('Failed to get notification settings:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notification settings',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/notifications/settings - Update the current user's notification channels
+router.put('/settings', settingsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    const settings = { ...user.preferences.notifications };
+    for (const channel of ['email', 'sms', 'push']) {
+      if (req.body[channel] !== undefined) {
+        settings[channel] = req.body[channel];
+      }
+    }
+
+    // Assign a new object so Sequelize picks up the JSON change
+    await user.update({
+      preferences: {
+        ...user.preferences,
+        notifications: settings
+      }
+    });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'NOTIFICATION_SETTINGS_UPDATED',
+      resource: 'user',
+      resourceId: req.user.id,
+      details: { settings },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      settings,
+      message: 'Notification settings updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to update notification settings:', error);
+    res.status(500).json({
+      error: 'Failed to update notification settings',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/notifications/mark-all-read - Mark all of the current user's notifications as read
+router.put('/mark-all-read', async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.user.id);
+    await emitUnreadCount(req.user.id);
+
+    res.json({
+      updated,
+      unreadCount: 0,
+      message: 'All notifications marked as read'
+    });
+
+  } catch (error) {
+    logger.error('Failed to mark all notifications as read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notifications as read',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/notifications/:id/read - Mark a notification as read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'The requested notification does not exist'
+      });
+    }
+
+    await notification.markRead();
+    const unreadCount = await emitUnreadCount(req.user.id);
+
+    res.json({
+      notification,
+      unreadCount,
+      message: 'Notification marked as read'
+    });
+
+  } catch (error) {
+    logger.error('Failed to mark notification as read:', error);
+    res.status(500).json({
+      error: 'Failed to mark notification as read',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/notifications/:id - Delete a notification
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'The requested notification does not exist'
+      });
+    }
+
+    await notification.destroy();
+    const unreadCount = await emitUnreadCount(req.user.id);
+
+    res.json({
+      unreadCount,
+      message: 'Notification deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete notification:', error);
+    res.status(500).json({
+      error: 'Failed to delete notification',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
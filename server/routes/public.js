@@ -0,0 +1,592 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+
+const { sequelize, Visit, Visitor, User } = require('../models');
+const { photoUpload, processVisitorPhoto, removeVisitorPhoto, discardUpload } = require('../middleware/upload');
+const { createAuditLog } = require('../services/auditService');
+const { createInitialConsents, resolveCheckInConsents } = require('../services/consentService');
+const { resolveInvitationToken } = require('../services/invitationService');
+const { calculateQrCodeExpiry, issueQrToken, verifyQrToken } = require('../services/qrTokenService');
+const { sendVisitorArrivalNotification } = require('../services/notificationService');
+const { sendNotificationToUser, sendNotificationToRole } = require('../services/socketService');
+const { sendVisitorPreRegistrationEmail } = require('../services/emailService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Public endpoints are unauthenticated, so keep a tighter limit than the API default
+const publicRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: parseInt(process.env.PUBLIC_RATE_LIMIT_MAX) || 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Please try again later',
+      retryAfter: Math.round(req.rateLimit.resetTime / 1000) || 1
+    });
+  }
+});
+
+router.use(publicRateLimit);
+
+// Validation middleware
+const preRegisterValidation = [
+  body('invitationToken').isString().notEmpty(),
+  body('firstName').isLength({ min: 1, max: 100 }).trim(),
+  body('lastName').isLength({ min: 1, max: 100 }).trim(),
+  body('phone').optional().isLength({ min: 10, max: 20 }),
+  body('company').optional().isLength({ max: 200 }),
+  body('visitorType').optional().isIn(['guest', 'contractor', 'vendor', 'employee_guest', 'interview', 'delivery', 'maintenance', 'other']),
+  body('gdprConsent').isBoolean().toBoolean(),
+  body('photoConsent').optional().isBoolean().toBoolean(),
+  body('marketingConsent').optional().isBoolean().toBoolean(),
+  body('biometricConsent').optional().isBoolean().toBoolean()
+];
+
+const feedbackValidation = [
+  param('visitId').isUUID(),
+  body('rating').isInt({ min: 1, max: 5 }).toInt(),
+  body('feedback').optional().isLength({ max: 2000 }).trim()
+];
+
+/**
+ * Limit visit details to what a visitor holding the QR code may see
+ */
+const toPublicVisit = (visit) => ({
+  id: visit.id,
+  status: visit.status,
+  purpose: visit.purpose,
+  scheduledArrival: visit.scheduledArrival,
+  expectedDuration: visit.expectedDuration,
+  location: visit.location,
+  floor: visit.floor,
+  room: visit.room,
+  qrCodeExpiry: visit.qrCodeExpiry,
+  checkedInAt: visit.checkedInAt,
+  checkedOutAt: visit.checkedOutAt,
+  visitor: visit.visitor ? {
+    firstName: visit.visitor.firstName,
+    lastName: visit.visitor.lastName
+  } : null,
+  host: visit.host ? {
+    firstName: visit.host.firstName,
+    lastName: visit.host.lastName,
+    department: visit.host.department
+  } : null
+});
+
+/**
+ * Find the visit for a scanned QR code.
+ * Tokens with a bad signature, or superseded by a reissued code, match nothing.
+ */
+const findVisitByQrCode = async (qrCode) => {
+  const { visitId } = verifyQrToken(qrCode);
+  if (!visitId) {
+    return null;
+  }
+
+  const visit = await Visit.findByPk(visitId, {
+    include: [
+      {
+        model: Visitor,
+        as: 'visitor'
+      },
+      {
+        model: User,
+        as: 'host'
+      }
+    ]
+  });
+
+  return visit && visit.qrCode === qrCode ? visit : null;
+};
+
+// GET /api/public/invitation/:token - Open an invitation link
+router.get('/invitation/:token', async (req, res) => {
+  try {
+    const invitation = await resolveInvitationToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation link is invalid or has expired'
+      });
+    }
+
+    await invitation.markOpened();
+
+    const host = await User.findByPk(invitation.hostId);
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        purpose: invitation.purpose,
+        scheduledArrival: invitation.scheduledArrival,
+        expectedDuration: invitation.expectedDuration,
+        location: invitation.location,
+        message: invitation.message,
+        expiresAt: invitation.expiresAt,
+        host: host ? {
+          firstName: host.firstName,
+          lastName: host.lastName,
+          department: host.department
+        } : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to open invitation:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve invitation',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/public/pre-register - Visitor self pre-registration from an invitation link
+router.post('/pre-register', photoUpload.single('photo'), preRegisterValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const {
+      invitationToken,
+      firstName,
+      lastName,
+      phone,
+      company,
+      visitorType,
+      gdprConsent,
+      photoConsent = false,
+      marketingConsent = false,
+      biometricConsent = false
+    } = req.body;
+
+    const invitation = await resolveInvitationToken(invitationToken);
+    if (!invitation) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation link is invalid or has expired'
+      });
+    }
+
+    if (!gdprConsent) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        error: 'Consent required',
+        message: 'Consent to process personal data is required to pre-register'
+      });
+    }
+
+    if (req.file && !photoConsent) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        error: 'Photo consent required',
+        message: 'Consent to photo capture is required to upload a photo'
+      });
+    }
+
+    // Visit details come from the host's invitation, not the guest
+    const { hostId, email, purpose, scheduledArrival, expectedDuration, location } = invitation;
+
+    const host = await User.findByPk(hostId);
+    if (!host || !host.isActive) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        error: 'Host not found',
+        message: 'The specified host does not exist'
+      });
+    }
+
+    const now = new Date();
+    let visitor = await Visitor.findByEmail(email);
+
+    if (visitor && visitor.isBlacklisted) {
+      discardUpload(req.file);
+
+      await createAuditLog({
+        visitorId: visitor.id,
+        action: 'PUBLIC_PRE_REGISTRATION_DENIED',
+        resource: 'visitor',
+        resourceId: visitor.id,
+        details: { hostId, invitationId: invitation.id, reason: 'Visitor blacklisted' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        category: 'security',
+        severity: 'high',
+        outcome: 'failure',
+        riskLevel: 'high'
+      });
+
+      return res.status(403).json({
+        error: 'Pre-registration denied',
+        message: 'Please contact reception to arrange your visit'
+      });
+    }
+
+    // Anyone holding the link can submit this form, so an existing visitor's record is never
+    // overwritten from it; reception corrects their details. Only new consents are recorded.
+    if (visitor) {
+      discardUpload(req.file);
+    }
+
+    // Process the photo up front so nothing slow happens while the invitation is claimed
+    const processedFilename = req.file && !visitor ? await processVisitorPhoto(req.file) : null;
+
+    // Generate signed QR code
+    const arrival = new Date(scheduledArrival);
+    const visitId = uuidv4();
+    const qrCodeExpiry = await calculateQrCodeExpiry(arrival, now);
+    const qrCodeToken = issueQrToken(visitId, qrCodeExpiry);
+    const qrCode = await QRCode.toDataURL(qrCodeToken);
+
+    // Claim the link and create the visit together, so two submissions of one link cannot both get a visit
+    const visit = await sequelize.transaction(async (transaction) => {
+      if (!await invitation.claim({ transaction })) {
+        return null;
+      }
+
+      if (visitor) {
+        await visitor.update({
+          gdprConsent: true,
+          gdprConsentDate: now,
+          photoConsent: photoConsent || visitor.photoConsent,
+          photoConsentDate: photoConsent ? now : visitor.photoConsentDate,
+          marketingConsent: marketingConsent || visitor.marketingConsent,
+          marketingConsentDate: marketingConsent ? now : visitor.marketingConsentDate,
+          biometricConsent: biometricConsent || visitor.biometricConsent,
+          biometricConsentDate: biometricConsent ? now : visitor.biometricConsentDate
+        }, { transaction });
+      } else {
+        visitor = await Visitor.create({
+          email,
+          firstName,
+          lastName,
+          phone,
+          company,
+          visitorType,
+          photo: processedFilename,
+          gdprConsent: true,
+          gdprConsentDate: now,
+          photoConsent,
+          photoConsentDate: photoConsent ? now : null,
+          marketingConsent,
+          marketingConsentDate: marketingConsent ? now : null,
+          biometricConsent,
+          biometricConsentDate: biometricConsent ? now : null
+        }, { transaction });
+      }
+
+      const created = await Visit.create({
+        id: visitId,
+        visitorId: visitor.id,
+        hostId,
+        purpose,
+        expectedDuration,
+        location,
+        scheduledArrival: arrival,
+        qrCode: qrCodeToken,
+        qrCodeExpiry,
+        preRegisteredAt: now,
+        status: 'pre_registered'
+      }, { transaction });
+
+      await invitation.complete(visitor.id, created.id, { transaction });
+
+      await createInitialConsents({
+        visitorId: visitor.id,
+        gdprConsent,
+        photoConsent,
+        marketingConsent,
+        biometricConsent,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }, { transaction });
+
+      return created;
+    });
+
+    if (!visit) {
+      removeVisitorPhoto(processedFilename);
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'This invitation link is invalid or has expired'
+      });
+    }
+
+    await visitor.updateVisitStats();
+
+    await createAuditLog({
+      visitId: visit.id,
+      visitorId: visitor.id,
+      action: 'VISIT_SELF_PRE_REGISTERED',
+      resource: 'visit',
+      resourceId: visit.id,
+      details: { purpose, hostId, scheduledArrival, invitationId: invitation.id, photoUploaded: Boolean(processedFilename) },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'medium'
+    });
+
+    sendNotificationToUser(hostId, 'visit_scheduled', {
+      visitId: visit.id,
+      visitorName: visitor.getFullName(),
+      company: visitor.company,
+      purpose,
+      scheduledArrival: arrival,
+      selfRegistered: true
+    });
+
+    try {
+      await sendVisitorPreRegistrationEmail(visit, visitor, host, qrCodeToken);
+    } catch (error) {
+      logger.error('Failed to send pre-registration email:', error);
+    }
+
+    res.status(201).json({
+      visit: toPublicVisit({ ...visit.toJSON(), visitor, host }),
+      qrCode,
+      message: 'Pre-registration successful'
+    });
+
+  } catch (error) {
+    discardUpload(req.file);
+    logger.error('Failed to pre-register visitor:', error);
+    res.status(500).json({
+      error: 'Pre-registration failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/public/visit/:qrCode - Get visit details for a QR code
+router.get('/visit/:qrCode', async (req, res) => {
+  try {
+    const visit = await findVisitByQrCode(req.params.qrCode);
+
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Visit not found',
+        message: 'No visit matches this QR code'
+      });
+    }
+
+    res.json({
+      visit: toPublicVisit(visit),
+      expired: Boolean(visit.isExpired())
+    });
+
+  } catch (error) {
+    logger.error('Failed to get public visit details:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve visit',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/public/checkin - Visitor self check-in by QR code
+router.post('/checkin', body('qrCode').isString().notEmpty(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const visit = await findVisitByQrCode(req.body.qrCode);
+
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Visit not found',
+        message: 'No visit matches this QR code'
+      });
+    }
+
+    if (visit.status !== 'pre_registered') {
+      return res.status(400).json({
+        error: 'Check-in not allowed',
+        message: `This visit cannot be checked in (status: ${visit.status})`
+      });
+    }
+
+    if (visit.visitor.isBlacklisted) {
+      await createAuditLog({
+        visitId: visit.id,
+        visitorId: visit.visitorId,
+        action: 'VISITOR_SELF_CHECKIN_DENIED',
+        resource: 'visit',
+        resourceId: visit.id,
+        details: { reason: 'Visitor blacklisted' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        category: 'security',
+        severity: 'high',
+        outcome: 'failure',
+        riskLevel: 'high'
+      });
+
+      return res.status(403).json({
+        error: 'Check-in denied',
+        message: 'Please see reception'
+      });
+    }
+
+    if (visit.isExpired()) {
+      return res.status(400).json({
+        error: 'QR code expired',
+        message: 'The QR code for this visit has expired'
+      });
+    }
+
+    // Visitors who agreed to an older consent text answer the current one first
+    const pendingConsents = await resolveCheckInConsents(visit.visitor, req.body && req.body.consents, {
+      consentMethod: 'web_form',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (pendingConsents.length > 0) {
+      return res.status(409).json({
+        error: 'Consent required',
+        message: 'Please review the updated consent terms to continue',
+        consents: pendingConsents
+      });
+    }
+
+    await visit.checkIn(null);
+
+    await createAuditLog({
+      visitId: visit.id,
+      visitorId: visit.visitorId,
+      action: 'VISITOR_SELF_CHECKED_IN',
+      resource: 'visit',
+      resourceId: visit.id,
+      details: {
+        visitorName: visit.visitor.getFullName(),
+        purpose: visit.purpose
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'system_access',
+      severity: 'medium'
+    });
+
+    try {
+      await sendVisitorArrivalNotification(visit);
+    } catch (error) {
+      logger.error('Failed to send arrival notification:', error);
+    }
+
+    sendNotificationToUser(visit.hostId, 'visitor_checked_in', {
+      visitId: visit.id,
+      visitorName: visit.visitor.getFullName(),
+      company: visit.visitor.company,
+      checkedInAt: visit.checkedInAt
+    });
+
+    sendNotificationToRole('receptionist', 'visitor_checked_in', {
+      visitId: visit.id,
+      visitorName: visit.visitor.getFullName(),
+      hostName: visit.host.getFullName(),
+      selfCheckIn: true
+    });
+
+    res.json({
+      visit: toPublicVisit(visit),
+      message: 'Checked in successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to self check-in visitor:', error);
+    res.status(500).json({
+      error: 'Check-in failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/public/feedback/:visitId - Submit visit feedback
+router.post('/feedback/:visitId', feedbackValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { rating, feedback } = req.body;
+
+    const visit = await Visit.findByPk(req.params.visitId);
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Visit not found',
+        message: 'The requested visit does not exist'
+      });
+    }
+
+    if (!['checked_in', 'checked_out'].includes(visit.status)) {
+      return res.status(400).json({
+        error: 'Feedback not allowed',
+        message: 'Feedback can only be given once the visit has started'
+      });
+    }
+
+    if (visit.feedbackGivenAt) {
+      return res.status(409).json({
+        error: 'Feedback already submitted',
+        message: 'Feedback has already been submitted for this visit'
+      });
+    }
+
+    await visit.update({
+      ratingGiven: rating,
+      feedbackGiven: feedback,
+      feedbackGivenAt: new Date()
+    });
+
+    await createAuditLog({
+      visitId: visit.id,
+      visitorId: visit.visitorId,
+      action: 'VISIT_FEEDBACK_SUBMITTED',
+      resource: 'visit',
+      resourceId: visit.id,
+      details: { rating, feedback: feedback ? 'Provided' : 'Not provided' },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'data_modification',
+      severity: 'low'
+    });
+
+    res.json({
+      message: 'Thank you for your feedback'
+    });
+
+  } catch (error) {
+    logger.error('Failed to submit feedback:', error);
+    res.status(500).json({
+      error: 'Failed to submit feedback',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const { AuditLog, DataRetentionPolicy } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { applyRetention, getRetentionDays } = require('../services/retentionService');
+const { createAuditLog } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Validation middleware
+const policyValidation = [
+  body('retentionPeriod').optional().isInt({ min: 1, max: 36500 }).withMessage('Retention period must be between 1 and 36500 days'),
+  body('mode').optional().isIn(['anonymize', 'delete']).withMessage('Mode must be anonymize or delete'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('autoDelete').optional().isBoolean().withMessage('autoDelete must be a boolean'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 1000 })
+];
+
+const runValidation = [
+  body('dataTypes').optional().isArray({ min: 1 }).withMessage('dataTypes must be a non-empty array'),
+  body('dataTypes.*').isIn(DataRetentionPolicy.DATA_TYPES).withMessage('Unknown data type'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+];
+
+// GET /api/retention/policies - List retention policies
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await DataRetentionPolicy.findAll({
+      order: [['dataType', 'ASC']]
+    });
+
+    const withEffectiveDays = [];
+    for (const policy of policies) {
+      withEffectiveDays.push({
+        ...policy.toJSON(),
+        effectiveRetentionDays: await getRetentionDays(policy)
+      });
+    }
+
+    res.json({ policies: withEffectiveDays });
+
+  } catch (error) {
+    logger.error('Failed to get retention policies:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve retention policies',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/retention/policies/:dataType - Update a retention policy
+router.put('/policies/:dataType', policyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const policy = await DataRetentionPolicy.findOne({ where: { dataType: req.params.dataType } });
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Policy not found',
+        message: 'No retention policy exists for this data type'
+      });
+    }
+
+    const oldValues = policy.toJSON();
+    const updates = {};
+    ['retentionPeriod', 'mode', 'isActive', 'autoDelete', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    await policy.update(updates);
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'RETENTION_POLICY_UPDATED',
+      resource: 'data_retention_policy',
+      resourceId: policy.id,
+      details: { dataType: policy.dataType, changes: updates, previous: oldValues },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'compliance',
+      severity: 'medium',
+      complianceFlags: ['pdpa']
+    });
+
+    res.json({
+      policy,
+      message: 'Retention policy updated'
+    });
+
+  } catch (error) {
+    logger.error('Failed to update retention policy:', error);
+    res.status(500).json({
+      error: 'Failed to update retention policy',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/retention/preview - Dry run: what the active policies would purge now
+router.get('/preview', async (req, res) => {
+  try {
+    const dataTypes = req.query.dataTypes ? String(req.query.dataTypes).split(',') : null;
+
+    const report = await applyRetention({ dataTypes, dryRun: true });
+
+    res.json({ report });
+
+  } catch (error) {
+    logger.error('Failed to preview retention:', error);
+    res.status(500).json({
+      error: 'Failed to preview retention',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/retention/run - Apply the active policies now
+router.post('/run', runValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const { dataTypes = null, dryRun = false } = req.body;
+
+    const report = await applyRetention({
+      dataTypes,
+      dryRun,
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      report,
+      message: dryRun ? 'Dry run completed' : 'Retention policies applied'
+    });
+
+  } catch (error) {
+    logger.error('Failed to apply retention policies:', error);
+    res.status(500).json({
+      error: 'Failed to apply retention policies',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/retention/reports - Past purge reports, newest first
+router.get('/reports', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where: { action: 'RETENTION_PURGE_COMPLETED' },
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      reports: rows.map(auditLog => ({
+        id: auditLog.id,
+        runBy: auditLog.userId,
+        createdAt: auditLog.createdAt,
+        ...auditLog.details
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get purge reports:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve purge reports',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+
+const { User, UserSession } = require('../models');
+const { requireAdmin } = require('../middleware/auth');
+const { endSession, endAllSessions, endOtherSessions, listSessions } = require('../services/sessionService');
+const { createAuditLog } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SESSION_ATTRIBUTES = ['id', 'device', 'ipAddress', 'userAgent', 'lastSeenAt', 'lastSeenIp', 'createdAt'];
+
+const serializeSession = (session, currentSessionId) => ({
+  ...SESSION_ATTRIBUTES.reduce((fields, name) => ({ ...fields, [name]: session[name] }), {}),
+  current: session.id === currentSessionId
+});
+
+// GET /api/sessions - The signed-in user's active sessions
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => serializeSession(session, req.sessionId))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get sessions:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/sessions/revoke-others - Sign out every session except the current one
+router.post('/revoke-others', async (req, res) => {
+  try {
+    const ended = await endOtherSessions(req.user.id, req.sessionId, { revokedBy: req.user.id });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'OTHER_SESSIONS_REVOKED',
+      resource: 'user_session',
+      details: { ended },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'authentication',
+      severity: 'low'
+    });
+
+    res.json({
+      ended,
+      message: 'Other sessions signed out'
+    });
+
+  } catch (error) {
+    logger.error('Failed to revoke other sessions:', error);
+    res.status(500).json({
+      error: 'Failed to sign out other sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/sessions/:id - Sign out one session (admins may sign out anyone's)
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await UserSession.findByPk(req.params.id);
+
+    // Other users' sessions look the same as missing ones to non-admins
+    if (!session || session.isRevoked() || (session.userId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'No active session with this ID'
+      });
+    }
+
+    const byAdmin = session.userId !== req.user.id;
+    await endSession(session, {
+      reason: byAdmin ? 'revoked_by_admin' : 'signed_out_by_user',
+      revokedBy: req.user.id
+    });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'SESSION_REVOKED',
+      resource: 'user_session',
+      resourceId: session.id,
+      details: { sessionUserId: session.userId, device: session.device, current: session.id === req.sessionId },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: byAdmin ? 'security' : 'authentication',
+      severity: byAdmin ? 'medium' : 'low'
+    });
+
+    res.json({ message: 'Session signed out' });
+
+  } catch (error) {
+    logger.error('Failed to revoke session:', error);
+    res.status(500).json({
+      error: 'Failed to sign out session',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/sessions/users/:userId - A user's active sessions (admin only)
+router.get('/users/:userId', requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user with this ID'
+      });
+    }
+
+    const sessions = await listSessions(user.id);
+
+    res.json({
+      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role },
+      sessions: sessions.map(session => serializeSession(session, req.sessionId))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get user sessions:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve sessions',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/sessions/users/:userId/force-logout - End all of a user's sessions and disconnect their sockets (admin only)
+router.post('/users/:userId/force-logout', requireAdmin, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No user with this ID'
+      });
+    }
+
+    const result = await endAllSessions(user.id, { reason: 'forced_logout', revokedBy: req.user.id });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: 'USER_FORCE_LOGOUT',
+      resource: 'user',
+      resourceId: user.id,
+      details: { email: user.email, ...result },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'high'
+    });
+
+    res.json({
+      ...result,
+      message: 'User signed out everywhere'
+    });
+
+  } catch (error) {
+    logger.error('Failed to force logout user:', error);
+    res.status(500).json({
+      error: 'Failed to force logout',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { SystemSetting } = require('../models');
 const { requireRole } = require('../middleware/auth');
+const { invalidateSetting } = require('../services/settingsService');
 
 // Get all settings
 router.get('/', async (req, res) => {
@@ -33,21 +34,29 @@ router.get('/:key', async (req, res) => {
 // Update setting (admin only)
 router.put('/:key', requireRole(['admin']), async (req, res) => {
   try {
+    const { value, description } = req.body || {};
     const [setting, created] = await SystemSetting.findOrCreate({
       where: { key: req.params.key },
       defaults: {
         key: req.params.key,
-        value: req.body.value,
-        description: req.body.description
+        value,
+        description
       }
     });
     
     if (!created) {
-      await setting.update({
-        value: req.body.value,
-        description: req.body.description
-      });
+      // Known settings are checked against their type and validation rules
+      setting.validateValue(value);
+      setting.setValue(value);
+      if (description !== undefined) {
+        setting.description = description;
+      }
+      setting.lastModifiedBy = req.user.id;
+      await setting.save();
     }
+
+    // Runtime consumers (login lockout, session timeout, MFA policy) see the change on their next read
+    invalidateSetting(setting.key);
     
     res.json(setting);
   } catch (error) {
@@ -67,6 +76,7 @@ router.delete('/:key', requireRole(['admin']), async (req, res) => {
     }
     
     await setting.destroy();
+    invalidateSetting(setting.key);
     res.json({ message: 'Setting deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
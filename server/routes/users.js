@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { User } = require('../models');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { endAllSessions } = require('../services/sessionService');
+const { checkPassword } = require('../services/passwordPolicyService');
 
 // Get all users (admin only)
 router.get('/', requireRole(['admin']), async (req, res) => {
@@ -35,6 +37,11 @@ router.get('/:id', async (req, res) => {
 // Create new user (admin only)
 router.post('/', requireRole(['admin']), async (req, res) => {
   try {
+    const passwordCheck = await checkPassword(req.body && req.body.password);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({ error: passwordCheck.errors[0], errors: passwordCheck.errors });
+    }
+
     const user = await User.create(req.body);
     const userResponse = user.toJSON();
     delete userResponse.password;
@@ -53,7 +60,28 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    // MFA is only turned off through an approved reset request (/api/mfa-resets)
+    if (req.body && (req.body.mfaEnabled !== undefined || req.body.mfaSecret !== undefined)) {
+      return res.status(400).json({ error: 'MFA settings cannot be changed here; request an MFA reset instead' });
+    }
+
+    if (req.body && req.body.password) {
+      const passwordCheck = await checkPassword(req.body.password, { user });
+      if (!passwordCheck.valid) {
+        return res.status(400).json({ error: passwordCheck.errors[0], errors: passwordCheck.errors });
+      }
+    }
+
+    const wasActive = user.isActive;
     await user.update(req.body);
+
+    // A new password or a disabled account ends every existing session
+    if (wasActive && !user.isActive) {
+      await endAllSessions(user.id, { reason: 'account_disabled', revokedBy: req.user.id });
+    } else if (req.body && req.body.password) {
+      await endAllSessions(user.id, { reason: 'password_changed', revokedBy: req.user.id });
+    }
+
     const userResponse = user.toJSON();
     delete userResponse.password;
     res.json(userResponse);
@@ -1,51 +1,25 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const sharp = require('sharp');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 
 const { Visitor, Visit, User, ConsentRecord } = require('../models');
 const { requireAdminOrReceptionist, requireAdminOrReceptionistOrSecurity } = require('../middleware/auth');
+const { photoUpload, processVisitorPhoto, removeVisitorPhoto } = require('../middleware/upload');
 const { createAuditLog } = require('../services/auditService');
 const { sendNotification } = require('../services/notificationService');
+const {
+  createInitialConsents,
+  getCurrentTexts,
+  getConsentSummary,
+  recordConsentDecisions,
+  withdrawConsent
+} = require('../services/consentService');
+const { REVEALABLE_FIELDS, serializeVisitor } = require('../utils/piiMasking');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Multer configuration for photo uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads/photos');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `visitor-${uniqueSuffix}.${file.originalname.split('.').pop()}`);
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
-    files: 1
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, and GIF are allowed.'));
-    }
-  }
-});
-
 // Validation middleware
 const visitorValidation = [
   body('email').isEmail().normalizeEmail(),
@@ -60,6 +34,22 @@ const visitorValidation = [
   body('marketingConsent').optional().isBoolean()
 ];
 
+const consentDecisionValidation = [
+  body('consents').isObject().withMessage('consents must map consent types to true or false'),
+  body('consents.*').isBoolean().withMessage('Each consent decision must be true or false'),
+  body('consentMethod').optional().isIn(['web_form', 'mobile_app', 'paper_form', 'verbal', 'automatic']).withMessage('Invalid consent method')
+];
+
+const revealValidation = [
+  body('fields').isArray({ min: 1 }).withMessage('fields must list the fields to reveal'),
+  body('fields.*').isIn(REVEALABLE_FIELDS).withMessage(`Only ${REVEALABLE_FIELDS.join(', ')} can be revealed`),
+  body('reason').trim().isLength({ min: 10, max: 1000 }).withMessage('A reason of at least 10 characters is required')
+];
+
+const withdrawValidation = [
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 1000 })
+];
+
 const visitValidation = [
   body('purpose').isLength({ min: 1, max: 500 }).trim(),
   body('hostId').isUUID(),
@@ -130,7 +120,7 @@ router.get('/', requireAdminOrReceptionistOrSecurity, async (req, res) => {
     });
 
     res.json({
-      visitors: rows,
+      visitors: rows.map(visitor => serializeVisitor(visitor, req.user)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -193,7 +183,7 @@ router.get('/:id', requireAdminOrReceptionistOrSecurity, async (req, res) => {
       category: 'data_access'
     });
 
-    res.json({ visitor });
+    res.json({ visitor: serializeVisitor(visitor, req.user) });
 
   } catch (error) {
     logger.error('Failed to get visitor:', error);
@@ -204,6 +194,60 @@ router.get('/:id', requireAdminOrReceptionistOrSecurity, async (req, res) => {
   }
 });
 
+// POST /api/visitors/:id/reveal - Show masked or hidden fields in full, with a recorded reason
+router.post('/:id/reveal', requireAdminOrReceptionistOrSecurity, revealValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const visitor = await Visitor.findByPk(req.params.id);
+    if (!visitor) {
+      return res.status(404).json({
+        error: 'Visitor not found',
+        message: 'The requested visitor does not exist'
+      });
+    }
+
+    const fields = [...new Set(req.body.fields)];
+    const values = visitor.toJSON();
+    const revealed = {};
+    fields.forEach(field => {
+      revealed[field] = values[field] === undefined ? null : values[field];
+    });
+
+    await createAuditLog({
+      userId: req.user.id,
+      visitorId: visitor.id,
+      action: 'VISITOR_PII_REVEALED',
+      resource: 'visitor',
+      resourceId: visitor.id,
+      details: { fields, reason: req.body.reason, role: req.user.role },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'privacy',
+      severity: 'high',
+      complianceFlags: ['pdpa']
+    });
+
+    res.json({
+      visitorId: visitor.id,
+      fields: revealed
+    });
+
+  } catch (error) {
+    logger.error('Failed to reveal visitor fields:', error);
+    res.status(500).json({
+      error: 'Failed to reveal visitor fields',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // POST /api/visitors - Create new visitor
 router.post('/', requireAdminOrReceptionist, visitorValidation, async (req, res) => {
   try {
@@ -266,71 +310,15 @@ router.post('/', requireAdminOrReceptionist, visitorValidation, async (req, res)
     });
 
     // Create consent records
-    const consentRecords = [];
-    
-    if (gdprConsent) {
-      consentRecords.push({
-        visitorId: visitor.id,
-        consentType: 'gdpr_processing',
-        consentStatus: 'granted',
-        consentText: 'I consent to the processing of my personal data for visitor management purposes',
-        consentMethod: 'web_form',
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        processingPurpose: 'Visitor management and security',
-        dataCategories: ['personal_data', 'contact_information'],
-        legalBasis: 'consent'
-      });
-    }
-
-    if (photoConsent) {
-      consentRecords.push({
-        visitorId: visitor.id,
-        consentType: 'photo_capture',
-        consentStatus: 'granted',
-        consentText: 'I consent to having my photo taken for visitor identification purposes',
-        consentMethod: 'web_form',
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        processingPurpose: 'Visitor identification and security',
-        dataCategories: ['biometric_data', 'photos'],
-        legalBasis: 'consent'
-      });
-    }
-
-    if (marketingConsent) {
-      consentRecords.push({
-        visitorId: visitor.id,
-        consentType: 'marketing_communications',
-        consentStatus: 'granted',
-        consentText: 'I consent to receive marketing communications',
-        consentMethod: 'web_form',
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        processingPurpose: 'Marketing and promotional communications',
-        dataCategories: ['contact_information'],
-        legalBasis: 'consent'
-      });
-    }
-
-    if (biometricConsent) {
-      consentRecords.push({
-        visitorId: visitor.id,
-        consentType: 'biometric_data',
-        consentStatus: 'granted',
-        consentText: 'I consent to biometric data processing for identification purposes',
-        consentMethod: 'web_form',
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-        processingPurpose: 'Biometric identification and security',
-        dataCategories: ['biometric_data'],
-        legalBasis: 'consent'
-      });
-    }
-
-    if (consentRecords.length > 0) {
-      await ConsentRecord.bulkCreate(consentRecords);
-    }
+    await createInitialConsents({
+      visitorId: visitor.id,
+      gdprConsent,
+      photoConsent,
+      marketingConsent,
+      biometricConsent,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     await createAuditLog({
       userId: req.user.id,
@@ -346,7 +334,7 @@ router.post('/', requireAdminOrReceptionist, visitorValidation, async (req, res)
     });
 
     res.status(201).json({
-      visitor,
+      visitor: serializeVisitor(visitor, req.user),
       message: 'Visitor created successfully'
     });
 
@@ -435,7 +423,7 @@ router.put('/:id', requireAdminOrReceptionist, visitorValidation, async (req, re
     });
 
     res.json({
-      visitor,
+      visitor: serializeVisitor(visitor, req.user),
       message: 'Visitor updated successfully'
     });
 
@@ -449,7 +437,7 @@ router.put('/:id', requireAdminOrReceptionist, visitorValidation, async (req, re
 });
 
 // POST /api/visitors/:id/photo - Upload visitor photo
-router.post('/:id/photo', requireAdminOrReceptionist, upload.single('photo'), async (req, res) => {
+router.post('/:id/photo', requireAdminOrReceptionist, photoUpload.single('photo'), async (req, res) => {
   try {
     const visitor = await Visitor.findByPk(req.params.id);
     if (!visitor) {
@@ -474,26 +462,11 @@ router.post('/:id/photo', requireAdminOrReceptionist, upload.single('photo'), as
     }
 
     // Process and optimize the image
-    const processedFilename = `processed-${req.file.filename}`;
-    const processedPath = path.join(path.dirname(req.file.path), processedFilename);
-
-    await sharp(req.file.path)
-      .resize(400, 400, {
-        fit: 'cover',
-        position: 'center'
-      })
-      .jpeg({ quality: 90 })
-      .toFile(processedPath);
-
-    // Remove original file
-    fs.unlinkSync(req.file.path);
+    const processedFilename = await processVisitorPhoto(req.file);
 
     // Delete old photo if exists
     if (visitor.photo) {
-      const oldPhotoPath = path.join(__dirname, '../../uploads/photos', visitor.photo);
-      if (fs.existsSync(oldPhotoPath)) {
-        fs.unlinkSync(oldPhotoPath);
-      }
+      removeVisitorPhoto(visitor.photo);
     }
 
     // Update visitor with new photo
@@ -647,4 +620,130 @@ router.delete('/:id/blacklist', requireAdminOrReceptionist, async (req, res) =>
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/visitors/:id/consents - Current consent state and full consent history
+router.get('/:id/consents', requireAdminOrReceptionistOrSecurity, async (req, res) => {
+  try {
+    const visitor = await Visitor.findByPk(req.params.id);
+    if (!visitor) {
+      return res.status(404).json({
+        error: 'Visitor not found',
+        message: 'The requested visitor does not exist'
+      });
+    }
+
+    const { consents, history } = await getConsentSummary(visitor.id);
+
+    res.json({ consents, history });
+
+  } catch (error) {
+    logger.error('Failed to get visitor consents:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve consents',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/visitors/:id/consents - Record consent decisions against the current consent texts
+router.post('/:id/consents', requireAdminOrReceptionist, consentDecisionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const visitor = await Visitor.findByPk(req.params.id);
+    if (!visitor) {
+      return res.status(404).json({
+        error: 'Visitor not found',
+        message: 'The requested visitor does not exist'
+      });
+    }
+
+    const texts = await getCurrentTexts();
+    const unknown = Object.keys(req.body.consents).find(consentType => !texts[consentType]);
+    if (unknown) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `No consent text is published for ${unknown}`
+      });
+    }
+
+    const records = await recordConsentDecisions({
+      visitor,
+      decisions: req.body.consents,
+      consentMethod: req.body.consentMethod || 'paper_form',
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      records,
+      visitor: serializeVisitor(visitor, req.user),
+      message: 'Consent recorded'
+    });
+
+  } catch (error) {
+    logger.error('Failed to record visitor consent:', error);
+    res.status(500).json({
+      error: 'Failed to record consent',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/visitors/:id/consents/:consentType/withdraw - Withdraw one type of consent
+router.post('/:id/consents/:consentType/withdraw', requireAdminOrReceptionist, withdrawValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const visitor = await Visitor.findByPk(req.params.id);
+    if (!visitor) {
+      return res.status(404).json({
+        error: 'Visitor not found',
+        message: 'The requested visitor does not exist'
+      });
+    }
+
+    const record = await withdrawConsent({
+      visitor,
+      consentType: req.params.consentType,
+      reason: (req.body && req.body.reason) || null,
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!record) {
+      return res.status(404).json({
+        error: 'Consent not found',
+        message: 'The visitor has no granted consent of this type'
+      });
+    }
+
+    res.json({
+      record,
+      visitor: serializeVisitor(visitor, req.user),
+      message: 'Consent withdrawn'
+    });
+
+  } catch (error) {
+    logger.error('Failed to withdraw visitor consent:', error);
+    res.status(500).json({
+      error: 'Failed to withdraw consent',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,16 @@ const { requireAdminOrReceptionistOrSecurity, requireAdminOrReceptionist } = req
 const { createAuditLog } = require('../services/auditService');
 const { sendVisitorArrivalNotification, sendVisitorDepartureNotification } = require('../services/notificationService');
 const { sendNotificationToUser, sendNotificationToRole } = require('../services/socketService');
+const { calculateQrCodeExpiry, issueQrToken, verifyQrToken } = require('../services/qrTokenService');
+const { resolveCheckInConsents } = require('../services/consentService');
+const {
+  validateRecurrenceRule,
+  createVisitSeries,
+  getSeriesParentId,
+  updateVisitSeries,
+  cancelVisitSeries
+} = require('../services/recurrenceService');
+const { serializeVisit } = require('../utils/piiMasking');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -21,9 +31,12 @@ const visitValidation = [
   body('scheduledArrival').optional().isISO8601(),
   body('location').optional().isLength({ max: 100 }),
   body('floor').optional().isLength({ max: 10 }),
-  body('room').optional().isLength({ max: 50 })
+  body('room').optional().isLength({ max: 50 }),
+  body('recurrence').optional().isObject()
 ];
 
+const seriesScopes = ['occurrence', 'following', 'series'];
+
 // GET /api/visits - Get all visits with filtering and pagination
 router.get('/', requireAdminOrReceptionistOrSecurity, async (req, res) => {
   try {
@@ -64,7 +77,7 @@ router.get('/', requireAdminOrReceptionistOrSecurity, async (req, res) => {
         {
           model: Visitor,
           as: 'visitor',
-          attributes: ['id', 'firstName', 'lastName', 'email', 'company', 'phone', 'photo']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'company', 'phone', 'photo', 'photoConsent', 'photoConsentDate']
         },
         {
           model: User,
@@ -97,7 +110,7 @@ router.get('/', requireAdminOrReceptionistOrSecurity, async (req, res) => {
     });
 
     res.json({
-      visits: rows,
+      visits: rows.map(visit => serializeVisit(visit, req.user)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -123,7 +136,7 @@ router.get('/active', requireAdminOrReceptionistOrSecurity, async (req, res) =>
         {
           model: Visitor,
           as: 'visitor',
-          attributes: ['id', 'firstName', 'lastName', 'email', 'company', 'phone', 'photo']
+          attributes: ['id', 'firstName', 'lastName', 'email', 'company', 'phone', 'photo', 'photoConsent', 'photoConsentDate']
         },
         {
           model: User,
@@ -134,7 +147,7 @@ router.get('/active', requireAdminOrReceptionistOrSecurity, async (req, res) =>
     });
 
     res.json({
-      visits: activeVisits,
+      visits: activeVisits.map(visit => serializeVisit(visit, req.user)),
       count: activeVisits.length
     });
 
@@ -188,7 +201,7 @@ router.get('/overdue', requireAdminOrReceptionistOrSecurity, async (req, res) =>
     });
 
     res.json({
-      visits: overdueVisits,
+      visits: overdueVisits.map(visit => serializeVisit(visit, req.user)),
       count: overdueVisits.length
     });
 
@@ -249,7 +262,7 @@ router.get('/:id', requireAdminOrReceptionistOrSecurity, async (req, res) => {
       category: 'data_access'
     });
 
-    res.json({ visit });
+    res.json({ visit: serializeVisit(visit, req.user) });
 
   } catch (error) {
     logger.error('Failed to get visit:', error);
@@ -260,6 +273,43 @@ router.get('/:id', requireAdminOrReceptionistOrSecurity, async (req, res) => {
   }
 });
 
+// GET /api/visits/:id/series - Get all occurrences of a recurring visit
+router.get('/:id/series', requireAdminOrReceptionistOrSecurity, async (req, res) => {
+  try {
+    const visit = await Visit.findByPk(req.params.id);
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Visit not found',
+        message: 'The requested visit does not exist'
+      });
+    }
+
+    const parentId = getSeriesParentId(visit);
+    if (!parentId) {
+      return res.status(400).json({
+        error: 'Not a recurring visit',
+        message: 'This visit is not part of a recurring series'
+      });
+    }
+
+    const occurrences = await Visit.findSeries(parentId);
+    const parent = occurrences.find(occurrence => occurrence.id === parentId);
+
+    res.json({
+      parentId,
+      recurrence: parent ? parent.recurrenceRule : null,
+      occurrences: occurrences.map(occurrence => serializeVisit(occurrence, req.user))
+    });
+
+  } catch (error) {
+    logger.error('Failed to get visit series:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve visit series',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // POST /api/visits - Create new visit
 router.post('/', requireAdminOrReceptionist, visitValidation, async (req, res) => {
   try {
@@ -284,9 +334,22 @@ router.post('/', requireAdminOrReceptionist, visitValidation, async (req, res) =
       parkingSlot,
       items,
       customFields,
-      notes
+      notes,
+      recurrence
     } = req.body;
 
+    if (recurrence) {
+      const recurrenceError = scheduledArrival
+        ? validateRecurrenceRule(recurrence, scheduledArrival)
+        : 'Recurring visits require a scheduled arrival';
+      if (recurrenceError) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: recurrenceError
+        });
+      }
+    }
+
     // Verify visitor exists
     const visitor = await Visitor.findByPk(visitorId);
     if (!visitor) {
@@ -313,21 +376,77 @@ router.post('/', requireAdminOrReceptionist, visitValidation, async (req, res) =
       });
     }
 
-    // Generate QR code
-    const qrCodeData = {
-      visitId: uuidv4(),
-      visitorId,
-      hostId,
-      purpose,
-      timestamp: new Date().toISOString()
-    };
-    
-    const qrCodeString = JSON.stringify(qrCodeData);
-    const qrCode = await QRCode.toDataURL(qrCodeString);
+    if (recurrence) {
+      const { parent, occurrences, skippedDates } = await createVisitSeries({
+        visitorId,
+        hostId,
+        purpose,
+        expectedDuration,
+        location,
+        floor,
+        room,
+        vehicleNumber,
+        parkingSlot,
+        items,
+        customFields,
+        notes,
+        scheduledArrival
+      }, recurrence);
+
+      if (!parent) {
+        return res.status(400).json({
+          error: 'No occurrences',
+          message: 'Every date in this recurrence falls on a holiday'
+        });
+      }
+
+      await visitor.update({
+        isRecurring: true,
+        recurringPattern: recurrence
+      });
+      await visitor.updateVisitStats();
+
+      await createAuditLog({
+        userId: req.user.id,
+        visitId: parent.id,
+        visitorId,
+        action: 'VISIT_SERIES_CREATED',
+        resource: 'visit',
+        resourceId: parent.id,
+        details: { purpose, hostId, recurrence, occurrences: occurrences.length, skippedDates },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        category: 'data_modification',
+        severity: 'medium'
+      });
+
+      sendNotificationToUser(hostId, 'visit_scheduled', {
+        visitId: parent.id,
+        visitorName: visitor.getFullName(),
+        company: visitor.company,
+        purpose,
+        scheduledArrival: parent.scheduledArrival,
+        occurrences: occurrences.length
+      });
+
+      return res.status(201).json({
+        visit: serializeVisit(parent, req.user),
+        occurrences: occurrences.map(occurrence => serializeVisit(occurrence, req.user)),
+        skippedDates,
+        qrCode: await QRCode.toDataURL(parent.qrCode),
+        message: 'Recurring visit series created successfully'
+      });
+    }
+
+    // Generate signed QR code
+    const visitId = uuidv4();
+    const qrCodeExpiry = await calculateQrCodeExpiry(scheduledArrival);
+    const qrCodeToken = issueQrToken(visitId, qrCodeExpiry);
+    const qrCode = await QRCode.toDataURL(qrCodeToken);
 
     // Create visit
     const visit = await Visit.create({
-      id: qrCodeData.visitId,
+      id: visitId,
       visitorId,
       hostId,
       purpose,
@@ -341,8 +460,8 @@ router.post('/', requireAdminOrReceptionist, visitValidation, async (req, res) =
       items,
       customFields,
       notes,
-      qrCode: qrCodeString,
-      qrCodeExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
+      qrCode: qrCodeToken,
+      qrCodeExpiry,
       preRegisteredAt: new Date(),
       status: 'pre_registered'
     });
@@ -374,7 +493,7 @@ router.post('/', requireAdminOrReceptionist, visitValidation, async (req, res) =
     });
 
     res.status(201).json({
-      visit,
+      visit: serializeVisit(visit, req.user),
       qrCode,
       message: 'Visit created successfully'
     });
@@ -388,6 +507,143 @@ router.post('/', requireAdminOrReceptionist, visitValidation, async (req, res) =
   }
 });
 
+// POST /api/visits/verify-qr - Verify a scanned QR code
+router.post('/verify-qr', requireAdminOrReceptionistOrSecurity, body('token').isString().notEmpty(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: errors.array()[0].msg
+      });
+    }
+
+    const result = verifyQrToken(req.body.token);
+    let visit = null;
+    let reason = result.reason;
+
+    if (result.valid) {
+      visit = await Visit.findByPk(result.visitId, {
+        include: [
+          {
+            model: Visitor,
+            as: 'visitor'
+          },
+          {
+            model: User,
+            as: 'host',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'department']
+          }
+        ]
+      });
+
+      if (!visit) {
+        reason = 'visit_not_found';
+      } else if (visit.qrCode !== req.body.token) {
+        reason = 'superseded';
+      } else if (!['pre_registered', 'checked_in'].includes(visit.status)) {
+        reason = 'visit_not_active';
+      } else if (visit.visitor.isBlacklisted) {
+        reason = 'visitor_blacklisted';
+      }
+    }
+
+    const valid = !reason;
+
+    await createAuditLog({
+      userId: req.user.id,
+      visitId: visit ? visit.id : null,
+      visitorId: visit ? visit.visitorId : null,
+      action: valid ? 'QR_CODE_VERIFIED' : 'QR_CODE_REJECTED',
+      resource: 'visit',
+      resourceId: visit ? visit.id : result.visitId,
+      details: { reason, keyId: result.keyId },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: valid ? 'low' : 'medium',
+      outcome: valid ? 'success' : 'failure',
+      riskLevel: ['invalid_signature', 'unknown_key', 'visitor_blacklisted'].includes(reason) ? 'high' : 'low'
+    });
+
+    if (!valid) {
+      logger.security('QR code rejected', { reason, keyId: result.keyId, userId: req.user.id });
+    }
+
+    res.json({
+      valid,
+      reason: reason || null,
+      expiresAt: result.expiresAt || null,
+      visit: visit && valid ? serializeVisit(visit, req.user) : null
+    });
+
+  } catch (error) {
+    logger.error('Failed to verify QR code:', error);
+    res.status(500).json({
+      error: 'Failed to verify QR code',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/visits/:id/qr-code - Reissue a visit QR code with the active signing key
+router.post('/:id/qr-code', requireAdminOrReceptionist, async (req, res) => {
+  try {
+    const visit = await Visit.findByPk(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({
+        error: 'Visit not found',
+        message: 'The requested visit does not exist'
+      });
+    }
+
+    if (visit.status !== 'pre_registered') {
+      return res.status(400).json({
+        error: 'Cannot reissue QR code',
+        message: `Visit is ${visit.status}`
+      });
+    }
+
+    const qrCodeExpiry = await calculateQrCodeExpiry(visit.scheduledArrival);
+    const qrCodeToken = issueQrToken(visit.id, qrCodeExpiry);
+    const qrCode = await QRCode.toDataURL(qrCodeToken);
+
+    // Replacing the stored token invalidates the previous QR code
+    await visit.update({
+      qrCode: qrCodeToken,
+      qrCodeExpiry
+    });
+
+    await createAuditLog({
+      userId: req.user.id,
+      visitId: visit.id,
+      visitorId: visit.visitorId,
+      action: 'QR_CODE_REISSUED',
+      resource: 'visit',
+      resourceId: visit.id,
+      details: { qrCodeExpiry },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      category: 'security',
+      severity: 'low'
+    });
+
+    res.json({
+      visit: serializeVisit(visit, req.user),
+      qrCode,
+      message: 'QR code reissued successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to reissue QR code:', error);
+    res.status(500).json({
+      error: 'Failed to reissue QR code',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // POST /api/visits/:id/checkin - Check in visitor
 router.post('/:id/checkin', requireAdminOrReceptionist, async (req, res) => {
   try {
@@ -441,6 +697,21 @@ router.post('/:id/checkin', requireAdminOrReceptionist, async (req, res) => {
       });
     }
 
+    // Visitors who agreed to an older consent text answer the current one first
+    const pendingConsents = await resolveCheckInConsents(visit.visitor, req.body && req.body.consents, {
+      consentMethod: 'paper_form',
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (pendingConsents.length > 0) {
+      return res.status(409).json({
+        error: 'Consent required',
+        message: 'The visitor must review updated consent texts before checking in',
+        consents: pendingConsents
+      });
+    }
+
     // Check in visitor
     await visit.checkIn(req.user.id);
 
@@ -480,7 +751,7 @@ router.post('/:id/checkin', requireAdminOrReceptionist, async (req, res) => {
     });
 
     res.json({
-      visit,
+      visit: serializeVisit(visit, req.user),
       message: 'Visitor checked in successfully'
     });
 
@@ -568,7 +839,7 @@ router.post('/:id/checkout', requireAdminOrReceptionist, async (req, res) => {
     });
 
     res.json({
-      visit,
+      visit: serializeVisit(visit, req.user),
       message: 'Visitor checked out successfully'
     });
 
@@ -581,9 +852,17 @@ router.post('/:id/checkout', requireAdminOrReceptionist, async (req, res) => {
   }
 });
 
-// PUT /api/visits/:id - Update visit
+// PUT /api/visits/:id - Update visit (?scope=occurrence|following|series for recurring visits)
 router.put('/:id', requireAdminOrReceptionist, async (req, res) => {
   try {
+    const scope = req.query.scope || 'occurrence';
+    if (!seriesScopes.includes(scope)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Scope must be one of: ${seriesScopes.join(', ')}`
+      });
+    }
+
     const visit = await Visit.findByPk(req.params.id);
     if (!visit) {
       return res.status(404).json({
@@ -592,7 +871,14 @@ router.put('/:id', requireAdminOrReceptionist, async (req, res) => {
       });
     }
 
-    if (visit.status === 'checked_out') {
+    if (scope !== 'occurrence' && !getSeriesParentId(visit)) {
+      return res.status(400).json({
+        error: 'Not a recurring visit',
+        message: 'This visit is not part of a recurring series'
+      });
+    }
+
+    if (scope === 'occurrence' && visit.status === 'checked_out') {
       return res.status(400).json({
         error: 'Visit completed',
         message: 'Cannot update a completed visit'
@@ -614,7 +900,7 @@ router.put('/:id', requireAdminOrReceptionist, async (req, res) => {
       notes
     } = req.body;
 
-    await visit.update({
+    const updatedVisits = await updateVisitSeries(visit, {
       purpose,
       expectedDuration,
       scheduledArrival,
@@ -626,14 +912,20 @@ router.put('/:id', requireAdminOrReceptionist, async (req, res) => {
       items,
       customFields,
       notes
-    });
+    }, scope);
+
+    await visit.reload();
 
     await createAuditLog({
       userId: req.user.id,
       visitId: visit.id,
-      action: 'VISIT_UPDATED',
+      action: scope === 'occurrence' ? 'VISIT_UPDATED' : 'VISIT_SERIES_UPDATED',
       resource: 'visit',
       resourceId: visit.id,
+      details: scope === 'occurrence' ? undefined : {
+        scope,
+        visitIds: updatedVisits.map(updated => updated.id)
+      },
       oldValues,
       newValues: visit.toJSON(),
       ipAddress: req.ip,
@@ -643,7 +935,8 @@ router.put('/:id', requireAdminOrReceptionist, async (req, res) => {
     });
 
     res.json({
-      visit,
+      visit: serializeVisit(visit, req.user),
+      updated: updatedVisits.length,
       message: 'Visit updated successfully'
     });
 
@@ -656,10 +949,17 @@ router.put('/:id', requireAdminOrReceptionist, async (req, res) => {
   }
 });
 
-// DELETE /api/visits/:id - Cancel visit
+// DELETE /api/visits/:id - Cancel visit (?scope=occurrence|following|series for recurring visits)
 router.delete('/:id', requireAdminOrReceptionist, async (req, res) => {
   try {
     const { reason } = req.body;
+    const scope = req.query.scope || 'occurrence';
+    if (!seriesScopes.includes(scope)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Scope must be one of: ${seriesScopes.join(', ')}`
+      });
+    }
 
     const visit = await Visit.findByPk(req.params.id, {
       include: [
@@ -681,33 +981,42 @@ router.delete('/:id', requireAdminOrReceptionist, async (req, res) => {
       });
     }
 
-    if (visit.status === 'checked_out') {
+    if (scope !== 'occurrence' && !getSeriesParentId(visit)) {
+      return res.status(400).json({
+        error: 'Not a recurring visit',
+        message: 'This visit is not part of a recurring series'
+      });
+    }
+
+    // Wider scopes only cancel occurrences that have not started
+    if (scope === 'occurrence' && visit.status === 'checked_out') {
       return res.status(400).json({
         error: 'Visit completed',
         message: 'Cannot cancel a completed visit'
       });
     }
 
-    if (visit.status === 'checked_in') {
+    if (scope === 'occurrence' && visit.status === 'checked_in') {
       return res.status(400).json({
         error: 'Visit active',
         message: 'Cannot cancel an active visit. Please check out the visitor first.'
       });
     }
 
-    await visit.update({
-      status: 'cancelled',
-      notes: visit.notes ? `${visit.notes}\n\nCancelled: ${reason}` : `Cancelled: ${reason}`
-    });
+    const cancelledVisits = await cancelVisitSeries(visit, reason, scope);
 
     await createAuditLog({
       userId: req.user.id,
       visitId: visit.id,
       visitorId: visit.visitorId,
-      action: 'VISIT_CANCELLED',
+      action: scope === 'occurrence' ? 'VISIT_CANCELLED' : 'VISIT_SERIES_CANCELLED',
       resource: 'visit',
       resourceId: visit.id,
-      details: { reason },
+      details: scope === 'occurrence' ? { reason } : {
+        reason,
+        scope,
+        visitIds: cancelledVisits.map(cancelled => cancelled.id)
+      },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
       category: 'data_modification',
@@ -718,10 +1027,13 @@ router.delete('/:id', requireAdminOrReceptionist, async (req, res) => {
     sendNotificationToUser(visit.hostId, 'visit_cancelled', {
       visitId: visit.id,
       visitorName: visit.visitor.getFullName(),
-      reason
+      reason,
+      scope,
+      cancelled: cancelledVisits.length
     });
 
     res.json({
+      cancelled: cancelledVisits.length,
       message: 'Visit cancelled successfully'
     });
 
@@ -0,0 +1,149 @@
+const { sequelize, AccessLog } = require('../models');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const BATCH_SIZE = parseInt(process.env.ACCESS_LOG_BATCH_SIZE) || 50;
+const FLUSH_INTERVAL_MS = parseInt(process.env.ACCESS_LOG_FLUSH_INTERVAL_MS) || 5000;
+// Upper bound on entries held in memory while the database is unavailable
+const MAX_BUFFERED = BATCH_SIZE * 100;
+
+let buffer = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+/**
+ * Write buffered access log entries in one insert.
+ * Flushes run one at a time; a failed batch is logged and dropped so requests are never held up.
+ */
+const flushAccessLogs = () => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  flushing = flushing.then(async () => {
+    const batch = buffer;
+    buffer = [];
+    if (batch.length === 0) {
+      return 0;
+    }
+
+    try {
+      await AccessLog.bulkCreate(batch, { validate: false });
+      return batch.length;
+    } catch (error) {
+      logger.error(`Failed to write ${batch.length} access log entries:`, error);
+      return 0;
+    }
+  });
+
+  return flushing;
+};
+
+/**
+ * Queue an access log entry. Entries are written once a batch fills up or the flush interval passes.
+ */
+const recordAccess = (entry) => {
+  buffer.push(entry);
+
+  if (buffer.length > MAX_BUFFERED) {
+    buffer.splice(0, buffer.length - MAX_BUFFERED);
+    logger.warn('Access log buffer full; dropping the oldest entries');
+  }
+
+  if (buffer.length >= BATCH_SIZE) {
+    flushAccessLogs();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushAccessLogs, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+};
+
+/**
+ * Requests made by a user or from an IP address, newest first, with a summary of the activity.
+ * The summary lists the IP addresses a user came from, or the users seen behind an IP address.
+ */
+const getActivity = async ({ userId = null, ipAddress = null, startDate = null, endDate = null, page = 1, limit = 50 }) => {
+  try {
+    const whereClause = {};
+    if (userId) whereClause.userId = userId;
+    if (ipAddress) whereClause.ipAddress = ipAddress;
+
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt[Op.gte] = startDate;
+      if (endDate) whereClause.createdAt[Op.lte] = endDate;
+    }
+
+    const relatedField = userId ? 'ipAddress' : 'userId';
+
+    const [{ count, rows }, totals, related] = await Promise.all([
+      AccessLog.findAndCountAll({
+        where: whereClause,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit,
+        include: [
+          {
+            model: sequelize.models.User,
+            as: 'user',
+            attributes: ['id', 'email', 'firstName', 'lastName', 'role']
+          }
+        ]
+      }),
+
+      AccessLog.findOne({
+        where: whereClause,
+        attributes: [
+          [sequelize.fn('SUM', sequelize.literal('CASE WHEN success THEN 0 ELSE 1 END')), 'failedRequests'],
+          [sequelize.fn('MIN', sequelize.col('created_at')), 'firstSeen'],
+          [sequelize.fn('MAX', sequelize.col('created_at')), 'lastSeen']
+        ],
+        raw: true
+      }),
+
+      AccessLog.findAll({
+        where: { ...whereClause, [relatedField]: { [Op.ne]: null } },
+        attributes: [
+          relatedField,
+          [sequelize.fn('COUNT', sequelize.col('id')), 'requests'],
+          [sequelize.fn('MAX', sequelize.col('created_at')), 'lastSeen']
+        ],
+        group: [relatedField],
+        order: [[sequelize.fn('COUNT', sequelize.col('id')), 'DESC']],
+        limit: 20,
+        raw: true
+      })
+    ]);
+
+    return {
+      accessLogs: rows,
+      summary: {
+        totalRequests: count,
+        failedRequests: parseInt(totals.failedRequests) || 0,
+        firstSeen: totals.firstSeen,
+        lastSeen: totals.lastSeen,
+        [userId ? 'ipAddresses' : 'users']: related.map(entry => ({
+          ...entry,
+          requests: parseInt(entry.requests)
+        }))
+      },
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get access activity:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  recordAccess,
+  flushAccessLogs,
+  getActivity
+};
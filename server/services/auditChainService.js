@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { sequelize, AuditLog, AuditCheckpoint } = require('../models');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+const DEFAULT_BATCH_SIZE = 500;
+const MAX_REPORTED_ISSUES = 100;
+
+// Kept apart from JWT_SECRET, which would otherwise turn every past checkpoint invalid when rotated
+const getSigningSecret = () => {
+  const secret = process.env.AUDIT_CHECKPOINT_SECRET;
+  if (!secret) {
+    throw new Error('AUDIT_CHECKPOINT_SECRET environment variable is required');
+  }
+  return secret;
+};
+
+const signCheckpoint = ({ sequence, hash, reason, createdAt }) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${sequence}:${hash}:${reason}:${new Date(createdAt).toISOString()}`)
+    .digest('hex');
+};
+
+const verifyCheckpointSignature = (checkpoint) => {
+  const expected = Buffer.from(signCheckpoint(checkpoint), 'hex');
+  const provided = Buffer.from(checkpoint.signature || '', 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+const buildCheckpoint = ({ sequence, hash, reason, userId }) => {
+  const createdAt = new Date();
+  return {
+    sequence,
+    hash,
+    reason,
+    createdBy: userId,
+    createdAt,
+    signature: signCheckpoint({ sequence, hash, reason, createdAt })
+  };
+};
+
+/**
+ * Record a signed checkpoint of the chain head.
+ * Scheduled checkpoints are skipped when nothing was appended since the last one; returns null then.
+ */
+const createCheckpoint = async ({ reason = 'scheduled', userId = null } = {}) => {
+  try {
+    const head = await AuditLog.getChainHead();
+    if (head.sequence === 0) {
+      return null;
+    }
+
+    if (reason === 'scheduled') {
+      const latest = await AuditCheckpoint.findLatest();
+      if (latest && latest.sequence >= head.sequence) {
+        return null;
+      }
+    }
+
+    const checkpoint = await AuditCheckpoint.create(buildCheckpoint({ ...head, reason, userId }));
+    logger.info(`Audit chain checkpoint recorded at sequence ${checkpoint.sequence}`);
+
+    return checkpoint;
+  } catch (error) {
+    logger.error('Failed to create audit checkpoint:', error);
+    throw error;
+  }
+};
+
+/**
+ * Audit log entries matching `where` that can be deleted without breaking the chain:
+ * the run of entries from the start of the chain up to the first one that must be kept,
+ * plus entries written before chaining was introduced.
+ *
+ * With `limit`, returns one batch; pass the last entry of the previous batch as `after` for the next.
+ * Unchained entries come first in ID order, then chained ones in sequence order.
+ */
+const findPrunableAuditLogs = async (where, { after = null, limit } = {}) => {
+  try {
+    const attributes = ['id', 'sequence', 'hash'];
+
+    const unchained = after && after.sequence !== null ? [] : await AuditLog.findAll({
+      where: { ...where, sequence: null, ...(after ? { id: { [Op.gt]: after.id } } : {}) },
+      attributes,
+      order: [['id', 'ASC']],
+      limit
+    });
+    if (limit && unchained.length > 0) {
+      return unchained;
+    }
+
+    const firstKept = await AuditLog.findOne({
+      where: { sequence: { [Op.ne]: null }, [Op.not]: where },
+      order: [['sequence', 'ASC']],
+      attributes: ['sequence']
+    });
+
+    const sequence = { [Op.ne]: null };
+    if (firstKept) {
+      sequence[Op.lt] = firstKept.sequence;
+    }
+    if (after && after.sequence !== null) {
+      sequence[Op.gt] = after.sequence;
+    }
+
+    const chained = await AuditLog.findAll({
+      where: { ...where, sequence },
+      attributes,
+      order: [['sequence', 'ASC']],
+      limit
+    });
+
+    return [...unchained, ...chained];
+  } catch (error) {
+    logger.error('Failed to find prunable audit logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete entries returned by findPrunableAuditLogs. A prune checkpoint records the last deleted
+ * entry so verification knows where the remaining chain starts.
+ */
+const pruneAuditLogs = async (auditLogs, { userId = null } = {}) => {
+  try {
+    if (auditLogs.length === 0) {
+      return 0;
+    }
+
+    const last = auditLogs
+      .filter(auditLog => auditLog.sequence !== null)
+      .reduce((latest, auditLog) => (!latest || auditLog.sequence > latest.sequence ? auditLog : latest), null);
+
+    return await sequelize.transaction(async (transaction) => {
+      if (last) {
+        await AuditCheckpoint.create(
+          buildCheckpoint({ sequence: last.sequence, hash: last.hash, reason: 'prune', userId }),
+          { transaction }
+        );
+      }
+
+      return AuditLog.destroy({
+        where: { id: { [Op.in]: auditLogs.map(auditLog => auditLog.id) } },
+        transaction
+      });
+    });
+  } catch (error) {
+    logger.error('Failed to prune audit logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Walk the chain in sequence order and report gaps, broken links, modified entries,
+ * checkpoints that no longer match and entries missing from the end of the chain.
+ */
+const verifyAuditChain = async ({ batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  try {
+    const report = {
+      valid: true,
+      verifiedAt: new Date(),
+      firstSequence: null,
+      lastSequence: null,
+      checkedEntries: 0,
+      unchainedEntries: 0,
+      checkpointsChecked: 0,
+      issueCount: 0,
+      issues: []
+    };
+    const addIssue = (issue) => {
+      report.valid = false;
+      report.issueCount++;
+      if (report.issues.length < MAX_REPORTED_ISSUES) {
+        report.issues.push(issue);
+      }
+    };
+
+    const checkpoints = [];
+    for (const checkpoint of await AuditCheckpoint.findAll({ order: [['sequence', 'ASC']] })) {
+      if (verifyCheckpointSignature(checkpoint)) {
+        checkpoints.push(checkpoint);
+      } else {
+        addIssue({ type: 'invalid_checkpoint', sequence: checkpoint.sequence, checkpointId: checkpoint.id });
+      }
+    }
+
+    // Entries up to the latest prune checkpoint were deleted on purpose
+    const prune = checkpoints.filter(checkpoint => checkpoint.reason === 'prune').pop();
+    const startAfter = prune ? prune.sequence : 0;
+    let expected = { sequence: startAfter + 1, hash: prune ? prune.hash : AuditLog.GENESIS_HASH };
+
+    const pending = checkpoints.filter(checkpoint => checkpoint.sequence > startAfter);
+    const bySequence = new Map();
+    pending.forEach(checkpoint => {
+      bySequence.set(checkpoint.sequence, [...(bySequence.get(checkpoint.sequence) || []), checkpoint]);
+    });
+
+    let lastSequence = startAfter;
+    for (;;) {
+      const entries = await AuditLog.findAll({
+        where: { sequence: { [Op.gt]: lastSequence } },
+        order: [['sequence', 'ASC']],
+        limit: batchSize
+      });
+      if (entries.length === 0) {
+        break;
+      }
+
+      for (const entry of entries) {
+        if (report.firstSequence === null) {
+          report.firstSequence = entry.sequence;
+        }
+
+        if (entry.sequence !== expected.sequence) {
+          addIssue({ type: 'gap', expectedSequence: expected.sequence, foundSequence: entry.sequence });
+        } else if (entry.previousHash !== expected.hash) {
+          addIssue({ type: 'broken_link', sequence: entry.sequence, id: entry.id });
+        }
+
+        if (entry.computeHash() !== entry.hash) {
+          addIssue({ type: 'modified', sequence: entry.sequence, id: entry.id });
+        }
+
+        for (const checkpoint of bySequence.get(entry.sequence) || []) {
+          report.checkpointsChecked++;
+          if (checkpoint.hash !== entry.hash) {
+            addIssue({ type: 'checkpoint_mismatch', sequence: entry.sequence, checkpointId: checkpoint.id });
+          }
+        }
+
+        report.checkedEntries++;
+        expected = { sequence: entry.sequence + 1, hash: entry.hash };
+      }
+
+      lastSequence = entries[entries.length - 1].sequence;
+    }
+
+    report.lastSequence = report.checkedEntries > 0 ? lastSequence : null;
+
+    // A checkpoint beyond the last entry means entries were removed from the end
+    pending
+      .filter(checkpoint => checkpoint.sequence > lastSequence)
+      .forEach(checkpoint => addIssue({ type: 'truncated', sequence: checkpoint.sequence, checkpointId: checkpoint.id }));
+
+    report.unchainedEntries = await AuditLog.count({ where: { sequence: null } });
+
+    if (!report.valid) {
+      logger.warn(`Audit chain verification found ${report.issueCount} issue(s)`);
+    }
+
+    return report;
+  } catch (error) {
+    logger.error('Failed to verify audit chain:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  createCheckpoint,
+  findPrunableAuditLogs,
+  pruneAuditLogs,
+  verifyAuditChain,
+  verifyCheckpointSignature
+};
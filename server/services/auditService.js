@@ -1,5 +1,104 @@
+const { once } = require('events');
+const { stringify } = require('csv-stringify');
 const { AuditLog } = require('../models');
+const { findPrunableAuditLogs, pruneAuditLogs } = require('./auditChainService');
 const logger = require('../utils/logger');
+const { getRequestId } = require('../utils/requestContext');
+
+// Appends are serialised so entries in this process link to the chain head one at a time.
+// Another instance can still claim the same sequence first; the unique index rejects that and the append is retried.
+const MAX_APPEND_ATTEMPTS = 5;
+let appendQueue = Promise.resolve();
+
+const appendToChain = (values) => {
+  const append = appendQueue.then(async () => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await AuditLog.create(values);
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError' || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  });
+  appendQueue = append.catch(() => {});
+  return append;
+};
+
+const { Op } = AuditLog.sequelize.Sequelize;
+
+const FILTER_FIELDS = [
+  'userId', 'visitorId', 'visitId', 'action', 'resource', 'resourceId', 'category',
+  'severity', 'outcome', 'riskLevel', 'ipAddress', 'requestId'
+];
+
+const EXPORT_COLUMNS = [
+  'id', 'sequence', 'createdAt', 'userId', 'visitorId', 'visitId', 'action', 'resource', 'resourceId',
+  'category', 'severity', 'outcome', 'riskLevel', 'ipAddress', 'requestId', 'method', 'endpoint',
+  'statusCode', 'isAnonymized', 'details'
+];
+
+const EXPORT_BATCH_SIZE = 500;
+
+const includeActors = () => [
+  {
+    model: AuditLog.sequelize.models.User,
+    as: 'user',
+    attributes: ['id', 'email', 'firstName', 'lastName', 'role']
+  },
+  {
+    model: AuditLog.sequelize.models.Visitor,
+    as: 'visitor',
+    attributes: ['id', 'email', 'firstName', 'lastName', 'company']
+  }
+];
+
+/**
+ * Build a where clause from audit log filters; unset filters are ignored
+ */
+const buildAuditWhere = (filters = {}) => {
+  const whereClause = {};
+
+  FILTER_FIELDS.forEach(field => {
+    if (filters[field]) whereClause[field] = filters[field];
+  });
+
+  // Date range filter
+  if (filters.startDate || filters.endDate) {
+    whereClause.createdAt = {};
+    if (filters.startDate) whereClause.createdAt[Op.gte] = new Date(filters.startDate);
+    if (filters.endDate) whereClause.createdAt[Op.lte] = new Date(filters.endDate);
+  }
+
+  return whereClause;
+};
+
+// Cursors are opaque to clients: the createdAt and id of the last entry returned
+const encodeCursor = (auditLog) => {
+  return Buffer.from(JSON.stringify({ createdAt: auditLog.createdAt, id: auditLog.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    return id && !isNaN(date) ? { createdAt: date, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Entries strictly after the cursor position in the given direction
+const afterCursor = (position, direction) => {
+  const beyond = direction === 'DESC' ? Op.lt : Op.gt;
+  return {
+    [Op.or]: [
+      { createdAt: { [beyond]: position.createdAt } },
+      { createdAt: position.createdAt, id: { [beyond]: position.id } }
+    ]
+  };
+};
 
 /**
  * Create an audit log entry
@@ -31,7 +130,7 @@ const createAuditLog = async ({
   metadata = {}
 }) => {
   try {
-    const auditLog = await AuditLog.create({
+    const auditLog = await appendToChain({
       userId,
       visitorId,
       visitId,
@@ -44,7 +143,8 @@ const createAuditLog = async ({
       ipAddress,
       userAgent,
       sessionId,
-      requestId,
+      // Entries written while handling a request are tied to its access log entry
+      requestId: requestId || getRequestId(),
       method,
       endpoint,
       statusCode,
@@ -101,26 +201,9 @@ const getAuditLogs = async ({
   orderDirection = 'DESC'
 }) => {
   try {
-    const whereClause = {};
-
-    // Build where clause based on filters
-    if (userId) whereClause.userId = userId;
-    if (visitorId) whereClause.visitorId = visitorId;
-    if (visitId) whereClause.visitId = visitId;
-    if (action) whereClause.action = action;
-    if (resource) whereClause.resource = resource;
-    if (category) whereClause.category = category;
-    if (severity) whereClause.severity = severity;
-    if (outcome) whereClause.outcome = outcome;
-    if (riskLevel) whereClause.riskLevel = riskLevel;
-    if (ipAddress) whereClause.ipAddress = ipAddress;
-
-    // Date range filter
-    if (startDate || endDate) {
-      whereClause.createdAt = {};
-      if (startDate) whereClause.createdAt[AuditLog.sequelize.Sequelize.Op.gte] = startDate;
-      if (endDate) whereClause.createdAt[AuditLog.sequelize.Sequelize.Op.lte] = endDate;
-    }
+    const whereClause = buildAuditWhere({
+      userId, visitorId, visitId, action, resource, category, severity, outcome, riskLevel, startDate, endDate, ipAddress
+    });
 
     const offset = (page - 1) * limit;
 
@@ -246,10 +329,10 @@ const getAuditStatistics = async (startDate, endDate) => {
         where: { ...whereClause, userId: { [AuditLog.sequelize.Sequelize.Op.not]: null } },
         attributes: [
           'userId',
-          [AuditLog.sequelize.fn('COUNT', AuditLog.sequelize.col('id')), 'count']
+          [AuditLog.sequelize.fn('COUNT', AuditLog.sequelize.col('AuditLog.id')), 'count']
         ],
-        group: ['userId'],
-        order: [[AuditLog.sequelize.fn('COUNT', AuditLog.sequelize.col('id')), 'DESC']],
+        group: ['userId', 'user.id'],
+        order: [[AuditLog.sequelize.fn('COUNT', AuditLog.sequelize.col('AuditLog.id')), 'DESC']],
         limit: 10,
         include: [
           {
@@ -413,14 +496,13 @@ const cleanupExpiredLogs = async () => {
       }
       logger.info(`Anonymized ${expiredLogs.length} expired audit logs`);
     } else {
-      // Delete expired logs
-      const deletedCount = await AuditLog.destroy({
-        where: {
-          retentionDate: {
-            [AuditLog.sequelize.Sequelize.Op.lt]: new Date()
-          }
+      // Delete expired logs from the start of the hash chain
+      const prunable = await findPrunableAuditLogs({
+        retentionDate: {
+          [AuditLog.sequelize.Sequelize.Op.lt]: new Date()
         }
       });
+      const deletedCount = await pruneAuditLogs(prunable);
       
       logger.info(`Deleted ${deletedCount} expired audit logs`);
       return { deletedCount };
@@ -432,43 +514,98 @@ const cleanupExpiredLogs = async () => {
 };
 
 /**
- * Export audit logs
+ * Query audit logs newest first with cursor pagination.
+ * Returns { auditLogs, nextCursor }; nextCursor is null on the last page.
+ * Throws a TypeError for a cursor that cannot be decoded.
  */
-const exportAuditLogs = async (filters, format = 'json') => {
+const queryAuditLogs = async ({ cursor = null, limit = 50, ...filters } = {}) => {
   try {
-    const auditLogs = await AuditLog.findAll({
-      where: filters,
-      order: [['createdAt', 'DESC']],
-      include: [
-        {
-          model: AuditLog.sequelize.models.User,
-          as: 'user',
-          attributes: ['id', 'email', 'firstName', 'lastName', 'role']
-        },
-        {
-          model: AuditLog.sequelize.models.Visitor,
-          as: 'visitor',
-          attributes: ['id', 'email', 'firstName', 'lastName', 'company']
-        }
-      ]
+    const whereClause = buildAuditWhere(filters);
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        throw new TypeError('Invalid cursor');
+      }
+      Object.assign(whereClause, afterCursor(position, 'DESC'));
+    }
+
+    // One extra row tells whether another page exists
+    const rows = await AuditLog.findAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1,
+      include: includeActors()
     });
 
-    if (format === 'csv') {
-      const csv = require('csv-stringify');
-      const columns = [
-        'id', 'createdAt', 'userId', 'visitorId', 'action', 'resource',
-        'category', 'severity', 'outcome', 'riskLevel', 'ipAddress'
-      ];
-      
-      return new Promise((resolve, reject) => {
-        csv(auditLogs.map(log => log.toJSON()), { columns, header: true }, (err, output) => {
-          if (err) reject(err);
-          else resolve(output);
-        });
+    const auditLogs = rows.slice(0, limit);
+    return {
+      auditLogs,
+      nextCursor: rows.length > limit ? encodeCursor(auditLogs[auditLogs.length - 1]) : null
+    };
+  } catch (error) {
+    if (!(error instanceof TypeError)) {
+      logger.error('Failed to query audit logs:', error);
+    }
+    throw error;
+  }
+};
+
+const toExportRecord = (auditLog) => {
+  const values = auditLog.toJSON();
+  return {
+    ...values,
+    createdAt: values.createdAt instanceof Date ? values.createdAt.toISOString() : values.createdAt,
+    details: JSON.stringify(values.details || {})
+  };
+};
+
+/**
+ * Stream audit logs matching the filters to `output` as CSV or NDJSON, oldest first.
+ * Rows are read in batches so large ranges never sit in memory. Returns the number of rows written.
+ */
+const exportAuditLogs = async ({ filters = {}, format = 'csv', output }) => {
+  try {
+    const whereClause = buildAuditWhere(filters);
+    const csv = format === 'csv' ? stringify({ header: true, columns: EXPORT_COLUMNS }) : null;
+    const target = csv || output;
+    if (csv) {
+      csv.pipe(output, { end: false });
+    }
+
+    const write = async (chunk) => {
+      if (!target.write(chunk)) {
+        await once(target, 'drain');
+      }
+    };
+
+    let position = null;
+    let count = 0;
+
+    for (;;) {
+      const batch = await AuditLog.findAll({
+        where: position ? { ...whereClause, ...afterCursor(position, 'ASC') } : whereClause,
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE
       });
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const auditLog of batch) {
+        await write(csv ? toExportRecord(auditLog) : `${JSON.stringify(auditLog.toJSON())}\n`);
+      }
+
+      count += batch.length;
+      position = { createdAt: batch[batch.length - 1].createdAt, id: batch[batch.length - 1].id };
+    }
+
+    if (csv) {
+      csv.end();
+      await once(csv, 'end');
     }
 
-    return auditLogs;
+    return count;
   } catch (error) {
     logger.error('Failed to export audit logs:', error);
     throw error;
@@ -481,5 +618,6 @@ module.exports = {
   getAuditStatistics,
   getSecurityReport,
   cleanupExpiredLogs,
+  queryAuditLogs,
   exportAuditLogs
 };
\ No newline at end of file
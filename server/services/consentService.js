@@ -0,0 +1,436 @@
+const { ConsentRecord, ConsentText } = require('../models');
+const { removeVisitorPhoto } = require('../middleware/upload');
+const { createAuditLog } = require('./auditService');
+const logger = require('../utils/logger');
+
+// Consent definitions used when a visitor first grants consent
+const consentDefinitions = {
+  gdpr_processing: {
+    consentText: 'I consent to the processing of my personal data for visitor management purposes',
+    processingPurpose: 'Visitor management and security',
+    dataCategories: ['personal_data', 'contact_information']
+  },
+  photo_capture: {
+    consentText: 'I consent to having my photo taken for visitor identification purposes',
+    processingPurpose: 'Visitor identification and security',
+    dataCategories: ['biometric_data', 'photos']
+  },
+  marketing_communications: {
+    consentText: 'I consent to receive marketing communications',
+    processingPurpose: 'Marketing and promotional communications',
+    dataCategories: ['contact_information']
+  },
+  biometric_data: {
+    consentText: 'I consent to biometric data processing for identification purposes',
+    processingPurpose: 'Biometric identification and security',
+    dataCategories: ['biometric_data']
+  }
+};
+
+// Boolean columns on Visitor mirrored from the consent records
+const visitorConsentFlags = {
+  gdpr_processing: 'gdprConsent',
+  photo_capture: 'photoConsent',
+  marketing_communications: 'marketingConsent',
+  biometric_data: 'biometricConsent'
+};
+
+/**
+ * Current text for each consent type: the latest catalogue version, or the built-in definition at 1.0
+ */
+const getCurrentTexts = async () => {
+  const catalogue = await ConsentText.getCatalogue();
+  const texts = {};
+
+  for (const [consentType, definition] of Object.entries(consentDefinitions)) {
+    texts[consentType] = {
+      consentType,
+      version: '1.0',
+      text: definition.consentText,
+      processingPurpose: definition.processingPurpose,
+      dataCategories: definition.dataCategories,
+      legalBasis: 'consent'
+    };
+  }
+
+  for (const [consentType, text] of Object.entries(catalogue)) {
+    texts[consentType] = {
+      consentType,
+      version: text.version,
+      text: text.text,
+      processingPurpose: text.processingPurpose,
+      dataCategories: text.dataCategories,
+      legalBasis: text.legalBasis
+    };
+  }
+
+  return texts;
+};
+
+/**
+ * Build a consent record from the current text for its type
+ */
+const buildConsentRecord = (text, fields) => ({
+  consentType: text.consentType,
+  consentVersion: text.version,
+  consentText: text.text,
+  processingPurpose: text.processingPurpose,
+  dataCategories: text.dataCategories,
+  legalBasis: text.legalBasis,
+  ...fields
+});
+
+/**
+ * Create consent records for the consents a visitor has granted, inside `transaction` when given
+ */
+const createInitialConsents = async ({
+  visitorId,
+  gdprConsent = false,
+  photoConsent = false,
+  marketingConsent = false,
+  biometricConsent = false,
+  consentMethod = 'web_form',
+  ipAddress = null,
+  userAgent = null
+}, { transaction } = {}) => {
+  try {
+    const granted = {
+      gdpr_processing: gdprConsent,
+      photo_capture: photoConsent,
+      marketing_communications: marketingConsent,
+      biometric_data: biometricConsent
+    };
+
+    const texts = await getCurrentTexts();
+
+    const consentRecords = Object.keys(granted)
+      .filter(consentType => granted[consentType])
+      .map(consentType => buildConsentRecord(texts[consentType], {
+        visitorId,
+        consentStatus: 'granted',
+        consentMethod,
+        ipAddress,
+        userAgent
+      }));
+
+    if (consentRecords.length === 0) {
+      return [];
+    }
+
+    return await ConsentRecord.bulkCreate(consentRecords, { transaction });
+  } catch (error) {
+    logger.error('Failed to create consent records:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mirror the active consent records onto the visitor's boolean consent columns
+ */
+const syncVisitorConsentFlags = async (visitor) => {
+  const updates = {};
+
+  for (const [consentType, flag] of Object.entries(visitorConsentFlags)) {
+    const record = await ConsentRecord.findByVisitorAndType(visitor.id, consentType);
+
+    // Visitors created before consent records existed keep their flags until asked
+    if (!record && (await ConsentRecord.count({ where: { visitorId: visitor.id, consentType } })) === 0) {
+      continue;
+    }
+
+    const valid = !!record && record.isValid();
+    updates[flag] = valid;
+    updates[`${flag}Date`] = valid ? record.createdAt : null;
+  }
+
+  await visitor.update(updates);
+  return visitor;
+};
+
+/**
+ * Whether a granted consent was given to a version that has since been replaced by one requiring re-consent
+ */
+const isOutdated = (record, versions) => {
+  return versions.some(text => text.requiresReconsent &&
+    ConsentText.compareVersions(text.version, record.consentVersion) > 0);
+};
+
+/**
+ * Granted consents the visitor must agree to again, with the text they will be shown
+ */
+const getOutdatedConsents = async (visitorId) => {
+  const records = await ConsentRecord.findByVisitor(visitorId);
+  const outdated = [];
+
+  for (const record of records.filter(record => record.consentStatus === 'granted')) {
+    const versions = await ConsentText.findVersions(record.consentType);
+    if (isOutdated(record, versions)) {
+      outdated.push({
+        consentType: record.consentType,
+        consentedVersion: record.consentVersion,
+        currentVersion: versions[0].version,
+        text: versions[0].text,
+        processingPurpose: versions[0].processingPurpose
+      });
+    }
+  }
+
+  return outdated;
+};
+
+/**
+ * Current state of each consent type for a visitor, plus the full history
+ */
+const getConsentSummary = async (visitorId) => {
+  const texts = await getCurrentTexts();
+  const history = await ConsentRecord.findAll({
+    where: { visitorId },
+    order: [['createdAt', 'DESC']]
+  });
+  const outdatedTypes = (await getOutdatedConsents(visitorId)).map(consent => consent.consentType);
+
+  const consentTypes = [...new Set([...Object.keys(texts), ...history.map(record => record.consentType)])];
+  const consents = consentTypes.map(consentType => {
+    const record = history.find(entry => entry.consentType === consentType && entry.isActive) ||
+      history.find(entry => entry.consentType === consentType) ||
+      null;
+
+    return {
+      consentType,
+      status: record ? record.consentStatus : 'not_asked',
+      consentedVersion: record ? record.consentVersion : null,
+      currentVersion: texts[consentType] ? texts[consentType].version : null,
+      needsReconsent: outdatedTypes.includes(consentType),
+      recordedAt: record ? record.createdAt : null
+    };
+  });
+
+  return { consents, history };
+};
+
+/**
+ * Side effects of losing a consent beyond the synced flags. Marketing audiences come from
+ * Visitor.findMarketingRecipients, so clearing marketingConsent stops them; photo_capture also deletes the stored photo.
+ */
+const applyWithdrawalEffects = async (visitor, consentType) => {
+  if (consentType === 'photo_capture' && visitor.photo) {
+    removeVisitorPhoto(visitor.photo);
+    await visitor.update({ photo: null });
+  }
+};
+
+/**
+ * Audit a consent change under the privacy category
+ */
+const auditConsent = (visitor, action, record, { userId = null, ipAddress = null, userAgent = null, details = {} } = {}) => {
+  return createAuditLog({
+    userId,
+    visitorId: visitor.id,
+    action,
+    resource: 'consent_record',
+    resourceId: record.id,
+    details: {
+      consentType: record.consentType,
+      consentVersion: record.consentVersion,
+      ...details
+    },
+    ipAddress,
+    userAgent,
+    category: 'privacy',
+    severity: 'medium',
+    complianceFlags: ['pdpa']
+  });
+};
+
+/**
+ * Withdraw the visitor's active consent of one type. Returns null when there is no granted consent to withdraw.
+ */
+const withdrawConsent = async ({ visitor, consentType, reason = null, userId = null, ipAddress = null, userAgent = null }) => {
+  try {
+    const record = await ConsentRecord.findByVisitorAndType(visitor.id, consentType);
+    if (!record || record.consentStatus !== 'granted') {
+      return null;
+    }
+
+    await record.withdraw(reason);
+    await applyWithdrawalEffects(visitor, consentType);
+    await syncVisitorConsentFlags(visitor);
+
+    await auditConsent(visitor, 'CONSENT_WITHDRAWN', record, {
+      userId,
+      ipAddress,
+      userAgent,
+      details: { reason }
+    });
+
+    return record;
+  } catch (error) {
+    logger.error('Failed to withdraw consent:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the visitor's answers ({ consentType: true|false }) against the current consent texts.
+ * Granting renews an existing record on an older version; declining withdraws an existing grant.
+ */
+const recordConsentDecisions = async ({ visitor, decisions, consentMethod = 'web_form', userId = null, ipAddress = null, userAgent = null }) => {
+  try {
+    const texts = await getCurrentTexts();
+    const context = { userId, ipAddress, userAgent };
+    const records = [];
+
+    for (const [consentType, granted] of Object.entries(decisions)) {
+      const text = texts[consentType];
+      const existing = await ConsentRecord.findByVisitorAndType(visitor.id, consentType);
+
+      if (!granted) {
+        if (existing && existing.consentStatus === 'granted') {
+          records.push(await withdrawConsent({ visitor, consentType, reason: 'Declined when asked again', ...context }));
+          continue;
+        }
+
+        if (existing) {
+          existing.isActive = false;
+          await existing.save();
+        }
+
+        const denied = await ConsentRecord.create(buildConsentRecord(text, {
+          visitorId: visitor.id,
+          consentStatus: 'denied',
+          consentMethod,
+          ipAddress,
+          userAgent,
+          witnessedBy: userId,
+          parentConsentId: existing ? existing.id : null
+        }));
+        await auditConsent(visitor, 'CONSENT_DENIED', denied, context);
+        records.push(denied);
+        continue;
+      }
+
+      if (existing && existing.isValid() && existing.consentVersion === text.version) {
+        records.push(existing);
+        continue;
+      }
+
+      let record;
+      if (existing) {
+        record = await existing.renew(text.text, text.version);
+        await record.update({
+          consentStatus: 'granted',
+          processingPurpose: text.processingPurpose,
+          dataCategories: text.dataCategories,
+          legalBasis: text.legalBasis,
+          consentMethod,
+          ipAddress,
+          userAgent,
+          witnessedBy: userId
+        });
+      } else {
+        record = await ConsentRecord.create(buildConsentRecord(text, {
+          visitorId: visitor.id,
+          consentStatus: 'granted',
+          consentMethod,
+          ipAddress,
+          userAgent,
+          witnessedBy: userId
+        }));
+      }
+
+      await auditConsent(visitor, 'CONSENT_GRANTED', record, {
+        ...context,
+        details: existing ? { previousVersion: existing.consentVersion } : {}
+      });
+      records.push(record);
+    }
+
+    await syncVisitorConsentFlags(visitor);
+
+    return records;
+  } catch (error) {
+    logger.error('Failed to record consent decisions:', error);
+    throw error;
+  }
+};
+
+/**
+ * At check-in: list outdated consents the visitor has not answered yet, or record the answers given.
+ * Returns the consents still pending; check-in should wait while any remain.
+ */
+const resolveCheckInConsents = async (visitor, answers = {}, context = {}) => {
+  const outdated = await getOutdatedConsents(visitor.id);
+  if (outdated.length === 0) {
+    return [];
+  }
+
+  const pending = outdated.filter(consent => typeof (answers || {})[consent.consentType] !== 'boolean');
+  if (pending.length > 0) {
+    return pending;
+  }
+
+  const decisions = {};
+  outdated.forEach(consent => {
+    decisions[consent.consentType] = answers[consent.consentType];
+  });
+
+  await recordConsentDecisions({ visitor, decisions, ...context });
+  return [];
+};
+
+/**
+ * Publish a new version of a consent text. Visitors on older versions are asked again if requiresReconsent is set.
+ */
+const publishConsentText = async ({ consentType, version, text, processingPurpose, dataCategories = [], legalBasis = 'consent', requiresReconsent = true, publishedBy = null, ipAddress = null, userAgent = null }) => {
+  try {
+    const previous = (await getCurrentTexts())[consentType];
+
+    const consentText = await ConsentText.create({
+      consentType,
+      version,
+      text,
+      processingPurpose,
+      dataCategories,
+      legalBasis,
+      requiresReconsent,
+      publishedBy
+    });
+
+    await createAuditLog({
+      userId: publishedBy,
+      action: 'CONSENT_TEXT_PUBLISHED',
+      resource: 'consent_text',
+      resourceId: consentText.id,
+      details: {
+        consentType,
+        version,
+        previousVersion: previous ? previous.version : null,
+        requiresReconsent
+      },
+      ipAddress,
+      userAgent,
+      category: 'privacy',
+      severity: 'medium',
+      complianceFlags: ['pdpa']
+    });
+
+    return consentText;
+  } catch (error) {
+    logger.error('Failed to publish consent text:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  consentDefinitions,
+  visitorConsentFlags,
+  getCurrentTexts,
+  createInitialConsents,
+  syncVisitorConsentFlags,
+  getOutdatedConsents,
+  getConsentSummary,
+  withdrawConsent,
+  recordConsentDecisions,
+  resolveCheckInConsents,
+  publishConsentText
+};
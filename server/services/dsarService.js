@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { stringify } = require('csv-stringify/sync');
+const { sequelize, AuditLog, ConsentRecord, DataSubjectRequest, SystemSetting, Visit, Visitor } = require('../models');
+const { getVisitorPhotoPath } = require('../middleware/upload');
+const { sendEmail } = require('./emailService');
+const { createAuditLog } = require('./auditService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const OTP_TTL_MINUTES = parseInt(process.env.DSAR_OTP_TTL_MINUTES) || 15;
+const MAX_OTP_ATTEMPTS = 5;
+
+/**
+ * Days allowed to respond to a request, from the dsar_response_days setting
+ */
+const getResponseDays = async () => {
+  const days = await SystemSetting.getSetting('dsar_response_days');
+  return days && !isNaN(days) ? Number(days) : 30;
+};
+
+/**
+ * Hash a verification code together with its request so codes cannot be reused across requests
+ */
+const hashCode = (request, code) => {
+  return crypto.createHash('sha256').update(`${request.id}:${code}`).digest('hex');
+};
+
+/**
+ * Audit a step of a request under the privacy category
+ */
+const auditStep = (request, action, { userId = null, ipAddress = null, userAgent = null, details = {}, outcome = 'success', severity = 'medium' } = {}) => {
+  return createAuditLog({
+    userId,
+    visitorId: request.visitorId,
+    action,
+    resource: 'data_subject_request',
+    resourceId: request.id,
+    details: {
+      requestType: request.requestType,
+      status: request.status,
+      ...details
+    },
+    ipAddress,
+    userAgent,
+    category: 'privacy',
+    severity,
+    outcome,
+    complianceFlags: ['pdpa']
+  });
+};
+
+/**
+ * Email the visitor a fresh one-time code, replacing any earlier one
+ */
+const sendVerificationCode = async (request, visitor, context = {}) => {
+  try {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    await request.update({
+      verificationEmail: visitor.email,
+      otpHash: hashCode(request, code),
+      otpExpiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+      otpAttempts: 0
+    });
+
+    await sendEmail({
+      to: visitor.email,
+      template: 'dsar-verification',
+      data: {
+        firstName: visitor.firstName,
+        code,
+        expiresInMinutes: OTP_TTL_MINUTES
+      }
+    });
+
+    await auditStep(request, 'DSAR_VERIFICATION_SENT', {
+      ...context,
+      details: { email: visitor.email }
+    });
+
+    return request;
+  } catch (error) {
+    logger.error('Failed to send DSAR verification code:', error);
+    throw error;
+  }
+};
+
+/**
+ * Log a request against a visitor, start the response clock and send the verification code
+ */
+const createRequest = async ({ visitor, requestType = 'access', receivedVia = 'in_person', notes = null, requestedBy = null, ipAddress = null, userAgent = null }) => {
+  try {
+    const days = await getResponseDays();
+
+    const request = await DataSubjectRequest.create({
+      visitorId: visitor.id,
+      requestType,
+      receivedVia,
+      notes,
+      requestedBy,
+      dueDate: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    const context = { userId: requestedBy, ipAddress, userAgent };
+
+    await auditStep(request, 'DSAR_REQUEST_CREATED', {
+      ...context,
+      details: { receivedVia, dueDate: request.dueDate }
+    });
+
+    await sendVerificationCode(request, visitor, context);
+
+    return request;
+  } catch (error) {
+    logger.error('Failed to create DSAR request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check the code the visitor received. Returns { verified, reason } rather than throwing on a bad code.
+ */
+const verifyIdentity = async (request, code, context = {}) => {
+  try {
+    let reason = null;
+
+    if (!request.otpHash) {
+      reason = 'No verification code has been sent';
+    } else if (request.otpAttempts >= MAX_OTP_ATTEMPTS) {
+      reason = 'Too many failed attempts; send a new code';
+    } else if (new Date(request.otpExpiresAt) < new Date()) {
+      reason = 'Verification code has expired; send a new code';
+    } else {
+      const expected = Buffer.from(request.otpHash, 'hex');
+      const actual = Buffer.from(hashCode(request, String(code)), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        await request.increment('otpAttempts');
+        await request.reload();
+        reason = 'Invalid verification code';
+      }
+    }
+
+    if (reason) {
+      await auditStep(request, 'DSAR_VERIFICATION_FAILED', {
+        ...context,
+        details: { reason, attempts: request.otpAttempts },
+        outcome: 'failure'
+      });
+      return { verified: false, reason };
+    }
+
+    await request.update({
+      status: 'verified',
+      verifiedAt: new Date(),
+      otpHash: null,
+      otpExpiresAt: null
+    });
+
+    await auditStep(request, 'DSAR_IDENTITY_VERIFIED', context);
+
+    return { verified: true, reason: null };
+  } catch (error) {
+    logger.error('Failed to verify DSAR identity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Everything held about a visitor: profile, visits, consent history and audit entries referencing them
+ */
+const collectSubjectData = async (visitorId) => {
+  const visitor = await Visitor.findByPk(visitorId);
+  const visits = await Visit.findAll({
+    where: { visitorId },
+    order: [['createdAt', 'ASC']]
+  });
+  const consents = await ConsentRecord.findAll({
+    where: { visitorId },
+    order: [['createdAt', 'ASC']]
+  });
+
+  const visitIds = visits.map(visit => visit.id);
+  const auditLogs = await AuditLog.findAll({
+    where: {
+      [Op.or]: [
+        { visitorId },
+        ...(visitIds.length > 0 ? [{ visitId: { [Op.in]: visitIds } }] : []),
+        { resourceId: { [Op.in]: [visitorId, ...visitIds] } }
+      ]
+    },
+    order: [['createdAt', 'ASC']]
+  });
+
+  return { visitor, visits, consents, auditLogs };
+};
+
+/**
+ * Flatten rows into CSV, serialising nested values as JSON
+ */
+const toCsv = (rows) => {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const records = rows.map(row => columns.map(column => {
+    const value = row[column];
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }));
+
+  return stringify(records, { header: true, columns });
+};
+
+/**
+ * Compile the machine-readable bundle: JSON and CSV for each dataset plus the visitor's photo
+ */
+const buildExportBundle = async (request) => {
+  const { visitor, visits, consents, auditLogs } = await collectSubjectData(request.visitorId);
+
+  // Raw values: the subject is entitled to everything held, including fields toJSON hides
+  const datasets = {
+    visitor: [visitor.get({ plain: true })],
+    visits: visits.map(visit => visit.get({ plain: true })),
+    consents: consents.map(consent => consent.get({ plain: true })),
+    'audit-logs': auditLogs.map(auditLog => auditLog.get({ plain: true }))
+  };
+
+  const zip = new JSZip();
+  const files = [];
+
+  for (const [name, rows] of Object.entries(datasets)) {
+    const data = name === 'visitor' ? rows[0] : rows;
+    zip.file(`${name}.json`, JSON.stringify(data, null, 2));
+    zip.file(`${name}.csv`, toCsv(rows));
+    files.push(`${name}.json`, `${name}.csv`);
+  }
+
+  if (visitor.photo) {
+    const photoName = path.basename(visitor.photo);
+    const photoPath = getVisitorPhotoPath(photoName);
+    if (fs.existsSync(photoPath)) {
+      zip.file(`photo/${photoName}`, fs.readFileSync(photoPath));
+      files.push(`photo/${photoName}`);
+    }
+  }
+
+  zip.file('manifest.json', JSON.stringify({
+    requestId: request.id,
+    requestType: request.requestType,
+    visitorId: request.visitorId,
+    generatedAt: new Date(),
+    counts: {
+      visits: visits.length,
+      consents: consents.length,
+      auditLogs: auditLogs.length
+    },
+    files
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+/**
+ * Produce the bundle for a verified request and mark the request completed
+ */
+const exportRequest = async (request, userId, context = {}) => {
+  try {
+    const buffer = await buildExportBundle(request);
+
+    await request.update({
+      status: 'completed',
+      completedAt: request.completedAt || new Date(),
+      completedBy: request.completedBy || userId,
+      exportCount: request.exportCount + 1
+    });
+
+    await auditStep(request, 'DSAR_EXPORTED', {
+      userId,
+      ...context,
+      details: {
+        exportCount: request.exportCount,
+        bytes: buffer.length,
+        onTime: new Date(request.completedAt) <= new Date(request.dueDate)
+      }
+    });
+
+    return {
+      buffer,
+      filename: `dsar-${request.visitorId}-${request.id}.zip`
+    };
+  } catch (error) {
+    logger.error('Failed to export DSAR bundle:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close a request without a response, e.g. when identity cannot be verified
+ */
+const rejectRequest = async (request, reason, userId, context = {}) => {
+  try {
+    await request.update({
+      status: 'rejected',
+      rejectionReason: reason,
+      completedAt: new Date(),
+      completedBy: userId,
+      otpHash: null,
+      otpExpiresAt: null
+    });
+
+    await auditStep(request, 'DSAR_REJECTED', {
+      userId,
+      ...context,
+      details: { reason }
+    });
+
+    return request;
+  } catch (error) {
+    logger.error('Failed to reject DSAR request:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  MAX_OTP_ATTEMPTS,
+  getResponseDays,
+  createRequest,
+  sendVerificationCode,
+  verifyIdentity,
+  collectSubjectData,
+  buildExportBundle,
+  exportRequest,
+  rejectRequest
+};
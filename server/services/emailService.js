@@ -1,105 +1,9 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
+const { NotificationTemplate } = require('../models');
 const logger = require('../utils/logger');
 
-// Email templates
-const emailTemplates = {
-  welcome: {
-    subject: 'Welcome to Neo VMS',
-    template: `
-      <h2>Welcome to Neo VMS, {{firstName}}!</h2>
-      <p>Your account has been created successfully. Please verify your email address by clicking the link below:</p>
-      <a href="{{verificationUrl}}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a>
-      <p>If you didn't create this account, please ignore this email.</p>
-    `
-  },
-  
-  'password-reset': {
-    subject: 'Password Reset - Neo VMS',
-    template: `
-      <h2>Password Reset Request</h2>
-      <p>Hello {{firstName}},</p>
-      <p>We received a request to reset your password for your Neo VMS account.</p>
-      <p>Click the link below to reset your password:</p>
-      <a href="{{resetUrl}}" style="background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
-      <p>This link will expire in 1 hour.</p>
-      <p>If you didn't request this password reset, please ignore this email.</p>
-    `
-  },
-  
-  notification: {
-    subject: '{{title}}',
-    template: `
-      <h2>{{title}}</h2>
-      <p>Hello {{firstName}},</p>
-      <p>{{message}}</p>
-      <p>This notification was sent from Neo VMS.</p>
-    `
-  },
-  
-  'visitor-arrival': {
-    subject: 'Visitor Arrival - Neo VMS',
-    template: `
-      <h2>Your Visitor Has Arrived</h2>
-      <p>Hello {{firstName}},</p>
-      <p><strong>{{visitorName}}</strong> from {{company}} has arrived for:</p>
-      <p><em>{{purpose}}</em></p>
-      <p>Check-in time: {{checkedInAt}}</p>
-      <p>Please come to the reception area to meet your visitor.</p>
-    `
-  },
-  
-  'visitor-departure': {
-    subject: 'Visitor Departure - Neo VMS',
-    template: `
-      <h2>Visitor Departure</h2>
-      <p>Hello {{firstName}},</p>
-      <p><strong>{{visitorName}}</strong> has checked out.</p>
-      <p>Visit duration: {{duration}}</p>
-      <p>Check-out time: {{checkedOutAt}}</p>
-      <p>Thank you for hosting your visitor.</p>
-    `
-  },
-  
-  emergency: {
-    subject: 'EMERGENCY ALERT - {{emergencyType}}',
-    template: `
-      <h2 style="color: red;">EMERGENCY ALERT</h2>
-      <p>Hello {{firstName}},</p>
-      <p><strong>Emergency Type:</strong> {{emergencyType}}</p>
-      <p><strong>Message:</strong> {{message}}</p>
-      <p><strong>Location:</strong> {{location}}</p>
-      <p><strong>Time:</strong> {{timestamp}}</p>
-      <p style="color: red;"><strong>Please follow emergency procedures immediately.</strong></p>
-    `
-  },
-  
-  'visit-overdue': {
-    subject: 'Visit Overdue - Neo VMS',
-    template: `
-      <h2>Visit Overdue Alert</h2>
-      <p>Hello {{firstName}},</p>
-      <p>Your visitor <strong>{{visitorName}}</strong> from {{company}} is overdue by {{overdueMinutes}} minutes.</p>
-      <p>Expected checkout time: {{expectedCheckout}}</p>
-      <p>Please check on your visitor or contact security if needed.</p>
-    `
-  },
-  
-  'security-alert': {
-    subject: 'Security Alert - Neo VMS',
-    template: `
-      <h2>Security Alert</h2>
-      <p>Hello {{firstName}},</p>
-      <p><strong>Alert Type:</strong> {{alertType}}</p>
-      <p><strong>Severity:</strong> {{severity}}</p>
-      <p><strong>Location:</strong> {{location}}</p>
-      <p><strong>Details:</strong> {{details}}</p>
-      <p>Please investigate immediately.</p>
-    `
-  }
-};
-
 // Create transporter
 let transporter = null;
 
@@ -122,25 +26,21 @@ const createTransporter = () => {
 };
 
 /**
- * Render email template with data
+ * Render a stored email template in the requested language. If no row exists in any language
+ * (deleted, or not seeded yet), the built-in English version is used so the email still goes out.
  */
-const renderTemplate = (templateName, data) => {
-  const template = emailTemplates[templateName];
+const renderTemplate = async (templateName, data, language = null) => {
+  let template = await NotificationTemplate.findForLocale(templateName, 'email', language);
   if (!template) {
-    throw new Error(`Email template '${templateName}' not found`);
+    template = NotificationTemplate.buildDefault(templateName, 'email');
+    if (!template) {
+      throw new Error(`Email template '${templateName}' not found`);
+    }
+    logger.warn('Email template missing from the database, using the built-in version', { template: templateName });
   }
-  
-  let subject = template.subject;
-  let html = template.template;
-  
-  // Replace placeholders
-  Object.keys(data).forEach(key => {
-    const placeholder = new RegExp(`{{${key}}}`, 'g');
-    subject = subject.replace(placeholder, data[key] || '');
-    html = html.replace(placeholder, data[key] || '');
-  });
-  
-  return { subject, html };
+
+  const { subject, body } = template.render(data);
+  return { subject, html: body };
 };
 
 /**
@@ -152,6 +52,7 @@ const sendEmail = async ({
   html = '',
   template = null,
   data = {},
+  language = null,
   attachments = []
 }) => {
   try {
@@ -162,7 +63,7 @@ const sendEmail = async ({
     
     // Use template if provided
     if (template) {
-      const rendered = renderTemplate(template, data);
+      const rendered = await renderTemplate(template, data, language);
       emailSubject = rendered.subject;
       emailHtml = rendered.html;
     }
@@ -348,82 +249,6 @@ const sendSecurityDigestEmail = async (securityUsers, digestData) => {
   }
 };
 
-// Add visitor pre-registration template
-emailTemplates['visitor-pre-registration'] = {
-  subject: 'Your Visit to {{company}} - Pre-Registration Confirmation',
-  template: `
-    <h2>Visit Confirmation</h2>
-    <p>Hello {{visitorName}},</p>
-    <p>Your visit to meet <strong>{{hostName}}</strong> has been confirmed.</p>
-    
-    <h3>Visit Details:</h3>
-    <ul>
-      <li><strong>Host:</strong> {{hostName}}</li>
-      <li><strong>Purpose:</strong> {{purpose}}</li>
-      <li><strong>Scheduled Arrival:</strong> {{scheduledArrival}}</li>
-      <li><strong>Location:</strong> {{location}}</li>
-    </ul>
-    
-    <h3>Instructions:</h3>
-    <p>Please present the QR code below when you arrive at the reception:</p>
-    <img src="cid:qrcode" alt="QR Code" style="border: 1px solid #ccc; padding: 10px;" />
-    
-    <p>If you need to reschedule or cancel your visit, please contact your host directly.</p>
-    
-    <p>Thank you!</p>
-  `
-};
-
-// Add daily summary template
-emailTemplates['daily-summary'] = {
-  subject: 'Daily Visitor Summary - {{date}}',
-  template: `
-    <h2>Daily Visitor Summary</h2>
-    <p>Hello {{firstName}},</p>
-    <p>Here's your daily visitor summary for {{date}}:</p>
-    
-    <h3>Overview:</h3>
-    <ul>
-      <li><strong>Total Visits:</strong> {{totalVisits}}</li>
-      <li><strong>Active Visits:</strong> {{activeVisits}}</li>
-      <li><strong>New Visitors:</strong> {{newVisitors}}</li>
-      <li><strong>Average Visit Duration:</strong> {{averageVisitDuration}}</li>
-    </ul>
-    
-    <h3>Top Companies:</h3>
-    <ul>
-      {{#each topCompanies}}
-      <li>{{name}}: {{count}} visits</li>
-      {{/each}}
-    </ul>
-    
-    <p>For detailed reports, please visit the Neo VMS dashboard.</p>
-  `
-};
-
-// Add security digest template
-emailTemplates['security-digest'] = {
-  subject: 'Security Digest - {{date}}',
-  template: `
-    <h2>Security Digest</h2>
-    <p>Hello {{firstName}},</p>
-    <p>Here's your security digest for {{date}}:</p>
-    
-    <h3>Security Events:</h3>
-    <ul>
-      <li><strong>Total Security Events:</strong> {{totalSecurityEvents}}</li>
-      <li><strong>Failed Logins:</strong> {{failedLogins}}</li>
-      <li><strong>Suspicious Activities:</strong> {{suspiciousActivities}}</li>
-      <li><strong>Blacklisted Visitors:</strong> {{blacklistedVisitors}}</li>
-      <li><strong>Emergency Alerts:</strong> {{emergencyAlerts}}</li>
-    </ul>
-    
-    <p>Please review the security dashboard for detailed information.</p>
-    
-    <p style="color: orange;">If you notice any concerning patterns, please investigate immediately.</p>
-  `
-};
-
 module.exports = {
   sendEmail,
   sendBulkEmails,
@@ -0,0 +1,477 @@
+const { sequelize, EmergencyContact, EmergencyIncident, EmergencyIncidentRecipient, EvacuationRollCall, EvacuationRollCallEntry, SystemSetting, User, UserSession, Visit } = require('../models');
+const { broadcastToAll, sendNotificationToRole, sendNotificationToUser } = require('./socketService');
+const { sendEmergencySMS } = require('./smsService');
+const { sendEmail } = require('./emailService');
+const { createAuditLog } = require('./auditService');
+const { storeNotification } = require('./notificationInboxService');
+const { getSecurityPolicy } = require('./settingsService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const DRILL_PREFIX = '[DRILL] ';
+
+// Contact alerts still being sent, so shutdown can wait for them
+const pendingContactDeliveries = new Set();
+
+/**
+ * Summarise delivery and acknowledgement state for an incident's recipients
+ */
+const summarizeRecipients = (recipients) => {
+  const summary = {
+    total: recipients.length,
+    acknowledged: 0,
+    unacknowledged: 0,
+    deliveries: {}
+  };
+
+  for (const recipient of recipients) {
+    if (recipient.acknowledgedAt) {
+      summary.acknowledged++;
+    } else {
+      summary.unacknowledged++;
+    }
+
+    for (const [channel, delivery] of Object.entries(recipient.deliveries || {})) {
+      summary.deliveries[channel] = summary.deliveries[channel] || {};
+      summary.deliveries[channel][delivery.status] = (summary.deliveries[channel][delivery.status] || 0) + 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Message text as recipients see it, so nobody mistakes a drill for a real emergency
+ */
+const getAlertText = (incident) => {
+  return incident.isDrill ? `${DRILL_PREFIX}${incident.message}` : incident.message;
+};
+
+/**
+ * Roles that take part in drills
+ */
+const getDrillRoles = async () => {
+  return (await SystemSetting.getSetting('emergency_drill_roles')) || ['admin', 'security'];
+};
+
+/**
+ * Users on site. Staff presence is not tracked directly, so this is everyone hosting a checked-in
+ * visitor or signed in with a session that has been active within the session timeout.
+ */
+const findOnSiteUsers = async () => {
+  const { sessionTimeoutMinutes } = await getSecurityPolicy();
+  const activeSince = new Date(Date.now() - sessionTimeoutMinutes * 60 * 1000);
+
+  const [sessions, visits] = await Promise.all([
+    UserSession.findAll({ where: { revokedAt: null, lastSeenAt: { [Op.gte]: activeSince } }, attributes: ['userId'] }),
+    Visit.findAll({ where: { status: 'checked_in' }, attributes: ['hostId'] })
+  ]);
+
+  const userIds = [...new Set([...sessions.map(session => session.userId), ...visits.map(visit => visit.hostId)])];
+  return userIds.length === 0 ? [] : User.findAll({ where: { id: { [Op.in]: userIds }, isActive: true } });
+};
+
+/**
+ * Contacts and users to alert: users on site, or for drills only the configured drill audience.
+ */
+const getAudience = async (isDrill) => {
+  if (!isDrill) {
+    const contacts = await EmergencyContact.findAll({
+      where: { isActive: true },
+      order: [['priority', 'ASC'], ['name', 'ASC']]
+    });
+    return { contacts, users: await findOnSiteUsers(), roles: ['all'] };
+  }
+
+  const contactIds = (await SystemSetting.getSetting('emergency_drill_contact_ids')) || [];
+  const roles = await getDrillRoles();
+
+  const contacts = contactIds.length === 0 ? [] : await EmergencyContact.findAll({
+    where: { id: { [Op.in]: contactIds }, isActive: true },
+    order: [['priority', 'ASC'], ['name', 'ASC']]
+  });
+  const users = roles.length === 0 ? [] : await User.findAll({
+    where: { role: { [Op.in]: roles }, isActive: true }
+  });
+
+  return { contacts, users, roles };
+};
+
+/**
+ * Text alert to an emergency contact. sendEmergencySMS reports failures per number rather than throwing.
+ */
+const smsContact = async (incident, recipient) => {
+  try {
+    const [result] = await sendEmergencySMS([recipient.phone], incident.type, getAlertText(incident), incident.affectedArea || 'site');
+
+    if (result && result.success && !(result.result && result.result.success === false)) {
+      await recipient.recordDelivery('sms', 'sent');
+    } else {
+      const reason = result ? result.error || (result.result && result.result.reason) : 'No result from SMS service';
+      await recipient.recordDelivery('sms', 'failed', reason);
+    }
+  } catch (error) {
+    await recipient.recordDelivery('sms', 'failed', error.message);
+  }
+};
+
+/**
+ * Email alert to an emergency contact
+ */
+const emailContact = async (incident, recipient) => {
+  if (!recipient.email) {
+    await recipient.recordDelivery('email', 'skipped', 'No email address');
+    return;
+  }
+
+  try {
+    await sendEmail({
+      to: recipient.email,
+      template: 'emergency',
+      data: {
+        firstName: recipient.name,
+        emergencyType: incident.type,
+        message: getAlertText(incident),
+        location: incident.affectedArea,
+        timestamp: incident.createdAt
+      }
+    });
+    await recipient.recordDelivery('email', 'sent');
+  } catch (error) {
+    await recipient.recordDelivery('email', 'failed', error.message);
+  }
+};
+
+/**
+ * SMS then email to each contact in priority order, followed by an audit entry with the outcome.
+ * Failures are recorded per recipient, so this never rejects.
+ */
+const deliverToContacts = async (incident, contactRecipients, { ipAddress = null, userAgent = null } = {}) => {
+  try {
+    for (const recipient of contactRecipients) {
+      await smsContact(incident, recipient);
+      await emailContact(incident, recipient);
+    }
+
+    await createAuditLog({
+      userId: incident.triggeredBy,
+      action: 'EMERGENCY_CONTACTS_ALERTED',
+      resource: 'emergency_incident',
+      resourceId: incident.id,
+      details: {
+        drill: incident.isDrill,
+        contacts: contactRecipients.length,
+        deliveries: summarizeRecipients(contactRecipients).deliveries
+      },
+      ipAddress,
+      userAgent,
+      category: 'security',
+      severity: incident.isDrill ? 'medium' : 'high',
+      tags: incident.getAuditTags()
+    });
+  } catch (error) {
+    logger.error('Failed to alert emergency contacts:', error);
+  }
+};
+
+/**
+ * Wait for contact alerts that are still being sent
+ */
+const flushContactDeliveries = async () => {
+  await Promise.all([...pendingContactDeliveries]);
+};
+
+/**
+ * Raise an emergency incident and fan the alert out: every user on site over the socket straight away,
+ * then emergency contacts by SMS and email in priority order in the background, so the caller is not
+ * held up by slow providers. Drills go to the drill audience only and every audit entry is tagged 'drill'.
+ * Returns { incident, recipients, summary, contactDelivery }; contactDelivery settles once contacts are done.
+ */
+const dispatchEmergencyAlert = async ({
+  type = 'general',
+  message,
+  level = 'high',
+  affectedArea = null,
+  triggeredBy = null,
+  isDrill = false,
+  ipAddress = null,
+  userAgent = null
+}) => {
+  try {
+    const incident = await EmergencyIncident.create({
+      type,
+      level,
+      message,
+      affectedArea,
+      triggeredBy,
+      isDrill
+    });
+
+    const { contacts, users, roles } = await getAudience(isDrill);
+
+    const queuedAt = new Date();
+    const contactRecipients = await EmergencyIncidentRecipient.bulkCreate(contacts.map(contact => ({
+      incidentId: incident.id,
+      recipientType: 'contact',
+      contactId: contact.id,
+      name: contact.name,
+      role: contact.role,
+      phone: contact.phone,
+      email: contact.email,
+      priority: contact.priority,
+      deliveries: {
+        sms: { status: 'pending', at: queuedAt },
+        email: { status: 'pending', at: queuedAt }
+      }
+    })));
+
+    const userRecipients = await EmergencyIncidentRecipient.bulkCreate(users.map(user => ({
+      incidentId: incident.id,
+      recipientType: 'user',
+      userId: user.id,
+      name: user.getFullName(),
+      role: user.role,
+      email: user.email
+    })));
+
+    // Everyone on site sees the alert first; external contacts follow in priority order
+    const alert = {
+      incidentId: incident.id,
+      type,
+      level,
+      message: getAlertText(incident),
+      isDrill,
+      location: affectedArea,
+      priority: level,
+      triggeredBy,
+      timestamp: incident.createdAt
+    };
+    const reached = new Set(users
+      .filter(user => sendNotificationToUser(user.id, 'emergency_notification', alert))
+      .map(user => user.id));
+
+    for (const userRole of roles) {
+      await storeNotification({
+        id: incident.id,
+        type: 'emergency',
+        title: isDrill ? 'Emergency Drill' : 'Emergency Alert',
+        message: `${type}: ${alert.message}`,
+        data: alert,
+        priority: 'critical'
+      }, { userRole });
+    }
+
+    for (const recipient of userRecipients) {
+      await recipient.recordDelivery('socket', reached.has(recipient.userId) ? 'sent' : 'offline');
+    }
+
+    const recipients = [...contactRecipients, ...userRecipients];
+    const summary = summarizeRecipients(recipients);
+
+    await createAuditLog({
+      userId: triggeredBy,
+      action: 'EMERGENCY_ALERT_SENT',
+      resource: 'emergency_incident',
+      resourceId: incident.id,
+      details: {
+        type,
+        level,
+        message,
+        affectedArea,
+        drill: isDrill,
+        deliveries: summary.deliveries
+      },
+      ipAddress,
+      userAgent,
+      category: 'security',
+      severity: isDrill ? 'medium' : 'critical',
+      riskLevel: isDrill ? 'low' : 'critical',
+      tags: incident.getAuditTags()
+    });
+
+    logger.security('Emergency alert dispatched', {
+      incidentId: incident.id,
+      type,
+      level,
+      isDrill,
+      recipients: summary.total
+    });
+
+    const contactDelivery = deliverToContacts(incident, contactRecipients, { ipAddress, userAgent });
+    pendingContactDeliveries.add(contactDelivery);
+    contactDelivery.finally(() => pendingContactDeliveries.delete(contactDelivery));
+
+    return { incident, recipients, summary, contactDelivery };
+  } catch (error) {
+    logger.error('Failed to dispatch emergency alert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Load an incident with its recipients in notification order and its roll calls
+ */
+const getIncidentWithRecipients = async (incidentId) => {
+  const incident = await EmergencyIncident.findByPk(incidentId, {
+    include: [
+      {
+        model: EmergencyIncidentRecipient,
+        as: 'recipients'
+      },
+      {
+        model: EvacuationRollCall,
+        as: 'rollCalls'
+      }
+    ],
+    order: [
+      [{ model: EvacuationRollCall, as: 'rollCalls' }, 'createdAt', 'ASC'],
+      [{ model: EmergencyIncidentRecipient, as: 'recipients' }, 'recipientType', 'ASC'],
+      [{ model: EmergencyIncidentRecipient, as: 'recipients' }, 'priority', 'ASC'],
+      [{ model: EmergencyIncidentRecipient, as: 'recipients' }, 'name', 'ASC']
+    ]
+  });
+
+  if (!incident) {
+    return null;
+  }
+
+  return { incident, summary: summarizeRecipients(incident.recipients) };
+};
+
+/**
+ * Record an acknowledgement and let security dashboards update live
+ */
+const acknowledgeRecipient = async (incident, recipient, acknowledgedBy, note = null) => {
+  try {
+    if (!recipient.isAcknowledged()) {
+      await recipient.acknowledge(acknowledgedBy, note);
+    }
+
+    const recipients = await EmergencyIncidentRecipient.findAll({ where: { incidentId: incident.id } });
+    const summary = summarizeRecipients(recipients);
+
+    const update = {
+      incidentId: incident.id,
+      isDrill: incident.isDrill,
+      recipientId: recipient.id,
+      name: recipient.name,
+      acknowledgedAt: recipient.acknowledgedAt,
+      acknowledged: summary.acknowledged,
+      unacknowledged: summary.unacknowledged
+    };
+    // Like the alert itself, drill acknowledgements stay within the drill audience
+    if (incident.isDrill) {
+      (await getDrillRoles()).forEach(role => sendNotificationToRole(role, 'emergency_acknowledged', update));
+    } else {
+      broadcastToAll('emergency_acknowledged', update);
+    }
+
+    return { recipient, summary };
+  } catch (error) {
+    logger.error('Failed to acknowledge emergency alert:', error);
+    throw error;
+  }
+};
+
+/**
+ * Seconds from the alert to a later moment, or null if it has not happened yet
+ */
+const secondsSince = (start, end) => {
+  return end ? Math.round((new Date(end) - new Date(start)) / 1000) : null;
+};
+
+/**
+ * Response timings for an incident: time to first acknowledgement and time to full muster
+ */
+const getIncidentMetrics = async (incident) => {
+  try {
+    const recipients = await EmergencyIncidentRecipient.findAll({ where: { incidentId: incident.id } });
+    const rollCall = await EvacuationRollCall.findOne({
+      where: { incidentId: incident.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    const summary = summarizeRecipients(recipients);
+    const [firstAcknowledgedAt] = recipients
+      .filter(recipient => recipient.acknowledgedAt)
+      .map(recipient => new Date(recipient.acknowledgedAt))
+      .sort((a, b) => a - b);
+
+    let muster = null;
+    if (rollCall) {
+      muster = rollCall.report ? rollCall.report.counts : await EvacuationRollCallEntry.getStatusCounts(rollCall.id);
+    }
+
+    return {
+      incidentId: incident.id,
+      type: incident.type,
+      isDrill: incident.isDrill,
+      startedAt: incident.createdAt,
+      resolvedAt: incident.resolvedAt,
+      recipients: summary.total,
+      acknowledged: summary.acknowledged,
+      acknowledgementRate: summary.total > 0 ? Math.round((summary.acknowledged / summary.total) * 100) : null,
+      timeToFirstAcknowledgementSeconds: secondsSince(incident.createdAt, firstAcknowledgedAt),
+      rollCallId: rollCall ? rollCall.id : null,
+      muster,
+      timeToFullMusterSeconds: rollCall ? secondsSince(incident.createdAt, rollCall.musteredAt) : null,
+      durationSeconds: secondsSince(incident.createdAt, incident.resolvedAt)
+    };
+  } catch (error) {
+    logger.error('Failed to get incident metrics:', error);
+    throw error;
+  }
+};
+
+/**
+ * Metrics for every drill in a period, newest first, with averages to compare against
+ */
+const getDrillReport = async ({ startDate = null, endDate = null } = {}) => {
+  try {
+    const whereClause = { isDrill: true };
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    const drills = await EmergencyIncident.findAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']]
+    });
+
+    const metrics = [];
+    for (const drill of drills) {
+      metrics.push(await getIncidentMetrics(drill));
+    }
+
+    const average = (key) => {
+      const values = metrics.map(metric => metric[key]).filter(value => value !== null);
+      return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    };
+
+    return {
+      drills: metrics,
+      averages: {
+        timeToFirstAcknowledgementSeconds: average('timeToFirstAcknowledgementSeconds'),
+        timeToFullMusterSeconds: average('timeToFullMusterSeconds'),
+        acknowledgementRate: average('acknowledgementRate')
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to build drill report:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  summarizeRecipients,
+  getDrillRoles,
+  dispatchEmergencyAlert,
+  flushContactDeliveries,
+  getIncidentWithRecipients,
+  acknowledgeRecipient,
+  getIncidentMetrics,
+  getDrillReport
+};
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const {
+  sequelize,
+  AuditLog,
+  ConsentRecord,
+  DataSubjectRequest,
+  EmergencyIncident,
+  ErasureTombstone,
+  EvacuationRollCall,
+  EvacuationRollCallEntry,
+  Invitation,
+  SystemSetting,
+  Visit,
+  Visitor
+} = require('../models');
+const { removeVisitorPhoto } = require('../middleware/upload');
+const { createAuditLog } = require('./auditService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+const ERASED_NAME = 'Erased';
+
+// Kept so visits still count towards occupancy, host and duration reports
+const RETAINED_DATA = [
+  'Visit dates, times, durations, status, host and location',
+  'Visitor type, total visits and last visit date',
+  'Consent decisions, with network identifiers removed',
+  'Anonymised audit trail entries'
+];
+
+// Its own secret: certificates and tombstones must stay verifiable after JWT_SECRET is rotated
+const getSigningSecret = () => {
+  const secret = process.env.ERASURE_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('ERASURE_SIGNING_SECRET environment variable is required');
+  }
+  return secret;
+};
+
+/**
+ * Keyed hash of a value, so the tombstone can be matched without storing what was erased
+ */
+const pseudonymise = (value) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(String(value).trim().toLowerCase()).digest('hex');
+};
+
+/**
+ * Serialise with sorted keys so the signature does not depend on property order
+ */
+const canonicalise = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalise).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalise(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Sign an erasure certificate
+ */
+const signCertificate = (certificate) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(canonicalise(certificate)).digest('hex');
+};
+
+/**
+ * Check a certificate against its signature
+ */
+const verifyCertificate = (certificate, signature) => {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(signCertificate(certificate), 'hex'), Buffer.from(signature, 'hex'));
+};
+
+/**
+ * Legal holds for several visitors at once, as a Map of visitor ID to holds. A visitor with an
+ * empty list may be erased. Uses the same three queries however many visitors are passed.
+ */
+const getLegalHoldsForVisitors = async (visitors) => {
+  const holds = new Map(visitors.map(visitor => [visitor.id, []]));
+  if (visitors.length === 0) {
+    return holds;
+  }
+
+  visitors.filter(visitor => visitor.isBlacklisted).forEach(visitor => {
+    holds.get(visitor.id).push({
+      type: 'blacklist',
+      message: 'Visitor is blacklisted',
+      reference: visitor.blacklistReason
+    });
+  });
+
+  const visits = await Visit.findAll({
+    where: { visitorId: { [Op.in]: [...holds.keys()] } },
+    attributes: ['id', 'visitorId', 'status']
+  });
+
+  const onSite = new Map();
+  visits.filter(visit => visit.status === 'checked_in').forEach(visit => {
+    if (!onSite.has(visit.visitorId)) {
+      onSite.set(visit.visitorId, visit.id);
+    }
+  });
+  onSite.forEach((visitId, visitorId) => {
+    holds.get(visitorId).push({
+      type: 'on_site',
+      message: 'Visitor is currently checked in',
+      reference: visitId
+    });
+  });
+
+  if (visits.length > 0) {
+    const visitorByVisit = new Map(visits.map(visit => [visit.id, visit.visitorId]));
+    const entries = await EvacuationRollCallEntry.findAll({
+      where: { visitId: { [Op.in]: [...visitorByVisit.keys()] } },
+      include: [{
+        model: EvacuationRollCall,
+        as: 'rollCall',
+        required: true,
+        include: [{
+          model: EmergencyIncident,
+          as: 'incident',
+          required: true,
+          where: { status: 'active', isDrill: false }
+        }]
+      }]
+    });
+
+    const incidents = new Map(visitors.map(visitor => [visitor.id, new Set()]));
+    entries.forEach(entry => incidents.get(visitorByVisit.get(entry.visitId)).add(entry.rollCall.incidentId));
+    incidents.forEach((incidentIds, visitorId) => {
+      incidentIds.forEach(incidentId => {
+        holds.get(visitorId).push({
+          type: 'open_incident',
+          message: 'Visitor is part of an unresolved emergency incident',
+          reference: incidentId
+        });
+      });
+    });
+  }
+
+  return holds;
+};
+
+/**
+ * Reasons the visitor's data must be kept for now. An empty list means erasure may proceed.
+ */
+const getLegalHolds = async (visitor) => {
+  return (await getLegalHoldsForVisitors([visitor])).get(visitor.id);
+};
+
+/**
+ * Wipe the visitor's personal fields, keeping the row and its statistics
+ */
+const eraseVisitorRecord = async (visitor, erasedAt, transaction) => {
+  const erasedFields = ['firstName', 'lastName', 'email', 'phone', 'company', 'nationalId', 'photo', 'address', 'emergencyContact', 'notes']
+    .filter(field => visitor[field] !== null && visitor[field] !== undefined && visitor[field] !== '');
+  const customFieldCount = Object.keys(visitor.customFields || {}).length;
+
+  await visitor.update({
+    firstName: ERASED_NAME,
+    lastName: ERASED_NAME,
+    email: `erased-${visitor.id}@erased.invalid`,
+    phone: null,
+    company: null,
+    nationalId: null,
+    photo: null,
+    address: null,
+    emergencyContact: null,
+    customFields: {},
+    notes: null,
+    recurringPattern: null,
+    blacklistReason: null,
+    marketingConsent: false,
+    photoConsent: false,
+    biometricConsent: false,
+    erasedAt
+  }, { transaction });
+
+  return { erasedFields, customFieldCount };
+};
+
+/**
+ * Clear free text and identifiers from visits. Timing, status, host and location stay for reporting.
+ */
+const pseudonymiseVisits = async (visitIds, transaction) => {
+  if (visitIds.length === 0) {
+    return 0;
+  }
+
+  const [count] = await Visit.update({
+    vehicleNumber: null,
+    parkingSlot: null,
+    accompaniedBy: [],
+    items: [],
+    qrCode: null,
+    qrCodeExpiry: null,
+    badgeNumber: null,
+    securityNotes: null,
+    temperature: null,
+    healthDeclaration: null,
+    customFields: {},
+    notes: null,
+    feedbackGiven: null,
+    anonymizedAt: new Date()
+  }, { where: { id: { [Op.in]: visitIds } }, transaction });
+
+  return count;
+};
+
+/**
+ * Consent records are kept as evidence of the lawful basis, but without network identifiers
+ */
+const pseudonymiseConsents = async (visitorId, transaction) => {
+  const consents = await ConsentRecord.findAll({ where: { visitorId }, transaction });
+
+  for (const consent of consents) {
+    await consent.update({
+      ipAddress: consent.ipAddress ? pseudonymise(consent.ipAddress) : null,
+      userAgent: null,
+      geoLocation: null
+    }, { transaction });
+  }
+
+  return consents.length;
+};
+
+/**
+ * Remove the visitor's name and contact details from roll calls and the saved muster reports
+ */
+const pseudonymiseRollCalls = async (visitIds, transaction) => {
+  if (visitIds.length === 0) {
+    return 0;
+  }
+
+  const entries = await EvacuationRollCallEntry.findAll({
+    where: { visitId: { [Op.in]: visitIds } },
+    transaction
+  });
+
+  const entryIds = new Set(entries.map(entry => entry.id));
+  const erase = person => (entryIds.has(person.id)
+    ? { ...person, name: `${ERASED_NAME} visitor`, company: null, phone: null, notes: null }
+    : person);
+
+  for (const entry of entries) {
+    await entry.update({ name: `${ERASED_NAME} visitor`, company: null, phone: null, notes: null }, { transaction });
+  }
+
+  const rollCallIds = [...new Set(entries.map(entry => entry.rollCallId))];
+  const rollCalls = await EvacuationRollCall.findAll({
+    where: { id: { [Op.in]: rollCallIds } },
+    transaction
+  });
+
+  for (const rollCall of rollCalls) {
+    if (!rollCall.report) continue;
+
+    await rollCall.update({
+      report: {
+        ...rollCall.report,
+        injured: (rollCall.report.injured || []).map(erase),
+        missing: (rollCall.report.missing || []).map(erase),
+        unaccounted: (rollCall.report.unaccounted || []).map(erase)
+      }
+    }, { transaction });
+  }
+
+  return entries.length;
+};
+
+/**
+ * Invitations that led to the visitor's visits carry their name and email
+ */
+const pseudonymiseInvitations = async (visitor, visitIds, transaction) => {
+  if (visitIds.length === 0) {
+    return 0;
+  }
+
+  const [count] = await Invitation.update({
+    email: `erased-${visitor.id}@erased.invalid`,
+    firstName: null,
+    lastName: null,
+    message: null
+  }, { where: { visitId: { [Op.in]: visitIds } }, transaction });
+
+  return count;
+};
+
+/**
+ * Erase a verified erasure request's subject. Returns { holds } when a legal hold blocks erasure,
+ * otherwise { tombstone } carrying the signed certificate.
+ */
+const eraseSubject = async (request, userId, context = {}) => {
+  try {
+    const visitor = await Visitor.findByPk(request.visitorId);
+
+    const holds = await getLegalHolds(visitor);
+    if (holds.length > 0) {
+      await createAuditLog({
+        userId,
+        visitorId: visitor.id,
+        action: 'DSAR_ERASURE_BLOCKED',
+        resource: 'data_subject_request',
+        resourceId: request.id,
+        details: { holds: holds.map(hold => hold.type) },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        category: 'privacy',
+        severity: 'medium',
+        outcome: 'failure',
+        complianceFlags: ['pdpa']
+      });
+      return { holds, tombstone: null };
+    }
+
+    const erasedAt = new Date();
+    const subjectReference = pseudonymise(visitor.email);
+    const issuer = (await SystemSetting.getSetting('app_name')) || 'Neo VMS';
+
+    const visits = await Visit.findAll({ where: { visitorId: visitor.id }, attributes: ['id'] });
+    const visitIds = visits.map(visit => visit.id);
+
+    // The file cannot be part of the transaction, so it goes first: if the database work then fails,
+    // the request stays open and can simply be run again
+    const photoDeleted = removeVisitorPhoto(visitor.photo);
+
+    // Every database change, the completed request and the tombstone commit together or not at all
+    const tombstone = await sequelize.transaction(async (transaction) => {
+      const { erasedFields, customFieldCount } = await eraseVisitorRecord(visitor, erasedAt, transaction);
+
+      const summary = {
+        erasedFields,
+        customFieldsErased: customFieldCount,
+        visitsPseudonymised: await pseudonymiseVisits(visitIds, transaction),
+        consentRecordsPseudonymised: await pseudonymiseConsents(visitor.id, transaction),
+        rollCallEntriesPseudonymised: await pseudonymiseRollCalls(visitIds, transaction),
+        invitationsPseudonymised: await pseudonymiseInvitations(visitor, visitIds, transaction),
+        photoDeleted
+      };
+
+      const auditLogs = await AuditLog.findAll({
+        where: {
+          [Op.or]: [
+            { visitorId: visitor.id },
+            ...(visitIds.length > 0 ? [{ visitId: { [Op.in]: visitIds } }] : []),
+            { resourceId: { [Op.in]: [visitor.id, ...visitIds] } }
+          ]
+        },
+        transaction
+      });
+      for (const auditLog of auditLogs) {
+        await auditLog.anonymize({ transaction });
+      }
+      summary.auditLogsAnonymised = auditLogs.length;
+
+      // The address the code went to is personal data too
+      await DataSubjectRequest.update(
+        { verificationEmail: null },
+        { where: { visitorId: visitor.id }, transaction }
+      );
+
+      await request.update({
+        status: 'completed',
+        completedAt: erasedAt,
+        completedBy: userId
+      }, { transaction });
+
+      const record = ErasureTombstone.build({
+        visitorId: visitor.id,
+        dataSubjectRequestId: request.id,
+        subjectReference,
+        erasedBy: userId,
+        erasedAt,
+        summary
+      });
+
+      const certificate = {
+        certificateId: record.id,
+        requestId: request.id,
+        visitorId: visitor.id,
+        subjectReference,
+        requestReceivedAt: new Date(request.createdAt).toISOString(),
+        identityVerifiedAt: request.verifiedAt ? new Date(request.verifiedAt).toISOString() : null,
+        erasedAt: erasedAt.toISOString(),
+        erasedBy: userId,
+        completedWithinDeadline: erasedAt <= new Date(request.dueDate),
+        actions: summary,
+        retained: RETAINED_DATA,
+        issuer
+      };
+
+      record.certificate = certificate;
+      record.signature = signCertificate(certificate);
+      return record.save({ transaction });
+    });
+    const { summary } = tombstone;
+
+    await createAuditLog({
+      userId,
+      action: 'DSAR_ERASURE_COMPLETED',
+      resource: 'data_subject_request',
+      resourceId: request.id,
+      details: {
+        tombstoneId: tombstone.id,
+        subjectReference,
+        ...summary
+      },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      category: 'privacy',
+      severity: 'high',
+      complianceFlags: ['pdpa']
+    });
+
+    return { holds: [], tombstone };
+  } catch (error) {
+    logger.error('Failed to erase data subject:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  getLegalHolds,
+  getLegalHoldsForVisitors,
+  eraseVisitorRecord,
+  pseudonymiseVisits,
+  eraseSubject,
+  signCertificate,
+  verifyCertificate
+};
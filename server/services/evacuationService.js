@@ -0,0 +1,292 @@
+const { EvacuationRollCall, EvacuationRollCallEntry, User, Visit, Visitor } = require('../models');
+const { sendNotificationToRole } = require('./socketService');
+const { createAuditLog } = require('./auditService');
+const { getDrillRoles } = require('./emergencyService');
+const logger = require('../utils/logger');
+
+const ENTRY_STATUSES = ['unaccounted', 'safe', 'missing', 'injured'];
+
+// Staff who run or follow a real muster; visitors' hosts and other users are not sent the list
+const ROLL_CALL_ROLES = ['admin', 'security', 'receptionist'];
+
+/**
+ * Push a roll call event to the people running it: the drill audience for drills, front desk staff otherwise
+ */
+const emitRollCallEvent = async (rollCall, event, data) => {
+  const roles = rollCall.isDrill ? await getDrillRoles() : ROLL_CALL_ROLES;
+  roles.forEach(role => sendNotificationToRole(role, event, data));
+};
+
+/**
+ * Describe where a visitor was last known to be
+ */
+const describeLocation = (visit) => {
+  return [visit.location, visit.floor].filter(Boolean).join(', ') || null;
+};
+
+/**
+ * Open a roll call for an incident with an entry for every on-site visitor and their hosts.
+ * Drill roll calls use the same list but never touch the visits' evacuation flags.
+ */
+const startRollCall = async (incident, startedBy) => {
+  try {
+    const visits = await Visit.findAll({
+      where: { status: 'checked_in' },
+      include: [
+        {
+          model: Visitor,
+          as: 'visitor'
+        },
+        {
+          model: User,
+          as: 'host'
+        }
+      ]
+    });
+
+    const rollCall = await EvacuationRollCall.create({
+      incidentId: incident.id,
+      isDrill: incident.isDrill,
+      startedBy
+    });
+
+    // Flags from an earlier muster must not count as accounted for in this one
+    if (!incident.isDrill) {
+      await Visit.update(
+        { emergencyEvacuated: false, evacuation: null },
+        { where: { status: 'checked_in', emergencyEvacuated: true } }
+      );
+    }
+
+    const entries = [];
+    const hosts = new Map();
+
+    for (const visit of visits) {
+      entries.push({
+        rollCallId: rollCall.id,
+        personType: 'visitor',
+        visitId: visit.id,
+        name: visit.visitor ? visit.visitor.getFullName() : 'Unknown visitor',
+        company: visit.visitor ? visit.visitor.company : null,
+        phone: visit.visitor ? visit.visitor.phone : null,
+        location: describeLocation(visit)
+      });
+
+      if (visit.host && !hosts.has(visit.host.id)) {
+        hosts.set(visit.host.id, {
+          rollCallId: rollCall.id,
+          personType: 'host',
+          userId: visit.host.id,
+          name: visit.host.getFullName(),
+          phone: visit.host.phone
+        });
+      }
+    }
+
+    await EvacuationRollCallEntry.bulkCreate([...entries, ...hosts.values()]);
+
+    const counts = await EvacuationRollCallEntry.getStatusCounts(rollCall.id);
+    if (counts.unaccounted === 0) {
+      await rollCall.update({ musteredAt: rollCall.createdAt });
+    }
+
+    await emitRollCallEvent(rollCall, 'roll_call_started', {
+      rollCallId: rollCall.id,
+      incidentId: incident.id,
+      isDrill: rollCall.isDrill,
+      counts,
+      remaining: counts.unaccounted
+    });
+
+    logger.security('Evacuation roll call started', {
+      rollCallId: rollCall.id,
+      incidentId: incident.id,
+      people: counts.total
+    });
+
+    return { rollCall, counts };
+  } catch (error) {
+    logger.error('Failed to start evacuation roll call:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a warden's check for one person and push the remaining count to the roll call's audience
+ */
+const markEntry = async (rollCall, entry, { status, assemblyPoint = null, notes = null }, markedBy) => {
+  try {
+    await entry.mark(status, { assemblyPoint, notes, markedBy });
+
+    if (entry.visitId && !rollCall.isDrill) {
+      const visit = await Visit.findByPk(entry.visitId);
+
+      if (visit && entry.isAccounted()) {
+        await visit.markEvacuated({
+          rollCallId: rollCall.id,
+          incidentId: rollCall.incidentId,
+          status,
+          assemblyPoint,
+          markedBy
+        });
+      } else if (visit && visit.emergencyEvacuated) {
+        await visit.update({ emergencyEvacuated: false, evacuation: null });
+      }
+    }
+
+    const counts = await EvacuationRollCallEntry.getStatusCounts(rollCall.id);
+
+    // Time to full muster is measured to the moment the last person was first accounted for
+    if (counts.unaccounted === 0 && !rollCall.musteredAt) {
+      await rollCall.update({ musteredAt: new Date() });
+    } else if (counts.unaccounted > 0 && rollCall.musteredAt) {
+      await rollCall.update({ musteredAt: null });
+    }
+
+    await emitRollCallEvent(rollCall, 'roll_call_updated', {
+      rollCallId: rollCall.id,
+      incidentId: rollCall.incidentId,
+      isDrill: rollCall.isDrill,
+      entryId: entry.id,
+      name: entry.name,
+      status,
+      assemblyPoint,
+      counts,
+      remaining: counts.unaccounted
+    });
+
+    return { entry, counts };
+  } catch (error) {
+    logger.error('Failed to update evacuation roll call entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a visit as evacuated, ticking it off the open roll call for the visit if there is one.
+ * A real roll call takes precedence over a drill; a drill entry leaves the visit itself untouched.
+ */
+const evacuateVisit = async (visit, { status = 'safe', assemblyPoint = null, notes = null }, markedBy) => {
+  try {
+    const entry = await EvacuationRollCallEntry.findOne({
+      where: { visitId: visit.id },
+      include: [
+        {
+          model: EvacuationRollCall,
+          as: 'rollCall',
+          where: { status: 'open' }
+        }
+      ],
+      order: [[{ model: EvacuationRollCall, as: 'rollCall' }, 'isDrill', 'ASC']]
+    });
+
+    if (entry) {
+      await markEntry(entry.rollCall, entry, { status, assemblyPoint, notes }, markedBy);
+      await visit.reload();
+      return { visit, entry };
+    }
+
+    await visit.markEvacuated({ status, assemblyPoint, notes, markedBy });
+    return { visit, entry: null };
+  } catch (error) {
+    logger.error('Failed to mark visit evacuated:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the final muster report from a roll call's entries
+ */
+const buildMusterReport = (rollCall, entries, closedAt) => {
+  const counts = { total: entries.length, unaccounted: 0, safe: 0, missing: 0, injured: 0 };
+  const assemblyPoints = {};
+  const person = entry => ({
+    id: entry.id,
+    personType: entry.personType,
+    name: entry.name,
+    company: entry.company,
+    phone: entry.phone,
+    location: entry.location,
+    assemblyPoint: entry.assemblyPoint,
+    notes: entry.notes,
+    markedAt: entry.markedAt
+  });
+
+  for (const entry of entries) {
+    counts[entry.status]++;
+
+    if (entry.assemblyPoint) {
+      assemblyPoints[entry.assemblyPoint] = assemblyPoints[entry.assemblyPoint] || { safe: 0, injured: 0, missing: 0 };
+      if (entry.status !== 'unaccounted') {
+        assemblyPoints[entry.assemblyPoint][entry.status]++;
+      }
+    }
+  }
+
+  return {
+    incidentId: rollCall.incidentId,
+    isDrill: rollCall.isDrill,
+    startedAt: rollCall.createdAt,
+    musteredAt: rollCall.musteredAt,
+    closedAt,
+    durationSeconds: Math.round((closedAt - new Date(rollCall.createdAt)) / 1000),
+    counts,
+    assemblyPoints,
+    injured: entries.filter(entry => entry.status === 'injured').map(person),
+    missing: entries.filter(entry => entry.status === 'missing').map(person),
+    unaccounted: entries.filter(entry => entry.status === 'unaccounted').map(person)
+  };
+};
+
+/**
+ * Close a roll call and save the final muster report
+ */
+const closeRollCall = async (rollCall, closedBy, { ipAddress = null, userAgent = null } = {}) => {
+  try {
+    const entries = await EvacuationRollCallEntry.findAll({
+      where: { rollCallId: rollCall.id },
+      order: [['name', 'ASC']]
+    });
+
+    const report = buildMusterReport(rollCall, entries, new Date());
+    await rollCall.close(closedBy, report);
+
+    await emitRollCallEvent(rollCall, 'roll_call_closed', {
+      rollCallId: rollCall.id,
+      incidentId: rollCall.incidentId,
+      isDrill: rollCall.isDrill,
+      counts: report.counts
+    });
+
+    await createAuditLog({
+      userId: closedBy,
+      action: 'EVACUATION_ROLL_CALL_CLOSED',
+      resource: 'emergency_incident',
+      resourceId: rollCall.incidentId,
+      details: {
+        rollCallId: rollCall.id,
+        drill: rollCall.isDrill,
+        counts: report.counts
+      },
+      ipAddress,
+      userAgent,
+      category: 'security',
+      severity: !rollCall.isDrill && report.counts.missing + report.counts.unaccounted > 0 ? 'critical' : 'high',
+      tags: rollCall.isDrill ? ['drill'] : []
+    });
+
+    return { rollCall, report };
+  } catch (error) {
+    logger.error('Failed to close evacuation roll call:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  ENTRY_STATUSES,
+  startRollCall,
+  markEntry,
+  evacuateVisit,
+  buildMusterReport,
+  closeRollCall
+};
@@ -0,0 +1,124 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { Invitation } = require('../models');
+const { sendEmail } = require('./emailService');
+const logger = require('../utils/logger');
+
+const INVITATION_AUDIENCE = 'invitation';
+
+// Never JWT_SECRET: rotating that must not void the invitation links guests already hold
+const getInvitationSecret = () => {
+  const secret = process.env.INVITATION_SECRET;
+  if (!secret) {
+    throw new Error('INVITATION_SECRET environment variable is required');
+  }
+  return secret;
+};
+
+const hashNonce = (nonce) => {
+  return crypto.createHash('sha256').update(nonce).digest('hex');
+};
+
+/**
+ * Work out when an invitation link stops working.
+ * Links last INVITATION_EXPIRY_HOURS but never beyond the scheduled arrival.
+ */
+const calculateExpiry = (scheduledArrival, from = new Date()) => {
+  const expiryHours = parseInt(process.env.INVITATION_EXPIRY_HOURS) || 72;
+  const expiry = new Date(from.getTime() + expiryHours * 60 * 60 * 1000);
+  const arrival = new Date(scheduledArrival);
+  return arrival > from && arrival < expiry ? arrival : expiry;
+};
+
+/**
+ * Issue a new signed link token for an invitation.
+ * Only the hash of the token nonce is stored, so issuing a new token invalidates older links.
+ */
+const issueInvitationToken = (invitation) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresIn = Math.max(1, Math.floor((new Date(invitation.expiresAt) - Date.now()) / 1000));
+
+  invitation.tokenHash = hashNonce(nonce);
+
+  return jwt.sign(
+    { sub: invitation.id, nonce },
+    getInvitationSecret(),
+    { audience: INVITATION_AUDIENCE, expiresIn }
+  );
+};
+
+/**
+ * Resolve a link token to its pending invitation.
+ * Returns null when the token is invalid, superseded, used, revoked or expired.
+ */
+const resolveInvitationToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getInvitationSecret(), { audience: INVITATION_AUDIENCE });
+  } catch (error) {
+    logger.security('Invalid invitation token presented', { reason: error.message });
+    return null;
+  }
+
+  const invitation = await Invitation.findByPk(decoded.sub);
+  if (!invitation || !invitation.tokenHash || invitation.tokenHash !== hashNonce(decoded.nonce)) {
+    return null;
+  }
+
+  if (!invitation.isPending()) {
+    return null;
+  }
+
+  if (invitation.isExpired()) {
+    await invitation.update({ status: 'expired', tokenHash: null });
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * Build the guest-facing URL for an invitation token
+ */
+const getInvitationUrl = (token) => {
+  return `${process.env.FRONTEND_URL}/invite?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send (or resend) an invitation email with a freshly signed link
+ */
+const sendInvitation = async (invitation, host) => {
+  try {
+    const token = issueInvitationToken(invitation);
+    invitation.sentAt = new Date();
+    await invitation.save();
+
+    await sendEmail({
+      to: invitation.email,
+      template: 'visitor-invitation',
+      data: {
+        guestName: invitation.firstName || 'there',
+        hostName: host.getFullName(),
+        purpose: invitation.purpose,
+        scheduledArrival: new Date(invitation.scheduledArrival).toLocaleString(),
+        location: invitation.location || 'Reception',
+        message: invitation.message || '',
+        invitationUrl: getInvitationUrl(token),
+        expiresAt: new Date(invitation.expiresAt).toLocaleString()
+      }
+    });
+
+    return token;
+  } catch (error) {
+    logger.error('Failed to send invitation:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  calculateExpiry,
+  issueInvitationToken,
+  resolveInvitationToken,
+  getInvitationUrl,
+  sendInvitation
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { sequelize, MfaRecoveryCode, MfaResetRequest, User } = require('../models');
+const { createAuditLog } = require('./auditService');
+const { endAllSessions } = require('./sessionService');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+// No 0/O or 1/I, so codes read back from paper are unambiguous
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_GROUP_LENGTH = 5;
+
+// A reset request that no second admin has acted on within this window lapses
+const RESET_REQUEST_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Codes are compared without case, spaces or dashes
+ */
+const normaliseRecoveryCode = (code) => String(code).toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Keyed hash of a recovery code, so a copy of the database alone is not enough to test guesses.
+ * The key is its own so that rotating JWT_SECRET does not invalidate everyone's codes.
+ */
+const hashRecoveryCode = (code) => {
+  const secret = process.env.MFA_RECOVERY_CODE_KEY;
+  if (!secret) {
+    throw new Error('MFA_RECOVERY_CODE_KEY environment variable is required');
+  }
+  return crypto.createHmac('sha256', secret).update(`mfa-recovery-code:${normaliseRecoveryCode(code)}`).digest('hex');
+};
+
+const randomGroup = () => {
+  return Array.from({ length: RECOVERY_CODE_GROUP_LENGTH }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]).join('');
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set. Returns the codes, which are never retrievable again.
+ */
+const generateRecoveryCodes = async (user) => {
+  try {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => `${randomGroup()}-${randomGroup()}`);
+
+    await sequelize.transaction(async (transaction) => {
+      await MfaRecoveryCode.destroy({ where: { userId: user.id }, transaction });
+      await MfaRecoveryCode.bulkCreate(
+        codes.map(code => ({ userId: user.id, codeHash: hashRecoveryCode(code) })),
+        { transaction }
+      );
+    });
+
+    return codes;
+  } catch (error) {
+    logger.error('Failed to generate recovery codes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Use up a recovery code in place of a TOTP token. Returns { valid, remaining }.
+ */
+const consumeRecoveryCode = async (user, code) => {
+  try {
+    if (!code || normaliseRecoveryCode(code).length !== RECOVERY_CODE_GROUP_LENGTH * 2) {
+      return { valid: false, remaining: await MfaRecoveryCode.countUnused(user.id) };
+    }
+
+    // The usedAt condition makes a code work once even when two logins race for it
+    const [used] = await MfaRecoveryCode.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null } }
+    );
+
+    return { valid: used === 1, remaining: await MfaRecoveryCode.countUnused(user.id) };
+  } catch (error) {
+    logger.error('Failed to consume recovery code:', error);
+    throw error;
+  }
+};
+
+/**
+ * Turn MFA off for a user and drop their recovery codes
+ */
+const clearMfa = async (user) => {
+  try {
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    await user.save();
+    await MfaRecoveryCode.destroy({ where: { userId: user.id } });
+  } catch (error) {
+    logger.error('Failed to clear MFA:', error);
+    throw error;
+  }
+};
+
+/**
+ * Open a request to reset a user's MFA. Another admin has to approve it before anything changes.
+ */
+const requestMfaReset = async (user, requestedBy, reason, { ipAddress = null, userAgent = null } = {}) => {
+  try {
+    const request = await MfaResetRequest.create({
+      userId: user.id,
+      requestedBy,
+      reason,
+      expiresAt: new Date(Date.now() + RESET_REQUEST_TTL_MS)
+    });
+
+    await createAuditLog({
+      userId: requestedBy,
+      action: 'MFA_RESET_REQUESTED',
+      resource: 'mfa_reset_request',
+      resourceId: request.id,
+      details: { targetUserId: user.id, email: user.email, reason },
+      ipAddress,
+      userAgent,
+      category: 'security',
+      severity: 'high'
+    });
+
+    return request;
+  } catch (error) {
+    logger.error('Failed to request MFA reset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Second admin's approval: clear the user's MFA and end their sessions, so their next login
+ * starts enrolment again. Returns { approved: false } if someone else reviewed the request first.
+ */
+const approveMfaReset = async (request, approvedBy, { notes = null, ipAddress = null, userAgent = null } = {}) => {
+  try {
+    const [updated] = await MfaResetRequest.update(
+      { status: 'approved', reviewedBy: approvedBy, reviewedAt: new Date(), reviewNotes: notes },
+      { where: { id: request.id, status: 'pending' } }
+    );
+    if (updated === 0) {
+      return { approved: false };
+    }
+    await request.reload();
+
+    const user = await User.findByPk(request.userId);
+    await clearMfa(user);
+    const { sessions } = await endAllSessions(user.id, { reason: 'mfa_reset', revokedBy: approvedBy });
+
+    await createAuditLog({
+      userId: approvedBy,
+      action: 'MFA_RESET_APPROVED',
+      resource: 'mfa_reset_request',
+      resourceId: request.id,
+      details: { targetUserId: user.id, email: user.email, requestedBy: request.requestedBy, endedSessions: sessions },
+      ipAddress,
+      userAgent,
+      category: 'security',
+      severity: 'high'
+    });
+
+    return { approved: true, endedSessions: sessions };
+  } catch (error) {
+    logger.error('Failed to approve MFA reset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close a reset request without touching the user's MFA
+ */
+const rejectMfaReset = async (request, rejectedBy, { notes = null, ipAddress = null, userAgent = null } = {}) => {
+  try {
+    const [updated] = await MfaResetRequest.update(
+      { status: 'rejected', reviewedBy: rejectedBy, reviewedAt: new Date(), reviewNotes: notes },
+      { where: { id: request.id, status: 'pending' } }
+    );
+    if (updated === 0) {
+      return { rejected: false };
+    }
+    await request.reload();
+
+    await createAuditLog({
+      userId: rejectedBy,
+      action: 'MFA_RESET_REJECTED',
+      resource: 'mfa_reset_request',
+      resourceId: request.id,
+      details: { targetUserId: request.userId, requestedBy: request.requestedBy, notes },
+      ipAddress,
+      userAgent,
+      category: 'security',
+      severity: 'medium'
+    });
+
+    return { rejected: true };
+  } catch (error) {
+    logger.error('Failed to reject MFA reset:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  clearMfa,
+  requestMfaReset,
+  approveMfaReset,
+  rejectMfaReset
+};
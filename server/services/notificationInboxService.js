@@ -0,0 +1,87 @@
+const { v5: uuidv5 } = require('uuid');
+const { Notification, User } = require('../models');
+const { sendNotificationToUser } = require('./socketService');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve the users whose inbox receives a notification
+ */
+const resolveRecipientIds = async ({ userId, userRole }) => {
+  if (userId) {
+    return [userId];
+  }
+
+  if (!userRole) {
+    return [];
+  }
+
+  const users = userRole === 'all' ? await User.findActive() : await User.findByRole(userRole);
+  return users.map(user => user.id);
+};
+
+/**
+ * Push the current unread count so every open tab can update its badge
+ */
+const emitUnreadCount = async (userId) => {
+  try {
+    const unreadCount = await Notification.countUnread(userId);
+    sendNotificationToUser(userId, 'notification_unread_count', { unreadCount });
+    return unreadCount;
+  } catch (error) {
+    logger.error('Failed to emit unread notification count:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a notification in each recipient's inbox.
+ * Row ids are derived from the notification id, so storing the same notification again is a no-op.
+ * A notification for a single user keeps its own id, matching the id sent over the socket.
+ */
+const storeNotification = async (notification, recipient) => {
+  try {
+    const userIds = await resolveRecipientIds(recipient);
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const rows = userIds.map(userId => ({
+      id: recipient.userId ? notification.id : uuidv5(userId, notification.id),
+      userId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || {},
+      priority: notification.priority || 'normal'
+    }));
+
+    const existing = await Notification.findAll({
+      where: { id: rows.map(row => row.id) },
+      attributes: ['id']
+    });
+    const existingIds = new Set(existing.map(row => row.id));
+    const newRows = rows.filter(row => !existingIds.has(row.id));
+
+    if (newRows.length === 0) {
+      return [];
+    }
+
+    const stored = await Notification.bulkCreate(newRows, { ignoreDuplicates: true });
+
+    for (const row of newRows) {
+      await emitUnreadCount(row.userId);
+    }
+
+    return stored;
+  } catch (error) {
+    // The inbox is a record of what was sent; never let it block delivery
+    logger.error('Failed to store notification in inbox:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  resolveRecipientIds,
+  emitUnreadCount,
+  storeNotification
+};
@@ -0,0 +1,524 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, QueuedNotification, SystemSetting, User } = require('../models');
+const { sendNotificationToUser, sendNotificationToRole } = require('./socketService');
+const { sendEmail } = require('./emailService');
+const { sendSMS } = require('./smsService');
+const { createAuditLog } = require('./auditService');
+const { storeNotification } = require('./notificationInboxService');
+const { renderForChannel } = require('./notificationTemplateService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const CHANNELS = ['socket', 'email', 'sms'];
+const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+const workers = new Map();
+
+const getPollSeconds = () => parseInt(process.env.NOTIFICATION_WORKER_POLL_SECONDS) || 10;
+const getBatchSize = () => parseInt(process.env.NOTIFICATION_WORKER_BATCH_SIZE) || 20;
+const getRetryBaseSeconds = () => parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+const getRetryMaxSeconds = () => parseInt(process.env.NOTIFICATION_RETRY_MAX_SECONDS) || 60 * 60;
+
+// A delivery that has not finished within this window is assumed lost and handed to another worker
+const getLockSeconds = () => parseInt(process.env.NOTIFICATION_WORKER_LOCK_SECONDS) || 120;
+
+/**
+ * Total delivery attempts per item: the first attempt plus notification_retry_attempts retries
+ */
+const getMaxAttempts = async () => {
+  const retries = await SystemSetting.getSetting('notification_retry_attempts');
+  return (retries === null || retries === undefined || isNaN(retries) ? 3 : Math.max(0, Number(retries))) + 1;
+};
+
+/**
+ * Exponential backoff before the next attempt, capped at NOTIFICATION_RETRY_MAX_SECONDS
+ */
+const getBackoffMs = (attempts) => {
+  const seconds = getRetryBaseSeconds() * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(seconds, getRetryMaxSeconds()) * 1000;
+};
+
+/**
+ * Deliver over Socket.IO to a user or a role room. Skipped when nobody is connected to receive it;
+ * the notification is already in the recipients' inboxes for when they next open the app.
+ */
+const deliverSocket = async (notification, { userId, userRole }) => {
+  let emitted = false;
+  if (userId) {
+    emitted = sendNotificationToUser(userId, 'notification', notification);
+  } else if (userRole) {
+    emitted = sendNotificationToRole(userRole, 'notification', notification);
+  }
+  return emitted ? 'sent' : 'skipped';
+};
+
+const getLanguage = (user) => (user && user.preferences ? user.preferences.language : null);
+
+/**
+ * Deliver by email when the user has email notifications enabled.
+ * Uses the notification's email template when one exists, otherwise the generic notification email.
+ */
+const deliverEmail = async (notification, { userId, templateName, templateData = {} }) => {
+  const user = userId ? await User.findByPk(userId) : null;
+  if (!user || !user.preferences.notifications.email) {
+    return 'skipped';
+  }
+
+  const data = {
+    firstName: user.firstName,
+    title: notification.title,
+    message: notification.message,
+    ...templateData
+  };
+
+  const rendered = await renderForChannel(templateName, 'email', data, getLanguage(user));
+  if (rendered) {
+    await sendEmail({
+      to: user.email,
+      subject: rendered.subject,
+      html: rendered.body
+    });
+    return 'sent';
+  }
+
+  await sendEmail({
+    to: user.email,
+    subject: notification.title,
+    template: 'notification',
+    data,
+    language: getLanguage(user)
+  });
+  return 'sent';
+};
+
+/**
+ * Deliver by SMS when the user has a phone number and SMS notifications enabled
+ */
+const deliverSms = async (notification, { userId, templateName, templateData = {} }) => {
+  const user = userId ? await User.findByPk(userId) : null;
+  if (!user || !user.phone || !user.preferences.notifications.sms) {
+    return 'skipped';
+  }
+
+  const rendered = await renderForChannel(templateName, 'sms', {
+    title: notification.title,
+    message: notification.message,
+    ...templateData
+  }, getLanguage(user));
+
+  await sendSMS({
+    to: user.phone,
+    message: rendered ? rendered.body : `${notification.title}: ${notification.message}`
+  });
+  return 'sent';
+};
+
+const deliverers = {
+  socket: deliverSocket,
+  email: deliverEmail,
+  sms: deliverSms
+};
+
+/**
+ * Deliver a notification over one channel. Resolves to 'sent' or 'skipped' and throws on delivery failure.
+ */
+const deliverToChannel = (channel, notification, recipient) => {
+  const deliver = deliverers[channel];
+  if (!deliver) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  return deliver(notification, recipient);
+};
+
+const toNotification = (item) => ({
+  type: item.type,
+  title: item.title,
+  message: item.message,
+  data: item.data || {},
+  priority: item.priority,
+  timestamp: new Date(),
+  id: item.notificationId || item.id
+});
+
+/**
+ * Queue a notification for durable delivery, one item per channel.
+ * Items sharing an idempotency key are only ever queued once per channel.
+ */
+const enqueueNotification = async ({
+  userId = null,
+  userRole = null,
+  type,
+  title,
+  message,
+  data = {},
+  channels = ['socket'],
+  priority = 'normal',
+  templateName = null,
+  templateData = {},
+  deliverAt = new Date(),
+  idempotencyKey = null
+}) => {
+  try {
+    const maxAttempts = await getMaxAttempts();
+    // Every channel item carries the same notification id, so the inbox stores it once
+    const notificationId = uuidv4();
+    const items = [];
+
+    for (const channel of channels) {
+      if (!CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification channel: ${channel}`);
+      }
+
+      const key = idempotencyKey ? `${idempotencyKey}:${channel}` : null;
+      if (key) {
+        const existing = await QueuedNotification.findOne({ where: { idempotencyKey: key } });
+        if (existing) {
+          items.push(existing);
+          continue;
+        }
+      }
+
+      try {
+        items.push(await QueuedNotification.create({
+          notificationId,
+          channel,
+          userId,
+          userRole,
+          type,
+          title,
+          message,
+          data,
+          templateName,
+          templateData,
+          priority,
+          idempotencyKey: key,
+          maxAttempts,
+          availableAt: deliverAt
+        }));
+      } catch (error) {
+        // Another caller queued the same key between our lookup and insert
+        if (key && error.name === 'SequelizeUniqueConstraintError') {
+          items.push(await QueuedNotification.findOne({ where: { idempotencyKey: key } }));
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    logger.info('Notification queued', {
+      type,
+      channels,
+      deliverAt,
+      items: items.map(item => item.id)
+    });
+
+    return items;
+  } catch (error) {
+    logger.error('Failed to queue notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move an item to the dead-letter state once it has used all of its attempts
+ */
+const deadLetter = async (item, error) => {
+  await item.update({
+    status: 'dead',
+    lastError: error.message,
+    lockedBy: null,
+    lockedUntil: null
+  });
+
+  logger.warn('Notification moved to dead letter', {
+    id: item.id,
+    channel: item.channel,
+    type: item.type,
+    attempts: item.attempts,
+    error: error.message
+  });
+
+  await createAuditLog({
+    userId: item.userId,
+    action: 'NOTIFICATION_DEAD_LETTERED',
+    resource: 'notification_queue',
+    resourceId: item.id,
+    details: {
+      channel: item.channel,
+      type: item.type,
+      attempts: item.attempts,
+      error: error.message
+    },
+    category: 'error',
+    severity: item.priority === 'critical' ? 'high' : 'medium',
+    outcome: 'failure'
+  });
+};
+
+/**
+ * Record a failed attempt, scheduling a retry with backoff or dead-lettering the item
+ */
+const recordFailure = async (item, error, now = new Date()) => {
+  if (item.attempts >= item.maxAttempts) {
+    return deadLetter(item, error);
+  }
+
+  await item.update({
+    status: 'pending',
+    lastError: error.message,
+    availableAt: new Date(now.getTime() + getBackoffMs(item.attempts)),
+    lockedBy: null,
+    lockedUntil: null
+  });
+};
+
+/**
+ * Queue a retry for a channel whose immediate delivery already failed once
+ */
+const queueFailedDelivery = async (channel, notification, recipient, error) => {
+  try {
+    const now = new Date();
+    const item = await QueuedNotification.create({
+      notificationId: notification.id,
+      channel,
+      userId: recipient.userId || null,
+      userRole: recipient.userRole || null,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      templateName: recipient.templateName || null,
+      templateData: recipient.templateData || {},
+      priority: notification.priority,
+      status: 'processing',
+      attempts: 1,
+      maxAttempts: await getMaxAttempts(),
+      lastAttemptAt: now
+    });
+
+    await recordFailure(item, error, now);
+    return item;
+  } catch (queueError) {
+    logger.error('Failed to queue notification retry:', queueError);
+    return null;
+  }
+};
+
+/**
+ * Claim an item for this worker. The conditional update is atomic, so an item is only ever
+ * claimed by one worker even when several instances poll the same queue.
+ */
+const claimItem = async (item, now) => {
+  const [claimed] = await QueuedNotification.update(
+    {
+      status: 'processing',
+      attempts: item.attempts + 1,
+      lastAttemptAt: now,
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + getLockSeconds() * 1000)
+    },
+    {
+      where: {
+        id: item.id,
+        attempts: item.attempts,
+        [Op.or]: [
+          { status: 'pending' },
+          { status: 'processing', lockedUntil: { [Op.lt]: now } }
+        ]
+      }
+    }
+  );
+
+  if (claimed === 0) {
+    return false;
+  }
+
+  await item.reload();
+  return true;
+};
+
+/**
+ * Attempt delivery of a claimed item and persist the outcome
+ */
+const processItem = async (item, now = new Date()) => {
+  try {
+    const notification = toNotification(item);
+    const recipient = {
+      userId: item.userId,
+      userRole: item.userRole,
+      templateName: item.templateName,
+      templateData: item.templateData
+    };
+
+    // Scheduled notifications reach the inbox when they fall due; retries are already there
+    await storeNotification(notification, recipient);
+
+    const outcome = await deliverToChannel(item.channel, notification, recipient);
+
+    await item.update({
+      status: outcome,
+      sentAt: outcome === 'sent' ? new Date() : null,
+      lastError: null,
+      lockedBy: null,
+      lockedUntil: null
+    });
+
+    if (outcome === 'sent') {
+      await createAuditLog({
+        userId: item.userId,
+        action: 'NOTIFICATION_SENT',
+        resource: 'notification_queue',
+        resourceId: item.id,
+        details: {
+          type: item.type,
+          title: item.title,
+          channels: [item.channel],
+          priority: item.priority,
+          attempts: item.attempts
+        },
+        category: 'system_access'
+      });
+    }
+
+    return outcome;
+  } catch (error) {
+    logger.error(`Failed to deliver queued ${item.channel} notification:`, error);
+    await recordFailure(item, error, now);
+    return item.status === 'dead' ? 'dead' : 'retry';
+  }
+};
+
+/**
+ * Claim and deliver the due items for one channel
+ */
+const processChannel = async (channel, now = new Date()) => {
+  const results = { sent: 0, skipped: 0, retry: 0, dead: 0 };
+
+  try {
+    const dueItems = await QueuedNotification.findDue(channel, getBatchSize(), now);
+
+    for (const item of dueItems) {
+      if (!await claimItem(item, now)) {
+        continue;
+      }
+
+      const outcome = await processItem(item, now);
+      results[outcome]++;
+    }
+
+    return results;
+  } catch (error) {
+    logger.error(`Failed to process ${channel} notification queue:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Put a dead, cancelled or skipped item back on the queue with a fresh set of attempts
+ */
+const retryQueuedNotification = async (item) => {
+  try {
+    if (!item.canRetry()) {
+      throw new Error(`Cannot retry a ${item.status} notification`);
+    }
+
+    await item.update({
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: await getMaxAttempts(),
+      availableAt: new Date(),
+      cancelledBy: null,
+      cancelledAt: null
+    });
+
+    return item;
+  } catch (error) {
+    logger.error('Failed to retry queued notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a pending item so it is never delivered
+ */
+const cancelQueuedNotification = async (item, cancelledBy = null) => {
+  try {
+    if (!item.canCancel()) {
+      throw new Error(`Cannot cancel a ${item.status} notification`);
+    }
+
+    // Guard against a worker claiming the item between the check and the update
+    const [cancelled] = await QueuedNotification.update(
+      { status: 'cancelled', cancelledBy, cancelledAt: new Date() },
+      { where: { id: item.id, status: 'pending' } }
+    );
+
+    await item.reload();
+    if (cancelled === 0) {
+      throw new Error(`Cannot cancel a ${item.status} notification`);
+    }
+
+    return item;
+  } catch (error) {
+    logger.error('Failed to cancel queued notification:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start one polling worker per channel. Every instance runs workers; claiming keeps deliveries exclusive.
+ */
+const startWorkers = () => {
+  for (const channel of CHANNELS) {
+    if (workers.has(channel)) {
+      continue;
+    }
+
+    const worker = { busy: false, timer: null };
+    worker.timer = setInterval(async () => {
+      if (worker.busy) {
+        return;
+      }
+      worker.busy = true;
+      try {
+        await processChannel(channel);
+      } catch (error) {
+        // Already logged; the next poll tries again
+      } finally {
+        worker.busy = false;
+      }
+    }, getPollSeconds() * 1000);
+    worker.timer.unref();
+
+    workers.set(channel, worker);
+  }
+
+  logger.info('Notification workers started', { workerId, channels: CHANNELS });
+};
+
+/**
+ * Stop the channel workers
+ */
+const stopWorkers = () => {
+  for (const worker of workers.values()) {
+    clearInterval(worker.timer);
+  }
+  workers.clear();
+};
+
+module.exports = {
+  CHANNELS,
+  workerId,
+  getMaxAttempts,
+  getBackoffMs,
+  deliverToChannel,
+  enqueueNotification,
+  queueFailedDelivery,
+  processChannel,
+  retryQueuedNotification,
+  cancelQueuedNotification,
+  startWorkers,
+  stopWorkers
+};
@@ -1,10 +1,41 @@
-const { sendNotificationToUser, sendNotificationToRole } = require('./socketService');
 const { sendEmail } = require('./emailService');
 const { sendSMS } = require('./smsService');
 const { createAuditLog } = require('./auditService');
+const { deliverToChannel, enqueueNotification, queueFailedDelivery } = require('./notificationQueueService');
+const { storeNotification } = require('./notificationInboxService');
+const { renderForChannel } = require('./notificationTemplateService');
 const { NotificationTemplate } = require('../models');
 const logger = require('../utils/logger');
 
+/**
+ * Resolve the in-app title and message from a template.
+ * templateId picks a specific template; templateName picks the push template in the recipient's language.
+ */
+const applyTemplate = async (notification, { userId, templateId, templateName, templateData }) => {
+  if (templateId) {
+    const template = await NotificationTemplate.findByPk(templateId);
+    if (template) {
+      notification.title = template.renderTitle(templateData);
+      notification.message = template.renderMessage(templateData);
+    }
+    return notification;
+  }
+
+  if (templateName) {
+    const { User } = require('../models');
+    const user = userId ? await User.findByPk(userId) : null;
+    const language = user && user.preferences ? user.preferences.language : null;
+
+    const rendered = await renderForChannel(templateName, 'push', templateData, language);
+    if (rendered) {
+      notification.title = rendered.subject || notification.title;
+      notification.message = rendered.body;
+    }
+  }
+
+  return notification;
+};
+
 /**
  * Send notification through multiple channels
  */
@@ -18,6 +49,7 @@ const sendNotification = async ({
   channels = ['socket'],
   priority = 'normal',
   templateId = null,
+  templateName = null,
   templateData = {}
 }) => {
   try {
@@ -32,13 +64,7 @@ const sendNotification = async ({
     };
 
     // If template is specified, use it
-    if (templateId) {
-      const template = await NotificationTemplate.findByPk(templateId);
-      if (template) {
-        notification.title = template.renderTitle(templateData);
-        notification.message = template.renderMessage(templateData);
-      }
-    }
+    await applyTemplate(notification, { userId, templateId, templateName, templateData });
 
     const results = {
       socket: false,
@@ -47,63 +73,26 @@ const sendNotification = async ({
       errors: []
     };
 
-    // Send via Socket.IO
-    if (channels.includes('socket')) {
-      try {
-        if (userId) {
-          sendNotificationToUser(userId, 'notification', notification);
-        } else if (userRole) {
-          sendNotificationToRole(userRole, 'notification', notification);
-        }
-        results.socket = true;
-      } catch (error) {
-        logger.error('Failed to send socket notification:', error);
-        results.errors.push({ channel: 'socket', error: error.message });
-      }
-    }
+    const recipient = { userId, userRole, templateName, templateData };
 
-    // Send via Email
-    if (channels.includes('email') && userId) {
-      try {
-        const { User } = require('../models');
-        const user = await User.findByPk(userId);
-        
-        if (user && user.preferences.notifications.email) {
-          await sendEmail({
-            to: user.email,
-            subject: notification.title,
-            template: 'notification',
-            data: {
-              firstName: user.firstName,
-              title: notification.title,
-              message: notification.message,
-              ...templateData
-            }
-          });
-          results.email = true;
-        }
-      } catch (error) {
-        logger.error('Failed to send email notification:', error);
-        results.errors.push({ channel: 'email', error: error.message });
+    // Keep a persistent copy in each recipient's inbox
+    await storeNotification(notification, recipient);
+
+    for (const channel of channels) {
+      // Email and SMS are only ever sent to an individual user
+      if (channel !== 'socket' && !userId) {
+        continue;
       }
-    }
 
-    // Send via SMS
-    if (channels.includes('sms') && userId) {
       try {
-        const { User } = require('../models');
-        const user = await User.findByPk(userId);
-        
-        if (user && user.phone && user.preferences.notifications.sms) {
-          await sendSMS({
-            to: user.phone,
-            message: `${notification.title}: ${notification.message}`
-          });
-          results.sms = true;
-        }
+        const outcome = await deliverToChannel(channel, notification, recipient);
+        results[channel] = outcome === 'sent';
       } catch (error) {
-        logger.error('Failed to send SMS notification:', error);
-        results.errors.push({ channel: 'sms', error: error.message });
+        logger.error(`Failed to send ${channel} notification:`, error);
+        results.errors.push({ channel, error: error.message });
+
+        // Hand the failed channel to the queue so it is retried with backoff
+        await queueFailedDelivery(channel, notification, recipient, error);
       }
     }
 
@@ -157,7 +146,14 @@ const sendVisitorArrivalNotification = async (visit) => {
         checkedInAt: visit.checkedInAt
       },
       channels: ['socket', 'email', 'sms'],
-      priority: 'high'
+      priority: 'high',
+      templateName: 'visitor-arrival',
+      templateData: {
+        visitorName: visitor.getFullName(),
+        company: visitor.company,
+        purpose: visit.purpose,
+        checkedInAt: visit.checkedInAt
+      }
     });
 
     // Update visit to mark host as notified
@@ -205,7 +201,13 @@ const sendVisitorDepartureNotification = async (visit) => {
         checkedOutAt: visit.checkedOutAt
       },
       channels: ['socket', 'email'],
-      priority: 'normal'
+      priority: 'normal',
+      templateName: 'visitor-departure',
+      templateData: {
+        visitorName: visitor.getFullName(),
+        duration: durationText,
+        checkedOutAt: visit.checkedOutAt
+      }
     });
 
   } catch (error) {
@@ -244,7 +246,14 @@ const sendOverdueVisitNotification = async (visit) => {
         expectedCheckout: visit.expectedCheckout
       },
       channels: ['socket', 'email', 'sms'],
-      priority: 'high'
+      priority: 'high',
+      templateName: 'visit-overdue',
+      templateData: {
+        visitorName: visitor.getFullName(),
+        company: visitor.company,
+        overdueMinutes,
+        expectedCheckout: visit.expectedCheckout
+      }
     });
 
     // Also notify security/reception
@@ -433,34 +442,25 @@ const sendBatchNotifications = async (notifications) => {
 };
 
 /**
- * Schedule notification for later delivery
+ * Schedule notification for later delivery through the notification queue
  */
 const scheduleNotification = async (notification, deliveryTime) => {
   try {
-    // This would typically use a job queue like Bull or Agenda
-    // For now, we'll use a simple setTimeout (not recommended for production)
-    
-    const delay = deliveryTime.getTime() - Date.now();
-    
-    if (delay > 0) {
-      setTimeout(async () => {
-        try {
-          await sendNotification(notification);
-        } catch (error) {
-          logger.error('Failed to send scheduled notification:', error);
-        }
-      }, delay);
-      
-      logger.info('Notification scheduled', {
-        deliveryTime,
-        delay,
-        type: notification.type
-      });
-    } else {
+    if (deliveryTime.getTime() <= Date.now()) {
       // Deliver immediately if time has passed
-      await sendNotification(notification);
+      return await sendNotification(notification);
     }
-    
+
+    const { templateId = null, ...queued } = notification;
+
+    await applyTemplate(queued, {
+      userId: notification.userId,
+      templateId,
+      templateName: notification.templateName,
+      templateData: notification.templateData || {}
+    });
+
+    return await enqueueNotification({ ...queued, deliverAt: deliveryTime });
   } catch (error) {
     logger.error('Error scheduling notification:', error);
     throw error;
@@ -0,0 +1,133 @@
+const { NotificationTemplate } = require('../models');
+const { compile, render } = require('../utils/templateEngine');
+const logger = require('../utils/logger');
+
+const TYPES = ['email', 'sms', 'push'];
+
+/**
+ * Validate a template definition before it is saved.
+ * Returns an error message, or null when the template is valid.
+ */
+const validateTemplateDefinition = ({ type, subject, body, variables = {} }) => {
+  if (!TYPES.includes(type)) {
+    return `Template type must be one of: ${TYPES.join(', ')}`;
+  }
+
+  if (type === 'email' && !subject) {
+    return 'Email templates require a subject';
+  }
+
+  if (!body) {
+    return 'Template body is required';
+  }
+
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return 'Template variables must be an object keyed by variable name';
+  }
+
+  for (const [name, declaration] of Object.entries(variables)) {
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      return `Invalid template variable name: ${name}`;
+    }
+    if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) {
+      return `Template variable ${name} must be declared as an object`;
+    }
+  }
+
+  try {
+    compile(subject || '');
+    compile(body);
+  } catch (error) {
+    return error.message;
+  }
+
+  const undeclared = NotificationTemplate.build({ type, subject, body, variables }).getUndeclaredVariables();
+  if (undeclared.length > 0) {
+    return `Template uses undeclared variables: ${undeclared.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Example data built from the declared variables
+ */
+const getExampleData = (variables = {}) => Object.entries(variables).reduce((data, [name, declaration]) => {
+  if (declaration.example !== undefined) {
+    data[name] = declaration.example;
+  } else if (declaration.default !== undefined) {
+    data[name] = declaration.default;
+  }
+  return data;
+}, {});
+
+/**
+ * Render a saved or draft template for preview. Missing required variables are
+ * reported rather than thrown so authors can see the rest of the output.
+ */
+const previewTemplate = (definition, data = {}) => {
+  try {
+    const template = definition instanceof NotificationTemplate
+      ? definition
+      : NotificationTemplate.build(definition);
+
+    const resolved = template.resolveData({ ...getExampleData(template.variables), ...data });
+
+    return {
+      subject: template.subject ? render(template.subject, resolved.data) : null,
+      body: render(template.body, resolved.data, { escape: template.type === 'email' }),
+      data: resolved.data,
+      missingVariables: resolved.missing
+    };
+  } catch (error) {
+    logger.error('Failed to preview notification template:', error);
+    throw error;
+  }
+};
+
+/**
+ * Render a named template for one channel in the recipient's language.
+ * Resolves to null when no active template exists, so callers can fall back to plain content.
+ */
+const renderForChannel = async (name, type, data = {}, language = null) => {
+  if (!name) {
+    return null;
+  }
+
+  try {
+    const template = await NotificationTemplate.findForLocale(name, type, language);
+    if (!template) {
+      return null;
+    }
+
+    return { template, ...template.render(data) };
+  } catch (error) {
+    logger.error(`Failed to render ${type} template ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Seed the built-in templates without overwriting edited ones
+ */
+const seedDefaultTemplates = async () => {
+  try {
+    const created = await NotificationTemplate.initializeDefaults();
+    if (created > 0) {
+      logger.info('Default notification templates created', { created });
+    }
+    return created;
+  } catch (error) {
+    logger.error('Failed to seed notification templates:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  TYPES,
+  validateTemplateDefinition,
+  getExampleData,
+  previewTemplate,
+  renderForChannel,
+  seedDefaultTemplates
+};
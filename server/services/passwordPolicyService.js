@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { PasswordHistory } = require('../models');
+const { getPasswordPolicy } = require('./settingsService');
+const logger = require('../utils/logger');
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let commonPasswords = null;
+
+/**
+ * The bundled common password list, loaded on first use
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Whether a password is on the common list, also when only digits or symbols were appended to it
+ */
+const isCommonPassword = (password) => {
+  const candidate = password.toLowerCase();
+  const base = candidate.replace(/[^a-z]+$/, '');
+  const list = getCommonPasswords();
+  return list.has(candidate) || (base.length > 0 && list.has(base));
+};
+
+/**
+ * Whether the password matches one of the user's last historyCount passwords, the current one included
+ */
+const isReusedPassword = async (user, password, historyCount) => {
+  if (historyCount === 0) {
+    return false;
+  }
+
+  const hashes = [user.password];
+  if (historyCount > 1) {
+    hashes.push(...await PasswordHistory.findRecentHashes(user.id, historyCount - 1));
+  }
+
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Check a new password against the policy. With a user, it must also differ from
+ * their last password_history_count passwords.
+ * Returns { valid, errors } with one message per broken rule.
+ */
+const checkPassword = async (password, { user = null } = {}) => {
+  try {
+    const policy = await getPasswordPolicy();
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters long`);
+      return { valid: false, errors };
+    }
+
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+      errors.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+      errors.push('Password must contain a symbol');
+    }
+
+    if (isCommonPassword(password)) {
+      errors.push('Password is too common and has appeared in data breaches');
+    }
+
+    if (user && errors.length === 0 && await isReusedPassword(user, password, policy.historyCount)) {
+      errors.push(`Password must not match any of your last ${policy.historyCount} passwords`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  } catch (error) {
+    logger.error('Failed to check password:', error);
+    throw error;
+  }
+};
+
+/**
+ * Whether the user's password is older than password_max_age_days
+ */
+const isPasswordExpired = async (user) => {
+  try {
+    const { maxAgeDays } = await getPasswordPolicy();
+    return user.isPasswordExpired(maxAgeDays);
+  } catch (error) {
+    logger.error('Failed to check password age:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rules to show on password forms
+ */
+const describePasswordPolicy = async () => {
+  try {
+    return {
+      ...await getPasswordPolicy(),
+      rejectsCommonPasswords: true
+    };
+  } catch (error) {
+    logger.error('Failed to describe password policy:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  checkPassword,
+  isCommonPassword,
+  isPasswordExpired,
+  describePasswordPolicy
+};
@@ -0,0 +1,150 @@
+const { sequelize, User, Visitor } = require('../models');
+const { getKeyring, getKeyId } = require('../utils/fieldEncryption');
+const { createAuditLog } = require('./auditService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const ENCRYPTED_FIELDS = ['phone', 'nationalId', 'address', 'emergencyContact'];
+const INDEX_FIELDS = ['phoneIndex', 'nationalIdIndex'];
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Encrypted fields of a visitor not yet under the active key, including plaintext left from before encryption
+ */
+const getStaleFields = (visitor, activeKeyId) => {
+  return ENCRYPTED_FIELDS.filter(field => {
+    const stored = visitor.getDataValue(field);
+    return stored !== null && stored !== undefined && getKeyId(stored) !== activeKeyId;
+  });
+};
+
+/**
+ * Re-encrypt visitor PII under the active key in batches of `batchSize` rows, one transaction per batch.
+ * Blind indexes are recomputed for every rewritten row. With `dryRun` the rows are only counted.
+ */
+const rotateVisitorKeys = async ({ batchSize = DEFAULT_BATCH_SIZE, dryRun = false, userId = null } = {}) => {
+  try {
+    const { activeKeyId } = getKeyring();
+    const report = { activeKeyId, dryRun, scanned: 0, reencrypted: 0, batches: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const visitors = await Visitor.findAll({
+        where: lastId ? { id: { [Op.gt]: lastId } } : {},
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+      if (visitors.length === 0) {
+        break;
+      }
+
+      const stale = visitors
+        .map(visitor => ({ visitor, fields: getStaleFields(visitor, activeKeyId) }))
+        .filter(entry => entry.fields.length > 0);
+
+      if (!dryRun && stale.length > 0) {
+        await sequelize.transaction(async (transaction) => {
+          for (const { visitor, fields } of stale) {
+            // Setting a field to its own decrypted value encrypts it again under the active key
+            fields.forEach(field => visitor.set(field, visitor.get(field)));
+            await visitor.save({
+              fields: [...fields, ...INDEX_FIELDS],
+              hooks: false,
+              silent: true,
+              validate: false,
+              transaction
+            });
+          }
+        });
+      }
+
+      report.scanned += visitors.length;
+      report.reencrypted += stale.length;
+      report.batches++;
+      lastId = visitors[visitors.length - 1].id;
+    }
+
+    if (!dryRun) {
+      await createAuditLog({
+        userId,
+        action: 'PII_KEYS_ROTATED',
+        resource: 'visitor',
+        details: report,
+        category: 'security',
+        severity: 'high',
+        complianceFlags: ['pdpa']
+      });
+    }
+
+    logger.info('Visitor PII key rotation finished', report);
+
+    return report;
+  } catch (error) {
+    logger.error('Failed to rotate visitor PII keys:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-encrypt users' TOTP secrets under the active key. They share the PII keyring, so an old key
+ * can only be removed once both visitors and MFA secrets report nothing left to re-encrypt.
+ */
+const rotateMfaSecretKeys = async ({ batchSize = DEFAULT_BATCH_SIZE, dryRun = false, userId = null } = {}) => {
+  try {
+    const { activeKeyId } = getKeyring();
+    const report = { activeKeyId, dryRun, scanned: 0, reencrypted: 0, batches: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const where = { mfaSecret: { [Op.ne]: null } };
+      if (lastId) {
+        where.id = { [Op.gt]: lastId };
+      }
+      const users = await User.findAll({ where, order: [['id', 'ASC']], limit: batchSize });
+      if (users.length === 0) {
+        break;
+      }
+
+      const stale = users.filter(user => getKeyId(user.getDataValue('mfaSecret')) !== activeKeyId);
+
+      if (!dryRun && stale.length > 0) {
+        await sequelize.transaction(async (transaction) => {
+          for (const user of stale) {
+            user.set('mfaSecret', user.get('mfaSecret'));
+            await user.save({ fields: ['mfaSecret'], hooks: false, silent: true, validate: false, transaction });
+          }
+        });
+      }
+
+      report.scanned += users.length;
+      report.reencrypted += stale.length;
+      report.batches++;
+      lastId = users[users.length - 1].id;
+    }
+
+    if (!dryRun) {
+      await createAuditLog({
+        userId,
+        action: 'PII_KEYS_ROTATED',
+        resource: 'user_mfa_secret',
+        details: report,
+        category: 'security',
+        severity: 'high'
+      });
+    }
+
+    logger.info('MFA secret key rotation finished', report);
+
+    return report;
+  } catch (error) {
+    logger.error('Failed to rotate MFA secret keys:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  rotateVisitorKeys,
+  rotateMfaSecretKeys
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { SystemSetting } = require('../models');
+const logger = require('../utils/logger');
+
+// Token layout: <version>.<keyId>.<body>.<signature>, all base64url
+const PLAIN_VERSION = 'Q1';
+const ENCRYPTED_VERSION = 'Q1E';
+const DEFAULT_EXPIRY_HOURS = 24;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+/**
+ * Load the signing keyring from QR_SIGNING_KEYS ("keyId:secret,keyId:secret").
+ * The active key signs new tokens; the others are kept so existing QR codes verify during rotation.
+ */
+const getKeyring = () => {
+  const keys = {};
+
+  (process.env.QR_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator);
+      const secret = entry.slice(separator + 1);
+      if (separator > 0 && secret) {
+        keys[keyId] = secret;
+      }
+    });
+
+  // Never derived from another secret: rotating that one would invalidate every issued QR code
+  if (Object.keys(keys).length === 0) {
+    throw new Error('QR_SIGNING_KEYS environment variable is required');
+  }
+
+  const activeKeyId = process.env.QR_ACTIVE_KEY_ID || Object.keys(keys)[0];
+  if (!keys[activeKeyId]) {
+    throw new Error(`QR_ACTIVE_KEY_ID ${activeKeyId} is not present in QR_SIGNING_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+};
+
+const sign = (secret, data) => {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+};
+
+const getEncryptionKey = (secret) => {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'neo-vms-qr-encryption', 32));
+};
+
+const encrypt = (secret, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decrypt = (secret, data) => {
+  const iv = data.subarray(0, 12);
+  const authTag = data.subarray(12, 28);
+  const ciphertext = data.subarray(28);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(secret), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Get the configured QR code lifetime in hours
+ */
+const getQrCodeExpiryHours = async () => {
+  try {
+    const hours = parseInt(await SystemSetting.getSetting('qr_code_expiry_hours'));
+    return hours > 0 ? hours : DEFAULT_EXPIRY_HOURS;
+  } catch (error) {
+    logger.error('Failed to read QR code expiry setting:', error);
+    return DEFAULT_EXPIRY_HOURS;
+  }
+};
+
+/**
+ * Work out when a visit QR code expires, counting from the later of now and the scheduled arrival.
+ * Callers signing many codes at once can pass `hours` from getQrCodeExpiryHours to read the setting once.
+ */
+const calculateQrCodeExpiry = async (scheduledArrival = null, from = new Date(), hours = null) => {
+  const expiryHours = hours || await getQrCodeExpiryHours();
+  const start = scheduledArrival ? Math.max(new Date(scheduledArrival).getTime(), from.getTime()) : from.getTime();
+  return new Date(start + expiryHours * 60 * 60 * 1000);
+};
+
+/**
+ * Issue a signed QR token for a visit.
+ * The payload is encrypted as well when QR_ENCRYPT_PAYLOAD is enabled.
+ */
+const issueQrToken = (visitId, expiresAt) => {
+  const { keys, activeKeyId } = getKeyring();
+  const secret = keys[activeKeyId];
+  const payload = JSON.stringify({
+    vid: visitId,
+    exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+  });
+
+  const encrypted = process.env.QR_ENCRYPT_PAYLOAD === 'true';
+  const version = encrypted ? ENCRYPTED_VERSION : PLAIN_VERSION;
+  const body = toBase64Url(encrypted ? encrypt(secret, payload) : payload);
+  const signedPart = `${version}.${activeKeyId}.${body}`;
+
+  return `${signedPart}.${toBase64Url(sign(secret, signedPart))}`;
+};
+
+/**
+ * Verify a QR token's signature and expiry.
+ * Returns { valid, reason, visitId, expiresAt, keyId }.
+ */
+const verifyQrToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 4 || ![PLAIN_VERSION, ENCRYPTED_VERSION].includes(parts[0])) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [version, keyId, body, signature] = parts;
+  const { keys } = getKeyring();
+  const secret = keys[keyId];
+  if (!secret) {
+    return { valid: false, reason: 'unknown_key', keyId };
+  }
+
+  const expected = sign(secret, `${version}.${keyId}.${body}`);
+  const provided = fromBase64Url(signature);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false, reason: 'invalid_signature', keyId };
+  }
+
+  let payload;
+  try {
+    const raw = version === ENCRYPTED_VERSION
+      ? decrypt(secret, fromBase64Url(body))
+      : fromBase64Url(body).toString('utf8');
+    payload = JSON.parse(raw);
+  } catch (error) {
+    return { valid: false, reason: 'malformed', keyId };
+  }
+
+  const expiresAt = new Date(payload.exp * 1000);
+  if (expiresAt < new Date()) {
+    return { valid: false, reason: 'expired', visitId: payload.vid, expiresAt, keyId };
+  }
+
+  return { valid: true, visitId: payload.vid, expiresAt, keyId };
+};
+
+module.exports = {
+  getQrCodeExpiryHours,
+  calculateQrCodeExpiry,
+  issueQrToken,
+  verifyQrToken
+};
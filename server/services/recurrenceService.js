@@ -0,0 +1,379 @@
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, Visit, Holiday } = require('../models');
+const { calculateQrCodeExpiry, getQrCodeExpiryHours, issueQrToken } = require('./qrTokenService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 366;
+const MAX_SERIES_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that can be changed across a whole series
+const SERIES_FIELDS = [
+  'purpose',
+  'expectedDuration',
+  'location',
+  'floor',
+  'room',
+  'vehicleNumber',
+  'parkingSlot',
+  'items',
+  'customFields',
+  'notes'
+];
+
+/**
+ * Format a date as a local YYYY-MM-DD key, matching holiday DATEONLY values
+ */
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Validate an RRULE-style recurrence rule.
+ * Returns an error message, or null when the rule is valid.
+ */
+const validateRecurrenceRule = (rule, scheduledArrival) => {
+  if (!rule || typeof rule !== 'object') {
+    return 'Recurrence must be an object';
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 12)) {
+    return 'Recurrence interval must be between 1 and 12';
+  }
+
+  if (rule.byWeekday !== undefined) {
+    if (rule.frequency !== 'weekly') {
+      return 'Recurrence weekdays can only be used with a weekly frequency';
+    }
+    if (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0 || !rule.byWeekday.every(day => WEEKDAYS.includes(day))) {
+      return `Recurrence weekdays must be a list of: ${WEEKDAYS.join(', ')}`;
+    }
+  }
+
+  if (!rule.until && !rule.count) {
+    return 'Recurrence requires an end date (until) or a number of occurrences (count)';
+  }
+
+  if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+  }
+
+  if (rule.until !== undefined) {
+    const until = new Date(rule.until);
+    const start = new Date(scheduledArrival);
+    if (isNaN(until.getTime())) {
+      return 'Recurrence end date must be a valid date';
+    }
+    if (until < start) {
+      return 'Recurrence end date must be after the first arrival';
+    }
+    if (until - start > MAX_SERIES_DAYS * DAY_MS) {
+      return `Recurrence cannot span more than ${MAX_SERIES_DAYS} days`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Expand a recurrence rule into arrival times, keeping the time of day of the first arrival.
+ * As with RRULE, count limits the occurrences the rule produces before any dates are skipped.
+ */
+const expandRecurrence = (scheduledArrival, rule) => {
+  const start = new Date(scheduledArrival);
+  const interval = rule.interval || 1;
+  const until = rule.until ? new Date(rule.until) : new Date(start.getTime() + MAX_SERIES_DAYS * DAY_MS);
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  // A date-only end date includes that whole day
+  if (typeof rule.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(rule.until)) {
+    until.setHours(23, 59, 59, 999);
+  }
+
+  const occurrences = [];
+  const withinRange = (date) => date <= until && occurrences.length < limit;
+
+  if (rule.frequency === 'daily') {
+    for (let date = new Date(start); withinRange(date); date.setDate(date.getDate() + interval)) {
+      occurrences.push(new Date(date));
+    }
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = (rule.byWeekday || [WEEKDAYS[start.getDay()]]).map(day => WEEKDAYS.indexOf(day));
+    const weekStart = new Date(start);
+    weekStart.setDate(start.getDate() - start.getDay());
+
+    for (let date = new Date(start); withinRange(date); date.setDate(date.getDate() + 1)) {
+      const week = Math.floor(Math.round((date - weekStart) / DAY_MS) / 7);
+      if (week % interval === 0 && weekdays.includes(date.getDay())) {
+        occurrences.push(new Date(date));
+      }
+    }
+  } else if (rule.frequency === 'monthly') {
+    for (let step = 0; ; step += interval) {
+      const date = new Date(start);
+      date.setDate(1);
+      date.setMonth(start.getMonth() + step);
+      date.setDate(start.getDate());
+
+      // Skip months that do not have this day (e.g. the 31st)
+      if (date.getDate() !== start.getDate()) {
+        continue;
+      }
+      if (!withinRange(date)) {
+        break;
+      }
+      occurrences.push(date);
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Remove dates that fall on a holiday. Returns { dates, skippedDates }.
+ */
+const skipHolidays = async (dates) => {
+  if (dates.length === 0) {
+    return { dates, skippedDates: [] };
+  }
+
+  const holidays = await Holiday.findBetween(toDateKey(dates[0]), toDateKey(dates[dates.length - 1]));
+  const holidayKeys = new Set(holidays.map(holiday => holiday.date));
+
+  return {
+    dates: dates.filter(date => !holidayKeys.has(toDateKey(date))),
+    skippedDates: dates.filter(date => holidayKeys.has(toDateKey(date))).map(toDateKey)
+  };
+};
+
+/**
+ * Build the signed QR code fields for a visit occurrence
+ */
+const buildQrCode = async (visitId, arrival, expiryHours) => {
+  const qrCodeExpiry = await calculateQrCodeExpiry(arrival, new Date(), expiryHours);
+  return {
+    qrCode: issueQrToken(visitId, qrCodeExpiry),
+    qrCodeExpiry
+  };
+};
+
+/**
+ * Create a recurring visit series.
+ * The first occurrence is the parent and holds the rule; later occurrences are materialised as child visits.
+ */
+const createVisitSeries = async (visitData, rule) => {
+  try {
+    const allDates = expandRecurrence(visitData.scheduledArrival, rule);
+    const { dates, skippedDates } = rule.skipHolidays === false
+      ? { dates: allDates, skippedDates: [] }
+      : await skipHolidays(allDates);
+
+    if (dates.length === 0) {
+      return { parent: null, occurrences: [], skippedDates };
+    }
+
+    const expiryHours = await getQrCodeExpiryHours();
+    const now = new Date();
+    const parentId = uuidv4();
+
+    const records = await Promise.all(dates.map(async (date, index) => {
+      const id = index === 0 ? parentId : uuidv4();
+      return {
+        ...visitData,
+        id,
+        scheduledArrival: date,
+        ...(await buildQrCode(id, date, expiryHours)),
+        preRegisteredAt: now,
+        status: 'pre_registered',
+        isRecurring: true,
+        recurringParentId: index === 0 ? null : parentId,
+        recurringInstanceDate: date,
+        recurrenceRule: index === 0 ? rule : null
+      };
+    }));
+
+    const visits = await sequelize.transaction(async (transaction) => {
+      return Visit.bulkCreate(records, { transaction });
+    });
+
+    return {
+      parent: visits[0],
+      occurrences: visits,
+      skippedDates
+    };
+  } catch (error) {
+    logger.error('Failed to create visit series:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the parent ID of the series a visit belongs to, or null for a one-off visit
+ */
+const getSeriesParentId = (visit) => {
+  if (visit.recurringParentId) {
+    return visit.recurringParentId;
+  }
+  return visit.isRecurring ? visit.id : null;
+};
+
+/**
+ * Find the visits affected by a change to one occurrence.
+ * Scope is 'occurrence', 'following' (this and later occurrences) or 'series'.
+ * Only occurrences that have not started are included for the wider scopes.
+ */
+const findSeriesScope = async (visit, scope = 'occurrence') => {
+  const parentId = getSeriesParentId(visit);
+  if (scope === 'occurrence' || !parentId) {
+    return [visit];
+  }
+
+  const whereClause = {
+    [Op.or]: [
+      { id: parentId },
+      { recurringParentId: parentId }
+    ],
+    status: 'pre_registered'
+  };
+
+  if (scope === 'following') {
+    whereClause.scheduledArrival = { [Op.gte]: visit.scheduledArrival };
+  }
+
+  return Visit.findAll({
+    where: whereClause,
+    order: [['scheduledArrival', 'ASC']]
+  });
+};
+
+/**
+ * Apply changes to a visit or its series.
+ * A new arrival time on a wider scope shifts every affected occurrence by the same amount.
+ */
+const updateVisitSeries = async (visit, changes, scope = 'occurrence') => {
+  try {
+    const visits = await findSeriesScope(visit, scope);
+    const expiryHours = await getQrCodeExpiryHours();
+    const shift = changes.scheduledArrival && visit.scheduledArrival
+      ? new Date(changes.scheduledArrival) - new Date(visit.scheduledArrival)
+      : 0;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const occurrence of visits) {
+        const update = {};
+        const fields = scope === 'occurrence' ? [...SERIES_FIELDS, 'scheduledArrival'] : SERIES_FIELDS;
+        fields.forEach(field => {
+          if (changes[field] !== undefined) {
+            update[field] = changes[field];
+          }
+        });
+
+        if (scope !== 'occurrence' && shift && occurrence.scheduledArrival) {
+          update.scheduledArrival = new Date(new Date(occurrence.scheduledArrival).getTime() + shift);
+        }
+
+        // Moving a pre-registered visit re-signs its QR code for the new expiry
+        if (update.scheduledArrival && occurrence.status === 'pre_registered') {
+          Object.assign(update, await buildQrCode(occurrence.id, new Date(update.scheduledArrival), expiryHours));
+        }
+
+        await occurrence.update(update, { transaction });
+      }
+    });
+
+    return visits;
+  } catch (error) {
+    logger.error('Failed to update visit series:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a visit or its remaining occurrences
+ */
+const cancelVisitSeries = async (visit, reason, scope = 'occurrence') => {
+  try {
+    const visits = await findSeriesScope(visit, scope);
+
+    await sequelize.transaction(async (transaction) => {
+      for (const occurrence of visits) {
+        await occurrence.update({
+          status: 'cancelled',
+          notes: occurrence.notes ? `${occurrence.notes}\n\nCancelled: ${reason}` : `Cancelled: ${reason}`
+        }, { transaction });
+      }
+    });
+
+    return visits;
+  } catch (error) {
+    logger.error('Failed to cancel visit series:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel pre-registered recurring occurrences that fall on a newly added holiday
+ */
+const cancelOccurrencesOnHoliday = async (holiday) => {
+  try {
+    const dayStart = new Date(`${holiday.date}T00:00:00`);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+    const visits = await Visit.findAll({
+      where: {
+        isRecurring: true,
+        status: 'pre_registered',
+        scheduledArrival: {
+          [Op.gte]: dayStart,
+          [Op.lt]: dayEnd
+        }
+      },
+      include: [
+        {
+          model: Visit,
+          as: 'recurringParent',
+          required: false
+        }
+      ]
+    });
+
+    const affected = visits.filter(visit => {
+      const rule = visit.recurrenceRule || (visit.recurringParent && visit.recurringParent.recurrenceRule) || {};
+      return rule.skipHolidays !== false;
+    });
+
+    for (const visit of affected) {
+      await visit.update({
+        status: 'cancelled',
+        notes: visit.notes ? `${visit.notes}\n\nCancelled: Holiday (${holiday.name})` : `Cancelled: Holiday (${holiday.name})`
+      });
+    }
+
+    return affected;
+  } catch (error) {
+    logger.error('Failed to cancel occurrences on holiday:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  validateRecurrenceRule,
+  expandRecurrence,
+  createVisitSeries,
+  getSeriesParentId,
+  findSeriesScope,
+  updateVisitSeries,
+  cancelVisitSeries,
+  cancelOccurrencesOnHoliday
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, RefreshToken, User, UserSession } = require('../models');
+const { generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+const { createAuditLog } = require('./auditService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+// A client that sends several requests as its access token expires can present the same refresh token
+// more than once. A replay this soon after rotation is treated as that race rather than as theft.
+const getReuseGraceSeconds = () => {
+  const seconds = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS);
+  return Number.isNaN(seconds) ? 10 : seconds;
+};
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+/**
+ * Sign a refresh token and record it. A login starts a new family; rotations pass the family on.
+ */
+const issueRefreshToken = async (user, { familyId = uuidv4(), ipAddress = null, userAgent = null } = {}) => {
+  try {
+    const jti = crypto.randomBytes(32).toString('base64url');
+    const token = generateRefreshToken(user, { jti, familyId });
+    const { exp } = jwt.decode(token);
+
+    await RefreshToken.create({
+      userId: user.id,
+      familyId,
+      tokenHash: hashTokenId(jti),
+      expiresAt: new Date(exp * 1000),
+      ipAddress,
+      userAgent
+    });
+
+    return token;
+  } catch (error) {
+    logger.error('Failed to issue refresh token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every live token in a family and end the session it belongs to.
+ * Rotated tokens keep their status so replaying one is still caught.
+ */
+const revokeTokenFamily = async (familyId, reason, { revokedBy = null } = {}) => {
+  try {
+    const revokedAt = new Date();
+    const [revoked] = await RefreshToken.update(
+      { status: 'revoked', revokedAt, revokedReason: reason },
+      { where: { familyId, status: 'active' } }
+    );
+    await UserSession.update(
+      { revokedAt, revokedReason: reason, revokedBy },
+      { where: { id: familyId, revokedAt: null } }
+    );
+    return revoked;
+  } catch (error) {
+    logger.error('Failed to revoke refresh token family:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke all of a user's refresh tokens and end their sessions, e.g. after a password change or by an admin
+ */
+const revokeUserRefreshTokens = async (userId, reason, { revokedBy = null } = {}) => {
+  try {
+    const revokedAt = new Date();
+    const [revoked] = await RefreshToken.update(
+      { status: 'revoked', revokedAt, revokedReason: reason },
+      { where: { userId, status: 'active' } }
+    );
+    await UserSession.update(
+      { revokedAt, revokedReason: reason, revokedBy },
+      { where: { userId, revokedAt: null } }
+    );
+
+    if (revoked > 0) {
+      logger.security(`Revoked ${revoked} refresh token(s) for user ${userId}`, { reason });
+    }
+
+    return revoked;
+  } catch (error) {
+    logger.error('Failed to revoke user refresh tokens:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke the family of the presented token, as on logout. Expired tokens are accepted so they can still be
+ * cleaned up; tokens that fail verification are ignored and 0 is returned.
+ */
+const revokeRefreshToken = async (token, reason) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token, { ignoreExpiration: true });
+  } catch (error) {
+    return 0;
+  }
+
+  if (!decoded.jti) {
+    return 0;
+  }
+
+  const record = await RefreshToken.findByTokenHash(hashTokenId(decoded.jti));
+  return record ? revokeTokenFamily(record.familyId, reason) : 0;
+};
+
+// A token that was already rotated is being presented again, so either the client or an attacker
+// holds a stolen copy. The whole family is killed so neither can continue.
+const handleReuse = async (record, { ipAddress, userAgent }) => {
+  const revoked = await revokeTokenFamily(record.familyId, 'reuse_detected');
+
+  logger.security('Refresh token reuse detected', { userId: record.userId, familyId: record.familyId });
+
+  await createAuditLog({
+    userId: record.userId,
+    action: 'REFRESH_TOKEN_REUSE_DETECTED',
+    resource: 'refresh_token',
+    resourceId: record.id,
+    details: { familyId: record.familyId, rotatedAt: record.rotatedAt, revokedTokens: revoked },
+    ipAddress,
+    userAgent,
+    category: 'security',
+    severity: 'high',
+    outcome: 'failure',
+    riskLevel: 'high'
+  });
+};
+
+const isWithinReuseGrace = (record) => {
+  return Boolean(record.rotatedAt) && Date.now() - new Date(record.rotatedAt).getTime() <= getReuseGraceSeconds() * 1000;
+};
+
+const findActiveUser = async (userId) => {
+  const user = await User.findByPk(userId);
+  return user && user.isActive && !user.isLocked() ? user : null;
+};
+
+// The token was rotated moments ago by a concurrent request. That request already handed out the
+// successor, so no new refresh token is issued here; the caller only gets a fresh access token.
+const resolveGraceReplay = async (record) => {
+  // The successor may still be being written, so look for a revocation rather than for it
+  const revoked = await RefreshToken.count({ where: { familyId: record.familyId, status: 'revoked' } });
+  if (revoked > 0) {
+    return { valid: false, reason: 'revoked' };
+  }
+
+  const user = await findActiveUser(record.userId);
+  if (!user) {
+    return { valid: false, reason: 'inactive' };
+  }
+
+  return { valid: true, user, refreshToken: null, sessionId: record.familyId };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Returns { valid: true, user, refreshToken, sessionId } or { valid: false, reason } where reason is one of
+ * invalid, expired, unknown, revoked, reused or inactive. refreshToken is null when a token rotated within
+ * the last REFRESH_TOKEN_REUSE_GRACE_SECONDS is presented again; the caller keeps the cookie it has.
+ */
+const rotateRefreshToken = async (token, { ipAddress = null, userAgent = null } = {}) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(token);
+    } catch (error) {
+      return { valid: false, reason: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+    }
+
+    // Tokens signed before rotation was introduced carry no jti and cannot be tracked
+    if (!decoded.jti) {
+      return { valid: false, reason: 'invalid' };
+    }
+
+    const record = await RefreshToken.findByTokenHash(hashTokenId(decoded.jti));
+    if (!record || record.userId !== decoded.id) {
+      return { valid: false, reason: 'unknown' };
+    }
+
+    if (record.status === 'rotated') {
+      if (isWithinReuseGrace(record)) {
+        return resolveGraceReplay(record);
+      }
+      await handleReuse(record, { ipAddress, userAgent });
+      return { valid: false, reason: 'reused' };
+    }
+
+    if (record.status === 'revoked') {
+      return { valid: false, reason: 'revoked' };
+    }
+
+    if (record.isExpired()) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    const user = await findActiveUser(record.userId);
+    if (!user) {
+      return { valid: false, reason: 'inactive' };
+    }
+
+    // Only one request can move the token out of active; a concurrent request loses here
+    const [rotated] = await RefreshToken.update(
+      { status: 'rotated', rotatedAt: new Date() },
+      { where: { id: record.id, status: 'active' } }
+    );
+    if (rotated === 0) {
+      await record.reload();
+      if (record.status === 'rotated' && isWithinReuseGrace(record)) {
+        return resolveGraceReplay(record);
+      }
+      await handleReuse(record, { ipAddress, userAgent });
+      return { valid: false, reason: 'reused' };
+    }
+
+    const refreshToken = await issueRefreshToken(user, { familyId: record.familyId, ipAddress, userAgent });
+
+    return { valid: true, user, refreshToken, sessionId: record.familyId };
+  } catch (error) {
+    logger.error('Failed to rotate refresh token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete refresh token records past their expiry; the JWTs themselves no longer verify by then
+ */
+const purgeExpiredRefreshTokens = async () => {
+  try {
+    const deleted = await RefreshToken.destroy({
+      where: { expiresAt: { [Op.lt]: new Date() } }
+    });
+
+    if (deleted > 0) {
+      logger.info(`Purged ${deleted} expired refresh token(s)`);
+    }
+
+    return deleted;
+  } catch (error) {
+    logger.error('Failed to purge expired refresh tokens:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+  purgeExpiredRefreshTokens
+};
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sequelize, AccessLog, AuditLog, ConsentRecord, DataRetentionPolicy, SystemSetting, Visit, Visitor } = require('../models');
+const { removeVisitorPhoto } = require('../middleware/upload');
+const { getLegalHoldsForVisitors, eraseVisitorRecord, pseudonymiseVisits } = require('./erasureService');
+const { createAuditLog } = require('./auditService');
+const { findPrunableAuditLogs, pruneAuditLogs } = require('./auditChainService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const uploadsDir = path.join(__dirname, '../../uploads');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAMPLE_SIZE = 20;
+const DEFAULT_BATCH_SIZE = 500;
+const FINISHED_VISIT_STATUSES = ['checked_out', 'expired', 'cancelled', 'no_show'];
+
+// Files cannot be meaningfully anonymised, so both modes remove them
+const DELETE_ONLY_TYPES = ['photos', 'documents'];
+
+const lastActivityBefore = (cutoff) => ({
+  [Op.or]: [
+    { lastVisit: { [Op.lt]: cutoff } },
+    { lastVisit: null, createdAt: { [Op.lt]: cutoff } }
+  ]
+});
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Only the rows after the previous batch's last one, for keyset pagination in ID order
+const afterId = (after) => (after ? { id: { [Op.gt]: after.id } } : {});
+
+/**
+ * Per data type: find the next batch past the cutoff (in ID order, after the previous batch's last item),
+ * optionally drop items that must be kept, and anonymise or delete a batch
+ */
+const handlers = {
+  visitor_profiles: {
+    findBatch: (cutoff, mode, { after, limit }) => {
+      return Visitor.findAll({
+        where: { erasedAt: null, ...lastActivityBefore(cutoff), ...afterId(after) },
+        order: [['id', 'ASC']],
+        limit
+      });
+    },
+    // Blacklisted, on-site or incident-linked visitors are kept, as for erasure requests
+    eligible: async (visitors) => {
+      const holds = await getLegalHoldsForVisitors(visitors);
+      return visitors.filter(visitor => holds.get(visitor.id).length === 0);
+    },
+    describe: visitor => visitor.id,
+    apply: async (visitors, mode) => {
+      const visitorIds = visitors.map(visitor => visitor.id);
+
+      // Visitors with visits are anonymised even in delete mode so visit statistics keep their visitor
+      let withVisits = new Set(visitorIds);
+      if (mode === 'delete') {
+        const visits = await Visit.findAll({
+          where: { visitorId: { [Op.in]: visitorIds } },
+          attributes: ['visitorId']
+        });
+        withVisits = new Set(visits.map(visit => visit.visitorId));
+      }
+
+      const toDelete = visitorIds.filter(id => !withVisits.has(id));
+      const toAnonymise = visitors.filter(visitor => withVisits.has(visitor.id));
+      const photos = visitors.map(visitor => visitor.photo);
+
+      await sequelize.transaction(async (transaction) => {
+        if (toDelete.length > 0) {
+          await ConsentRecord.destroy({ where: { visitorId: { [Op.in]: toDelete } }, transaction });
+          await Visitor.destroy({ where: { id: { [Op.in]: toDelete } }, transaction });
+        }
+
+        const erasedAt = new Date();
+        for (const visitor of toAnonymise) {
+          await eraseVisitorRecord(visitor, erasedAt, transaction);
+        }
+      });
+
+      photos.forEach(removeVisitorPhoto);
+
+      return { anonymised: toAnonymise.length, deleted: toDelete.length };
+    }
+  },
+
+  visit_records: {
+    findBatch: (cutoff, mode, { after, limit }) => {
+      return Visit.findAll({
+        where: {
+          status: { [Op.in]: FINISHED_VISIT_STATUSES },
+          createdAt: { [Op.lt]: cutoff },
+          ...(mode === 'anonymize' ? { anonymizedAt: null } : {}),
+          ...afterId(after)
+        },
+        attributes: ['id'],
+        order: [['id', 'ASC']],
+        limit
+      });
+    },
+    describe: visit => visit.id,
+    apply: async (visits, mode) => {
+      const visitIds = visits.map(visit => visit.id);
+
+      if (mode === 'delete') {
+        const deleted = await Visit.destroy({ where: { id: { [Op.in]: visitIds } } });
+        return { anonymised: 0, deleted };
+      }
+
+      const anonymised = await sequelize.transaction(transaction => pseudonymiseVisits(visitIds, transaction));
+      return { anonymised, deleted: 0 };
+    }
+  },
+
+  photos: {
+    findBatch: (cutoff, mode, { after, limit }) => {
+      return Visitor.findAll({
+        where: { photo: { [Op.ne]: null }, ...lastActivityBefore(cutoff), ...afterId(after) },
+        attributes: ['id', 'photo'],
+        order: [['id', 'ASC']],
+        limit
+      });
+    },
+    describe: visitor => visitor.id,
+    apply: async (visitors) => {
+      const [deleted] = await Visitor.update(
+        { photo: null },
+        { where: { id: { [Op.in]: visitors.map(visitor => visitor.id) } } }
+      );
+      visitors.forEach(visitor => removeVisitorPhoto(visitor.photo));
+      return { anonymised: 0, deleted };
+    }
+  },
+
+  documents: {
+    findBatch: async (cutoff, mode, { after, limit }) => {
+      if (!fs.existsSync(uploadsDir)) {
+        return [];
+      }
+
+      return fs.readdirSync(uploadsDir)
+        .filter(name => name.startsWith('document-') && (!after || name > after.name))
+        .sort()
+        .map(name => ({ name, path: path.join(uploadsDir, name) }))
+        .filter(file => fs.statSync(file.path).mtime < cutoff)
+        .slice(0, limit);
+    },
+    describe: file => file.name,
+    apply: async (files) => {
+      files.forEach(file => fs.rmSync(file.path, { force: true }));
+      return { anonymised: 0, deleted: files.length };
+    }
+  },
+
+  audit_logs: {
+    findBatch: (cutoff, mode, { after, limit }) => {
+      // Deleting from the middle of the hash chain would break it, so only its expired start goes
+      if (mode === 'delete') {
+        return findPrunableAuditLogs({ createdAt: { [Op.lt]: cutoff } }, { after, limit });
+      }
+
+      return AuditLog.findAll({
+        where: { createdAt: { [Op.lt]: cutoff }, isAnonymized: false, ...afterId(after) },
+        order: [['id', 'ASC']],
+        limit
+      });
+    },
+    describe: auditLog => auditLog.id,
+    apply: async (auditLogs, mode) => {
+      if (mode === 'delete') {
+        const deleted = await pruneAuditLogs(auditLogs);
+        return { anonymised: 0, deleted };
+      }
+
+      // Each entry keeps digests of its own redacted values, so they are anonymised one by one
+      for (const auditLog of auditLogs) {
+        await auditLog.anonymize();
+      }
+      return { anonymised: auditLogs.length, deleted: 0 };
+    }
+  },
+
+  access_logs: {
+    findBatch: (cutoff, mode, { after, limit }) => {
+      return AccessLog.findAll({
+        where: {
+          createdAt: { [Op.lt]: cutoff },
+          ...(mode === 'anonymize' ? { anonymizedAt: null } : {}),
+          ...afterId(after)
+        },
+        attributes: ['id', 'ipAddress'],
+        order: [['id', 'ASC']],
+        limit
+      });
+    },
+    describe: accessLog => accessLog.id,
+    apply: async (accessLogs, mode) => {
+      const accessLogIds = accessLogs.map(accessLog => accessLog.id);
+
+      if (mode === 'delete') {
+        const deleted = await AccessLog.destroy({ where: { id: { [Op.in]: accessLogIds } } });
+        return { anonymised: 0, deleted };
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await AccessLog.update(
+          { userAgent: null, sessionId: null, userId: null, anonymizedAt: new Date() },
+          { where: { id: { [Op.in]: accessLogIds } }, transaction }
+        );
+
+        // Hashes differ per row, so only the IP addresses are written one at a time
+        for (const accessLog of accessLogs.filter(log => log.ipAddress)) {
+          await AccessLog.update(
+            { ipAddress: hashValue(accessLog.ipAddress) },
+            { where: { id: accessLog.id }, transaction }
+          );
+        }
+      });
+      return { anonymised: accessLogs.length, deleted: 0 };
+    }
+  }
+};
+
+/**
+ * Whether scheduled runs may purge data, from the auto_purge_enabled setting
+ */
+const isAutoPurgeEnabled = async () => {
+  const enabled = await SystemSetting.getSetting('auto_purge_enabled');
+  return enabled === null ? process.env.AUTO_PURGE_ENABLED === 'true' : enabled === true;
+};
+
+/**
+ * Retention period for a policy. Photos follow the photo_retention_days setting when it is set.
+ */
+const getRetentionDays = async (policy) => {
+  if (policy.dataType === 'photos') {
+    const days = await SystemSetting.getSetting('photo_retention_days');
+    if (days && !isNaN(days)) {
+      return Number(days);
+    }
+  }
+  return policy.retentionPeriod;
+};
+
+/**
+ * Apply the active retention policies and return a purge report. Each policy works through its data
+ * `batchSize` rows at a time, so a large backlog is never loaded at once.
+ * Scheduled (automatic) runs only apply autoDelete policies, and nothing at all while auto_purge_enabled is off.
+ */
+const applyRetention = async ({ dataTypes = null, dryRun = false, automatic = false, batchSize = DEFAULT_BATCH_SIZE, userId = null, ipAddress = null, userAgent = null } = {}) => {
+  try {
+    if (automatic && !(await isAutoPurgeEnabled())) {
+      logger.info('Retention enforcement skipped: automatic purging is disabled');
+      return { skipped: true, reason: 'auto_purge_enabled is off' };
+    }
+
+    const policies = (await DataRetentionPolicy.findActive())
+      .filter(policy => !dataTypes || dataTypes.includes(policy.dataType))
+      .filter(policy => !automatic || policy.autoDelete);
+
+    const startedAt = new Date();
+    const results = [];
+
+    for (const policy of policies) {
+      const handler = handlers[policy.dataType];
+      const retentionDays = await getRetentionDays(policy);
+      const cutoff = new Date(startedAt.getTime() - retentionDays * DAY_MS);
+      const mode = DELETE_ONLY_TYPES.includes(policy.dataType) ? 'delete' : policy.mode;
+
+      const result = {
+        dataType: policy.dataType,
+        mode,
+        retentionDays,
+        cutoff,
+        matched: 0,
+        anonymised: 0,
+        deleted: 0,
+        batches: 0,
+        sample: []
+      };
+
+      let after = null;
+      for (;;) {
+        const batch = await handler.findBatch(cutoff, mode, { after, limit: batchSize });
+        if (batch.length === 0) {
+          break;
+        }
+        after = batch[batch.length - 1];
+
+        const items = handler.eligible ? await handler.eligible(batch) : batch;
+        result.matched += items.length;
+        result.batches++;
+        result.sample.push(...items.slice(0, SAMPLE_SIZE - result.sample.length).map(handler.describe));
+
+        if (!dryRun && items.length > 0) {
+          const counts = await handler.apply(items, mode);
+          result.anonymised += counts.anonymised;
+          result.deleted += counts.deleted;
+        }
+      }
+
+      results.push(result);
+    }
+
+    const totals = results.reduce((sum, result) => ({
+      matched: sum.matched + result.matched,
+      anonymised: sum.anonymised + result.anonymised,
+      deleted: sum.deleted + result.deleted
+    }), { matched: 0, anonymised: 0, deleted: 0 });
+
+    const report = {
+      dryRun,
+      automatic,
+      startedAt,
+      finishedAt: new Date(),
+      policies: results,
+      totals
+    };
+
+    if (!dryRun) {
+      await createAuditLog({
+        userId,
+        action: 'RETENTION_PURGE_COMPLETED',
+        resource: 'data_retention_policy',
+        details: report,
+        ipAddress,
+        userAgent,
+        category: 'compliance',
+        severity: totals.anonymised + totals.deleted > 0 ? 'medium' : 'low',
+        complianceFlags: ['pdpa']
+      });
+
+      logger.info('Retention enforcement completed', totals);
+    }
+
+    return report;
+  } catch (error) {
+    logger.error('Failed to apply retention policies:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  isAutoPurgeEnabled,
+  getRetentionDays,
+  applyRetention
+};
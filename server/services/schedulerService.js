@@ -0,0 +1,253 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { ScheduledJob, SchedulerLock } = require('../models');
+const { autoCheckoutStaleVisits, sendOverdueAlerts, closeMissedVisits } = require('./visitLifecycleService');
+const { applyRetention } = require('./retentionService');
+const { createCheckpoint } = require('./auditChainService');
+const { purgeExpiredRefreshTokens } = require('./refreshTokenService');
+const logger = require('../utils/logger');
+
+const LEADER_LOCK = 'scheduler-leader';
+const instanceId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+let isLeader = false;
+
+const getTickSeconds = () => parseInt(process.env.SCHEDULER_TICK_SECONDS) || 30;
+
+// The lease outlives several ticks and is renewed while jobs run, so slow jobs do not hand leadership over
+const getLockTtlSeconds = () => parseInt(process.env.SCHEDULER_LOCK_TTL_SECONDS) || getTickSeconds() * 3;
+
+/**
+ * Register a recurring job handler
+ */
+const registerJob = (name, { intervalMinutes, description, handler }) => {
+  jobs.set(name, { name, intervalMinutes, description, handler });
+};
+
+/**
+ * Register the built-in visit lifecycle, retention, audit and token cleanup jobs
+ */
+const registerDefaultJobs = () => {
+  registerJob('auto-checkout', {
+    intervalMinutes: 15,
+    description: 'Check out visitors still checked in after auto_checkout_hours',
+    handler: autoCheckoutStaleVisits
+  });
+
+  registerJob('overdue-alerts', {
+    intervalMinutes: 5,
+    description: 'Alert hosts and security about overdue visits',
+    handler: sendOverdueAlerts
+  });
+
+  registerJob('missed-visits', {
+    intervalMinutes: 15,
+    description: 'Mark pre-registered visits as no_show or expired after their window',
+    handler: closeMissedVisits
+  });
+
+  registerJob('retention-enforcement', {
+    intervalMinutes: 24 * 60,
+    description: 'Apply autoDelete retention policies while auto_purge_enabled is on',
+    handler: () => applyRetention({ automatic: true })
+  });
+
+  registerJob('audit-checkpoint', {
+    intervalMinutes: 60,
+    description: 'Sign a checkpoint of the audit log hash chain',
+    handler: () => createCheckpoint({ reason: 'scheduled' })
+  });
+
+  registerJob('refresh-token-cleanup', {
+    intervalMinutes: 24 * 60,
+    description: 'Delete expired refresh token records',
+    handler: purgeExpiredRefreshTokens
+  });
+};
+
+/**
+ * Make sure every registered job has a persisted state row
+ */
+const syncJobState = async () => {
+  for (const job of jobs.values()) {
+    const [state, created] = await ScheduledJob.findOrCreate({
+      where: { name: job.name },
+      defaults: {
+        name: job.name,
+        description: job.description,
+        intervalMinutes: job.intervalMinutes
+      }
+    });
+
+    if (!created && state.intervalMinutes !== job.intervalMinutes) {
+      await state.update({ intervalMinutes: job.intervalMinutes, description: job.description });
+    }
+  }
+};
+
+/**
+ * Run one job and persist its outcome
+ */
+const runJob = async (state) => {
+  const job = jobs.get(state.name);
+  if (!job) {
+    return null;
+  }
+
+  const startedAt = new Date();
+  await state.update({
+    lastStatus: 'running',
+    lastRunAt: startedAt,
+    lastRunBy: instanceId,
+    nextRunAt: new Date(startedAt.getTime() + state.intervalMinutes * 60 * 1000)
+  });
+
+  try {
+    const result = await job.handler(startedAt);
+
+    await state.update({
+      lastStatus: 'success',
+      lastResult: result || null,
+      lastError: null,
+      lastFinishedAt: new Date(),
+      runCount: state.runCount + 1
+    });
+
+    logger.info(`Scheduled job ${state.name} completed`, { result, durationMs: Date.now() - startedAt.getTime() });
+    return result;
+  } catch (error) {
+    await state.update({
+      lastStatus: 'failure',
+      lastError: error.message,
+      lastFinishedAt: new Date(),
+      runCount: state.runCount + 1,
+      failureCount: state.failureCount + 1
+    });
+
+    logger.error(`Scheduled job ${state.name} failed:`, error);
+    return null;
+  }
+};
+
+/**
+ * Acquire or renew the leader lease. Returns whether this instance leads.
+ */
+const renewLeadership = async () => {
+  const leader = await SchedulerLock.acquire(LEADER_LOCK, instanceId, getLockTtlSeconds());
+  if (leader !== isLeader) {
+    logger.info(leader ? 'Scheduler leadership acquired' : 'Scheduler leadership lost', { instanceId });
+    isLeader = leader;
+  }
+  return leader;
+};
+
+/**
+ * Run a job while renewing the lease in the background, so a job that takes longer than
+ * the TTL does not let another instance take over and start the same jobs
+ */
+const runJobWithLease = async (state) => {
+  const heartbeat = setInterval(() => {
+    renewLeadership().catch(error => logger.error('Failed to renew scheduler lease:', error));
+  }, getLockTtlSeconds() * 1000 / 3);
+  heartbeat.unref();
+
+  try {
+    return await runJob(state);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Acquire or renew scheduler leadership, then run any due jobs if this instance is the leader
+ */
+const tick = async () => {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    if (!await renewLeadership()) {
+      return;
+    }
+
+    const dueJobs = await ScheduledJob.findDue();
+    for (const state of dueJobs) {
+      // Another instance may have taken over while the previous job ran; it will pick up the rest
+      if (!await renewLeadership()) {
+        break;
+      }
+      await runJobWithLease(state);
+    }
+  } catch (error) {
+    logger.error('Scheduler tick failed:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Run a registered job immediately, regardless of leadership or schedule
+ */
+const runJobNow = async (name) => {
+  const state = await ScheduledJob.findOne({ where: { name } });
+  if (!state || !jobs.has(name)) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+  return runJob(state);
+};
+
+/**
+ * Start the in-process scheduler
+ */
+const startScheduler = async () => {
+  if (timer) {
+    return;
+  }
+
+  if (jobs.size === 0) {
+    registerDefaultJobs();
+  }
+
+  await syncJobState();
+
+  timer = setInterval(tick, getTickSeconds() * 1000);
+  timer.unref();
+
+  logger.info('Scheduler started', { instanceId, jobs: [...jobs.keys()] });
+  await tick();
+};
+
+/**
+ * Stop the scheduler and give up leadership so another instance can take over
+ */
+const stopScheduler = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  if (isLeader) {
+    isLeader = false;
+    try {
+      await SchedulerLock.release(LEADER_LOCK, instanceId);
+    } catch (error) {
+      logger.error('Failed to release scheduler lock:', error);
+    }
+  }
+};
+
+module.exports = {
+  instanceId,
+  registerJob,
+  registerDefaultJobs,
+  syncJobState,
+  tick,
+  runJobNow,
+  startScheduler,
+  stopScheduler
+};
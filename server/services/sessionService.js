@@ -0,0 +1,167 @@
+const { UserSession } = require('../models');
+const { disconnectUserSockets } = require('./socketService');
+const { getSecurityPolicy } = require('./settingsService');
+const logger = require('../utils/logger');
+
+// Required lazily: refreshTokenService depends on the auth middleware, which depends on this module
+const refreshTokens = () => require('./refreshTokenService');
+
+// lastSeenAt is only written this often, so busy sessions do not update the row on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Short, human-readable device name such as "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return 'Unknown device';
+  }
+  return [browser && browser[0], platform && platform[0]].filter(Boolean).join(' on ');
+};
+
+/**
+ * Start a session at login. Its ID becomes the refresh token family and the access tokens' sid.
+ */
+const createSession = async (user, { ipAddress = null, userAgent = null } = {}) => {
+  try {
+    return await UserSession.create({
+      userId: user.id,
+      device: describeDevice(userAgent),
+      ipAddress,
+      userAgent,
+      lastSeenAt: new Date(),
+      lastSeenIp: ipAddress
+    });
+  } catch (error) {
+    logger.error('Failed to create session:', error);
+    throw error;
+  }
+};
+
+/**
+ * End one session: revoke its refresh tokens and disconnect its sockets
+ */
+const endSession = async (session, { reason, revokedBy = null }) => {
+  try {
+    await refreshTokens().revokeTokenFamily(session.id, reason, { revokedBy });
+    disconnectUserSockets(session.userId, { sessionId: session.id, reason });
+  } catch (error) {
+    logger.error('Failed to end session:', error);
+    throw error;
+  }
+};
+
+/**
+ * End every session of a user, e.g. on password change or an admin's force-logout.
+ * Returns the number of sessions ended and sockets disconnected.
+ */
+const endAllSessions = async (userId, { reason, revokedBy = null }) => {
+  try {
+    const sessions = await UserSession.count({ where: { userId, revokedAt: null } });
+    await refreshTokens().revokeUserRefreshTokens(userId, reason, { revokedBy });
+    const sockets = disconnectUserSockets(userId, { reason });
+
+    return { sessions, sockets };
+  } catch (error) {
+    logger.error('Failed to end user sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * End all of a user's sessions except the one making the request
+ */
+const endOtherSessions = async (userId, currentSessionId, { revokedBy = null, reason = 'signed_out_by_user' } = {}) => {
+  try {
+    const sessions = await UserSession.findActiveByUser(userId);
+    const others = sessions.filter(session => session.id !== currentSessionId);
+
+    for (const session of others) {
+      await endSession(session, { reason, revokedBy });
+    }
+
+    return others.length;
+  } catch (error) {
+    logger.error('Failed to end other sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that a session is still live and record activity on it.
+ * Sessions idle for longer than session_timeout_minutes are ended here.
+ * Returns { valid: true, session } or { valid: false, reason } with reason unknown, revoked or idle.
+ */
+const validateSession = async (sessionId, userId, { ipAddress = null } = {}) => {
+  try {
+    const session = await UserSession.findByPk(sessionId);
+    if (!session || session.userId !== userId) {
+      return { valid: false, reason: 'unknown' };
+    }
+
+    if (session.isRevoked()) {
+      return { valid: false, reason: 'revoked' };
+    }
+
+    const { sessionTimeoutMinutes } = await getSecurityPolicy();
+    if (session.isIdle(sessionTimeoutMinutes)) {
+      await endSession(session, { reason: 'idle_timeout' });
+      return { valid: false, reason: 'idle' };
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS || session.lastSeenIp !== ipAddress) {
+      await session.update({ lastSeenAt: new Date(), lastSeenIp: ipAddress });
+    }
+
+    return { valid: true, session };
+  } catch (error) {
+    logger.error('Failed to validate session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Live sessions of a user, most recently active first
+ */
+const listSessions = async (userId) => {
+  try {
+    return await UserSession.findActiveByUser(userId);
+  } catch (error) {
+    logger.error('Failed to list sessions:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  validateSession,
+  listSessions,
+  endSession,
+  endAllSessions,
+  endOtherSessions
+};
@@ -0,0 +1,118 @@
+const { SystemSetting } = require('../models');
+const logger = require('../utils/logger');
+
+// Values read on hot paths (every login or authenticated request) are cached in memory.
+// PUT /api/settings/:key invalidates this instance's cache at once; other instances pick
+// the change up when their entry expires.
+const CACHE_TTL_MS = (parseInt(process.env.SETTINGS_CACHE_TTL_SECONDS) || 60) * 1000;
+
+// Used when a setting row is missing, e.g. before defaults are seeded. Mirrors SystemSetting.initializeDefaults.
+const FALLBACKS = {
+  max_login_attempts: 5,
+  lockout_duration_minutes: 30,
+  session_timeout_minutes: 60,
+  require_mfa_for_admin: true,
+  password_min_length: 8,
+  password_require_uppercase: true,
+  password_require_lowercase: true,
+  password_require_number: true,
+  password_require_symbol: false,
+  password_max_age_days: 0,
+  password_history_count: 5
+};
+
+const cache = new Map();
+
+/**
+ * A setting's typed value, served from the cache while it is fresh
+ */
+const getSetting = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  try {
+    const stored = await SystemSetting.getSetting(key);
+    const value = stored === null || stored === undefined ? (FALLBACKS[key] ?? null) : stored;
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  } catch (error) {
+    logger.error(`Failed to load setting ${key}:`, error);
+    // A stale value is better than failing logins while the database hiccups
+    if (cached) {
+      return cached.value;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Drop a cached setting, or every cached setting when no key is given
+ */
+const invalidateSetting = (key = null) => {
+  if (key) {
+    cache.delete(key);
+  } else {
+    cache.clear();
+  }
+};
+
+// Numeric settings where 0 is meaningful, so `|| fallback` cannot be used
+const toCount = (value, fallback) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+};
+
+const toFlag = (value) => value === true || value === 'true';
+
+/**
+ * Login and session policy from the security settings
+ */
+const getSecurityPolicy = async () => {
+  const [maxLoginAttempts, lockoutDurationMinutes, sessionTimeoutMinutes, requireMfaForAdmin] = await Promise.all([
+    getSetting('max_login_attempts'),
+    getSetting('lockout_duration_minutes'),
+    getSetting('session_timeout_minutes'),
+    getSetting('require_mfa_for_admin')
+  ]);
+
+  return {
+    maxLoginAttempts: parseInt(maxLoginAttempts) || FALLBACKS.max_login_attempts,
+    lockoutDurationMinutes: parseInt(lockoutDurationMinutes) || FALLBACKS.lockout_duration_minutes,
+    sessionTimeoutMinutes: parseInt(sessionTimeoutMinutes) || FALLBACKS.session_timeout_minutes,
+    requireMfaForAdmin: toFlag(requireMfaForAdmin)
+  };
+};
+
+/**
+ * Password rules from the security settings
+ */
+const getPasswordPolicy = async () => {
+  const [minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, maxAgeDays, historyCount] = await Promise.all([
+    getSetting('password_min_length'),
+    getSetting('password_require_uppercase'),
+    getSetting('password_require_lowercase'),
+    getSetting('password_require_number'),
+    getSetting('password_require_symbol'),
+    getSetting('password_max_age_days'),
+    getSetting('password_history_count')
+  ]);
+
+  return {
+    minLength: parseInt(minLength) || FALLBACKS.password_min_length,
+    requireUppercase: toFlag(requireUppercase),
+    requireLowercase: toFlag(requireLowercase),
+    requireNumber: toFlag(requireNumber),
+    requireSymbol: toFlag(requireSymbol),
+    maxAgeDays: toCount(maxAgeDays, FALLBACKS.password_max_age_days),
+    historyCount: toCount(historyCount, FALLBACKS.password_history_count)
+  };
+};
+
+module.exports = {
+  getSetting,
+  invalidateSetting,
+  getSecurityPolicy,
+  getPasswordPolicy
+};
@@ -6,11 +6,14 @@ const logger = require('../utils/logger');
 const activeConnections = new Map();
 const userSockets = new Map(); // userId -> Set of socketIds
 const roomMembers = new Map(); // roomName -> Set of socketIds
+let ioInstance = null;
 
 /**
  * Initialize Socket.IO service with latest features
  */
 const initializeSocket = (io) => {
+  ioInstance = io;
+
   // Rate limiting middleware with latest Socket.IO features
   const rateLimiter = createSocketRateLimit(20, 60000); // 20 requests per minute
 
@@ -31,6 +34,7 @@ const initializeSocket = (io) => {
     activeConnections.set(socket.id, {
       userId: socket.userId,
       userRole: socket.userRole,
+      sessionId: socket.sessionId,
       connectedAt: new Date(),
       ip: socket.handshake.address
     });
@@ -142,32 +146,24 @@ const initializeSocket = (io) => {
     // Handle emergency notifications
     socket.on('emergency_alert', rateLimiter, requireSocketRole(['admin', 'security']), logSocketEvent('emergency_alert'), async (data) => {
       try {
-        const { type, message, location, priority = 'high' } = data;
+        const { type, message, location, priority = 'high', drill = false } = data;
         
         const emergencyData = {
           type,
           message,
           location,
           priority,
+          drill: drill === true,
           triggeredBy: socket.userId,
+          ipAddress: socket.handshake.address,
           timestamp: new Date()
         };
 
-        // Notify all connected users
-        io.emit('emergency_notification', emergencyData);
-        
-        // Send to external systems if configured
-        await broadcastEmergencyAlert(emergencyData);
-
-        await createAuditLog({
-          userId: socket.userId,
-          action: 'EMERGENCY_ALERT_SENT',
-          details: { type, message, location, priority },
-          ipAddress: socket.handshake.address,
-          category: 'security',
-          severity: 'critical',
-          riskLevel: 'critical'
-        });
+        // Notifies connected users, contacts and audits the incident
+        const incident = await broadcastEmergencyAlert(emergencyData);
+        if (!incident) {
+          socket.emit('error', { message: 'Failed to send emergency alert' });
+        }
 
       } catch (error) {
         logger.error('Error handling emergency alert:', error);
@@ -383,53 +379,82 @@ const initializeSocket = (io) => {
 };
 
 /**
- * Send notification to specific user
+ * Whether any socket is in a room, so callers know if an emit reached anyone
+ */
+const hasRoomMembers = (room) => {
+  const members = ioInstance.sockets.adapter.rooms.get(room);
+  return Boolean(members && members.size > 0);
+};
+
+/**
+ * Send notification to specific user. Returns whether any of their sockets was connected.
  */
 const sendNotificationToUser = (userId, event, data) => {
-  const io = require('../index').io;
-  if (io) {
-    io.to(`user_${userId}`).emit(event, {
-      ...data,
-      timestamp: new Date()
-    });
+  const room = `user_${userId}`;
+  if (!ioInstance || !hasRoomMembers(room)) {
+    return false;
   }
+
+  ioInstance.to(room).emit(event, {
+    ...data,
+    timestamp: new Date()
+  });
+  return true;
 };
 
 /**
- * Send notification to role
+ * Send notification to role. Returns whether anyone with the role was connected.
  */
 const sendNotificationToRole = (role, event, data) => {
-  const io = require('../index').io;
-  if (io) {
-    io.to(`role_${role}`).emit(event, {
-      ...data,
-      timestamp: new Date()
-    });
+  const room = `role_${role}`;
+  if (!ioInstance || !hasRoomMembers(room)) {
+    return false;
+  }
+
+  ioInstance.to(room).emit(event, {
+    ...data,
+    timestamp: new Date()
+  });
+  return true;
+};
+
+/**
+ * Send notification to every connected client. Returns whether any client was connected.
+ */
+const broadcastToAll = (event, data) => {
+  if (!ioInstance || ioInstance.sockets.sockets.size === 0) {
+    return false;
   }
+
+  ioInstance.emit(event, {
+    ...data,
+    timestamp: new Date()
+  });
+  return true;
 };
 
 /**
- * Broadcast emergency alert to external systems
+ * Raise an emergency incident and dispatch it to users and emergency contacts
  */
 const broadcastEmergencyAlert = async (alertData) => {
   try {
-    // Here you would integrate with external systems
-    // Examples: SMS gateway, email alerts, fire alarm systems, etc.
-    
-    logger.info('Emergency alert broadcasted', {
+    // Required lazily: emergencyService depends on this module
+    const { dispatchEmergencyAlert } = require('./emergencyService');
+
+    const { incident } = await dispatchEmergencyAlert({
       type: alertData.type,
-      priority: alertData.priority,
-      location: alertData.location
+      message: alertData.message,
+      level: alertData.priority,
+      affectedArea: alertData.location,
+      triggeredBy: alertData.triggeredBy,
+      isDrill: alertData.drill === true,
+      ipAddress: alertData.ipAddress
     });
-    
-    // TODO: Implement external system integrations
-    // - SMS alerts to emergency contacts
-    // - Email notifications
-    // - Integration with fire alarm systems
-    // - Push notifications to mobile apps
-    
+
+    return incident;
   } catch (error) {
     logger.error('Error broadcasting emergency alert:', error);
+    return null;
   }
 };
 
@@ -461,6 +486,38 @@ const cleanupStaleConnections = () => {
   });
 };
 
+/**
+ * Disconnect a user's sockets, or only those opened by one of their sessions.
+ * Returns the number of sockets disconnected.
+ */
+const disconnectUserSockets = (userId, { sessionId = null, reason = 'session_ended' } = {}) => {
+  if (!ioInstance || !userSockets.has(userId)) {
+    return 0;
+  }
+
+  let disconnected = 0;
+  for (const socketId of [...userSockets.get(userId)]) {
+    const connection = activeConnections.get(socketId);
+    if (sessionId && (!connection || connection.sessionId !== sessionId)) {
+      continue;
+    }
+
+    const socket = ioInstance.sockets.sockets.get(socketId);
+    if (socket) {
+      socket.emit('session_ended', { reason, timestamp: new Date() });
+      // The disconnect handler removes the socket from userSockets and activeConnections
+      socket.disconnect(true);
+      disconnected++;
+    }
+  }
+
+  if (disconnected > 0) {
+    logger.info('Disconnected user sockets', { userId, sessionId, disconnected, reason });
+  }
+
+  return disconnected;
+};
+
 /**
  * Get connection statistics
  */
@@ -490,7 +547,9 @@ module.exports = {
   initializeSocket,
   sendNotificationToUser,
   sendNotificationToRole,
+  broadcastToAll,
   getConnectionStats,
   isUserOnline,
+  disconnectUserSockets,
   broadcastEmergencyAlert
 };
\ No newline at end of file
@@ -0,0 +1,188 @@
+const { sequelize, Visit, Visitor, SystemSetting } = require('../models');
+const { createAuditLog } = require('./auditService');
+const { sendOverdueVisitNotification } = require('./notificationService');
+const { sendNotificationToUser, sendNotificationToRole } = require('./socketService');
+const logger = require('../utils/logger');
+
+const { Op } = sequelize.Sequelize;
+
+const getNumberSetting = async (key, fallback) => {
+  const value = await SystemSetting.getSetting(key);
+  return value === null || value === undefined || isNaN(value) ? fallback : Number(value);
+};
+
+/**
+ * Check out visitors who are still checked in after auto_checkout_hours
+ */
+const autoCheckoutStaleVisits = async (now = new Date()) => {
+  try {
+    const enabled = await SystemSetting.getSetting('auto_checkout_enabled');
+    if (enabled === false) {
+      return { skipped: true, checkedOut: 0 };
+    }
+
+    const hours = await getNumberSetting('auto_checkout_hours', 8);
+    const cutoff = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    const visits = await Visit.findAll({
+      where: {
+        status: 'checked_in',
+        checkedInAt: { [Op.lt]: cutoff }
+      },
+      include: [
+        {
+          model: Visitor,
+          as: 'visitor'
+        }
+      ]
+    });
+
+    for (const visit of visits) {
+      const note = `Automatically checked out after ${hours} hours`;
+      visit.notes = visit.notes ? `${visit.notes}\n\n${note}` : note;
+      await visit.checkOut(null);
+
+      await createAuditLog({
+        visitId: visit.id,
+        visitorId: visit.visitorId,
+        action: 'VISITOR_AUTO_CHECKED_OUT',
+        resource: 'visit',
+        resourceId: visit.id,
+        details: {
+          checkedInAt: visit.checkedInAt,
+          autoCheckoutHours: hours
+        },
+        category: 'data_modification',
+        severity: 'medium'
+      });
+
+      sendNotificationToUser(visit.hostId, 'visitor_checked_out', {
+        visitId: visit.id,
+        visitorName: visit.visitor ? visit.visitor.getFullName() : null,
+        checkedOutAt: visit.checkedOutAt,
+        automatic: true
+      });
+    }
+
+    if (visits.length > 0) {
+      sendNotificationToRole('receptionist', 'occupancy_changed', { autoCheckedOut: visits.length });
+    }
+
+    return { checkedOut: visits.length };
+  } catch (error) {
+    logger.error('Failed to auto check out visits:', error);
+    throw error;
+  }
+};
+
+/**
+ * Alert hosts and security about overdue visits, once per visit
+ */
+const sendOverdueAlerts = async (now = new Date()) => {
+  try {
+    const visits = await Visit.findAll({
+      where: {
+        status: 'checked_in',
+        expectedCheckout: { [Op.lt]: now },
+        overdueAlertSentAt: null
+      }
+    });
+
+    let alerted = 0;
+    let failed = 0;
+
+    for (const visit of visits) {
+      try {
+        await sendOverdueVisitNotification(visit);
+      } catch (error) {
+        // Leave the visit unmarked so the next run retries it
+        failed++;
+        continue;
+      }
+
+      visit.overdueAlertSentAt = now;
+      await visit.addNotification('visit_overdue', { expectedCheckout: visit.expectedCheckout });
+      alerted++;
+
+      await createAuditLog({
+        visitId: visit.id,
+        visitorId: visit.visitorId,
+        action: 'VISIT_OVERDUE_ALERT_SENT',
+        resource: 'visit',
+        resourceId: visit.id,
+        details: {
+          expectedCheckout: visit.expectedCheckout,
+          overdueMinutes: Math.floor((now - visit.expectedCheckout) / (1000 * 60))
+        },
+        category: 'security',
+        severity: 'medium'
+      });
+    }
+
+    return { alerted, failed };
+  } catch (error) {
+    logger.error('Failed to send overdue alerts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Close pre-registered visits whose window has passed.
+ * Visits with a scheduled arrival become no_show after no_show_grace_minutes;
+ * unscheduled visits become expired once their QR code expires.
+ */
+const closeMissedVisits = async (now = new Date()) => {
+  try {
+    const graceMinutes = await getNumberSetting('no_show_grace_minutes', 120);
+    const noShowCutoff = new Date(now.getTime() - graceMinutes * 60 * 1000);
+
+    const noShows = await Visit.findAll({
+      where: {
+        status: 'pre_registered',
+        scheduledArrival: { [Op.lt]: noShowCutoff }
+      }
+    });
+
+    const expired = await Visit.findAll({
+      where: {
+        status: 'pre_registered',
+        scheduledArrival: null,
+        qrCodeExpiry: { [Op.lt]: now }
+      }
+    });
+
+    const close = async (visit, status, details) => {
+      await visit.update({ status });
+
+      await createAuditLog({
+        visitId: visit.id,
+        visitorId: visit.visitorId,
+        action: status === 'no_show' ? 'VISIT_MARKED_NO_SHOW' : 'VISIT_EXPIRED',
+        resource: 'visit',
+        resourceId: visit.id,
+        details,
+        category: 'data_modification',
+        severity: 'low'
+      });
+    };
+
+    for (const visit of noShows) {
+      await close(visit, 'no_show', { scheduledArrival: visit.scheduledArrival, graceMinutes });
+    }
+
+    for (const visit of expired) {
+      await close(visit, 'expired', { qrCodeExpiry: visit.qrCodeExpiry });
+    }
+
+    return { noShow: noShows.length, expired: expired.length };
+  } catch (error) {
+    logger.error('Failed to close missed visits:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  autoCheckoutStaleVisits,
+  sendOverdueAlerts,
+  closeMissedVisits
+};
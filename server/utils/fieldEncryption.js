@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Stored layout: enc:v1:<keyId>:<wrapped data key>:<iv + auth tag + ciphertext>, binary parts base64url
+const PREFIX = 'enc:v1:';
+
+/**
+ * Load the key-encryption keyring from PII_ENCRYPTION_KEYS ("keyId:secret,keyId:secret").
+ * The active key wraps new data keys; the others are kept so existing rows decrypt until they are rotated.
+ */
+const getKeyring = () => {
+  const keys = {};
+
+  (process.env.PII_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator);
+      const secret = entry.slice(separator + 1);
+      if (separator > 0 && secret) {
+        keys[keyId] = secret;
+      }
+    });
+
+  // Never derived from another secret: rotating that one would leave stored PII unreadable
+  if (Object.keys(keys).length === 0) {
+    throw new Error('PII_ENCRYPTION_KEYS environment variable is required');
+  }
+
+  const activeKeyId = process.env.PII_ACTIVE_KEY_ID || Object.keys(keys)[0];
+  if (!keys[activeKeyId]) {
+    throw new Error(`PII_ACTIVE_KEY_ID ${activeKeyId} is not present in PII_ENCRYPTION_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+};
+
+const deriveKey = (secret, info) => {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), info, 32));
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, data) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+};
+
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+};
+
+/**
+ * Key ID a stored value was encrypted under, or null for plaintext
+ */
+const getKeyId = (value) => {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+};
+
+/**
+ * Encrypt a value under a fresh data key, which is itself wrapped with the active key
+ */
+const encryptValue = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const { keys, activeKeyId } = getKeyring();
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(deriveKey(keys[activeKeyId], 'neo-vms-pii-kek'), dataKey);
+  const payload = seal(dataKey, Buffer.from(String(value), 'utf8'));
+
+  return `${PREFIX}${activeKeyId}:${wrappedKey.toString('base64url')}:${payload.toString('base64url')}`;
+};
+
+/**
+ * Decrypt a stored value. Plaintext written before encryption was enabled is returned as is.
+ */
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  const { keys } = getKeyring();
+  if (!keys[keyId]) {
+    throw new Error(`PII encryption key ${keyId} is not present in PII_ENCRYPTION_KEYS`);
+  }
+
+  const dataKey = open(deriveKey(keys[keyId], 'neo-vms-pii-kek'), Buffer.from(wrappedKey, 'base64url'));
+  return open(dataKey, Buffer.from(payload, 'base64url')).toString('utf8');
+};
+
+/**
+ * Deterministic keyed hash for equality lookups on encrypted columns.
+ * Uses its own key so rotating PII_ENCRYPTION_KEYS leaves the indexes valid.
+ */
+const blindIndex = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const secret = process.env.PII_BLIND_INDEX_KEY;
+  if (!secret) {
+    throw new Error('PII_BLIND_INDEX_KEY environment variable is required');
+  }
+
+  return crypto.createHmac('sha256', deriveKey(secret, 'neo-vms-pii-blind-index')).update(String(value)).digest('hex');
+};
+
+/**
+ * Getter and setter for an encrypted model attribute. JSON attributes are serialised before encryption;
+ * `index` names a column kept in step with a blind index of the normalised value.
+ */
+const encryptedAttribute = (name, { json = false, index = null, normalise = value => value } = {}) => ({
+  get() {
+    const stored = this.getDataValue(name);
+    if (!isEncrypted(stored)) {
+      return stored;
+    }
+    const value = decryptValue(stored);
+    return json ? JSON.parse(value) : value;
+  },
+  set(value) {
+    const empty = value === null || value === undefined;
+    this.setDataValue(name, empty ? null : encryptValue(json ? JSON.stringify(value) : value));
+    if (index) {
+      this.setDataValue(index, empty ? null : blindIndex(normalise(value)));
+    }
+  }
+});
+
+module.exports = {
+  getKeyring,
+  isEncrypted,
+  getKeyId,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  encryptedAttribute
+};
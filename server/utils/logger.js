@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { getRequestId } = require('./requestContext');
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, '../../logs');
@@ -8,8 +9,18 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Tag entries written while handling a request with its request ID
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
 // Custom log format
 const logFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
@@ -25,8 +36,8 @@ const consoleFormat = winston.format.combine(
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
   winston.format.errors({ stack: true }),
-  winston.format.printf(({ level, message, timestamp, stack }) => {
-    return `${timestamp} ${level}: ${stack || message}`;
+  winston.format.printf(({ level, message, timestamp, stack, requestId }) => {
+    return `${timestamp} ${level}: ${requestId ? `[${requestId}] ` : ''}${stack || message}`;
   })
 );
 
@@ -0,0 +1,82 @@
+// How much of each personal field a role sees in API responses: full, masked or hidden.
+// Unlisted roles get the host policy. Staff with a reason can reveal masked or hidden fields.
+const FIELD_POLICIES = {
+  admin: { nationalId: 'masked', address: 'full', emergencyContact: 'full' },
+  receptionist: { nationalId: 'masked', address: 'full', emergencyContact: 'full' },
+  security: { nationalId: 'masked', address: 'hidden', emergencyContact: 'full' },
+  host: { nationalId: 'masked', address: 'hidden', emergencyContact: 'hidden' }
+};
+
+const REVEALABLE_FIELDS = ['nationalId', 'address', 'emergencyContact'];
+const VISIBLE_CHARACTERS = 4;
+
+const getFieldPolicy = (role) => {
+  return FIELD_POLICIES[role] || FIELD_POLICIES.host;
+};
+
+/**
+ * Keep the last four characters and star out the rest
+ */
+const maskValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+  const text = String(value);
+  if (text.length <= VISIBLE_CHARACTERS) {
+    return '*'.repeat(text.length);
+  }
+  return '*'.repeat(text.length - VISIBLE_CHARACTERS) + text.slice(-VISIBLE_CHARACTERS);
+};
+
+/**
+ * Serialise a visitor (instance or plain object) for the requesting user's role.
+ * The photo is only included while photo consent is valid.
+ */
+const serializeVisitor = (visitor, user) => {
+  if (!visitor) {
+    return visitor;
+  }
+
+  const values = typeof visitor.toJSON === 'function' ? visitor.toJSON() : { ...visitor };
+  const policy = getFieldPolicy(user && user.role);
+
+  for (const [field, access] of Object.entries(policy)) {
+    if (!(field in values)) {
+      continue;
+    }
+    if (access === 'hidden') {
+      delete values[field];
+    } else if (access === 'masked') {
+      values[field] = maskValue(values[field]);
+    }
+  }
+
+  if ('photo' in values && !(values.photoConsent && values.photoConsentDate)) {
+    values.photo = null;
+  }
+
+  return values;
+};
+
+/**
+ * Serialise a visit, masking its included visitor
+ */
+const serializeVisit = (visit, user) => {
+  if (!visit) {
+    return visit;
+  }
+
+  const values = typeof visit.toJSON === 'function' ? visit.toJSON() : { ...visit };
+  if (values.visitor) {
+    values.visitor = serializeVisitor(values.visitor, user);
+  }
+  return values;
+};
+
+module.exports = {
+  FIELD_POLICIES,
+  REVEALABLE_FIELDS,
+  maskValue,
+  serializeVisitor,
+  serializeVisit
+};
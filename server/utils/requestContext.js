@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values (currently the request ID) available to code that has no access to `req`,
+// such as the logger and services called from route handlers
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+const getRequestContext = () => storage.getStore() || null;
+
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+module.exports = {
+  runWithContext,
+  getRequestContext,
+  getRequestId
+};
@@ -0,0 +1,259 @@
+/**
+ * Logic-light template engine used by notification templates.
+ *
+ * Syntax:
+ *   {{name}} / {{visitor.company}}    value, HTML-escaped when escaping is enabled
+ *   {{{name}}}                        raw value, never escaped
+ *   {{#if name}}...{{else}}...{{/if}}  conditional (empty lists are falsy)
+ *   {{#unless name}}...{{/unless}}    negated conditional
+ *   {{#each list}}...{{else}}...{{/each}}
+ *                                     loop; inside it {{this}}, {{@index}}, {{@first}}, {{@last}}
+ *                                     and the item's own fields are available
+ */
+
+const BLOCKS = ['if', 'unless', 'each'];
+const PATH_PATTERN = /^(@index|@first|@last|this(\.[A-Za-z_]\w*)*|[A-Za-z_]\w*(\.[A-Za-z_]\w*)*)$/;
+const TAG_PATTERN = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+
+const MAX_CACHE_SIZE = 200;
+const cache = new Map();
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a string for safe inclusion in HTML
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const syntaxError = (message) => {
+  const error = new Error(`Template syntax error: ${message}`);
+  error.name = 'TemplateSyntaxError';
+  return error;
+};
+
+const parsePath = (path) => {
+  if (!PATH_PATTERN.test(path)) {
+    throw syntaxError(`invalid variable "${path}"`);
+  }
+  return path;
+};
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ */
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.push({ type: 'var', path: parsePath(match[1]), raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+
+    if (tag.startsWith('#')) {
+      const [keyword, path, ...rest] = tag.slice(1).split(/\s+/);
+      if (!BLOCKS.includes(keyword)) {
+        throw syntaxError(`unknown block "#${keyword}"`);
+      }
+      if (!path || rest.length > 0) {
+        throw syntaxError(`"#${keyword}" takes exactly one variable`);
+      }
+
+      const block = { type: keyword, path: parsePath(path), children: [], elseChildren: null };
+      current.push(block);
+      stack.push(block);
+      current = block.children;
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.elseChildren) {
+        throw syntaxError('unexpected "else"');
+      }
+      block.elseChildren = [];
+      current = block.elseChildren;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const keyword = tag.slice(1).trim();
+      const block = stack[stack.length - 1];
+      if (block === root || block.type !== keyword) {
+        throw syntaxError(`unexpected "/${keyword}"`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.elseChildren || parent.children;
+      continue;
+    }
+
+    current.push({ type: 'var', path: parsePath(tag), raw: false });
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    throw syntaxError(`unclosed "#${stack[stack.length - 1].type}"`);
+  }
+
+  return root.children;
+};
+
+/**
+ * Parse a template, reusing the parsed tree for templates seen before
+ */
+const compile = (source = '') => {
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  const nodes = parse(source);
+  if (cache.size >= MAX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(source, nodes);
+  return nodes;
+};
+
+const hasOwn = (value, key) => value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
+
+const getPath = (value, segments) => segments.reduce(
+  (current, segment) => (current === null || current === undefined ? undefined : current[segment]),
+  value
+);
+
+/**
+ * Resolve a variable against the loop scopes, innermost first, then the root data
+ */
+const lookup = (path, scopes) => {
+  const scope = scopes[scopes.length - 1];
+
+  if (path.startsWith('@')) {
+    return scope.meta ? scope.meta[path.slice(1)] : undefined;
+  }
+
+  const segments = path.split('.');
+  if (segments[0] === 'this') {
+    return getPath(scope.value, segments.slice(1));
+  }
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (hasOwn(scopes[i].value, segments[0])) {
+      return getPath(scopes[i].value, segments);
+    }
+  }
+  return undefined;
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+const renderNodes = (nodes, scopes, options) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+
+    case 'var': {
+      const value = formatValue(lookup(node.path, scopes));
+      return options.escape && !node.raw ? escapeHtml(value) : value;
+    }
+
+    case 'if':
+    case 'unless': {
+      const truthy = isTruthy(lookup(node.path, scopes));
+      const branch = truthy === (node.type === 'if') ? node.children : node.elseChildren;
+      return branch ? renderNodes(branch, scopes, options) : '';
+    }
+
+    case 'each': {
+      const list = lookup(node.path, scopes);
+      if (!Array.isArray(list) || list.length === 0) {
+        return node.elseChildren ? renderNodes(node.elseChildren, scopes, options) : '';
+      }
+      return list.map((item, index) => renderNodes(node.children, [
+        ...scopes,
+        { value: item, meta: { index, first: index === 0, last: index === list.length - 1 } }
+      ], options)).join('');
+    }
+
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Render a template with data. Pass { escape: true } for HTML output.
+ */
+const render = (source, data = {}, options = {}) => {
+  const nodes = compile(source);
+  return renderNodes(nodes, [{ value: data }], { escape: Boolean(options.escape) });
+};
+
+/**
+ * List the top-level variables a template reads.
+ * Names used inside a loop may be fields of the loop item, so only the loop's own list is reported.
+ */
+const collectVariables = (source = '') => {
+  const names = new Set();
+
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        continue;
+      }
+      if (!node.path.startsWith('@') && !node.path.startsWith('this')) {
+        names.add(node.path.split('.')[0]);
+      }
+      if (node.type === 'if' || node.type === 'unless') {
+        visit(node.children);
+        visit(node.elseChildren || []);
+      }
+      if (node.type === 'each') {
+        visit(node.elseChildren || []);
+      }
+    }
+  };
+
+  visit(compile(source));
+  return [...names];
+};
+
+module.exports = {
+  escapeHtml,
+  compile,
+  render,
+  collectVariables
+};
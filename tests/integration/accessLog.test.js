@@ -0,0 +1,146 @@
+const request = require('supertest');
+const express = require('express');
+const { AccessLog, AuditLog } = require('../../server/models');
+const { accessLog } = require('../../server/middleware/accessLog');
+const accessLogRoutes = require('../../server/routes/accessLogs');
+const { flushAccessLogs } = require('../../server/services/accessLogService');
+const { createAuditLog } = require('../../server/services/auditService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(accessLog);
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.get('/api/health', (req, res) => res.json({ status: 'OK' }));
+
+  app.post('/api/things/:id', async (req, res) => {
+    const auditLog = await createAuditLog({ userId: req.user.id, action: 'THING_UPDATED', details: req.body });
+    res.json({ auditLogId: auditLog.id });
+  });
+
+  app.get('/api/broken', (req, res) => {
+    res.status(500).json({ error: 'Failed to do the thing', message: 'Internal server error' });
+  });
+
+  app.use('/api/access-logs', accessLogRoutes);
+  return app;
+};
+
+describe('Access Log Integration Tests', () => {
+  let app;
+  let admin;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    admin = await global.testHelpers.createTestUser({ role: 'admin' });
+    global.testUser = admin;
+  });
+
+  it('should record requests with their route, status and request ID', async () => {
+    const response = await request(app)
+      .post('/api/things/42?search=secret')
+      .send({ name: 'Widget' })
+      .expect(200);
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toEqual(expect.any(String));
+
+    await flushAccessLogs();
+
+    const entry = await AccessLog.findOne({ where: { requestId } });
+    expect(entry).toMatchObject({
+      userId: admin.id,
+      action: 'POST /api/things/:id',
+      resource: 'things',
+      method: 'POST',
+      endpoint: '/api/things/42',
+      statusCode: 200,
+      success: true
+    });
+    expect(entry.responseTime).toEqual(expect.any(Number));
+
+    // Audit entries written by the request carry the same ID, even after the body was parsed
+    const auditLog = await AuditLog.findByPk(response.body.auditLogId);
+    expect(auditLog.requestId).toBe(requestId);
+  });
+
+  it('should keep a valid incoming request ID and add it to error responses', async () => {
+    const response = await request(app)
+      .get('/api/broken')
+      .set('X-Request-ID', 'upstream-request-0001')
+      .expect(500);
+
+    expect(response.headers['x-request-id']).toBe('upstream-request-0001');
+    expect(response.body).toEqual({
+      error: 'Failed to do the thing',
+      message: 'Internal server error',
+      requestId: 'upstream-request-0001'
+    });
+
+    await flushAccessLogs();
+
+    const entry = await AccessLog.findOne({ where: { requestId: 'upstream-request-0001' } });
+    expect(entry).toMatchObject({ statusCode: 500, success: false, errorMessage: 'Internal server error' });
+  });
+
+  it('should replace malformed request IDs and skip health checks', async () => {
+    const response = await request(app)
+      .get('/api/health')
+      .set('X-Request-ID', 'not a valid id')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).not.toBe('not a valid id');
+
+    await flushAccessLogs();
+    expect(await AccessLog.count()).toBe(0);
+  });
+
+  it('should write requests in batches', async () => {
+    await Promise.all([1, 2, 3].map(() => request(app).get('/api/broken')));
+
+    expect(await AccessLog.count()).toBe(0);
+    expect(await flushAccessLogs()).toBe(3);
+    expect(await AccessLog.count()).toBe(3);
+  });
+
+  it('should show a user\'s activity with the addresses they came from', async () => {
+    await request(app).post('/api/things/1').send({}).expect(200);
+    await request(app).get('/api/broken').expect(500);
+    await flushAccessLogs();
+
+    const response = await request(app)
+      .get(`/api/access-logs?userId=${admin.id}`)
+      .expect(200);
+
+    expect(response.body.accessLogs).toHaveLength(2);
+    expect(response.body.summary).toMatchObject({ totalRequests: 2, failedRequests: 1 });
+    expect(response.body.summary.ipAddresses).toEqual([
+      expect.objectContaining({ requests: 2 })
+    ]);
+
+    await flushAccessLogs();
+    expect(await AuditLog.count({ where: { action: 'ACCESS_LOGS_VIEWED' } })).toBe(1);
+  });
+
+  it('should require a user or IP address and restrict access', async () => {
+    await request(app)
+      .get('/api/access-logs')
+      .expect(400);
+
+    global.testUser = await global.testHelpers.createTestUser({ email: 'host@example.com', role: 'host' });
+
+    await request(app)
+      .get('/api/access-logs?ipAddress=127.0.0.1')
+      .expect(403);
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog } = require('../../server/models');
+const auditRoutes = require('../../server/routes/audit');
+const { createAuditLog } = require('../../server/services/auditService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/audit', auditRoutes);
+  return app;
+};
+
+describe('Audit Log Integration Tests', () => {
+  let app;
+  let admin;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    admin = await global.testHelpers.createTestUser({ role: 'admin' });
+    global.testUser = admin;
+
+    for (let i = 1; i <= 5; i++) {
+      await createAuditLog({
+        userId: admin.id,
+        action: `EVENT_${i}`,
+        details: { step: i },
+        category: i % 2 === 0 ? 'security' : 'data_access'
+      });
+    }
+  });
+
+  it('should page through entries newest first with a cursor', async () => {
+    const first = await request(app)
+      .get('/api/audit/logs?limit=2')
+      .expect(200);
+
+    expect(first.body.auditLogs.map(entry => entry.action)).toEqual(['EVENT_5', 'EVENT_4']);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await request(app)
+      .get(`/api/audit/logs?limit=2&cursor=${first.body.nextCursor}`)
+      .expect(200);
+    const third = await request(app)
+      .get(`/api/audit/logs?limit=2&cursor=${second.body.nextCursor}`)
+      .expect(200);
+
+    expect(second.body.auditLogs.map(entry => entry.action)).toEqual(['EVENT_3', 'EVENT_2']);
+    expect(third.body.auditLogs.map(entry => entry.action)).toEqual(['EVENT_1']);
+    expect(third.body.nextCursor).toBeNull();
+  });
+
+  it('should filter entries and validate filters', async () => {
+    const response = await request(app)
+      .get('/api/audit/logs?category=security')
+      .expect(200);
+
+    expect(response.body.auditLogs.map(entry => entry.action)).toEqual(['EVENT_4', 'EVENT_2']);
+    expect(response.body.auditLogs[0].user.email).toBe(admin.email);
+
+    await request(app)
+      .get('/api/audit/logs?category=gossip')
+      .expect(400);
+
+    await request(app)
+      .get('/api/audit/logs?cursor=not-a-cursor')
+      .expect(400);
+  });
+
+  it('should export entries as CSV and record the export', async () => {
+    const response = await request(app)
+      .get('/api/audit/logs/export?category=data_access')
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+
+    const lines = response.text.trim().split('\n');
+    expect(lines[0]).toMatch(/^id,sequence,createdAt,userId/);
+    expect(lines.slice(1).map(line => line.match(/EVENT_\d/)[0])).toEqual(['EVENT_1', 'EVENT_3', 'EVENT_5']);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="audit-logs-.*\.csv"/);
+
+    const exported = await AuditLog.findOne({ where: { action: 'AUDIT_LOG_EXPORTED' } });
+    expect(exported.userId).toBe(admin.id);
+    expect(exported.details).toEqual({ format: 'csv', filters: { category: 'data_access' } });
+  });
+
+  it('should export entries as NDJSON', async () => {
+    const response = await request(app)
+      .get('/api/audit/logs/export?format=ndjson&category=security')
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      })
+      .expect('Content-Type', /application\/x-ndjson/)
+      .expect(200);
+
+    const entries = response.body.trim().split('\n').map(line => JSON.parse(line));
+    expect(entries.map(entry => entry.action)).toEqual(['EVENT_2', 'EVENT_4']);
+    expect(entries[0].details).toEqual({ step: 2 });
+  });
+
+  it('should return statistics', async () => {
+    const response = await request(app)
+      .get('/api/audit/statistics')
+      .expect(200);
+
+    expect(response.body.totalLogs).toBe(5);
+  });
+
+  it('should reject users who are not admins', async () => {
+    global.testUser = await global.testHelpers.createTestUser({ email: 'guard@example.com', role: 'security' });
+
+    await request(app)
+      .get('/api/audit/logs')
+      .expect(403);
+  });
+});
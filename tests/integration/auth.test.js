@@ -188,7 +188,7 @@ describe('Auth API Integration Tests', () => {
     test('should register new user with valid data', async () => {
       const userData = {
         email: 'newuser@example.com',
-        password: 'password123',
+        password: 'Lobby-Desk-42',
         firstName: 'John',
         lastName: 'Doe',
         role: 'host'
@@ -211,7 +211,7 @@ describe('Auth API Integration Tests', () => {
     test('should default to host role if not specified', async () => {
       const userData = {
         email: 'defaultrole@example.com',
-        password: 'password123',
+        password: 'Lobby-Desk-42',
         firstName: 'John',
         lastName: 'Doe'
       };
@@ -233,7 +233,7 @@ describe('Auth API Integration Tests', () => {
         .post('/api/auth/register')
         .send({
           email: 'duplicate@example.com',
-          password: 'password123',
+          password: 'Lobby-Desk-42',
           firstName: 'John',
           lastName: 'Doe'
         });
@@ -383,7 +383,7 @@ describe('Auth API Integration Tests', () => {
         .post('/api/auth/reset-password')
         .send({
           token: 'valid-token',
-          password: 'newpassword123'
+          password: 'Front-Desk-Reset-7'
         });
 
       expect(response.status).toBe(200);
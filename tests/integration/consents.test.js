@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, ConsentRecord, ConsentText, Visit, Visitor } = require('../../server/models');
+const visitorRoutes = require('../../server/routes/visitors');
+const visitRoutes = require('../../server/routes/visits');
+const consentTextRoutes = require('../../server/routes/consentTexts');
+const { createInitialConsents } = require('../../server/services/consentService');
+const { sendVisitorArrivalNotification } = require('../../server/services/notificationService');
+
+// Mock services
+jest.mock('../../server/services/notificationService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/visitors', visitorRoutes);
+  app.use('/api/visits', visitRoutes);
+  app.use('/api/consent-texts', consentTextRoutes);
+  return app;
+};
+
+describe('Consent API Integration Tests', () => {
+  const photoName = 'consent-test-photo.jpg';
+  const photoPath = path.join(__dirname, '../../uploads/photos', photoName);
+  let app;
+  let admin;
+  let visitor;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    fs.rmSync(photoPath, { force: true });
+  });
+
+  beforeEach(async () => {
+    admin = await global.testHelpers.createTestUser({ role: 'admin' });
+    global.testUser = admin;
+
+    sendVisitorArrivalNotification.mockResolvedValue();
+
+    fs.mkdirSync(path.dirname(photoPath), { recursive: true });
+    fs.writeFileSync(photoPath, Buffer.from('fake-jpeg-bytes'));
+
+    visitor = await global.testHelpers.createTestVisitor({
+      photo: photoName,
+      photoConsent: true,
+      photoConsentDate: new Date(),
+      marketingConsent: true,
+      marketingConsentDate: new Date()
+    });
+    await createInitialConsents({
+      visitorId: visitor.id,
+      gdprConsent: true,
+      photoConsent: true,
+      marketingConsent: true
+    });
+  });
+
+  const publish = (data) => request(app)
+    .post('/api/consent-texts')
+    .send({
+      consentType: 'photo_capture',
+      version: '2.0',
+      text: 'I consent to my photo being kept on my visitor badge and in the visitor log',
+      processingPurpose: 'Visitor identification and security',
+      ...data
+    });
+
+  const createVisit = () => Visit.create({
+    visitorId: visitor.id,
+    hostId: admin.id,
+    purpose: 'Meeting',
+    status: 'pre_registered'
+  });
+
+  it('should list the consent state and history of a visitor', async () => {
+    const response = await request(app)
+      .get(`/api/visitors/${visitor.id}/consents`)
+      .expect(200);
+
+    expect(response.body.history).toHaveLength(3);
+    const photo = response.body.consents.find(consent => consent.consentType === 'photo_capture');
+    expect(photo).toMatchObject({ status: 'granted', consentedVersion: '1.0', currentVersion: '1.0', needsReconsent: false });
+    const biometric = response.body.consents.find(consent => consent.consentType === 'biometric_data');
+    expect(biometric.status).toBe('not_asked');
+  });
+
+  it('should delete the photo when photo consent is withdrawn', async () => {
+    const response = await request(app)
+      .post(`/api/visitors/${visitor.id}/consents/photo_capture/withdraw`)
+      .send({ reason: 'Visitor asked at reception' })
+      .expect(200);
+
+    expect(response.body.record.consentStatus).toBe('withdrawn');
+    expect(fs.existsSync(photoPath)).toBe(false);
+
+    await visitor.reload();
+    expect(visitor.photo).toBeNull();
+    expect(visitor.photoConsent).toBe(false);
+    expect(visitor.photoConsentDate).toBeNull();
+    expect(visitor.gdprConsent).toBe(true);
+
+    const audit = await AuditLog.findOne({ where: { action: 'CONSENT_WITHDRAWN' } });
+    expect(audit.category).toBe('privacy');
+    expect(audit.details.consentType).toBe('photo_capture');
+  });
+
+  it('should stop marketing when marketing consent is withdrawn', async () => {
+    expect((await Visitor.findMarketingRecipients()).map(recipient => recipient.id)).toEqual([visitor.id]);
+
+    await request(app)
+      .post(`/api/visitors/${visitor.id}/consents/marketing_communications/withdraw`)
+      .expect(200);
+
+    await visitor.reload();
+    expect(visitor.marketingConsent).toBe(false);
+    expect(await Visitor.findMarketingRecipients()).toHaveLength(0);
+
+    await request(app)
+      .post(`/api/visitors/${visitor.id}/consents/marketing_communications/withdraw`)
+      .expect(404);
+  });
+
+  it('should only publish newer consent text versions', async () => {
+    const response = await publish().expect(201);
+    expect(response.body.consentText.version).toBe('2.0');
+
+    await publish({ version: '1.5' }).expect(409);
+
+    const { body } = await request(app).get('/api/consent-texts').expect(200);
+    expect(body.texts.find(text => text.consentType === 'photo_capture').version).toBe('2.0');
+  });
+
+  it('should ask for re-consent at check-in after a new version is published', async () => {
+    await publish().expect(201);
+    const visit = await createVisit();
+
+    const blocked = await request(app)
+      .post(`/api/visits/${visit.id}/checkin`)
+      .expect(409);
+    expect(blocked.body.consents).toEqual([expect.objectContaining({
+      consentType: 'photo_capture',
+      consentedVersion: '1.0',
+      currentVersion: '2.0'
+    })]);
+
+    await request(app)
+      .post(`/api/visits/${visit.id}/checkin`)
+      .send({ consents: { photo_capture: true } })
+      .expect(200);
+
+    const current = await ConsentRecord.findByVisitorAndType(visitor.id, 'photo_capture');
+    expect(current.consentVersion).toBe('2.0');
+    expect(current.parentConsentId).not.toBeNull();
+    expect(await ConsentRecord.count({ where: { visitorId: visitor.id, consentType: 'photo_capture', isActive: true } })).toBe(1);
+  });
+
+  it('should withdraw a consent the visitor declines at check-in', async () => {
+    await publish().expect(201);
+    const visit = await createVisit();
+
+    await request(app)
+      .post(`/api/visits/${visit.id}/checkin`)
+      .send({ consents: { photo_capture: false } })
+      .expect(200);
+
+    await visitor.reload();
+    expect(visitor.photoConsent).toBe(false);
+    expect(visitor.photo).toBeNull();
+  });
+
+  it('should not ask again for wording-only changes', async () => {
+    await ConsentText.create({
+      consentType: 'photo_capture',
+      version: '1.1',
+      text: 'I consent to having my photo taken for visitor identification.',
+      processingPurpose: 'Visitor identification and security',
+      requiresReconsent: false
+    });
+    const visit = await createVisit();
+
+    await request(app)
+      .post(`/api/visits/${visit.id}/checkin`)
+      .expect(200);
+  });
+
+  it('should record consent decisions taken at reception', async () => {
+    const response = await request(app)
+      .post(`/api/visitors/${visitor.id}/consents`)
+      .send({ consents: { biometric_data: true, marketing_communications: false } })
+      .expect(200);
+
+    expect(response.body.visitor.biometricConsent).toBe(true);
+    expect(response.body.visitor.marketingConsent).toBe(false);
+
+    await request(app)
+      .post(`/api/visitors/${visitor.id}/consents`)
+      .send({ consents: { cookies: true } })
+      .expect(400);
+  });
+});
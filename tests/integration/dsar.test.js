@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const JSZip = require('jszip');
+const { AuditLog, ConsentRecord, DataSubjectRequest, SystemSetting, Visit } = require('../../server/models');
+const dsarRoutes = require('../../server/routes/dsar');
+const { sendEmail } = require('../../server/services/emailService');
+
+// Mock services
+jest.mock('../../server/services/emailService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/dsar', dsarRoutes);
+  return app;
+};
+
+// Collect a binary response body so the ZIP can be opened
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('DSAR API Integration Tests', () => {
+  const photoName = 'dsar-test-photo.jpg';
+  const photoPath = path.join(__dirname, '../../uploads/photos', photoName);
+  let app;
+  let admin;
+  let visitor;
+  let visit;
+
+  beforeAll(() => {
+    app = createTestApp();
+    fs.mkdirSync(path.dirname(photoPath), { recursive: true });
+    fs.writeFileSync(photoPath, Buffer.from('fake-jpeg-bytes'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(photoPath, { force: true });
+  });
+
+  beforeEach(async () => {
+    admin = await global.testHelpers.createTestUser({ role: 'admin' });
+    global.testUser = admin;
+
+    sendEmail.mockResolvedValue({ messageId: 'test-message-id' });
+
+    visitor = await global.testHelpers.createTestVisitor({ photo: photoName, nationalId: 'S1234567A' });
+    visit = await Visit.create({ visitorId: visitor.id, hostId: admin.id, purpose: 'Contract review', status: 'checked_out' });
+    await ConsentRecord.create({
+      visitorId: visitor.id,
+      consentType: 'gdpr_processing',
+      consentStatus: 'granted',
+      consentText: 'I consent',
+      consentMethod: 'web_form',
+      legalBasis: 'consent',
+      processingPurpose: 'Visitor management and security'
+    });
+    await AuditLog.create({ action: 'VISIT_CHECKED_OUT', visitId: visit.id, category: 'data_modification' });
+    await AuditLog.create({ action: 'UNRELATED', category: 'data_access' });
+  });
+
+  const logRequest = () => request(app)
+    .post('/api/dsar')
+    .send({ visitorId: visitor.id, receivedVia: 'email' })
+    .expect(201);
+
+  const sentCode = () => sendEmail.mock.calls[sendEmail.mock.calls.length - 1][0].data.code;
+
+  it('should log a request with a statutory deadline and email a verification code', async () => {
+    await SystemSetting.createSetting({ key: 'dsar_response_days', value: 21, type: 'number', category: 'pdpa' });
+
+    const response = await logRequest();
+
+    expect(response.body.request.status).toBe('pending_verification');
+    expect(response.body.request.otpHash).toBeUndefined();
+    expect(response.body.request.daysRemaining).toBe(21);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: visitor.email,
+      template: 'dsar-verification',
+      data: expect.objectContaining({ code: expect.stringMatching(/^\d{6}$/) })
+    }));
+  });
+
+  it('should refuse to release data before identity is verified', async () => {
+    const { body } = await logRequest();
+
+    await request(app)
+      .get(`/api/dsar/${body.request.id}/export`)
+      .expect(409);
+  });
+
+  it('should lock verification after repeated wrong codes until a new code is sent', async () => {
+    const { body } = await logRequest();
+    const code = sentCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request(app).post(`/api/dsar/${body.request.id}/verify`).send({ code: wrong }).expect(400);
+    }
+
+    const locked = await request(app)
+      .post(`/api/dsar/${body.request.id}/verify`)
+      .send({ code })
+      .expect(400);
+    expect(locked.body.message).toMatch('Too many failed attempts');
+
+    await request(app).post(`/api/dsar/${body.request.id}/resend-code`).expect(200);
+    await request(app)
+      .post(`/api/dsar/${body.request.id}/verify`)
+      .send({ code: sentCode() })
+      .expect(200);
+  });
+
+  it('should export a ZIP with JSON, CSV and the photo once verified', async () => {
+    const { body } = await logRequest();
+    await request(app)
+      .post(`/api/dsar/${body.request.id}/verify`)
+      .send({ code: sentCode() })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/dsar/${body.request.id}/export`)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect('Content-Type', 'application/zip')
+      .expect(200);
+
+    const zip = await JSZip.loadAsync(response.body);
+    expect(Object.keys(zip.files).sort()).toEqual([
+      'audit-logs.csv',
+      'audit-logs.json',
+      'consents.csv',
+      'consents.json',
+      'manifest.json',
+      'photo/',
+      `photo/${photoName}`,
+      'visitor.csv',
+      'visitor.json',
+      'visits.csv',
+      'visits.json'
+    ]);
+
+    const profile = JSON.parse(await zip.file('visitor.json').async('string'));
+    expect(profile.nationalId).toBe('S1234567A');
+
+    const visits = await zip.file('visits.csv').async('string');
+    expect(visits).toContain('Contract review');
+
+    const auditLogs = JSON.parse(await zip.file('audit-logs.json').async('string'));
+    const actions = auditLogs.map(entry => entry.action);
+    expect(actions).toContain('VISIT_CHECKED_OUT');
+    expect(actions).toContain('DSAR_IDENTITY_VERIFIED');
+    expect(actions).not.toContain('UNRELATED');
+
+    expect(await zip.file(`photo/${photoName}`).async('string')).toBe('fake-jpeg-bytes');
+
+    const stored = await DataSubjectRequest.findByPk(body.request.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.exportCount).toBe(1);
+  });
+
+  it('should audit each step under the privacy category', async () => {
+    const { body } = await logRequest();
+    await request(app).post(`/api/dsar/${body.request.id}/verify`).send({ code: sentCode() });
+    await request(app).get(`/api/dsar/${body.request.id}/export`).buffer(true).parse(binaryParser);
+
+    const audits = await AuditLog.findAll({ where: { resourceId: body.request.id } });
+
+    expect(audits.map(audit => audit.action).sort()).toEqual([
+      'DSAR_EXPORTED',
+      'DSAR_IDENTITY_VERIFIED',
+      'DSAR_REQUEST_CREATED',
+      'DSAR_VERIFICATION_SENT'
+    ]);
+    audits.forEach(audit => expect(audit.category).toBe('privacy'));
+  });
+
+  it('should list overdue requests', async () => {
+    const { body } = await logRequest();
+    await DataSubjectRequest.update(
+      { dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      { where: { id: body.request.id } }
+    );
+
+    const response = await request(app)
+      .get('/api/dsar?overdue=true')
+      .expect(200);
+
+    expect(response.body.requests).toHaveLength(1);
+    expect(response.body.requests[0].overdue).toBe(true);
+  });
+});
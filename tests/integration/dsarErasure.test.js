@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const {
+  AuditLog,
+  ConsentRecord,
+  DataSubjectRequest,
+  EmergencyIncident,
+  ErasureTombstone,
+  EvacuationRollCall,
+  EvacuationRollCallEntry,
+  Visit,
+  Visitor
+} = require('../../server/models');
+const dsarRoutes = require('../../server/routes/dsar');
+const { signCertificate, verifyCertificate } = require('../../server/services/erasureService');
+const { sendEmail } = require('../../server/services/emailService');
+
+// Mock services
+jest.mock('../../server/services/emailService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/dsar', dsarRoutes);
+  return app;
+};
+
+describe('DSAR Erasure Integration Tests', () => {
+  const photoName = 'dsar-erasure-photo.jpg';
+  const photoPath = path.join(__dirname, '../../uploads/photos', photoName);
+  let app;
+  let admin;
+  let visitor;
+  let visit;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  afterAll(() => {
+    fs.rmSync(photoPath, { force: true });
+  });
+
+  beforeEach(async () => {
+    admin = await global.testHelpers.createTestUser({ role: 'admin' });
+    global.testUser = admin;
+
+    sendEmail.mockResolvedValue({ messageId: 'test-message-id' });
+
+    fs.mkdirSync(path.dirname(photoPath), { recursive: true });
+    fs.writeFileSync(photoPath, Buffer.from('fake-jpeg-bytes'));
+
+    visitor = await global.testHelpers.createTestVisitor({
+      photo: photoName,
+      nationalId: 'S1234567A',
+      address: '1 Example Road',
+      customFields: { badgeColour: 'blue', employeeRef: 'E-42' }
+    });
+    visit = await Visit.create({
+      visitorId: visitor.id,
+      hostId: admin.id,
+      purpose: 'Contract review',
+      status: 'checked_out',
+      checkedInAt: new Date('2024-03-01T09:00:00Z'),
+      checkedOutAt: new Date('2024-03-01T10:30:00Z'),
+      actualDuration: 90,
+      vehicleNumber: 'SGX1234A',
+      notes: 'Allergic to peanuts'
+    });
+    await ConsentRecord.create({
+      visitorId: visitor.id,
+      consentType: 'gdpr_processing',
+      consentStatus: 'granted',
+      consentText: 'I consent',
+      consentMethod: 'web_form',
+      legalBasis: 'consent',
+      processingPurpose: 'Visitor management and security',
+      ipAddress: '203.0.113.7',
+      userAgent: 'Kiosk/1.0'
+    });
+    await AuditLog.create({
+      action: 'VISITOR_UPDATED',
+      visitorId: visitor.id,
+      category: 'data_modification',
+      ipAddress: '203.0.113.7',
+      details: { email: visitor.email, phone: visitor.phone }
+    });
+  });
+
+  const verifiedErasureRequest = async () => {
+    const { body } = await request(app)
+      .post('/api/dsar')
+      .send({ visitorId: visitor.id, requestType: 'erasure', receivedVia: 'email' })
+      .expect(201);
+
+    const code = sendEmail.mock.calls[sendEmail.mock.calls.length - 1][0].data.code;
+    await request(app)
+      .post(`/api/dsar/${body.request.id}/verify`)
+      .send({ code })
+      .expect(200);
+
+    return body.request.id;
+  };
+
+  it('should wipe personal data while keeping visit statistics', async () => {
+    const requestId = await verifiedErasureRequest();
+
+    await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(200);
+
+    await visitor.reload();
+    expect(visitor.isErased()).toBe(true);
+    expect(visitor.firstName).toBe('Erased');
+    expect(visitor.email).toBe(`erased-${visitor.id}@erased.invalid`);
+    expect(visitor.nationalId).toBeNull();
+    expect(visitor.address).toBeNull();
+    expect(visitor.photo).toBeNull();
+    expect(visitor.customFields).toEqual({});
+    expect(fs.existsSync(photoPath)).toBe(false);
+
+    await visit.reload();
+    expect(visit.vehicleNumber).toBeNull();
+    expect(visit.notes).toBeNull();
+    expect(visit.status).toBe('checked_out');
+    expect(visit.actualDuration).toBe(90);
+    expect(visit.hostId).toBe(admin.id);
+
+    const consent = await ConsentRecord.findOne({ where: { visitorId: visitor.id } });
+    expect(consent.consentStatus).toBe('granted');
+    expect(consent.ipAddress).not.toBe('203.0.113.7');
+    expect(consent.userAgent).toBeNull();
+
+    const stored = await DataSubjectRequest.findByPk(requestId);
+    expect(stored.status).toBe('completed');
+    expect(stored.verificationEmail).toBeNull();
+  });
+
+  it('should anonymise linked audit entries', async () => {
+    const requestId = await verifiedErasureRequest();
+
+    await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(200);
+
+    const auditLog = await AuditLog.findOne({ where: { action: 'VISITOR_UPDATED' } });
+    expect(auditLog.isAnonymized).toBe(true);
+    expect(auditLog.ipAddress).not.toBe('203.0.113.7');
+    expect(auditLog.details.email).toBeUndefined();
+    expect(auditLog.details.phone).toBeUndefined();
+
+    const completed = await AuditLog.findOne({ where: { action: 'DSAR_ERASURE_COMPLETED' } });
+    expect(completed.category).toBe('privacy');
+    expect(completed.resourceId).toBe(requestId);
+  });
+
+  it('should leave the request open and nothing half-erased when erasure fails', async () => {
+    const requestId = await verifiedErasureRequest();
+
+    const anonymize = jest.spyOn(AuditLog.prototype, 'anonymize').mockRejectedValueOnce(new Error('Database unavailable'));
+    await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(500);
+    anonymize.mockRestore();
+
+    await visitor.reload();
+    expect(visitor.isErased()).toBe(false);
+    expect(visitor.nationalId).not.toBeNull();
+    const stored = await DataSubjectRequest.findByPk(requestId);
+    expect(stored.status).toBe('verified');
+    expect(stored.verificationEmail).not.toBeNull();
+    expect(await ErasureTombstone.count()).toBe(0);
+
+    // Running it again finishes the job
+    await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(200);
+
+    await visitor.reload();
+    expect(visitor.isErased()).toBe(true);
+    expect((await AuditLog.findOne({ where: { action: 'VISITOR_UPDATED' } })).isAnonymized).toBe(true);
+  });
+
+  it('should issue a signed certificate and keep a tombstone', async () => {
+    const requestId = await verifiedErasureRequest();
+
+    const response = await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(200);
+
+    const { certificate, signature } = response.body;
+    expect(certificate.requestId).toBe(requestId);
+    expect(certificate.visitorId).toBe(visitor.id);
+    expect(certificate.actions.photoDeleted).toBe(true);
+    expect(certificate.actions.customFieldsErased).toBe(2);
+    expect(certificate.actions.erasedFields).toEqual(expect.arrayContaining(['email', 'nationalId', 'address']));
+    expect(JSON.stringify(certificate)).not.toContain('visitor@example.com');
+    expect(verifyCertificate(certificate, signature)).toBe(true);
+    expect(verifyCertificate({ ...certificate, erasedBy: 'someone-else' }, signature)).toBe(false);
+
+    const tombstone = await ErasureTombstone.findOne({ where: { visitorId: visitor.id } });
+    expect(tombstone.certificate.certificateId).toBe(tombstone.id);
+
+    const stored = await request(app)
+      .get(`/api/dsar/${requestId}/certificate`)
+      .expect(200);
+    expect(stored.body.signature).toBe(signature);
+    expect(stored.body.valid).toBe(true);
+  });
+
+  it('should sign certificates with ERASURE_SIGNING_SECRET alone', () => {
+    const certificate = { requestId: 'request-1', visitorId: visitor.id };
+    const signature = signCertificate(certificate);
+    const { JWT_SECRET, ERASURE_SIGNING_SECRET } = process.env;
+
+    try {
+      process.env.JWT_SECRET = 'rotated-jwt-secret';
+      expect(verifyCertificate(certificate, signature)).toBe(true);
+
+      delete process.env.ERASURE_SIGNING_SECRET;
+      expect(() => signCertificate(certificate)).toThrow('ERASURE_SIGNING_SECRET environment variable is required');
+    } finally {
+      process.env.JWT_SECRET = JWT_SECRET;
+      process.env.ERASURE_SIGNING_SECRET = ERASURE_SIGNING_SECRET;
+    }
+  });
+
+  it('should refuse to erase a blacklisted visitor', async () => {
+    const requestId = await verifiedErasureRequest();
+    await visitor.update({ isBlacklisted: true, blacklistReason: 'Trespass investigation' });
+
+    const response = await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(409);
+
+    expect(response.body.holds.map(hold => hold.type)).toEqual(['blacklist']);
+
+    await visitor.reload();
+    expect(visitor.isErased()).toBe(false);
+    expect(visitor.nationalId).toBe('S1234567A');
+    expect(await AuditLog.count({ where: { action: 'DSAR_ERASURE_BLOCKED' } })).toBe(1);
+  });
+
+  it('should refuse to erase a visitor involved in an unresolved incident', async () => {
+    const requestId = await verifiedErasureRequest();
+
+    const incident = await EmergencyIncident.create({ type: 'fire', message: 'Fire in block B' });
+    const rollCall = await EvacuationRollCall.create({ incidentId: incident.id });
+    await EvacuationRollCallEntry.create({
+      rollCallId: rollCall.id,
+      personType: 'visitor',
+      visitId: visit.id,
+      name: visitor.getFullName(),
+      status: 'missing'
+    });
+
+    const blocked = await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(409);
+    expect(blocked.body.holds).toEqual([expect.objectContaining({ type: 'open_incident', reference: incident.id })]);
+
+    await incident.resolve(admin.id, 'All clear');
+
+    await request(app)
+      .post(`/api/dsar/${requestId}/erase`)
+      .expect(200);
+
+    const entry = await EvacuationRollCallEntry.findOne({ where: { visitId: visit.id } });
+    expect(entry.name).toBe('Erased visitor');
+  });
+
+  it('should only erase verified erasure requests', async () => {
+    const { body } = await request(app)
+      .post('/api/dsar')
+      .send({ visitorId: visitor.id, requestType: 'erasure' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/dsar/${body.request.id}/erase`)
+      .expect(409);
+
+    await request(app)
+      .get(`/api/dsar/${body.request.id}/export`)
+      .expect(409);
+
+    expect(await Visitor.count({ where: { erasedAt: null } })).toBe(1);
+  });
+});
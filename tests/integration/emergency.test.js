@@ -0,0 +1,238 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, EmergencyContact, EmergencyIncident, EmergencyIncidentRecipient, Notification, Visit } = require('../../server/models');
+const emergencyRoutes = require('../../server/routes/emergency');
+const { flushContactDeliveries } = require('../../server/services/emergencyService');
+const { sendEmail } = require('../../server/services/emailService');
+const { sendEmergencySMS } = require('../../server/services/smsService');
+const { createSession } = require('../../server/services/sessionService');
+const { broadcastToAll, sendNotificationToUser } = require('../../server/services/socketService');
+
+// Mock services
+jest.mock('../../server/services/emailService');
+jest.mock('../../server/services/smsService');
+jest.mock('../../server/services/socketService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/emergency', emergencyRoutes);
+  return app;
+};
+
+describe('Emergency API Integration Tests', () => {
+  let app;
+  let securityUser;
+  let host;
+  let offSiteUser;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    securityUser = await global.testHelpers.createTestUser({ role: 'security' });
+    host = await global.testHelpers.createTestUser({ role: 'host', email: 'host@example.com' });
+    offSiteUser = await global.testHelpers.createTestUser({ role: 'host', email: 'remote@example.com' });
+    global.testUser = securityUser;
+
+    // On site: security is signed in, and the host has a visitor checked in
+    await createSession(securityUser, { userAgent: 'jest' });
+    const visitor = await global.testHelpers.createTestVisitor();
+    await Visit.create({ visitorId: visitor.id, hostId: host.id, purpose: 'Meeting', status: 'checked_in' });
+    // Off site: last active long past the session timeout
+    const idleSession = await createSession(offSiteUser, { userAgent: 'jest' });
+    await idleSession.update({ lastSeenAt: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+
+    sendEmail.mockResolvedValue({ messageId: 'test-message-id' });
+    sendEmergencySMS.mockImplementation(async (phoneNumbers) => phoneNumbers.map(to => (
+      to === '+6500000000'
+        ? { to, success: true, result: { success: false, reason: 'Invalid number' } }
+        : { to, success: true, result: { success: true } }
+    )));
+    sendNotificationToUser.mockImplementation(userId => userId === host.id);
+
+    await EmergencyContact.create({ name: 'Fire Warden', role: 'warden', phone: '+6591111111', email: 'warden@example.com', priority: 2 });
+    await EmergencyContact.create({ name: 'Site Manager', role: 'manager', phone: '+6500000000', priority: 1 });
+    await EmergencyContact.create({ name: 'Former Guard', role: 'guard', phone: '+6592222222', priority: 1, isActive: false });
+  });
+
+  const sendAlert = () => request(app)
+    .post('/api/emergency/alert')
+    .send({ message: 'Fire on level 3', level: 'critical', type: 'fire', affectedArea: 'Level 3' });
+
+  // Contacts are alerted in the background, after the response
+  const raiseAlert = async (status = 201) => {
+    const response = await sendAlert().expect(status);
+    await flushContactDeliveries();
+    return response;
+  };
+
+  describe('POST /api/emergency/alert', () => {
+    it('should alert active contacts in priority order and record delivery per channel', async () => {
+      const response = await raiseAlert();
+
+      expect(response.body.recipientCount).toBe(2);
+      expect(response.body.alertLevel).toBe('critical');
+      expect(response.body.incident.status).toBe('active');
+
+      expect(sendEmergencySMS.mock.calls.map(call => call[0])).toEqual([['+6500000000'], ['+6591111111']]);
+      expect(sendEmergencySMS).toHaveBeenCalledWith(['+6591111111'], 'fire', 'Fire on level 3', 'Level 3');
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'warden@example.com', template: 'emergency' }));
+
+      const recipients = await EmergencyIncidentRecipient.findAll({ where: { incidentId: response.body.incident.id } });
+      const byName = Object.fromEntries(recipients.map(recipient => [recipient.name, recipient]));
+
+      expect(byName['Site Manager'].deliveries.sms).toMatchObject({ status: 'failed', error: 'Invalid number' });
+      expect(byName['Site Manager'].deliveries.email.status).toBe('skipped');
+      expect(byName['Fire Warden'].deliveries.sms.status).toBe('sent');
+      expect(byName['Fire Warden'].deliveries.email.status).toBe('sent');
+      expect(byName['Former Guard']).toBeUndefined();
+
+      const byUser = Object.fromEntries(recipients.filter(recipient => recipient.userId).map(recipient => [recipient.userId, recipient]));
+      expect(byUser[host.id].deliveries.socket.status).toBe('sent');
+      expect(byUser[securityUser.id].deliveries.socket.status).toBe('offline');
+      expect(byUser[offSiteUser.id]).toBeUndefined();
+    });
+
+    it('should respond before slow contact deliveries finish', async () => {
+      let releaseSms;
+      sendEmergencySMS.mockImplementationOnce((phoneNumbers) => new Promise(resolve => {
+        releaseSms = () => resolve(phoneNumbers.map(to => ({ to, success: true, result: { success: true } })));
+      }));
+
+      const response = await sendAlert().expect(201);
+
+      expect(response.body.summary.deliveries.sms).toEqual({ pending: 2 });
+      expect(await AuditLog.count({ where: { action: 'EMERGENCY_ALERT_SENT' } })).toBe(1);
+
+      // The first contact's SMS is still outstanding and the second waits its turn
+      expect(sendEmergencySMS).toHaveBeenCalledTimes(1);
+      releaseSms();
+      await flushContactDeliveries();
+      expect(sendEmergencySMS).toHaveBeenCalledTimes(2);
+
+      const audit = await AuditLog.findOne({ where: { action: 'EMERGENCY_CONTACTS_ALERTED' } });
+      expect(audit.details).toMatchObject({ contacts: 2, deliveries: { sms: { sent: 2 } } });
+    });
+
+    it('should alert users on site, store inbox copies and audit the alert', async () => {
+      const response = await raiseAlert();
+      const incidentId = response.body.incident.id;
+
+      expect(sendNotificationToUser).toHaveBeenCalledWith(host.id, 'emergency_notification', expect.objectContaining({
+        incidentId,
+        message: 'Fire on level 3',
+        level: 'critical'
+      }));
+      expect(sendNotificationToUser).toHaveBeenCalledWith(securityUser.id, 'emergency_notification', expect.anything());
+      expect(sendNotificationToUser).not.toHaveBeenCalledWith(offSiteUser.id, 'emergency_notification', expect.anything());
+      expect(broadcastToAll).not.toHaveBeenCalledWith('emergency_notification', expect.anything());
+      expect(await Notification.count({ where: { type: 'emergency' } })).toBe(3);
+
+      const audit = await AuditLog.findOne({ where: { action: 'EMERGENCY_ALERT_SENT', resourceId: incidentId } });
+      expect(audit.severity).toBe('critical');
+    });
+
+    it('should require a message and a known level', async () => {
+      await request(app)
+        .post('/api/emergency/alert')
+        .send({ level: 'catastrophic', message: 'Test' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/emergency/alert')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('Alert message is required');
+      expect(await EmergencyIncident.count()).toBe(0);
+    });
+
+    it('should refuse users outside admin and security', async () => {
+      global.testUser = host;
+
+      await raiseAlert(403);
+    });
+  });
+
+  describe('acknowledgements', () => {
+    let incidentId;
+
+    beforeEach(async () => {
+      const response = await raiseAlert();
+      incidentId = response.body.incident.id;
+    });
+
+    it('should list who has not acknowledged yet', async () => {
+      const response = await request(app)
+        .get(`/api/emergency/incidents/${incidentId}`)
+        .expect(200);
+
+      expect(response.body.summary.total).toBe(4);
+      expect(response.body.summary.unacknowledged).toBe(4);
+      expect(response.body.summary.deliveries.sms).toEqual({ failed: 1, sent: 1 });
+      expect(response.body.incident.recipients[0].name).toBe('Site Manager');
+    });
+
+    it('should let alerted users acknowledge for themselves', async () => {
+      global.testUser = host;
+
+      const response = await request(app)
+        .post(`/api/emergency/incidents/${incidentId}/acknowledge`)
+        .expect(200);
+
+      expect(response.body.recipient.acknowledgedBy).toBe(host.id);
+      expect(response.body.summary.acknowledged).toBe(1);
+      expect(broadcastToAll).toHaveBeenCalledWith('emergency_acknowledged', expect.objectContaining({
+        incidentId,
+        unacknowledged: 3
+      }));
+    });
+
+    it('should let security record an acknowledgement for a contact', async () => {
+      const contact = await EmergencyIncidentRecipient.findOne({ where: { incidentId, name: 'Site Manager' } });
+
+      await request(app)
+        .post(`/api/emergency/incidents/${incidentId}/recipients/${contact.id}/acknowledge`)
+        .send({ note: 'Confirmed by phone' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/emergency/incidents/${incidentId}`)
+        .expect(200);
+
+      expect(response.body.unacknowledged.map(recipient => recipient.name)).not.toContain('Site Manager');
+      await contact.reload();
+      expect(contact.acknowledgedBy).toBe(securityUser.id);
+      expect(contact.acknowledgementNote).toBe('Confirmed by phone');
+    });
+
+    it('should resolve an incident once', async () => {
+      await request(app)
+        .post(`/api/emergency/incidents/${incidentId}/resolve`)
+        .send({ note: 'All clear' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/emergency/incidents/${incidentId}/resolve`)
+        .expect(409);
+
+      const response = await request(app)
+        .get('/api/emergency/incidents?status=resolved')
+        .expect(200);
+
+      expect(response.body.incidents).toHaveLength(1);
+      expect(response.body.incidents[0].resolutionNotes).toBe('All clear');
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, EmergencyContact, EmergencyIncident, EvacuationRollCallEntry, Notification, SystemSetting, Visit } = require('../../server/models');
+const emergencyRoutes = require('../../server/routes/emergency');
+const { flushContactDeliveries } = require('../../server/services/emergencyService');
+const { sendEmail } = require('../../server/services/emailService');
+const { sendEmergencySMS } = require('../../server/services/smsService');
+const { broadcastToAll, sendNotificationToRole, sendNotificationToUser } = require('../../server/services/socketService');
+
+// Mock services
+jest.mock('../../server/services/emailService');
+jest.mock('../../server/services/smsService');
+jest.mock('../../server/services/socketService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/emergency', emergencyRoutes);
+  return app;
+};
+
+describe('Emergency Drill Integration Tests', () => {
+  let app;
+  let warden;
+  let host;
+  let drillContact;
+  let visit;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    warden = await global.testHelpers.createTestUser({ role: 'security', email: 'warden@example.com' });
+    host = await global.testHelpers.createTestUser({ role: 'host' });
+    global.testUser = warden;
+
+    sendEmail.mockResolvedValue({ messageId: 'test-message-id' });
+    sendEmergencySMS.mockImplementation(async (phoneNumbers) => phoneNumbers.map(to => ({ to, success: true, result: { success: true } })));
+
+    drillContact = await EmergencyContact.create({ name: 'Drill Coordinator', role: 'coordinator', phone: '+6591111111', priority: 2 });
+    await EmergencyContact.create({ name: 'Fire Brigade Liaison', role: 'liaison', phone: '+6592222222', priority: 1 });
+
+    await SystemSetting.createSetting({ key: 'emergency_drill_contact_ids', value: [drillContact.id], type: 'array', category: 'emergency' });
+    await SystemSetting.createSetting({ key: 'emergency_drill_roles', value: ['security'], type: 'array', category: 'emergency' });
+
+    const visitor = await global.testHelpers.createTestVisitor();
+    visit = await Visit.create({ visitorId: visitor.id, hostId: host.id, purpose: 'Meeting', status: 'checked_in' });
+  });
+
+  const startDrill = async () => {
+    const response = await request(app)
+      .post('/api/emergency/alert')
+      .send({ message: 'Quarterly fire drill', type: 'fire', drill: true })
+      .expect(201);
+    // Contacts are alerted in the background, after the response
+    await flushContactDeliveries();
+    return response;
+  };
+
+  it('should only alert the drill audience and label the message as a drill', async () => {
+    const response = await startDrill();
+
+    expect(response.body.incident.isDrill).toBe(true);
+    expect(response.body.recipientCount).toBe(1);
+    expect(sendEmergencySMS).toHaveBeenCalledTimes(1);
+    expect(sendEmergencySMS).toHaveBeenCalledWith(['+6591111111'], 'fire', '[DRILL] Quarterly fire drill', 'site');
+
+    expect(broadcastToAll).not.toHaveBeenCalledWith('emergency_notification', expect.anything());
+    expect(sendNotificationToUser).toHaveBeenCalledWith(warden.id, 'emergency_notification', expect.objectContaining({ isDrill: true }));
+    expect(sendNotificationToUser).not.toHaveBeenCalledWith(host.id, 'emergency_notification', expect.anything());
+
+    expect(await Notification.count({ where: { userId: host.id } })).toBe(0);
+    expect(await Notification.count({ where: { userId: warden.id, title: 'Emergency Drill' } })).toBe(1);
+  });
+
+  it('should only send drill acknowledgements to the drill audience', async () => {
+    const { body } = await startDrill();
+
+    await request(app).post(`/api/emergency/incidents/${body.incident.id}/acknowledge`).expect(200);
+
+    expect(sendNotificationToRole).toHaveBeenCalledWith('security', 'emergency_acknowledged', expect.objectContaining({
+      incidentId: body.incident.id,
+      isDrill: true,
+      acknowledged: 1
+    }));
+    expect(sendNotificationToRole).toHaveBeenCalledTimes(1);
+    expect(broadcastToAll).not.toHaveBeenCalledWith('emergency_acknowledged', expect.anything());
+  });
+
+  it('should tag every audit entry for the drill', async () => {
+    const { body } = await startDrill();
+    const incidentId = body.incident.id;
+
+    const { body: rollCallBody } = await request(app)
+      .post(`/api/emergency/incidents/${incidentId}/roll-call`)
+      .expect(201);
+
+    const hostEntry = await EvacuationRollCallEntry.findOne({ where: { rollCallId: rollCallBody.rollCall.id, visitId: null } });
+
+    await request(app).post(`/api/emergency/incidents/${incidentId}/acknowledge`).expect(200);
+    await request(app).post(`/api/emergency/evacuate/${visit.id}`).send({ assemblyPoint: 'Car park A' }).expect(200);
+    await request(app)
+      .put(`/api/emergency/roll-calls/${rollCallBody.rollCall.id}/entries/${hostEntry.id}`)
+      .send({ status: 'safe', assemblyPoint: 'Car park A' })
+      .expect(200);
+    await request(app).post(`/api/emergency/roll-calls/${rollCallBody.rollCall.id}/close`).expect(200);
+    await request(app).post(`/api/emergency/incidents/${incidentId}/resolve`).expect(200);
+
+    const audits = await AuditLog.findAll();
+    expect(audits.map(audit => audit.action).sort()).toEqual([
+      'EMERGENCY_ALERT_ACKNOWLEDGED',
+      'EMERGENCY_ALERT_SENT',
+      'EMERGENCY_CONTACTS_ALERTED',
+      'EMERGENCY_INCIDENT_RESOLVED',
+      'EVACUATION_ROLL_CALL_CLOSED',
+      'EVACUATION_ROLL_CALL_ENTRY_MARKED',
+      'EVACUATION_ROLL_CALL_STARTED',
+      'VISITOR_EVACUATED'
+    ]);
+    audits.forEach(audit => expect(audit.tags).toEqual(['drill']));
+  });
+
+  it('should run the muster without marking visits evacuated', async () => {
+    await visit.markEvacuated({ status: 'safe', assemblyPoint: 'Earlier real evacuation' });
+
+    const { body } = await startDrill();
+    const { body: rollCallBody } = await request(app)
+      .post(`/api/emergency/incidents/${body.incident.id}/roll-call`)
+      .expect(201);
+
+    const entry = await EvacuationRollCallEntry.findOne({ where: { rollCallId: rollCallBody.rollCall.id, visitId: visit.id } });
+    await request(app)
+      .put(`/api/emergency/roll-calls/${rollCallBody.rollCall.id}/entries/${entry.id}`)
+      .send({ status: 'injured', assemblyPoint: 'Car park A' })
+      .expect(200);
+
+    await visit.reload();
+    expect(visit.evacuation.assemblyPoint).toBe('Earlier real evacuation');
+    expect(visit.evacuation.status).toBe('safe');
+
+    // Roll call progress only reaches the drill audience
+    expect(sendNotificationToRole).toHaveBeenCalledWith('security', 'roll_call_updated', expect.objectContaining({ isDrill: true }));
+    expect(sendNotificationToRole).not.toHaveBeenCalledWith('receptionist', 'roll_call_updated', expect.anything());
+    expect(broadcastToAll).not.toHaveBeenCalledWith('roll_call_updated', expect.anything());
+  });
+
+  it('should report time to first acknowledgement and to full muster across drills', async () => {
+    const { body } = await startDrill();
+    const incidentId = body.incident.id;
+
+    // Backdate the alarm so the timings are measurable
+    await EmergencyIncident.update(
+      { createdAt: new Date(Date.now() - 5 * 60 * 1000) },
+      { where: { id: incidentId }, silent: true }
+    );
+
+    await request(app).post(`/api/emergency/incidents/${incidentId}/acknowledge`).expect(200);
+
+    const { body: rollCallBody } = await request(app)
+      .post(`/api/emergency/incidents/${incidentId}/roll-call`)
+      .expect(201);
+    const entries = await EvacuationRollCallEntry.findAll({ where: { rollCallId: rollCallBody.rollCall.id } });
+    for (const entry of entries) {
+      await request(app)
+        .put(`/api/emergency/roll-calls/${rollCallBody.rollCall.id}/entries/${entry.id}`)
+        .send({ status: 'safe', assemblyPoint: 'Car park A' })
+        .expect(200);
+    }
+
+    // A real incident must not show up in the drill comparison
+    await EmergencyIncident.create({ type: 'fire', message: 'Real fire' });
+
+    const response = await request(app)
+      .get('/api/emergency/drills')
+      .expect(200);
+
+    expect(response.body.drills).toHaveLength(1);
+    const [drill] = response.body.drills;
+    expect(drill.timeToFirstAcknowledgementSeconds).toBeGreaterThanOrEqual(299);
+    expect(drill.timeToFullMusterSeconds).toBeGreaterThanOrEqual(drill.timeToFirstAcknowledgementSeconds);
+    expect(drill.muster).toMatchObject({ total: 2, safe: 2, unaccounted: 0 });
+    expect(drill.acknowledgementRate).toBe(50);
+    expect(response.body.averages.timeToFullMusterSeconds).toBe(drill.timeToFullMusterSeconds);
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, EmergencyIncident, EvacuationRollCall, EvacuationRollCallEntry, Visit } = require('../../server/models');
+const emergencyRoutes = require('../../server/routes/emergency');
+const { broadcastToAll, sendNotificationToRole } = require('../../server/services/socketService');
+
+// Mock services
+jest.mock('../../server/services/emailService');
+jest.mock('../../server/services/smsService');
+jest.mock('../../server/services/socketService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/emergency', emergencyRoutes);
+  return app;
+};
+
+describe('Evacuation Roll Call Integration Tests', () => {
+  let app;
+  let warden;
+  let host;
+  let incident;
+  let onSiteVisit;
+  let secondVisit;
+  let departedVisit;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    warden = await global.testHelpers.createTestUser({ role: 'security', email: 'warden@example.com' });
+    host = await global.testHelpers.createTestUser({ firstName: 'Hannah', lastName: 'Host' });
+    global.testUser = warden;
+
+    const alice = await global.testHelpers.createTestVisitor({ firstName: 'Alice', lastName: 'Ang', email: 'alice@example.com' });
+    const bob = await global.testHelpers.createTestVisitor({ firstName: 'Bob', lastName: 'Byrne', email: 'bob@example.com' });
+    const carol = await global.testHelpers.createTestVisitor({ firstName: 'Carol', lastName: 'Chan', email: 'carol@example.com' });
+
+    onSiteVisit = await Visit.create({ visitorId: alice.id, hostId: host.id, purpose: 'Meeting', status: 'checked_in', location: 'Lab', floor: '3' });
+    secondVisit = await Visit.create({ visitorId: bob.id, hostId: host.id, purpose: 'Meeting', status: 'checked_in' });
+    departedVisit = await Visit.create({ visitorId: carol.id, hostId: host.id, purpose: 'Meeting', status: 'checked_out' });
+
+    incident = await EmergencyIncident.create({ type: 'fire', message: 'Fire on level 3', triggeredBy: warden.id });
+  });
+
+  const startRollCall = () => request(app).post(`/api/emergency/incidents/${incident.id}/roll-call`);
+
+  describe('GET /api/emergency/evacuation-list', () => {
+    it('should list checked-in visitors who have not been evacuated', async () => {
+      await onSiteVisit.markEvacuated({ status: 'safe' });
+
+      const response = await request(app)
+        .get('/api/emergency/evacuation-list')
+        .expect(200);
+
+      expect(response.body.map(visit => visit.id)).toEqual([secondVisit.id]);
+      expect(response.body[0].visitor.firstName).toBe('Bob');
+      expect(response.body[0].host.id).toBe(host.id);
+    });
+  });
+
+  describe('roll call', () => {
+    it('should start with every on-site visitor and each host once', async () => {
+      const response = await startRollCall().expect(201);
+
+      expect(response.body.counts).toMatchObject({ total: 3, unaccounted: 3 });
+
+      const entries = await EvacuationRollCallEntry.findAll({ where: { rollCallId: response.body.rollCall.id } });
+      expect(entries.map(entry => entry.name).sort()).toEqual(['Alice Ang', 'Bob Byrne', 'Hannah Host']);
+      expect(entries.find(entry => entry.visitId === onSiteVisit.id).location).toBe('Lab, 3');
+      expect(entries.find(entry => entry.visitId === departedVisit.id)).toBeUndefined();
+
+      await startRollCall().expect(409);
+    });
+
+    it('should mark people at an assembly point and send the remaining count to front desk staff', async () => {
+      const { body } = await startRollCall();
+      const rollCallId = body.rollCall.id;
+      const entry = await EvacuationRollCallEntry.findOne({ where: { rollCallId, visitId: onSiteVisit.id } });
+
+      const response = await request(app)
+        .put(`/api/emergency/roll-calls/${rollCallId}/entries/${entry.id}`)
+        .send({ status: 'safe', assemblyPoint: 'Car park A' })
+        .expect(200);
+
+      expect(response.body.counts).toMatchObject({ safe: 1, unaccounted: 2 });
+      ['admin', 'security', 'receptionist'].forEach(role => {
+        expect(sendNotificationToRole).toHaveBeenCalledWith(role, 'roll_call_updated', expect.objectContaining({
+          rollCallId,
+          entryId: entry.id,
+          status: 'safe',
+          remaining: 2
+        }));
+      });
+      expect(sendNotificationToRole).not.toHaveBeenCalledWith('host', 'roll_call_updated', expect.anything());
+      expect(broadcastToAll).not.toHaveBeenCalledWith('roll_call_updated', expect.anything());
+
+      await onSiteVisit.reload();
+      expect(onSiteVisit.emergencyEvacuated).toBe(true);
+      expect(onSiteVisit.evacuation).toMatchObject({ rollCallId, assemblyPoint: 'Car park A' });
+
+      const audit = await AuditLog.findOne({ where: { action: 'EVACUATION_ROLL_CALL_ENTRY_MARKED' } });
+      expect(audit).toMatchObject({
+        userId: warden.id,
+        resourceId: incident.id,
+        visitId: onSiteVisit.id,
+        category: 'security',
+        tags: []
+      });
+      expect(audit.details).toMatchObject({ rollCallId, entryId: entry.id, status: 'safe', assemblyPoint: 'Car park A', drill: false });
+    });
+
+    it('should require an assembly point for safe and injured people', async () => {
+      const { body } = await startRollCall();
+      const entry = await EvacuationRollCallEntry.findOne({ where: { rollCallId: body.rollCall.id, visitId: secondVisit.id } });
+
+      const response = await request(app)
+        .put(`/api/emergency/roll-calls/${body.rollCall.id}/entries/${entry.id}`)
+        .send({ status: 'injured' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Assembly point is required');
+
+      await request(app)
+        .put(`/api/emergency/roll-calls/${body.rollCall.id}/entries/${entry.id}`)
+        .send({ status: 'missing', notes: 'Last seen in the lab' })
+        .expect(200);
+    });
+
+    it('should tick off the roll call when a visitor is evacuated directly', async () => {
+      const { body } = await startRollCall();
+
+      await request(app)
+        .post(`/api/emergency/evacuate/${secondVisit.id}`)
+        .send({ assemblyPoint: 'Car park B' })
+        .expect(200);
+
+      const entry = await EvacuationRollCallEntry.findOne({ where: { rollCallId: body.rollCall.id, visitId: secondVisit.id } });
+      expect(entry.status).toBe('safe');
+      expect(entry.markedBy).toBe(warden.id);
+
+      await request(app)
+        .post(`/api/emergency/evacuate/${departedVisit.id}`)
+        .expect(409);
+    });
+
+    it('should close with a muster report saved for the incident', async () => {
+      const { body } = await startRollCall();
+      const rollCallId = body.rollCall.id;
+      const entries = await EvacuationRollCallEntry.findAll({ where: { rollCallId } });
+      const byName = Object.fromEntries(entries.map(entry => [entry.name, entry]));
+
+      await request(app)
+        .put(`/api/emergency/roll-calls/${rollCallId}/entries/${byName['Alice Ang'].id}`)
+        .send({ status: 'safe', assemblyPoint: 'Car park A' });
+      await request(app)
+        .put(`/api/emergency/roll-calls/${rollCallId}/entries/${byName['Hannah Host'].id}`)
+        .send({ status: 'injured', assemblyPoint: 'Car park A', notes: 'Smoke inhalation' });
+
+      const response = await request(app)
+        .post(`/api/emergency/roll-calls/${rollCallId}/close`)
+        .expect(200);
+
+      expect(response.body.report.counts).toEqual({ total: 3, unaccounted: 1, safe: 1, missing: 0, injured: 1 });
+      expect(response.body.report.assemblyPoints['Car park A']).toEqual({ safe: 1, injured: 1, missing: 0 });
+      expect(response.body.report.unaccounted.map(person => person.name)).toEqual(['Bob Byrne']);
+
+      await request(app)
+        .put(`/api/emergency/roll-calls/${rollCallId}/entries/${byName['Bob Byrne'].id}`)
+        .send({ status: 'missing' })
+        .expect(409);
+
+      const incidentResponse = await request(app)
+        .get(`/api/emergency/incidents/${incident.id}`)
+        .expect(200);
+
+      expect(incidentResponse.body.incident.rollCalls[0].report.counts.injured).toBe(1);
+      expect(await EvacuationRollCall.findOpenForIncident(incident.id)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const express = require('express');
+const { Invitation } = require('../../server/models');
+const invitationRoutes = require('../../server/routes/invitations');
+const { createAuditLog } = require('../../server/services/auditService');
+const { issueInvitationToken } = require('../../server/services/invitationService');
+const { sendEmail } = require('../../server/services/emailService');
+
+// Mock services
+jest.mock('../../server/services/auditService');
+jest.mock('../../server/services/emailService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/invitations', invitationRoutes);
+  return app;
+};
+
+describe('Invitations API Integration Tests', () => {
+  let app;
+  let testHost;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    createAuditLog.mockResolvedValue({ id: 'audit-123' });
+    sendEmail.mockResolvedValue({ messageId: 'message-123' });
+
+    testHost = await global.testHelpers.createTestUser({
+      role: 'host',
+      email: 'host@example.com'
+    });
+    global.testUser = testHost;
+  });
+
+  const invitationData = () => ({
+    email: 'guest@example.com',
+    firstName: 'Jane',
+    purpose: 'Interview',
+    scheduledArrival: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  describe('POST /api/invitations', () => {
+    it('should create an invitation and email a signed link', async () => {
+      const response = await request(app)
+        .post('/api/invitations')
+        .send(invitationData());
+
+      expect(response.status).toBe(201);
+      expect(response.body.invitation.status).toBe('sent');
+      expect(response.body.invitation.hostId).toBe(testHost.id);
+      expect(response.body.invitation).not.toHaveProperty('tokenHash');
+
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'guest@example.com',
+        template: 'visitor-invitation',
+        data: expect.objectContaining({
+          invitationUrl: expect.stringContaining('/invite?token=')
+        })
+      }));
+
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INVITATION_SENT'
+      }));
+    });
+
+    it('should not let hosts invite on behalf of another host', async () => {
+      const otherHost = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+
+      const response = await request(app)
+        .post('/api/invitations')
+        .send({ ...invitationData(), hostId: otherHost.id });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not sign links without INVITATION_SECRET', () => {
+      const secret = process.env.INVITATION_SECRET;
+      delete process.env.INVITATION_SECRET;
+
+      try {
+        expect(() => issueInvitationToken(Invitation.build({ expiresAt: new Date(Date.now() + 60 * 60 * 1000) })))
+          .toThrow('INVITATION_SECRET environment variable is required');
+      } finally {
+        process.env.INVITATION_SECRET = secret;
+      }
+    });
+
+    it('should reject arrivals in the past', async () => {
+      const response = await request(app)
+        .post('/api/invitations')
+        .send({ ...invitationData(), scheduledArrival: new Date(Date.now() - 60 * 1000).toISOString() });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/invitations', () => {
+    it('should only list the host\'s own invitations', async () => {
+      const otherHost = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+      const { scheduledArrival, ...rest } = invitationData();
+      const base = { ...rest, scheduledArrival, expiresAt: scheduledArrival };
+
+      await Invitation.create({ ...base, hostId: testHost.id });
+      await Invitation.create({ ...base, hostId: otherHost.id });
+
+      const response = await request(app).get('/api/invitations');
+
+      expect(response.status).toBe(200);
+      expect(response.body.invitations).toHaveLength(1);
+      expect(response.body.invitations[0].hostId).toBe(testHost.id);
+    });
+  });
+
+  describe('POST /api/invitations/:id/resend', () => {
+    it('should issue a new link and count the resend', async () => {
+      const created = await request(app)
+        .post('/api/invitations')
+        .send(invitationData());
+
+      const invitation = await Invitation.findByPk(created.body.invitation.id);
+      const previousTokenHash = invitation.tokenHash;
+
+      const response = await request(app)
+        .post(`/api/invitations/${invitation.id}/resend`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.invitation.resendCount).toBe(1);
+
+      await invitation.reload();
+      expect(invitation.tokenHash).not.toBe(previousTokenHash);
+      expect(sendEmail).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('POST /api/invitations/:id/revoke', () => {
+    it('should revoke an invitation', async () => {
+      const created = await request(app)
+        .post('/api/invitations')
+        .send(invitationData());
+
+      const response = await request(app)
+        .post(`/api/invitations/${created.body.invitation.id}/revoke`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.invitation.status).toBe('revoked');
+      expect(response.body.invitation.revokedBy).toBe(testHost.id);
+    });
+
+    it('should not let other hosts revoke an invitation', async () => {
+      const created = await request(app)
+        .post('/api/invitations')
+        .send(invitationData());
+
+      global.testUser = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+
+      const response = await request(app)
+        .post(`/api/invitations/${created.body.invitation.id}/revoke`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const express = require('express');
+const speakeasy = require('speakeasy');
+const { AuditLog, MfaRecoveryCode, User, UserSession } = require('../../server/models');
+const { authenticateToken, generateToken } = require('../../server/middleware/auth');
+const authRoutes = require('../../server/routes/auth');
+const mfaResetRoutes = require('../../server/routes/mfaResets');
+const userRoutes = require('../../server/routes/users');
+const { consumeRecoveryCode, generateRecoveryCodes } = require('../../server/services/mfaService');
+const { rotateMfaSecretKeys } = require('../../server/services/piiKeyRotationService');
+const { createSession } = require('../../server/services/sessionService');
+const { getKeyId } = require('../../server/utils/fieldEncryption');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/mfa-resets', authenticateToken, mfaResetRoutes);
+  app.use('/api/users', authenticateToken, userRoutes);
+  return app;
+};
+
+// The auth routes allow five POSTs per IP for the whole file, so these tests share that budget
+describe('MFA Recovery Integration Tests', () => {
+  let app;
+
+  // A user with MFA already enabled and a set of recovery codes
+  const createMfaUser = async (userData = {}) => {
+    const user = await global.testHelpers.createTestUser({
+      mfaEnabled: true,
+      mfaSecret: speakeasy.generateSecret().base32,
+      ...userData
+    });
+    const codes = await generateRecoveryCodes(user);
+    return { user, codes };
+  };
+
+  let testKeys;
+
+  beforeAll(() => {
+    app = createTestApp();
+    testKeys = process.env.PII_ENCRYPTION_KEYS;
+  });
+
+  afterEach(() => {
+    process.env.PII_ENCRYPTION_KEYS = testKeys;
+    delete process.env.PII_ACTIVE_KEY_ID;
+  });
+
+  it('should encrypt the TOTP secret and issue hashed recovery codes at enrolment', async () => {
+    const user = await global.testHelpers.createTestUser();
+    const token = generateToken(user);
+
+    const setup = await request(app)
+      .post('/api/auth/setup-mfa')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const row = await User.findByPk(user.id, { raw: true });
+    expect(row.mfaSecret).not.toContain(setup.body.secret);
+    expect(getKeyId(row.mfaSecret)).not.toBeNull();
+
+    const verified = await request(app)
+      .post('/api/auth/verify-mfa')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ token: speakeasy.totp({ secret: setup.body.secret, encoding: 'base32' }) })
+      .expect(200);
+
+    expect(verified.body.recoveryCodes).toHaveLength(10);
+    expect(verified.body.recoveryCodes[0]).toMatch(/^[A-Z2-9]{5}-[A-Z2-9]{5}$/);
+
+    const stored = await MfaRecoveryCode.findAll({ where: { userId: user.id }, raw: true });
+    expect(stored).toHaveLength(10);
+    expect(stored.map(code => code.codeHash)).not.toContain(verified.body.recoveryCodes[0]);
+
+    expect(await AuditLog.count({ where: { userId: user.id, action: ['MFA_SETUP_STARTED', 'MFA_ENABLED'] } })).toBe(2);
+  });
+
+  it('should accept each recovery code once and invalidate old codes on regeneration', async () => {
+    const { user, codes } = await createMfaUser();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'password123', recoveryCode: codes[0].toLowerCase() })
+      .expect(200);
+
+    expect(login.body.accessToken).toBeDefined();
+    expect(login.body.recoveryCodesRemaining).toBe(9);
+    expect(await consumeRecoveryCode(user, codes[0])).toEqual({ valid: false, remaining: 9 });
+
+    const regenerated = await request(app)
+      .post('/api/auth/regenerate-recovery-codes')
+      .set('Authorization', `Bearer ${login.body.accessToken}`)
+      .send({ password: 'password123' })
+      .expect(200);
+
+    expect(regenerated.body.recoveryCodes).toHaveLength(10);
+    expect((await consumeRecoveryCode(user, codes[1])).valid).toBe(false);
+    expect(await consumeRecoveryCode(user, regenerated.body.recoveryCodes[0])).toEqual({ valid: true, remaining: 9 });
+
+    const audit = await AuditLog.findOne({ where: { action: 'MFA_RECOVERY_CODE_USED', userId: user.id } });
+    expect(audit.details).toMatchObject({ remaining: 9 });
+  });
+
+  it('should reset MFA only after a second admin approves', async () => {
+    const { user } = await createMfaUser();
+    await createSession(user, { userAgent: 'phone' });
+    const requester = await global.testHelpers.createTestUser({ email: 'first-admin@example.com', role: 'admin' });
+    const approver = await global.testHelpers.createTestUser({ email: 'second-admin@example.com', role: 'admin' });
+
+    const created = await request(app)
+      .post('/api/mfa-resets')
+      .set('Authorization', `Bearer ${generateToken(requester)}`)
+      .send({ userId: user.id, reason: 'Lost phone, identity checked in person' })
+      .expect(201);
+    const { id } = created.body.request;
+
+    await request(app)
+      .post('/api/mfa-resets')
+      .set('Authorization', `Bearer ${generateToken(approver)}`)
+      .send({ userId: user.id, reason: 'Duplicate' })
+      .expect(409);
+
+    const selfApproval = await request(app)
+      .post(`/api/mfa-resets/${id}/approve`)
+      .set('Authorization', `Bearer ${generateToken(requester)}`)
+      .expect(403);
+    expect(selfApproval.body.error).toBe('Second approval required');
+    expect((await User.findByPk(user.id)).mfaEnabled).toBe(true);
+
+    const approved = await request(app)
+      .post(`/api/mfa-resets/${id}/approve`)
+      .set('Authorization', `Bearer ${generateToken(approver)}`)
+      .send({ notes: 'Confirmed with the user\'s manager' })
+      .expect(200);
+
+    expect(approved.body.request).toMatchObject({ status: 'approved', reviewedBy: approver.id });
+    expect(approved.body.endedSessions).toBe(1);
+
+    await user.reload();
+    expect(user.mfaEnabled).toBe(false);
+    expect(user.mfaSecret).toBeNull();
+    expect(await MfaRecoveryCode.count({ where: { userId: user.id } })).toBe(0);
+    expect(await UserSession.count({ where: { userId: user.id, revokedAt: null } })).toBe(0);
+
+    await request(app)
+      .post(`/api/mfa-resets/${id}/reject`)
+      .set('Authorization', `Bearer ${generateToken(approver)}`)
+      .expect(409);
+
+    const actions = (await AuditLog.findAll({ where: { resourceId: id } })).map(entry => entry.action).sort();
+    expect(actions).toEqual(['MFA_RESET_APPROVED', 'MFA_RESET_REQUESTED']);
+  });
+
+  it('should not let admins switch MFA off by editing the user', async () => {
+    const { user } = await createMfaUser();
+    const admin = await global.testHelpers.createTestUser({ email: 'admin@example.com', role: 'admin' });
+
+    await request(app)
+      .put(`/api/users/${user.id}`)
+      .set('Authorization', `Bearer ${generateToken(admin)}`)
+      .send({ mfaEnabled: false })
+      .expect(400);
+
+    expect((await User.findByPk(user.id)).mfaEnabled).toBe(true);
+  });
+
+  it('should re-encrypt MFA secrets when the PII key is rotated', async () => {
+    process.env.PII_ENCRYPTION_KEYS = 'k1:first-test-key';
+    process.env.PII_ACTIVE_KEY_ID = 'k1';
+    const secret = speakeasy.generateSecret().base32;
+    const user = await global.testHelpers.createTestUser({ mfaEnabled: true, mfaSecret: secret });
+
+    process.env.PII_ENCRYPTION_KEYS = 'k1:first-test-key,k2:second-test-key';
+    process.env.PII_ACTIVE_KEY_ID = 'k2';
+    const report = await rotateMfaSecretKeys();
+
+    expect(report).toMatchObject({ activeKeyId: 'k2', scanned: 1, reencrypted: 1 });
+    const row = await User.findByPk(user.id, { raw: true });
+    expect(getKeyId(row.mfaSecret)).toBe('k2');
+    expect((await User.findByPk(user.id)).mfaSecret).toBe(secret);
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const express = require('express');
+const { Notification, User } = require('../../server/models');
+const notificationRoutes = require('../../server/routes/notifications');
+const { sendNotification } = require('../../server/services/notificationService');
+const { sendNotificationToUser } = require('../../server/services/socketService');
+
+// Mock services
+jest.mock('../../server/services/emailService');
+jest.mock('../../server/services/smsService');
+jest.mock('../../server/services/socketService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/notifications', notificationRoutes);
+  return app;
+};
+
+const notify = (userId, overrides = {}) => sendNotification({
+  userId,
+  type: 'visitor_arrival',
+  title: 'Visitor Arrived',
+  message: 'Your visitor has arrived',
+  ...overrides
+});
+
+describe('Notifications API Integration Tests', () => {
+  let app;
+  let testUser;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    testUser = await global.testHelpers.createTestUser({ role: 'host' });
+    global.testUser = testUser;
+  });
+
+  describe('inbox storage', () => {
+    it('should store notifications sent to a user with the socket payload id', async () => {
+      await notify(testUser.id);
+
+      const [stored] = await Notification.findAll({ where: { userId: testUser.id } });
+      expect(stored.read).toBe(false);
+      expect(sendNotificationToUser).toHaveBeenCalledWith(testUser.id, 'notification', expect.objectContaining({
+        id: stored.id
+      }));
+      expect(sendNotificationToUser).toHaveBeenCalledWith(testUser.id, 'notification_unread_count', { unreadCount: 1 });
+    });
+
+    it('should store role notifications in every member inbox', async () => {
+      const guard = await global.testHelpers.createTestUser({ role: 'security', email: 'guard@example.com' });
+      const inactiveGuard = await global.testHelpers.createTestUser({
+        role: 'security',
+        email: 'former-guard@example.com',
+        isActive: false
+      });
+
+      await sendNotification({
+        userRole: 'security',
+        type: 'security_alert',
+        title: 'Security Alert',
+        message: 'Door held open'
+      });
+
+      expect(await Notification.count({ where: { userId: guard.id } })).toBe(1);
+      expect(await Notification.count({ where: { userId: inactiveGuard.id } })).toBe(0);
+      expect(await Notification.count({ where: { userId: testUser.id } })).toBe(0);
+    });
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should page and filter the current user inbox', async () => {
+      await notify(testUser.id, { priority: 'high' });
+      await notify(testUser.id, { type: 'visitor_departure', title: 'Visitor Departure' });
+      await notify(testUser.id);
+
+      const other = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+      await notify(other.id);
+
+      const response = await request(app)
+        .get('/api/notifications?limit=2')
+        .expect(200);
+
+      expect(response.body.notifications).toHaveLength(2);
+      expect(response.body.unreadCount).toBe(3);
+      expect(response.body.pagination.total).toBe(3);
+
+      const filtered = await request(app)
+        .get('/api/notifications?type=visitor_arrival&priority=high')
+        .expect(200);
+
+      expect(filtered.body.notifications).toHaveLength(1);
+      expect(filtered.body.notifications[0].priority).toBe('high');
+    });
+
+    it('should filter by read state', async () => {
+      await notify(testUser.id);
+      await notify(testUser.id);
+      const [first] = await Notification.findAll({ where: { userId: testUser.id } });
+      await first.markRead();
+
+      const response = await request(app)
+        .get('/api/notifications?read=false')
+        .expect(200);
+
+      expect(response.body.notifications).toHaveLength(1);
+      expect(response.body.notifications[0].read).toBe(false);
+    });
+  });
+
+  describe('read state', () => {
+    it('should mark one notification as read and emit the new count', async () => {
+      await notify(testUser.id);
+      await notify(testUser.id);
+      const [notification] = await Notification.findAll({ where: { userId: testUser.id } });
+
+      const response = await request(app)
+        .put(`/api/notifications/${notification.id}/read`)
+        .expect(200);
+
+      expect(response.body.notification.read).toBe(true);
+      expect(response.body.unreadCount).toBe(1);
+      expect(sendNotificationToUser).toHaveBeenLastCalledWith(testUser.id, 'notification_unread_count', { unreadCount: 1 });
+    });
+
+    it('should mark all notifications as read', async () => {
+      await notify(testUser.id);
+      await notify(testUser.id);
+
+      const response = await request(app)
+        .put('/api/notifications/mark-all-read')
+        .expect(200);
+
+      expect(response.body.updated).toBe(2);
+      expect(await Notification.countUnread(testUser.id)).toBe(0);
+    });
+
+    it('should not let users touch another user notifications', async () => {
+      const other = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+      await notify(other.id);
+      const [notification] = await Notification.findAll({ where: { userId: other.id } });
+
+      await request(app)
+        .put(`/api/notifications/${notification.id}/read`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/notifications/${notification.id}`)
+        .expect(404);
+
+      await notification.reload();
+      expect(notification.read).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/notifications/:id', () => {
+    it('should delete a notification', async () => {
+      await notify(testUser.id);
+      const [notification] = await Notification.findAll({ where: { userId: testUser.id } });
+
+      const response = await request(app)
+        .delete(`/api/notifications/${notification.id}`)
+        .expect(200);
+
+      expect(response.body.unreadCount).toBe(0);
+      expect(await Notification.count()).toBe(0);
+    });
+  });
+
+  describe('notification settings', () => {
+    it('should return and update the notification channels', async () => {
+      const initial = await request(app)
+        .get('/api/notifications/settings')
+        .expect(200);
+
+      expect(initial.body.settings).toEqual({ email: true, sms: false, push: true });
+
+      const response = await request(app)
+        .put('/api/notifications/settings')
+        .send({ sms: true, email: false })
+        .expect(200);
+
+      expect(response.body.settings).toEqual({ email: false, sms: true, push: true });
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.preferences.notifications).toEqual({ email: false, sms: true, push: true });
+      expect(user.preferences.language).toBe('en');
+    });
+
+    it('should reject non-boolean settings', async () => {
+      const response = await request(app)
+        .put('/api/notifications/settings')
+        .send({ email: 'sometimes' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+  });
+});
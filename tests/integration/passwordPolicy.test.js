@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, PasswordHistory, SystemSetting, UserSession } = require('../../server/models');
+const { authenticateToken, generateToken } = require('../../server/middleware/auth');
+const authRoutes = require('../../server/routes/auth');
+const sessionRoutes = require('../../server/routes/sessions');
+const { checkPassword, isCommonPassword } = require('../../server/services/passwordPolicyService');
+const { createSession } = require('../../server/services/sessionService');
+const { invalidateSetting } = require('../../server/services/settingsService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/sessions', authenticateToken, sessionRoutes);
+  return app;
+};
+
+// The auth routes allow five POSTs per IP for the whole file, so these tests share that budget
+describe('Password Policy Integration Tests', () => {
+  let app;
+
+  const setSetting = async (key, value) => {
+    await SystemSetting.setSetting(key, value);
+    invalidateSetting(key);
+  };
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    await SystemSetting.initializeDefaults();
+  });
+
+  it('should check length, character classes and the common password list', async () => {
+    expect(await checkPassword('Sh0rt')).toEqual({
+      valid: false,
+      errors: ['Password must be at least 8 characters long']
+    });
+    expect((await checkPassword('all-lowercase-words')).errors).toEqual([
+      'Password must contain an uppercase letter',
+      'Password must contain a number'
+    ]);
+    expect(await checkPassword('Lobby-Desk-42')).toEqual({ valid: true, errors: [] });
+
+    // Digits and symbols appended to a common password do not make it acceptable
+    expect(isCommonPassword('Password123!')).toBe(true);
+    expect(isCommonPassword('Welcome2024')).toBe(true);
+    expect(isCommonPassword('Lobby-Desk-42')).toBe(false);
+
+    // The list reaches well past the obvious choices, down to the 10,000th most common
+    expect(isCommonPassword('NCC1701')).toBe(true);
+    expect(isCommonPassword('Brady12')).toBe(true);
+    expect(isCommonPassword('Visitor2024!')).toBe(true);
+
+    await setSetting('password_require_symbol', true);
+    await setSetting('password_min_length', 14);
+    expect((await checkPassword('LobbyDesk42')).errors).toEqual(['Password must be at least 14 characters long']);
+    expect((await checkPassword('LobbyDeskNumber42')).errors).toEqual(['Password must contain a symbol']);
+  });
+
+  it('should refuse the user\'s recent passwords', async () => {
+    const user = await global.testHelpers.createTestUser({ password: 'Original-Pass-1' });
+    await user.update({ password: 'Second-Pass-2' });
+    await user.update({ password: 'Third-Pass-3' });
+
+    expect(await PasswordHistory.count({ where: { userId: user.id } })).toBe(2);
+    expect((await checkPassword('Third-Pass-3', { user })).errors).toEqual(['Password must not match any of your last 5 passwords']);
+    expect((await checkPassword('Original-Pass-1', { user })).valid).toBe(false);
+
+    // Only the current password and the one before it are remembered now
+    await setSetting('password_history_count', 2);
+    expect((await checkPassword('Second-Pass-2', { user })).valid).toBe(false);
+    expect((await checkPassword('Original-Pass-1', { user })).valid).toBe(true);
+  });
+
+  it('should reject weak passwords at registration', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'new@example.com', password: 'password123', firstName: 'New', lastName: 'User' })
+      .expect(400);
+
+    expect(response.body).toMatchObject({
+      error: 'Password policy violation',
+      errors: ['Password must contain an uppercase letter', 'Password is too common and has appeared in data breaches']
+    });
+  });
+
+  it('should let signed-in users change their password and sign out their other sessions', async () => {
+    const user = await global.testHelpers.createTestUser({ password: 'Original-Pass-1' });
+    const current = await createSession(user, { userAgent: 'laptop' });
+    const other = await createSession(user, { userAgent: 'phone' });
+    const accessToken = generateToken(user, { sessionId: current.id });
+
+    const reused = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ currentPassword: 'Original-Pass-1', newPassword: 'Original-Pass-1' })
+      .expect(400);
+    expect(reused.body.message).toBe('Password must not match any of your last 5 passwords');
+
+    const response = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ currentPassword: 'Original-Pass-1', newPassword: 'Changed-Pass-2' })
+      .expect(200);
+
+    expect(response.body.endedSessions).toBe(1);
+    await other.reload();
+    expect(other.revokedReason).toBe('password_changed');
+    await user.reload();
+    expect(await user.validatePassword('Changed-Pass-2')).toBe(true);
+  });
+
+  it('should force users with an expired password through a change before signing them in', async () => {
+    await setSetting('password_max_age_days', 90);
+    const user = await global.testHelpers.createTestUser({ password: 'Original-Pass-1' });
+    await user.update({ lastPasswordChange: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@example.com', password: 'Original-Pass-1' })
+      .expect(200);
+
+    expect(login.body.passwordChangeRequired).toBe(true);
+    expect(login.body.accessToken).toBeUndefined();
+    expect(await UserSession.count({ where: { userId: user.id } })).toBe(0);
+
+    const { passwordChangeToken } = login.body;
+
+    // The change token is no good for anything else
+    const rejected = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${passwordChangeToken}`)
+      .expect(403);
+    expect(rejected.body.error).toBe('Password change required');
+
+    const changed = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${passwordChangeToken}`)
+      .send({ currentPassword: 'Original-Pass-1', newPassword: 'Renewed-Pass-2' })
+      .expect(200);
+
+    expect(changed.body.accessToken).toBeDefined();
+    expect(changed.headers['set-cookie'][0]).toMatch(/^refreshToken=/);
+    expect(await UserSession.count({ where: { userId: user.id, revokedAt: null } })).toBe(1);
+
+    await user.reload();
+    expect(user.isPasswordExpired(90)).toBe(false);
+    expect(await AuditLog.count({ where: { action: 'PASSWORD_EXPIRED', userId: user.id } })).toBe(1);
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, Visit } = require('../../server/models');
+const emergencyRoutes = require('../../server/routes/emergency');
+const visitorRoutes = require('../../server/routes/visitors');
+const visitRoutes = require('../../server/routes/visits');
+const { issueQrToken } = require('../../server/services/qrTokenService');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/visitors', visitorRoutes);
+  app.use('/api/visits', visitRoutes);
+  app.use('/api/emergency', emergencyRoutes);
+  return app;
+};
+
+describe('PII Masking Integration Tests', () => {
+  let app;
+  let admin;
+  let security;
+  let visitor;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    admin = await global.testHelpers.createTestUser({ role: 'admin' });
+    security = await global.testHelpers.createTestUser({ email: 'guard@example.com', role: 'security' });
+    visitor = await global.testHelpers.createTestVisitor({
+      nationalId: 'S1234567A',
+      address: '1 Example Road',
+      emergencyContact: { name: 'Jane Doe', phone: '+6598765432' },
+      photo: 'visitor-photo.jpg'
+    });
+  });
+
+  it('should mask the national ID and hide the address from security', async () => {
+    global.testUser = security;
+
+    const response = await request(app)
+      .get('/api/visitors')
+      .expect(200);
+
+    const [listed] = response.body.visitors;
+    expect(listed.nationalId).toBe('*****567A');
+    expect(listed).not.toHaveProperty('address');
+    expect(listed.emergencyContact).toEqual({ name: 'Jane Doe', phone: '+6598765432' });
+  });
+
+  it('should show admins the address but still mask the national ID', async () => {
+    global.testUser = admin;
+
+    const response = await request(app)
+      .get(`/api/visitors/${visitor.id}`)
+      .expect(200);
+
+    expect(response.body.visitor.nationalId).toBe('*****567A');
+    expect(response.body.visitor.address).toBe('1 Example Road');
+  });
+
+  it('should only include the photo while photo consent is valid', async () => {
+    global.testUser = admin;
+
+    let response = await request(app).get(`/api/visitors/${visitor.id}`).expect(200);
+    expect(response.body.visitor.photo).toBeNull();
+
+    await visitor.update({ photoConsent: true, photoConsentDate: new Date() });
+    response = await request(app).get(`/api/visitors/${visitor.id}`).expect(200);
+    expect(response.body.visitor.photo).toBe('visitor-photo.jpg');
+  });
+
+  it('should mask visitors included in visits', async () => {
+    global.testUser = security;
+    const visit = await Visit.create({ visitorId: visitor.id, hostId: admin.id, purpose: 'Meeting' });
+
+    const response = await request(app)
+      .get(`/api/visits/${visit.id}`)
+      .expect(200);
+
+    expect(response.body.visit.visitor.nationalId).toBe('*****567A');
+    expect(response.body.visit.visitor).not.toHaveProperty('address');
+    expect(response.body.visit.visitor.photo).toBeNull();
+  });
+
+  it('should mask the visitor returned to the security scanner', async () => {
+    global.testUser = security;
+    const expiry = new Date(Date.now() + 60 * 60 * 1000);
+    const visit = await Visit.create({ visitorId: visitor.id, hostId: admin.id, purpose: 'Meeting', qrCodeExpiry: expiry });
+    const token = issueQrToken(visit.id, expiry);
+    await visit.update({ qrCode: token });
+
+    const response = await request(app)
+      .post('/api/visits/verify-qr')
+      .send({ token })
+      .expect(200);
+
+    expect(response.body.valid).toBe(true);
+    expect(response.body.visit.visitor.nationalId).toBe('*****567A');
+    expect(response.body.visit.visitor).not.toHaveProperty('address');
+  });
+
+  it('should mask visitors on the evacuation list', async () => {
+    global.testUser = security;
+    await Visit.create({ visitorId: visitor.id, hostId: admin.id, purpose: 'Meeting', status: 'checked_in', checkedInAt: new Date() });
+
+    const response = await request(app)
+      .get('/api/emergency/evacuation-list')
+      .expect(200);
+
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].visitor.nationalId).toBe('*****567A');
+    expect(response.body[0].visitor).not.toHaveProperty('address');
+  });
+
+  it('should mask visitors in check-in and check-out responses', async () => {
+    global.testUser = await global.testHelpers.createTestUser({ email: 'desk@example.com', role: 'receptionist' });
+    const visit = await Visit.create({ visitorId: visitor.id, hostId: admin.id, purpose: 'Meeting' });
+
+    const checkedIn = await request(app)
+      .post(`/api/visits/${visit.id}/checkin`)
+      .expect(200);
+    expect(checkedIn.body.visit.visitor.nationalId).toBe('*****567A');
+
+    const checkedOut = await request(app)
+      .post(`/api/visits/${visit.id}/checkout`)
+      .send({ rating: 5 })
+      .expect(200);
+    expect(checkedOut.body.visit.visitor.nationalId).toBe('*****567A');
+  });
+
+  it('should reveal fields in full and record a high-severity audit entry', async () => {
+    global.testUser = security;
+
+    const response = await request(app)
+      .post(`/api/visitors/${visitor.id}/reveal`)
+      .send({ fields: ['nationalId', 'address'], reason: 'Identity check at the gate' })
+      .expect(200);
+
+    expect(response.body.fields).toEqual({ nationalId: 'S1234567A', address: '1 Example Road' });
+
+    const audit = await AuditLog.findOne({ where: { action: 'VISITOR_PII_REVEALED' } });
+    expect(audit.userId).toBe(security.id);
+    expect(audit.severity).toBe('high');
+    expect(audit.details).toMatchObject({ fields: ['nationalId', 'address'], reason: 'Identity check at the gate' });
+  });
+
+  it('should require a reason and a revealable field', async () => {
+    global.testUser = security;
+
+    await request(app)
+      .post(`/api/visitors/${visitor.id}/reveal`)
+      .send({ fields: ['nationalId'] })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/visitors/${visitor.id}/reveal`)
+      .send({ fields: ['email'], reason: 'Identity check at the gate' })
+      .expect(400);
+
+    expect(await AuditLog.count({ where: { action: 'VISITOR_PII_REVEALED' } })).toBe(0);
+  });
+});
@@ -0,0 +1,366 @@
+const request = require('supertest');
+const express = require('express');
+const { Visit, Visitor, ConsentRecord, Invitation } = require('../../server/models');
+const publicRoutes = require('../../server/routes/public');
+const { issueInvitationToken } = require('../../server/services/invitationService');
+const { issueQrToken } = require('../../server/services/qrTokenService');
+const { createAuditLog } = require('../../server/services/auditService');
+const { sendVisitorArrivalNotification } = require('../../server/services/notificationService');
+
+// Mock services
+jest.mock('../../server/services/auditService');
+jest.mock('../../server/services/notificationService');
+jest.mock('../../server/services/socketService');
+jest.mock('../../server/services/emailService');
+jest.mock('qrcode');
+
+// Create test app (no auth middleware - these routes are public)
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/public', publicRoutes);
+  return app;
+};
+
+describe('Public API Integration Tests', () => {
+  let app;
+  let testHost;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    createAuditLog.mockResolvedValue({ id: 'audit-123' });
+    require('qrcode').toDataURL.mockResolvedValue('data:image/png;base64,mock-qr-code');
+    sendVisitorArrivalNotification.mockResolvedValue();
+
+    testHost = await global.testHelpers.createTestUser({
+      role: 'host',
+      email: 'host@example.com'
+    });
+  });
+
+  const createInvitation = async (invitationData = {}) => {
+    const invitation = Invitation.build({
+      hostId: testHost.id,
+      email: 'guest@example.com',
+      purpose: 'Interview',
+      location: 'Lobby',
+      scheduledArrival: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 12 * 60 * 60 * 1000),
+      ...invitationData
+    });
+    const token = issueInvitationToken(invitation);
+    await invitation.save();
+    return { invitation, token };
+  };
+
+  describe('GET /api/public/invitation/:token', () => {
+    it('should return invitation details and mark it opened', async () => {
+      const { invitation, token } = await createInvitation();
+
+      const response = await request(app).get(`/api/public/invitation/${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.invitation.purpose).toBe('Interview');
+      expect(response.body.invitation.host.firstName).toBe('Test');
+
+      await invitation.reload();
+      expect(invitation.status).toBe('opened');
+    });
+
+    it('should reject expired invitations', async () => {
+      const { invitation, token } = await createInvitation();
+      await invitation.update({ expiresAt: new Date(Date.now() - 60 * 1000) });
+
+      const response = await request(app).get(`/api/public/invitation/${token}`);
+
+      expect(response.status).toBe(404);
+
+      await invitation.reload();
+      expect(invitation.status).toBe('expired');
+    });
+
+    it('should reject superseded links', async () => {
+      const { invitation, token } = await createInvitation();
+      issueInvitationToken(invitation);
+      await invitation.save();
+
+      const response = await request(app).get(`/api/public/invitation/${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/public/pre-register', () => {
+    let invitation;
+    let token;
+
+    beforeEach(async () => {
+      ({ invitation, token } = await createInvitation());
+    });
+
+    const preRegistration = () => ({
+      invitationToken: token,
+      firstName: 'Jane',
+      lastName: 'Guest',
+      gdprConsent: true,
+      photoConsent: true
+    });
+
+    it('should create visitor, consent records and a pre-registered visit', async () => {
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(response.status).toBe(201);
+      expect(response.body.qrCode).toBe('data:image/png;base64,mock-qr-code');
+      expect(response.body.visit.status).toBe('pre_registered');
+      expect(response.body.visit.location).toBe('Lobby');
+
+      const visitor = await Visitor.findByEmail('guest@example.com');
+      expect(visitor).not.toBeNull();
+
+      const consents = await ConsentRecord.findAll({ where: { visitorId: visitor.id } });
+      expect(consents.map(c => c.consentType).sort()).toEqual(['gdpr_processing', 'photo_capture']);
+
+      await invitation.reload();
+      expect(invitation.status).toBe('completed');
+      expect(invitation.visitorId).toBe(visitor.id);
+      expect(invitation.visitId).toBe(response.body.visit.id);
+
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'VISIT_SELF_PRE_REGISTERED'
+      }));
+    });
+
+    it('should only accept an invitation link once', async () => {
+      await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(response.status).toBe(404);
+      expect(await Visit.count()).toBe(1);
+    });
+
+    it('should not change an existing visitor\'s details', async () => {
+      const existing = await global.testHelpers.createTestVisitor({
+        email: 'guest@example.com',
+        phone: '+441234567890',
+        photo: 'existing-photo.jpg'
+      });
+
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .field('invitationToken', token)
+        .field('firstName', 'Someone')
+        .field('lastName', 'Else')
+        .field('phone', '+449999999999')
+        .field('company', 'Other Company')
+        .field('gdprConsent', 'true')
+        .field('photoConsent', 'true')
+        .attach('photo', Buffer.from('fake-image'), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(201);
+
+      await existing.reload();
+      expect(existing.getFullName()).toBe('Test Visitor');
+      expect(existing.phone).toBe('+441234567890');
+      expect(existing.company).toBe('Test Company');
+      expect(existing.photo).toBe('existing-photo.jpg');
+      expect(existing.photoConsent).toBe(true);
+
+      const visit = await Visit.findByPk(response.body.visit.id);
+      expect(visit.visitorId).toBe(existing.id);
+      expect(await Visitor.count()).toBe(1);
+    });
+
+    it('should give a visit to only one of two overlapping submissions of a link', async () => {
+      let second;
+
+      // The second submission runs to completion after the first has checked the link but before it claims it
+      require('qrcode').toDataURL.mockImplementationOnce(async () => {
+        second = await request(app)
+          .post('/api/public/pre-register')
+          .send(preRegistration());
+        return 'data:image/png;base64,mock-qr-code';
+      });
+
+      const first = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(second.status).toBe(201);
+      expect(first.status).toBe(404);
+      expect(await Visit.count()).toBe(1);
+
+      await invitation.reload();
+      expect(invitation.visitId).toBe(second.body.visit.id);
+    });
+
+    it('should leave the link unused when the consent records cannot be saved', async () => {
+      jest.spyOn(ConsentRecord, 'bulkCreate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const failed = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(failed.status).toBe(500);
+      expect(await Visit.count()).toBe(0);
+      expect(await Visitor.count()).toBe(0);
+
+      await invitation.reload();
+      expect(invitation.status).not.toBe('completed');
+      expect(invitation.visitId).toBeNull();
+
+      const retried = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(retried.status).toBe(201);
+      expect(await ConsentRecord.count()).toBe(2);
+    });
+
+    it('should reject revoked invitations', async () => {
+      await invitation.revoke(testHost.id);
+
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should require data processing consent', async () => {
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .send({ ...preRegistration(), gdprConsent: false });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Consent required');
+    });
+
+    it('should require photo consent when a photo is uploaded', async () => {
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .field('invitationToken', token)
+        .field('firstName', 'Jane')
+        .field('lastName', 'Guest')
+        .field('gdprConsent', 'true')
+        .attach('photo', Buffer.from('fake-image'), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Photo consent required');
+    });
+
+    it('should reject blacklisted visitors', async () => {
+      await global.testHelpers.createTestVisitor({
+        email: 'guest@example.com',
+        isBlacklisted: true
+      });
+
+      const response = await request(app)
+        .post('/api/public/pre-register')
+        .send(preRegistration());
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  const createSignedVisit = async (qrCodeExpiry = new Date(Date.now() + 60 * 60 * 1000)) => {
+    const visit = await global.testHelpers.createTestVisit({ qrCodeExpiry });
+    const qrCode = issueQrToken(visit.id, qrCodeExpiry);
+    await visit.update({ qrCode });
+    return { visit, qrCode };
+  };
+
+  describe('GET /api/public/visit/:qrCode', () => {
+    it('should return limited visit details', async () => {
+      const { qrCode } = await createSignedVisit();
+
+      const response = await request(app).get(`/api/public/visit/${qrCode}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.visit.purpose).toBe('Test meeting');
+      expect(response.body.visit.visitor).not.toHaveProperty('email');
+    });
+
+    it('should return 404 for unknown QR code', async () => {
+      const response = await request(app).get('/api/public/visit/unknown');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 for a tampered QR code', async () => {
+      const { qrCode } = await createSignedVisit();
+      const [version, keyId, body, signature] = qrCode.split('.');
+      const tampered = [version, keyId, body.slice(0, -2) + 'AA', signature].join('.');
+
+      const response = await request(app).get(`/api/public/visit/${tampered}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/public/checkin', () => {
+    it('should check in a pre-registered visit', async () => {
+      const { visit, qrCode } = await createSignedVisit();
+
+      const response = await request(app)
+        .post('/api/public/checkin')
+        .send({ qrCode });
+
+      expect(response.status).toBe(200);
+
+      await visit.reload();
+      expect(visit.status).toBe('checked_in');
+      expect(visit.checkedInBy).toBeNull();
+      expect(sendVisitorArrivalNotification).toHaveBeenCalled();
+    });
+
+    it('should reject expired QR codes', async () => {
+      const { qrCode } = await createSignedVisit(new Date(Date.now() - 60 * 1000));
+
+      const response = await request(app)
+        .post('/api/public/checkin')
+        .send({ qrCode });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('QR code expired');
+    });
+  });
+
+  describe('POST /api/public/feedback/:visitId', () => {
+    it('should store feedback once', async () => {
+      const visit = await global.testHelpers.createTestVisit({ status: 'checked_out' });
+
+      const first = await request(app)
+        .post(`/api/public/feedback/${visit.id}`)
+        .send({ rating: 5, feedback: 'Great' });
+      const second = await request(app)
+        .post(`/api/public/feedback/${visit.id}`)
+        .send({ rating: 1 });
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(409);
+
+      await visit.reload();
+      expect(visit.ratingGiven).toBe(5);
+    });
+
+    it('should reject feedback before the visit has started', async () => {
+      const visit = await global.testHelpers.createTestVisit();
+
+      const response = await request(app)
+        .post(`/api/public/feedback/${visit.id}`)
+        .send({ rating: 4 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const express = require('express');
+const speakeasy = require('speakeasy');
+const { AuditLog, SystemSetting, User, UserSession } = require('../../server/models');
+const { authenticateToken, generateToken } = require('../../server/middleware/auth');
+const authRoutes = require('../../server/routes/auth');
+const sessionRoutes = require('../../server/routes/sessions');
+const settingsRoutes = require('../../server/routes/settings');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/sessions', authenticateToken, sessionRoutes);
+  app.use('/api/settings', authenticateToken, settingsRoutes);
+  return app;
+};
+
+// The auth routes allow five POSTs per IP for the whole file, so these tests share that budget
+describe('Security Settings Integration Tests', () => {
+  let app;
+  let admin;
+  let adminToken;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    await SystemSetting.initializeDefaults();
+    admin = await global.testHelpers.createTestUser({ email: 'admin@example.com', role: 'admin' });
+    adminToken = generateToken(admin);
+  });
+
+  it('should lock accounts using the configured attempts and refresh the cache on update', async () => {
+    await SystemSetting.setSetting('max_login_attempts', 2);
+    await SystemSetting.setSetting('lockout_duration_minutes', 5);
+
+    const user = await global.testHelpers.createTestUser({ email: 'host@example.com' });
+    await user.incrementFailedAttempts();
+    expect(user.isLocked()).toBeFalsy();
+    await user.incrementFailedAttempts();
+    expect(user.isLocked()).toBe(true);
+    expect(user.lockedUntil.getTime() - Date.now()).toBeLessThanOrEqual(5 * 60 * 1000);
+
+    // Writes that bypass the API are only seen once the cached value expires
+    await SystemSetting.setSetting('max_login_attempts', 4);
+    const other = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+    await other.incrementFailedAttempts();
+    await other.incrementFailedAttempts();
+    expect(other.isLocked()).toBe(true);
+
+    await request(app)
+      .put('/api/settings/max_login_attempts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ value: 3 })
+      .expect(200);
+
+    const third = await global.testHelpers.createTestUser({ email: 'third@example.com' });
+    await third.incrementFailedAttempts();
+    await third.incrementFailedAttempts();
+    expect(third.isLocked()).toBeFalsy();
+    await third.incrementFailedAttempts();
+    expect(third.isLocked()).toBe(true);
+  });
+
+  it('should reject invalid values for known settings', async () => {
+    const response = await request(app)
+      .put('/api/settings/max_login_attempts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ value: 50 })
+      .expect(400);
+
+    expect(response.body.error).toBe('Setting max_login_attempts must not exceed 10');
+    expect(await SystemSetting.getSetting('max_login_attempts')).toBe(5);
+  });
+
+  it('should force admins without MFA through enrolment before signing them in', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' })
+      .expect(200);
+
+    expect(login.body).toMatchObject({ mfaEnrolmentRequired: true });
+    expect(login.body.accessToken).toBeUndefined();
+    expect(login.headers['set-cookie']).toBeUndefined();
+    expect(await UserSession.count({ where: { userId: admin.id } })).toBe(0);
+
+    const { enrolmentToken } = login.body;
+
+    // The enrolment token is no good for anything else
+    const rejected = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${enrolmentToken}`)
+      .expect(403);
+    expect(rejected.body.error).toBe('MFA enrolment required');
+
+    const setup = await request(app)
+      .post('/api/auth/setup-mfa')
+      .set('Authorization', `Bearer ${enrolmentToken}`)
+      .expect(200);
+
+    const verified = await request(app)
+      .post('/api/auth/verify-mfa')
+      .set('Authorization', `Bearer ${enrolmentToken}`)
+      .send({ token: speakeasy.totp({ secret: setup.body.secret, encoding: 'base32' }) })
+      .expect(200);
+
+    expect(verified.body.user.mfaEnabled).toBe(true);
+    expect(verified.headers['set-cookie'][0]).toMatch(/^refreshToken=/);
+
+    const sessions = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${verified.body.accessToken}`)
+      .expect(200);
+    expect(sessions.body.sessions).toHaveLength(1);
+
+    expect(await AuditLog.count({ where: { action: 'MFA_ENROLMENT_REQUIRED', userId: admin.id } })).toBe(1);
+  });
+
+  it('should not let admins disable MFA while the policy is on', async () => {
+    await admin.update({ mfaEnabled: true, mfaSecret: speakeasy.generateSecret().base32 });
+
+    await request(app)
+      .post('/api/auth/disable-mfa')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ password: 'password123' })
+      .expect(403);
+
+    await admin.reload();
+    expect(admin.mfaEnabled).toBe(true);
+  });
+
+  it('should sign admins in directly once the MFA policy is turned off', async () => {
+    await request(app)
+      .put('/api/settings/require_mfa_for_admin')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ value: false })
+      .expect(200);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' })
+      .expect(200);
+
+    expect(login.body.accessToken).toBeDefined();
+    expect(login.body.mfaEnrolmentRequired).toBeUndefined();
+    expect((await User.findByPk(admin.id)).mfaEnabled).toBe(false);
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const express = require('express');
+const { AuditLog, UserSession } = require('../../server/models');
+const { authenticateToken, generateToken } = require('../../server/middleware/auth');
+const { setupSocketAuth } = require('../../server/middleware/socketAuth');
+const sessionRoutes = require('../../server/routes/sessions');
+const { issueRefreshToken, rotateRefreshToken } = require('../../server/services/refreshTokenService');
+const { createSession } = require('../../server/services/sessionService');
+const { disconnectUserSockets } = require('../../server/services/socketService');
+
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+const SAFARI_ON_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/sessions', authenticateToken, sessionRoutes);
+  return app;
+};
+
+describe('Session Management Integration Tests', () => {
+  let app;
+  let user;
+
+  // Sign in the way the login route does, returning the session and its tokens
+  const signIn = async (account, userAgent) => {
+    const session = await createSession(account, { ipAddress: '203.0.113.7', userAgent });
+    return {
+      session,
+      accessToken: generateToken(account, { sessionId: session.id }),
+      refreshToken: await issueRefreshToken(account, { familyId: session.id })
+    };
+  };
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    user = await global.testHelpers.createTestUser({ role: 'host' });
+  });
+
+  it('should list the user\'s sessions and mark the current one', async () => {
+    const laptop = await signIn(user, CHROME_ON_WINDOWS);
+    await signIn(user, SAFARI_ON_IPHONE);
+
+    const response = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    expect(response.body.sessions).toHaveLength(2);
+    const current = response.body.sessions.find(session => session.current);
+    expect(current).toMatchObject({ id: laptop.session.id, device: 'Chrome on Windows', ipAddress: '203.0.113.7' });
+    expect(response.body.sessions.map(session => session.device).sort()).toEqual(['Chrome on Windows', 'Safari on iPhone']);
+  });
+
+  it('should sign out other sessions and stop their tokens working', async () => {
+    const laptop = await signIn(user, CHROME_ON_WINDOWS);
+    const phone = await signIn(user, SAFARI_ON_IPHONE);
+
+    const response = await request(app)
+      .post('/api/sessions/revoke-others')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    expect(response.body.ended).toBe(1);
+    expect(disconnectUserSockets).toHaveBeenCalledWith(user.id, expect.objectContaining({ sessionId: phone.session.id }));
+
+    // The phone's access token stops working before it expires, and so does its refresh token
+    const rejected = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${phone.accessToken}`)
+      .expect(401);
+    expect(rejected.body.error).toBe('Session ended');
+    expect(await rotateRefreshToken(phone.refreshToken)).toEqual({ valid: false, reason: 'revoked' });
+
+    await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+  });
+
+  it('should end sessions that were idle for longer than the timeout', async () => {
+    const { session, accessToken } = await signIn(user, CHROME_ON_WINDOWS);
+    await session.update({ lastSeenAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+
+    const response = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(401);
+
+    expect(response.body.message).toBe('Session timed out due to inactivity');
+    await session.reload();
+    expect(session.revokedReason).toBe('idle_timeout');
+  });
+
+  it('should refuse socket connections for idle sessions', async () => {
+    const io = { use: jest.fn() };
+    setupSocketAuth(io);
+    const [authenticateSocket] = io.use.mock.calls[0];
+    const connect = accessToken => new Promise(resolve => authenticateSocket({
+      id: 'socket-1',
+      handshake: { auth: { token: accessToken }, headers: {}, address: '203.0.113.7' }
+    }, resolve));
+
+    const { session, accessToken } = await signIn(user, CHROME_ON_WINDOWS);
+    expect(await connect(accessToken)).toBeUndefined();
+
+    await session.update({ lastSeenAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+    const error = await connect(accessToken);
+
+    expect(error.message).toBe('Session timed out due to inactivity');
+    await session.reload();
+    expect(session.revokedReason).toBe('idle_timeout');
+  });
+
+  it('should not let users sign out someone else\'s session', async () => {
+    const mine = await signIn(user, CHROME_ON_WINDOWS);
+    const other = await global.testHelpers.createTestUser({ email: 'other@example.com' });
+    const theirs = await signIn(other, SAFARI_ON_IPHONE);
+
+    await request(app)
+      .delete(`/api/sessions/${theirs.session.id}`)
+      .set('Authorization', `Bearer ${mine.accessToken}`)
+      .expect(404);
+
+    await request(app)
+      .get(`/api/sessions/users/${other.id}`)
+      .set('Authorization', `Bearer ${mine.accessToken}`)
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/sessions/${mine.session.id}`)
+      .set('Authorization', `Bearer ${mine.accessToken}`)
+      .expect(200);
+  });
+
+  it('should let admins review and force-logout a user', async () => {
+    const admin = await global.testHelpers.createTestUser({ email: 'admin@example.com', role: 'admin' });
+    const adminSignIn = await signIn(admin, CHROME_ON_WINDOWS);
+    await signIn(user, CHROME_ON_WINDOWS);
+    await signIn(user, SAFARI_ON_IPHONE);
+
+    const listed = await request(app)
+      .get(`/api/sessions/users/${user.id}`)
+      .set('Authorization', `Bearer ${adminSignIn.accessToken}`)
+      .expect(200);
+    expect(listed.body.sessions).toHaveLength(2);
+
+    disconnectUserSockets.mockReturnValueOnce(3);
+    const response = await request(app)
+      .post(`/api/sessions/users/${user.id}/force-logout`)
+      .set('Authorization', `Bearer ${adminSignIn.accessToken}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ sessions: 2, sockets: 3 });
+    expect(disconnectUserSockets).toHaveBeenCalledWith(user.id, { reason: 'forced_logout' });
+    expect(await UserSession.count({ where: { userId: user.id, revokedAt: null } })).toBe(0);
+    expect(await UserSession.count({ where: { userId: user.id, revokedBy: admin.id } })).toBe(2);
+
+    const audit = await AuditLog.findOne({ where: { action: 'USER_FORCE_LOGOUT' } });
+    expect(audit).toMatchObject({ userId: admin.id, resourceId: user.id, category: 'security' });
+  });
+});
@@ -0,0 +1,107 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const { generateToken } = require('../../server/middleware/auth');
+const { setupSocketAuth } = require('../../server/middleware/socketAuth');
+const { storeNotification } = require('../../server/services/notificationInboxService');
+const { createSession } = require('../../server/services/sessionService');
+const {
+  initializeSocket,
+  sendNotificationToUser,
+  sendNotificationToRole,
+  broadcastToAll
+} = require('../../server/services/socketService');
+
+// tests/setup.js replaces socketService with mocks; these tests need the real emits
+jest.unmock('../../server/services/socketService');
+// Connect and disconnect handlers audit in the background, after each test's data is cleared
+jest.mock('../../server/services/auditService');
+
+describe('Socket Delivery Integration Tests', () => {
+  let server;
+  let io;
+  let url;
+  const clients = [];
+
+  beforeAll(async () => {
+    server = http.createServer();
+    io = new Server(server);
+    setupSocketAuth(io);
+    initializeSocket(io);
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.disconnect());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => io.close(resolve));
+  });
+
+  // Connect the way the client does, with a session-bound access token
+  const connect = async (user) => {
+    const session = await createSession(user, { userAgent: 'jest' });
+    const client = connectClient(url, {
+      auth: { token: generateToken(user, { sessionId: session.id }) },
+      transports: ['websocket'],
+      reconnection: false
+    });
+    clients.push(client);
+
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve);
+      client.once('connect_error', reject);
+    });
+    // The server joins rooms in its connection handler, which runs alongside the client's connect event
+    await new Promise(resolve => setImmediate(resolve));
+    return client;
+  };
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  it('should deliver to a connected user and report when nobody received it', async () => {
+    const host = await global.testHelpers.createTestUser({ email: 'host@example.com', role: 'host' });
+    const offline = await global.testHelpers.createTestUser({ email: 'offline@example.com', role: 'host' });
+    const client = await connect(host);
+
+    const received = nextEvent(client, 'visit_scheduled');
+    expect(sendNotificationToUser(host.id, 'visit_scheduled', { visitId: 'visit-1' })).toBe(true);
+    expect(await received).toMatchObject({ visitId: 'visit-1' });
+
+    expect(sendNotificationToUser(offline.id, 'visit_scheduled', { visitId: 'visit-2' })).toBe(false);
+  });
+
+  it('should deliver to a role room and to every client', async () => {
+    const guard = await global.testHelpers.createTestUser({ email: 'guard@example.com', role: 'security' });
+    const client = await connect(guard);
+
+    const forRole = nextEvent(client, 'occupancy_changed');
+    expect(sendNotificationToRole('security', 'occupancy_changed', { autoCheckedOut: 2 })).toBe(true);
+    expect(await forRole).toMatchObject({ autoCheckedOut: 2 });
+    expect(sendNotificationToRole('receptionist', 'occupancy_changed', { autoCheckedOut: 2 })).toBe(false);
+
+    const forAll = nextEvent(client, 'emergency_notification');
+    expect(broadcastToAll('emergency_notification', { message: 'Fire alarm' })).toBe(true);
+    expect(await forAll).toMatchObject({ message: 'Fire alarm' });
+  });
+
+  it('should update the unread badge in every open tab when a notification is stored', async () => {
+    const host = await global.testHelpers.createTestUser({ email: 'host@example.com', role: 'host' });
+    const tabs = [await connect(host), await connect(host)];
+
+    const counts = tabs.map(tab => nextEvent(tab, 'notification_unread_count'));
+    await storeNotification({
+      id: '5f0c6a4e-8f52-4c1b-9d3e-2a7b1c9e4d10',
+      type: 'visitor_arrival',
+      title: 'Visitor Arrived',
+      message: 'Your visitor has arrived'
+    }, { userId: host.id });
+
+    for (const count of await Promise.all(counts)) {
+      expect(count).toMatchObject({ unreadCount: 1 });
+    }
+  });
+});
@@ -0,0 +1,384 @@
+const request = require('supertest');
+const express = require('express');
+const { Visit, Holiday } = require('../../server/models');
+const visitsRoutes = require('../../server/routes/visits');
+const holidayRoutes = require('../../server/routes/holidays');
+const { createAuditLog } = require('../../server/services/auditService');
+const { verifyQrToken } = require('../../server/services/qrTokenService');
+
+// Mock services
+jest.mock('../../server/services/auditService');
+jest.mock('qrcode');
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = global.testUser;
+    next();
+  });
+
+  app.use('/api/visits', visitsRoutes);
+  app.use('/api/holidays', holidayRoutes);
+  return app;
+};
+
+// Local YYYY-MM-DD, as holidays are stored
+const dateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// 09:00 local time, `days` days from now
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+
+describe('Visit Series and Holidays API Integration Tests', () => {
+  let app;
+  let testAdmin;
+  let testHost;
+  let testVisitor;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(async () => {
+    createAuditLog.mockResolvedValue({ id: 'audit-123' });
+    require('qrcode').toDataURL.mockResolvedValue('data:image/png;base64,mock-qr-code');
+
+    testAdmin = await global.testHelpers.createTestUser({
+      role: 'admin',
+      email: 'admin@example.com'
+    });
+    testHost = await global.testHelpers.createTestUser({
+      role: 'host',
+      email: 'host@example.com'
+    });
+    testVisitor = await global.testHelpers.createTestVisitor();
+    global.testUser = testAdmin;
+  });
+
+  const createSeries = async (recurrence = { frequency: 'daily', count: 5 }) => {
+    const response = await request(app)
+      .post('/api/visits')
+      .send({
+        visitorId: testVisitor.id,
+        hostId: testHost.id,
+        purpose: 'Weekly standup',
+        scheduledArrival: daysFromNow(1).toISOString(),
+        recurrence
+      });
+
+    expect(response.status).toBe(201);
+    return response.body;
+  };
+
+  const createOneOffVisit = (visitData = {}) => Visit.create({
+    visitorId: testVisitor.id,
+    hostId: testHost.id,
+    purpose: 'Interview',
+    status: 'pre_registered',
+    ...visitData
+  });
+
+  describe('POST /api/visits with recurrence', () => {
+    it('should create an occurrence for each date and skip holidays', async () => {
+      await Holiday.create({ date: dateKey(daysFromNow(3)), name: 'Bank Holiday' });
+
+      const body = await createSeries();
+
+      expect(body.occurrences).toHaveLength(4);
+      expect(body.skippedDates).toEqual([dateKey(daysFromNow(3))]);
+      expect(body.visit.id).toBe(body.occurrences[0].id);
+
+      const visits = await Visit.findSeries(body.visit.id);
+      expect(visits.map(visit => dateKey(visit.scheduledArrival))).toEqual(
+        [1, 2, 4, 5].map(days => dateKey(daysFromNow(days)))
+      );
+      expect(visits.every(visit => visit.isRecurring && visit.status === 'pre_registered')).toBe(true);
+      expect(visits.slice(1).every(visit => visit.recurringParentId === body.visit.id)).toBe(true);
+
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'VISIT_SERIES_CREATED',
+        details: expect.objectContaining({ occurrences: 4, skippedDates: [dateKey(daysFromNow(3))] })
+      }));
+    });
+
+    it('should keep holiday dates when the rule opts out of skipping them', async () => {
+      await Holiday.create({ date: dateKey(daysFromNow(3)), name: 'Bank Holiday' });
+
+      const body = await createSeries({ frequency: 'daily', count: 5, skipHolidays: false });
+
+      expect(body.occurrences).toHaveLength(5);
+      expect(body.skippedDates).toEqual([]);
+    });
+
+    it('should reject an invalid recurrence rule', async () => {
+      const response = await request(app)
+        .post('/api/visits')
+        .send({
+          visitorId: testVisitor.id,
+          hostId: testHost.id,
+          purpose: 'Weekly standup',
+          scheduledArrival: daysFromNow(1).toISOString(),
+          recurrence: { frequency: 'daily' }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/end date \(until\) or a number of occurrences/);
+      expect(await Visit.count()).toBe(0);
+    });
+
+    it('should reject a series where every date is a holiday', async () => {
+      await Holiday.create({ date: dateKey(daysFromNow(1)), name: 'Bank Holiday' });
+
+      const response = await request(app)
+        .post('/api/visits')
+        .send({
+          visitorId: testVisitor.id,
+          hostId: testHost.id,
+          purpose: 'Weekly standup',
+          scheduledArrival: daysFromNow(1).toISOString(),
+          recurrence: { frequency: 'daily', count: 1 }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No occurrences');
+    });
+  });
+
+  describe('GET /api/visits/:id/series', () => {
+    it('should return every occurrence and the rule from any occurrence', async () => {
+      const body = await createSeries();
+
+      const response = await request(app).get(`/api/visits/${body.occurrences[2].id}/series`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.parentId).toBe(body.visit.id);
+      expect(response.body.recurrence).toEqual({ frequency: 'daily', count: 5 });
+      expect(response.body.occurrences.map(occurrence => occurrence.id)).toEqual(
+        body.occurrences.map(occurrence => occurrence.id)
+      );
+    });
+
+    it('should reject a one-off visit', async () => {
+      const visit = await createOneOffVisit();
+
+      const response = await request(app).get(`/api/visits/${visit.id}/series`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Not a recurring visit');
+    });
+  });
+
+  describe('PUT /api/visits/:id with a scope', () => {
+    it('should update this and later occurrences with scope=following', async () => {
+      const body = await createSeries();
+
+      const response = await request(app)
+        .put(`/api/visits/${body.occurrences[2].id}?scope=following`)
+        .send({ purpose: 'Project review' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.updated).toBe(3);
+
+      const visits = await Visit.findSeries(body.visit.id);
+      expect(visits.map(visit => visit.purpose)).toEqual([
+        'Weekly standup',
+        'Weekly standup',
+        'Project review',
+        'Project review',
+        'Project review'
+      ]);
+    });
+
+    it('should shift every remaining occurrence and re-sign its QR code with scope=series', async () => {
+      const body = await createSeries({ frequency: 'daily', count: 3 });
+      await Visit.update({ status: 'checked_out' }, { where: { id: body.visit.id } });
+      const before = await Visit.findSeries(body.visit.id);
+
+      const laterArrival = new Date(before[1].scheduledArrival);
+      laterArrival.setHours(11);
+
+      const response = await request(app)
+        .put(`/api/visits/${before[1].id}?scope=series`)
+        .send({ scheduledArrival: laterArrival.toISOString() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.updated).toBe(2);
+
+      const after = await Visit.findSeries(body.visit.id);
+      expect(after[0].scheduledArrival.getTime()).toBe(before[0].scheduledArrival.getTime());
+      after.slice(1).forEach((visit, index) => {
+        const previous = before[index + 1];
+        expect(visit.scheduledArrival.getTime() - previous.scheduledArrival.getTime()).toBe(2 * 60 * 60 * 1000);
+        expect(visit.qrCode).not.toBe(previous.qrCode);
+        expect(verifyQrToken(visit.qrCode).visitId).toBe(visit.id);
+      });
+    });
+
+    it('should reject a wider scope on a one-off visit', async () => {
+      const visit = await createOneOffVisit();
+
+      const response = await request(app)
+        .put(`/api/visits/${visit.id}?scope=series`)
+        .send({ purpose: 'Project review' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Not a recurring visit');
+    });
+
+    it('should reject an unknown scope', async () => {
+      const body = await createSeries();
+
+      const response = await request(app)
+        .put(`/api/visits/${body.visit.id}?scope=everything`)
+        .send({ purpose: 'Project review' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/visits/:id with a scope', () => {
+    it('should cancel this and later occurrences with scope=following', async () => {
+      const body = await createSeries();
+
+      const response = await request(app)
+        .delete(`/api/visits/${body.occurrences[3].id}?scope=following`)
+        .send({ reason: 'Contract ended' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cancelled).toBe(2);
+
+      const visits = await Visit.findSeries(body.visit.id);
+      expect(visits.map(visit => visit.status)).toEqual([
+        'pre_registered',
+        'pre_registered',
+        'pre_registered',
+        'cancelled',
+        'cancelled'
+      ]);
+    });
+
+    it('should leave started occurrences alone with scope=series', async () => {
+      const body = await createSeries({ frequency: 'daily', count: 3 });
+      await Visit.update({ status: 'checked_in' }, { where: { id: body.visit.id } });
+
+      const response = await request(app)
+        .delete(`/api/visits/${body.occurrences[2].id}?scope=series`)
+        .send({ reason: 'Contract ended' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.cancelled).toBe(2);
+
+      const visits = await Visit.findSeries(body.visit.id);
+      expect(visits.map(visit => visit.status)).toEqual(['checked_in', 'cancelled', 'cancelled']);
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'VISIT_SERIES_CANCELLED',
+        details: expect.objectContaining({ scope: 'series', visitIds: [body.occurrences[1].id, body.occurrences[2].id] })
+      }));
+    });
+  });
+
+  describe('GET /api/holidays', () => {
+    it('should list holidays, optionally within a date range', async () => {
+      await Holiday.create({ date: dateKey(daysFromNow(10)), name: 'Later' });
+      await Holiday.create({ date: dateKey(daysFromNow(2)), name: 'Sooner' });
+
+      const all = await request(app).get('/api/holidays');
+      const ranged = await request(app)
+        .get('/api/holidays')
+        .query({ from: dateKey(daysFromNow(1)), to: dateKey(daysFromNow(5)) });
+
+      expect(all.status).toBe(200);
+      expect(all.body.holidays.map(holiday => holiday.name)).toEqual(['Sooner', 'Later']);
+      expect(ranged.body.holidays.map(holiday => holiday.name)).toEqual(['Sooner']);
+    });
+  });
+
+  describe('POST /api/holidays', () => {
+    it('should cancel pre-registered recurring occurrences on the new holiday', async () => {
+      const body = await createSeries();
+      const optedOut = await createSeries({ frequency: 'daily', count: 5, skipHolidays: false });
+      const oneOff = await createOneOffVisit({ scheduledArrival: daysFromNow(2) });
+
+      const response = await request(app)
+        .post('/api/holidays')
+        .send({ date: dateKey(daysFromNow(2)), name: 'Bank Holiday' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.cancelledVisits).toBe(1);
+
+      const cancelled = await Visit.findByPk(body.occurrences[1].id);
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.notes).toBe('Cancelled: Holiday (Bank Holiday)');
+
+      expect((await Visit.findByPk(optedOut.occurrences[1].id)).status).toBe('pre_registered');
+      expect((await oneOff.reload()).status).toBe('pre_registered');
+
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'HOLIDAY_CREATED',
+        details: expect.objectContaining({ cancelledVisitIds: [body.occurrences[1].id] })
+      }));
+    });
+
+    it('should keep occurrences when cancelRecurringVisits is false', async () => {
+      const body = await createSeries();
+
+      const response = await request(app)
+        .post('/api/holidays')
+        .send({ date: dateKey(daysFromNow(2)), name: 'Bank Holiday', cancelRecurringVisits: false });
+
+      expect(response.status).toBe(201);
+      expect(response.body.cancelledVisits).toBe(0);
+      expect((await Visit.findByPk(body.occurrences[1].id)).status).toBe('pre_registered');
+    });
+
+    it('should reject a date that is already a holiday', async () => {
+      await Holiday.create({ date: dateKey(daysFromNow(2)), name: 'Bank Holiday' });
+
+      const response = await request(app)
+        .post('/api/holidays')
+        .send({ date: dateKey(daysFromNow(2)), name: 'Another Holiday' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should only let admins add holidays', async () => {
+      global.testUser = testHost;
+
+      const response = await request(app)
+        .post('/api/holidays')
+        .send({ date: dateKey(daysFromNow(2)), name: 'Bank Holiday' });
+
+      expect(response.status).toBe(403);
+      expect(await Holiday.count()).toBe(0);
+    });
+  });
+
+  describe('DELETE /api/holidays/:id', () => {
+    it('should remove a holiday', async () => {
+      const holiday = await Holiday.create({ date: dateKey(daysFromNow(2)), name: 'Bank Holiday' });
+
+      const response = await request(app).delete(`/api/holidays/${holiday.id}`);
+
+      expect(response.status).toBe(200);
+      expect(await Holiday.count()).toBe(0);
+    });
+
+    it('should return 404 for an unknown holiday', async () => {
+      const response = await request(app).delete('/api/holidays/5f0c6a4e-8f52-4c1b-9d3e-2a7b1c9e4d10');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
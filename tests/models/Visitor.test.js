@@ -1,4 +1,4 @@
-const { Visitor } = require('../../server/models');
+const { DataRetentionPolicy, Visitor } = require('../../server/models');
 
 describe('Visitor Model', () => {
   describe('Visitor Creation', () => {
@@ -42,10 +42,18 @@ describe('Visitor Model', () => {
     });
 
     test('should set data retention date on creation', async () => {
+      await DataRetentionPolicy.create({ dataType: 'visitor_profiles', retentionPeriod: 30 });
       const visitor = await global.testHelpers.createTestVisitor();
       
       expect(visitor.dataRetentionDate).toBeInstanceOf(Date);
-      expect(visitor.dataRetentionDate.getTime()).toBeGreaterThan(Date.now());
+      expect(visitor.dataRetentionDate.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+      expect(visitor.dataRetentionDate.getTime()).toBeLessThanOrEqual(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    });
+
+    test('should leave the data retention date unset without an active policy', async () => {
+      const visitor = await global.testHelpers.createTestVisitor();
+
+      expect(visitor.dataRetentionDate).toBeNull();
     });
 
     test('should fail with invalid email', async () => {
@@ -0,0 +1,160 @@
+const { AuditCheckpoint, AuditLog } = require('../../server/models');
+const { createAuditLog } = require('../../server/services/auditService');
+const {
+  createCheckpoint,
+  findPrunableAuditLogs,
+  pruneAuditLogs,
+  verifyAuditChain
+} = require('../../server/services/auditChainService');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('Audit Chain Service', () => {
+  const appendEntries = async (count) => {
+    const entries = [];
+    for (let i = 1; i <= count; i++) {
+      entries.push(await createAuditLog({
+        action: `EVENT_${i}`,
+        details: { email: `person${i}@example.com`, step: i },
+        ipAddress: '203.0.113.7'
+      }));
+    }
+    return entries;
+  };
+
+  it('should link each entry to the previous one', async () => {
+    const [first, second] = await appendEntries(2);
+
+    expect(first.sequence).toBe(1);
+    expect(first.previousHash).toBe(AuditLog.GENESIS_HASH);
+    expect(second.sequence).toBe(2);
+    expect(second.previousHash).toBe(first.hash);
+
+    const report = await verifyAuditChain();
+    expect(report).toMatchObject({ valid: true, checkedEntries: 2, firstSequence: 1, lastSequence: 2 });
+  });
+
+  it('should keep concurrent appends in one chain', async () => {
+    await Promise.all([1, 2, 3, 4].map(i => createAuditLog({ action: `PARALLEL_${i}` })));
+
+    const sequences = (await AuditLog.findAll({ order: [['sequence', 'ASC']] })).map(entry => entry.sequence);
+    expect(sequences).toEqual([1, 2, 3, 4]);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  it('should detect a modified entry', async () => {
+    const [, second] = await appendEntries(3);
+    await AuditLog.update({ outcome: 'failure' }, { where: { id: second.id } });
+
+    const report = await verifyAuditChain();
+
+    expect(report.valid).toBe(false);
+    expect(report.issues).toEqual([expect.objectContaining({ type: 'modified', sequence: 2 })]);
+  });
+
+  it('should detect entries removed from the middle and the end', async () => {
+    const entries = await appendEntries(4);
+    await createCheckpoint({ reason: 'manual' });
+    await AuditLog.destroy({ where: { id: [entries[1].id, entries[3].id] } });
+
+    const report = await verifyAuditChain();
+
+    expect(report.issues.map(issue => issue.type)).toEqual(['gap', 'truncated']);
+    expect(report.issues[0]).toMatchObject({ expectedSequence: 2, foundSequence: 3 });
+  });
+
+  it('should catch a rewritten chain through the signed checkpoint', async () => {
+    const entries = await appendEntries(3);
+    await createCheckpoint({ reason: 'manual' });
+
+    // Rewrite an entry and recompute every hash after it, as someone with database access could
+    let previousHash = entries[0].hash;
+    for (const entry of entries.slice(1)) {
+      await entry.reload();
+      entry.details = { ...entry.details, step: 99 };
+      entry.previousHash = previousHash;
+      entry.hash = entry.computeHash();
+      await entry.save({ hooks: false });
+      previousHash = entry.hash;
+    }
+
+    const report = await verifyAuditChain();
+
+    expect(report.issues).toEqual([expect.objectContaining({ type: 'checkpoint_mismatch', sequence: 3 })]);
+  });
+
+  it('should reject a forged checkpoint', async () => {
+    await appendEntries(1);
+    const checkpoint = await createCheckpoint({ reason: 'manual' });
+    await checkpoint.update({ signature: 'ab'.repeat(32) });
+
+    const report = await verifyAuditChain();
+
+    expect(report.issues).toEqual([expect.objectContaining({ type: 'invalid_checkpoint' })]);
+  });
+
+  it('should sign checkpoints with AUDIT_CHECKPOINT_SECRET alone', async () => {
+    await appendEntries(1);
+    await createCheckpoint({ reason: 'manual' });
+    const { JWT_SECRET, AUDIT_CHECKPOINT_SECRET } = process.env;
+
+    try {
+      process.env.JWT_SECRET = 'rotated-jwt-secret';
+      expect((await verifyAuditChain()).issues).toEqual([]);
+
+      delete process.env.AUDIT_CHECKPOINT_SECRET;
+      await expect(createCheckpoint({ reason: 'manual' }))
+        .rejects.toThrow('AUDIT_CHECKPOINT_SECRET environment variable is required');
+    } finally {
+      process.env.JWT_SECRET = JWT_SECRET;
+      process.env.AUDIT_CHECKPOINT_SECRET = AUDIT_CHECKPOINT_SECRET;
+    }
+  });
+
+  it('should still verify after entries are anonymised', async () => {
+    const [first] = await appendEntries(2);
+
+    await first.anonymize();
+    await first.reload();
+
+    expect(first.details).toEqual({ step: 1 });
+    expect(first.ipAddress).not.toBe('203.0.113.7');
+    expect(Object.keys(first.redactedDigests).sort()).toEqual(['details', 'ipAddress']);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  it('should only prune the expired start of the chain', async () => {
+    // The third entry is not expired yet, so the fourth has to wait for it
+    for (const age of [400, 400, 10, 400]) {
+      await AuditLog.create({ action: 'AGED_EVENT', createdAt: daysAgo(age) });
+    }
+
+    const prunable = await findPrunableAuditLogs({ createdAt: { [AuditLog.sequelize.Sequelize.Op.lt]: daysAgo(365) } });
+    expect(prunable.map(entry => entry.sequence)).toEqual([1, 2]);
+
+    expect(await pruneAuditLogs(prunable)).toBe(2);
+    expect(await AuditCheckpoint.count({ where: { reason: 'prune', sequence: 2 } })).toBe(1);
+
+    const report = await verifyAuditChain();
+    expect(report).toMatchObject({ valid: true, firstSequence: 3, checkedEntries: 2 });
+  });
+
+  it('should continue from the prune checkpoint when every entry was pruned', async () => {
+    const entries = await appendEntries(2);
+    await pruneAuditLogs(entries);
+
+    const next = await createAuditLog({ action: 'AFTER_PRUNE' });
+
+    expect(next.sequence).toBe(3);
+    expect(next.previousHash).toBe(entries[1].hash);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  it('should skip scheduled checkpoints when nothing new was logged', async () => {
+    expect(await createCheckpoint()).toBeNull();
+
+    await appendEntries(1);
+    expect((await createCheckpoint()).sequence).toBe(1);
+    expect(await createCheckpoint()).toBeNull();
+  });
+});
@@ -1,5 +1,5 @@
 const { createAuditLog, getAuditLogs, getAuditStatistics } = require('../../server/services/auditService');
-const { AuditLog, User, Visitor } = require('../../server/models');
+const { AuditLog, DataRetentionPolicy, User, Visitor } = require('../../server/models');
 
 describe('Audit Service', () => {
   describe('createAuditLog', () => {
@@ -59,6 +59,7 @@ describe('Audit Service', () => {
     });
 
     test('should set retention date automatically', async () => {
+      await DataRetentionPolicy.create({ dataType: 'audit_logs', retentionPeriod: 365 });
       const user = await global.testHelpers.createTestUser();
       
       const auditData = {
@@ -0,0 +1,211 @@
+const { QueuedNotification, AuditLog, SystemSetting } = require('../../server/models');
+const {
+  getBackoffMs,
+  enqueueNotification,
+  processChannel,
+  retryQueuedNotification,
+  cancelQueuedNotification
+} = require('../../server/services/notificationQueueService');
+const { sendNotification, scheduleNotification } = require('../../server/services/notificationService');
+const { sendEmail } = require('../../server/services/emailService');
+const { sendNotificationToUser } = require('../../server/services/socketService');
+
+jest.mock('../../server/services/emailService');
+jest.mock('../../server/services/smsService');
+jest.mock('../../server/services/socketService');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const emailUser = () => global.testHelpers.createTestUser({
+  preferences: {
+    notifications: { email: true, sms: false, push: true }
+  }
+});
+
+const notification = (overrides = {}) => ({
+  type: 'visitor_arrival',
+  title: 'Visitor Arrived',
+  message: 'Your visitor has arrived',
+  ...overrides
+});
+
+describe('Notification Queue Service', () => {
+  beforeEach(() => {
+    sendEmail.mockResolvedValue();
+  });
+
+  describe('enqueueNotification', () => {
+    it('should queue one item per channel', async () => {
+      const user = await emailUser();
+
+      const items = await enqueueNotification(notification({ userId: user.id, channels: ['socket', 'email'] }));
+
+      expect(items.map(item => item.channel)).toEqual(['socket', 'email']);
+      expect(items.every(item => item.status === 'pending')).toBe(true);
+      // notification_retry_attempts retries on top of the first attempt
+      expect(items[0].maxAttempts).toBe(4);
+    });
+
+    it('should only queue an idempotency key once per channel', async () => {
+      const user = await emailUser();
+      const payload = notification({ userId: user.id, channels: ['email'], idempotencyKey: 'visit-123-arrival' });
+
+      const [first] = await enqueueNotification(payload);
+      const [second] = await enqueueNotification(payload);
+
+      expect(second.id).toBe(first.id);
+      expect(await QueuedNotification.count()).toBe(1);
+    });
+  });
+
+  describe('processChannel', () => {
+    it('should deliver due items and leave future items queued', async () => {
+      const user = await emailUser();
+      await enqueueNotification(notification({ userId: user.id, channels: ['email'] }));
+      await enqueueNotification(notification({ userId: user.id, channels: ['email'], deliverAt: minutesFromNow(30) }));
+
+      const result = await processChannel('email');
+
+      expect(result).toEqual({ sent: 1, skipped: 0, retry: 0, dead: 0 });
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      expect(await QueuedNotification.count({ where: { status: 'sent' } })).toBe(1);
+      expect(await QueuedNotification.count({ where: { status: 'pending' } })).toBe(1);
+    });
+
+    it('should only process the requested channel', async () => {
+      const user = await emailUser();
+      await enqueueNotification(notification({ userId: user.id, channels: ['socket', 'email'] }));
+
+      await processChannel('socket');
+
+      expect(sendNotificationToUser).toHaveBeenCalledWith(user.id, 'notification', expect.objectContaining({
+        type: 'visitor_arrival'
+      }));
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should only mark socket items sent when someone was connected to receive them', async () => {
+      const online = await emailUser();
+      const offline = await global.testHelpers.createTestUser({ email: 'offline@example.com' });
+      sendNotificationToUser.mockImplementation(userId => userId === online.id);
+      const [delivered] = await enqueueNotification(notification({ userId: online.id, channels: ['socket'] }));
+      const [undelivered] = await enqueueNotification(notification({ userId: offline.id, channels: ['socket'] }));
+
+      expect(await processChannel('socket')).toEqual({ sent: 1, skipped: 1, retry: 0, dead: 0 });
+
+      await delivered.reload();
+      await undelivered.reload();
+      expect(delivered.status).toBe('sent');
+      expect(undelivered.status).toBe('skipped');
+      expect(undelivered.sentAt).toBeNull();
+      expect(await AuditLog.count({ where: { action: 'NOTIFICATION_SENT', resourceId: undelivered.id } })).toBe(0);
+    });
+
+    it('should retry failures with exponential backoff and then dead-letter', async () => {
+      await SystemSetting.createSetting({ key: 'notification_retry_attempts', value: 1, type: 'number' });
+      sendEmail.mockRejectedValue(new Error('SMTP down'));
+      const user = await emailUser();
+      const [item] = await enqueueNotification(notification({ userId: user.id, channels: ['email'] }));
+
+      const start = new Date();
+      expect(await processChannel('email', start)).toEqual({ sent: 0, skipped: 0, retry: 1, dead: 0 });
+
+      await item.reload();
+      expect(item.status).toBe('pending');
+      expect(item.attempts).toBe(1);
+      expect(item.lastError).toBe('SMTP down');
+      expect(item.availableAt.getTime()).toBe(start.getTime() + getBackoffMs(1));
+
+      // Not due until the backoff has passed
+      expect(await processChannel('email', start)).toEqual({ sent: 0, skipped: 0, retry: 0, dead: 0 });
+
+      const later = new Date(item.availableAt.getTime() + 1000);
+      expect(await processChannel('email', later)).toEqual({ sent: 0, skipped: 0, retry: 0, dead: 1 });
+
+      await item.reload();
+      expect(item.status).toBe('dead');
+      expect(item.attempts).toBe(2);
+      expect(await AuditLog.count({ where: { action: 'NOTIFICATION_DEAD_LETTERED', resourceId: item.id } })).toBe(1);
+    });
+
+    it('should double the backoff with every attempt up to the cap', () => {
+      expect(getBackoffMs(2)).toBe(getBackoffMs(1) * 2);
+      expect(getBackoffMs(3)).toBe(getBackoffMs(1) * 4);
+      expect(getBackoffMs(50)).toBe(60 * 60 * 1000);
+    });
+
+    it('should reclaim items whose worker stopped mid-delivery', async () => {
+      const user = await emailUser();
+      const [item] = await enqueueNotification(notification({ userId: user.id, channels: ['email'] }));
+      await item.update({ status: 'processing', attempts: 1, lockedBy: 'crashed-worker', lockedUntil: minutesFromNow(-1) });
+
+      const result = await processChannel('email');
+
+      expect(result.sent).toBe(1);
+      await item.reload();
+      expect(item.attempts).toBe(2);
+      expect(item.lockedBy).toBeNull();
+    });
+
+    it('should skip recipients who opted out of the channel', async () => {
+      const user = await global.testHelpers.createTestUser();
+      await enqueueNotification(notification({ userId: user.id, channels: ['sms'] }));
+
+      expect(await processChannel('sms')).toEqual({ sent: 0, skipped: 1, retry: 0, dead: 0 });
+    });
+  });
+
+  describe('retry and cancel', () => {
+    it('should requeue a dead item with a fresh set of attempts', async () => {
+      const user = await emailUser();
+      const [item] = await enqueueNotification(notification({ userId: user.id, channels: ['email'] }));
+      await item.update({ status: 'dead', attempts: 4, lastError: 'SMTP down' });
+
+      await retryQueuedNotification(item);
+
+      expect(item.status).toBe('pending');
+      expect(item.attempts).toBe(0);
+      expect((await processChannel('email')).sent).toBe(1);
+    });
+
+    it('should cancel pending items and refuse to cancel sent ones', async () => {
+      const user = await emailUser();
+      const [pending, sent] = await enqueueNotification(notification({ userId: user.id, channels: ['email', 'socket'] }));
+      await sent.update({ status: 'sent' });
+
+      await cancelQueuedNotification(pending, user.id);
+
+      expect(pending.status).toBe('cancelled');
+      expect(pending.cancelledBy).toBe(user.id);
+      await expect(cancelQueuedNotification(sent)).rejects.toThrow('Cannot cancel a sent notification');
+      expect((await processChannel('email')).sent).toBe(0);
+    });
+  });
+
+  describe('notificationService integration', () => {
+    it('should queue a retry when immediate delivery fails', async () => {
+      sendEmail.mockRejectedValue(new Error('SMTP down'));
+      const user = await emailUser();
+
+      const result = await sendNotification(notification({ userId: user.id, channels: ['socket', 'email'] }));
+
+      expect(result.email).toBe(false);
+      const items = await QueuedNotification.findAll();
+      expect(items).toHaveLength(1);
+      expect(items[0].channel).toBe('email');
+      expect(items[0].status).toBe('pending');
+      expect(items[0].attempts).toBe(1);
+    });
+
+    it('should schedule future notifications on the queue', async () => {
+      const user = await emailUser();
+      const deliveryTime = minutesFromNow(60);
+
+      const items = await scheduleNotification(notification({ userId: user.id, channels: ['email'] }), deliveryTime);
+
+      expect(items).toHaveLength(1);
+      expect(items[0].availableAt.getTime()).toBe(deliveryTime.getTime());
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
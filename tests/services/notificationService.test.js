@@ -16,6 +16,8 @@ jest.mock('../../server/services/socketService');
 describe('Notification Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // The recipient has the app open, so socket emits reach them
+    sendNotificationToUser.mockReturnValue(true);
   });
 
   describe('sendNotification', () => {
@@ -0,0 +1,200 @@
+const { NotificationTemplate, SystemSetting } = require('../../server/models');
+const { render, collectVariables } = require('../../server/utils/templateEngine');
+const {
+  validateTemplateDefinition,
+  previewTemplate,
+  renderForChannel,
+  seedDefaultTemplates
+} = require('../../server/services/notificationTemplateService');
+const { sendNotification } = require('../../server/services/notificationService');
+const { sendEmail } = require('../../server/services/emailService');
+const { sendSMS } = require('../../server/services/smsService');
+const { sendNotificationToUser } = require('../../server/services/socketService');
+
+jest.mock('../../server/services/emailService');
+jest.mock('../../server/services/smsService');
+jest.mock('../../server/services/socketService');
+
+describe('Notification Template Service', () => {
+  describe('template engine', () => {
+    it('should substitute nested variables and escape HTML when asked', () => {
+      const source = '<p>{{visitor.name}} from {{{company}}}</p>';
+      const data = { visitor: { name: '<b>Jo</b>' }, company: '<i>Acme</i>' };
+
+      expect(render(source, data)).toBe('<p><b>Jo</b> from <i>Acme</i></p>');
+      expect(render(source, data, { escape: true })).toBe('<p>&lt;b&gt;Jo&lt;/b&gt; from <i>Acme</i></p>');
+    });
+
+    it('should render conditionals with else branches', () => {
+      const source = '{{#if company}}from {{company}}{{else}}independent{{/if}}{{#unless vip}}, standard{{/unless}}';
+
+      expect(render(source, { company: 'Acme' })).toBe('from Acme, standard');
+      expect(render(source, { vip: true })).toBe('independent');
+    });
+
+    it('should loop over lists with item fields and loop metadata', () => {
+      const source = '{{#each companies}}{{@index}}:{{name}}({{count}}){{#unless @last}}, {{/unless}}{{else}}none{{/each}}';
+
+      expect(render(source, { companies: [{ name: 'Acme', count: 3 }, { name: 'Globex', count: 1 }] }))
+        .toBe('0:Acme(3), 1:Globex(1)');
+      expect(render(source, { companies: [] })).toBe('none');
+      expect(render('{{#each tags}}[{{this}}]{{/each}}', { tags: ['a', 'b'] })).toBe('[a][b]');
+    });
+
+    it('should reject malformed templates', () => {
+      expect(() => render('{{#if a}}open', {})).toThrow('unclosed "#if"');
+      expect(() => render('{{#each a}}{{/if}}', {})).toThrow('unexpected "/if"');
+      expect(() => render('{{#with a}}{{/with}}', {})).toThrow('unknown block "#with"');
+      expect(() => render('{{ a b }}', {})).toThrow('invalid variable');
+    });
+
+    it('should report top-level variables but not loop item fields', () => {
+      expect(collectVariables('{{a}} {{#if b.c}}{{d}}{{/if}} {{#each e}}{{f}}{{/each}}').sort())
+        .toEqual(['a', 'b', 'd', 'e']);
+    });
+  });
+
+  describe('templates', () => {
+    it('should fall back from a regional language to its base and then the default language', async () => {
+      await NotificationTemplate.create({ name: 'greeting', type: 'sms', body: 'Hello', language: 'en' });
+      await NotificationTemplate.create({ name: 'greeting', type: 'sms', body: 'Bonjour', language: 'fr' });
+
+      expect((await NotificationTemplate.findForLocale('greeting', 'sms', 'fr-CA')).body).toBe('Bonjour');
+      expect((await NotificationTemplate.findForLocale('greeting', 'sms', 'de')).body).toBe('Hello');
+
+      await SystemSetting.createSetting({ key: 'language', value: 'fr', type: 'string' });
+      expect((await NotificationTemplate.findForLocale('greeting', 'sms')).body).toBe('Bonjour');
+    });
+
+    it('should skip inactive templates', async () => {
+      await NotificationTemplate.create({ name: 'greeting', type: 'sms', body: 'Hello', language: 'en', isActive: false });
+
+      expect(await NotificationTemplate.findForLocale('greeting', 'sms', 'en')).toBeNull();
+    });
+
+    it('should apply declared defaults and require required variables', async () => {
+      const template = await NotificationTemplate.create({
+        name: 'greeting',
+        type: 'push',
+        subject: 'Hi {{name}}',
+        body: 'Welcome to {{site}}',
+        variables: {
+          name: { required: true },
+          site: { default: 'HQ' }
+        }
+      });
+
+      expect(template.render({ name: 'Jo' })).toEqual({ subject: 'Hi Jo', body: 'Welcome to HQ' });
+      expect(() => template.render({})).toThrow('missing required variables: name');
+    });
+
+    it('should seed valid templates once without overwriting edits', async () => {
+      const created = await seedDefaultTemplates();
+      expect(created).toBeGreaterThan(0);
+
+      const templates = await NotificationTemplate.findAll();
+      for (const template of templates) {
+        expect(validateTemplateDefinition(template)).toBeNull();
+      }
+
+      const welcome = await NotificationTemplate.findOne({ where: { name: 'welcome', type: 'email' } });
+      await welcome.update({ subject: 'Edited' });
+
+      expect(await seedDefaultTemplates()).toBe(0);
+      await welcome.reload();
+      expect(welcome.subject).toBe('Edited');
+    });
+
+    it('should render email with the built-in template when no row exists', async () => {
+      const { renderTemplate } = jest.requireActual('../../server/services/emailService');
+
+      const rendered = await renderTemplate('password-reset', { firstName: 'Jane', resetUrl: 'https://vms.example.com/reset/abc' }, 'fr');
+
+      expect(rendered.subject).toBe('Password Reset - Neo VMS');
+      expect(rendered.html).toContain('https://vms.example.com/reset/abc');
+      await expect(renderTemplate('no-such-template', {})).rejects.toThrow('Email template \'no-such-template\' not found');
+    });
+  });
+
+  describe('validateTemplateDefinition', () => {
+    it('should reject undeclared variables and syntax errors', () => {
+      expect(validateTemplateDefinition({ type: 'sms', body: 'Hi {{name}}', variables: {} }))
+        .toBe('Template uses undeclared variables: name');
+      expect(validateTemplateDefinition({ type: 'sms', body: '{{#if name}}', variables: { name: {} } }))
+        .toMatch('unclosed "#if"');
+      expect(validateTemplateDefinition({ type: 'email', body: 'Hi', variables: {} }))
+        .toBe('Email templates require a subject');
+      expect(validateTemplateDefinition({ type: 'sms', body: 'Hi {{name}}', variables: { name: { required: true } } }))
+        .toBeNull();
+    });
+  });
+
+  describe('previewTemplate', () => {
+    it('should render with example values and report missing variables', () => {
+      const preview = previewTemplate({
+        name: 'draft',
+        type: 'email',
+        subject: 'Visit from {{visitorName}}',
+        body: '<p>{{visitorName}} at {{location}}</p>',
+        variables: {
+          visitorName: { required: true, example: 'John <Smith>' },
+          location: { required: true }
+        }
+      });
+
+      expect(preview.subject).toBe('Visit from John <Smith>');
+      expect(preview.body).toBe('<p>John &lt;Smith&gt; at </p>');
+      expect(preview.missingVariables).toEqual(['location']);
+    });
+  });
+
+  describe('channel delivery', () => {
+    beforeEach(async () => {
+      sendEmail.mockResolvedValue({ messageId: 'test-message-id' });
+      sendSMS.mockResolvedValue({ success: true });
+      await seedDefaultTemplates();
+    });
+
+    it('should render each channel from its own template in the recipient language', async () => {
+      await NotificationTemplate.create({
+        name: 'visitor-arrival',
+        type: 'sms',
+        language: 'ms',
+        body: '{{visitorName}} telah tiba',
+        variables: { visitorName: { required: true } }
+      });
+
+      const user = await global.testHelpers.createTestUser({
+        phone: '+6591234567',
+        preferences: {
+          notifications: { email: true, sms: true, push: true },
+          language: 'ms'
+        }
+      });
+
+      await sendNotification({
+        userId: user.id,
+        type: 'visitor_arrival',
+        title: 'Visitor Arrived',
+        message: 'Your visitor has arrived',
+        channels: ['socket', 'email', 'sms'],
+        templateName: 'visitor-arrival',
+        templateData: { visitorName: 'John <Smith>', company: 'Acme', purpose: 'Review' }
+      });
+
+      expect(sendNotificationToUser).toHaveBeenCalledWith(user.id, 'notification', expect.objectContaining({
+        title: 'Visitor Arrival',
+        message: 'John <Smith> from Acme has arrived for: Review'
+      }));
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        subject: 'Visitor Arrival - Neo VMS',
+        html: expect.stringContaining('<strong>John &lt;Smith&gt;</strong> from Acme')
+      }));
+      expect(sendSMS).toHaveBeenCalledWith({ to: user.phone, message: 'John <Smith> telah tiba' });
+    });
+
+    it('should resolve to null when a channel has no template', async () => {
+      expect(await renderForChannel('visitor-departure', 'sms', { visitorName: 'Jo' })).toBeNull();
+    });
+  });
+});
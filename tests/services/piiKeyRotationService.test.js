@@ -0,0 +1,104 @@
+const { sequelize, AuditLog, Visitor } = require('../../server/models');
+const { rotateVisitorKeys } = require('../../server/services/piiKeyRotationService');
+const { getKeyId } = require('../../server/utils/fieldEncryption');
+
+describe('Visitor PII Encryption', () => {
+  const emergencyContact = { name: 'Jane Doe', phone: '+6598765432' };
+
+  const createVisitor = (data = {}) => global.testHelpers.createTestVisitor({
+    phone: '+65 9123 4567',
+    nationalId: 'S1234567A',
+    address: '1 Example Road',
+    emergencyContact,
+    ...data
+  });
+
+  // Raw column values, bypassing the model getters
+  const getStoredRow = (id) => Visitor.findByPk(id, { raw: true });
+
+  beforeEach(() => {
+    process.env.PII_ENCRYPTION_KEYS = 'k1:first-test-key';
+    process.env.PII_ACTIVE_KEY_ID = 'k1';
+  });
+
+  afterAll(() => {
+    delete process.env.PII_ENCRYPTION_KEYS;
+    delete process.env.PII_ACTIVE_KEY_ID;
+  });
+
+  it('should store PII encrypted and read it back transparently', async () => {
+    const visitor = await createVisitor();
+
+    const row = await getStoredRow(visitor.id);
+    expect(row.nationalId).not.toContain('S1234567A');
+    expect(row.phone).not.toContain('9123');
+    expect(row.address).not.toContain('Example Road');
+    expect(row.emergencyContact).not.toContain('Jane');
+    expect(getKeyId(row.nationalId)).toBe('k1');
+
+    const loaded = await Visitor.findByPk(visitor.id);
+    expect(loaded.nationalId).toBe('S1234567A');
+    expect(loaded.address).toBe('1 Example Road');
+    expect(loaded.emergencyContact).toEqual(emergencyContact);
+    expect(loaded.toJSON().phone).toBe('+65 9123 4567');
+    expect(loaded.toJSON().phoneIndex).toBeUndefined();
+  });
+
+  it('should find visitors through blind indexes', async () => {
+    const visitor = await createVisitor();
+
+    expect((await Visitor.findByNationalId('s1234567a')).id).toBe(visitor.id);
+    expect((await Visitor.findByPhone('+6591234567')).id).toBe(visitor.id);
+    expect(await Visitor.findByPhone('+6590000000')).toBeNull();
+
+    await visitor.update({ phone: '+65 8000 0000' });
+    expect(await Visitor.findByPhone('+6591234567')).toBeNull();
+    expect((await Visitor.findByPhone('+65 8000-0000')).id).toBe(visitor.id);
+  });
+
+  it('should validate the plaintext rather than the ciphertext', async () => {
+    await expect(createVisitor({ phone: '123' })).rejects.toThrow('Phone must be between 10 and 20 characters');
+  });
+
+  it('should re-encrypt rows under the new active key in batches', async () => {
+    const first = await createVisitor();
+    const second = await createVisitor({ email: 'second@example.com', nationalId: 'T7654321B', address: null });
+
+    process.env.PII_ENCRYPTION_KEYS = 'k1:first-test-key,k2:second-test-key';
+    process.env.PII_ACTIVE_KEY_ID = 'k2';
+
+    const preview = await rotateVisitorKeys({ batchSize: 1, dryRun: true });
+    expect(preview).toMatchObject({ activeKeyId: 'k2', scanned: 2, reencrypted: 2, batches: 2 });
+    expect(getKeyId((await getStoredRow(first.id)).nationalId)).toBe('k1');
+
+    const report = await rotateVisitorKeys({ batchSize: 1 });
+    expect(report.reencrypted).toBe(2);
+
+    const row = await getStoredRow(second.id);
+    expect(getKeyId(row.nationalId)).toBe('k2');
+    expect(getKeyId(row.phone)).toBe('k2');
+    expect(row.address).toBeNull();
+
+    // The old key can go once everything is under the new one
+    process.env.PII_ENCRYPTION_KEYS = 'k2:second-test-key';
+    expect((await Visitor.findByPk(first.id)).emergencyContact).toEqual(emergencyContact);
+    expect((await Visitor.findByNationalId('T7654321B')).id).toBe(second.id);
+    expect((await rotateVisitorKeys()).reencrypted).toBe(0);
+
+    const audit = await AuditLog.findOne({ where: { action: 'PII_KEYS_ROTATED' } });
+    expect(audit.category).toBe('security');
+  });
+
+  it('should encrypt plaintext rows written before encryption was enabled', async () => {
+    const visitor = await createVisitor({ nationalId: null, phone: null });
+    await sequelize.query('UPDATE visitors SET national_id = ? WHERE id = ?', { replacements: ['G1234567N', visitor.id] });
+
+    expect((await Visitor.findByPk(visitor.id)).nationalId).toBe('G1234567N');
+    expect(await Visitor.findByNationalId('G1234567N')).toBeNull();
+
+    await rotateVisitorKeys();
+
+    expect(getKeyId((await getStoredRow(visitor.id)).nationalId)).toBe('k1');
+    expect((await Visitor.findByNationalId('G1234567N')).id).toBe(visitor.id);
+  });
+});
@@ -0,0 +1,126 @@
+const { SystemSetting } = require('../../server/models');
+const {
+  calculateQrCodeExpiry,
+  issueQrToken,
+  verifyQrToken
+} = require('../../server/services/qrTokenService');
+
+describe('QR Token Service', () => {
+  const visitId = '7f0c3c1e-5a7b-4c1e-9d8f-2b6a1e4c9d01';
+  const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  beforeEach(() => {
+    process.env.QR_SIGNING_KEYS = 'test:test-qr-signing-key';
+    delete process.env.QR_ACTIVE_KEY_ID;
+    delete process.env.QR_ENCRYPT_PAYLOAD;
+  });
+
+  describe('issueQrToken / verifyQrToken', () => {
+    it('should round-trip a signed token', () => {
+      const token = issueQrToken(visitId, inOneHour());
+
+      const result = verifyQrToken(token);
+
+      expect(result.valid).toBe(true);
+      expect(result.visitId).toBe(visitId);
+      expect(result.keyId).toBe('test');
+    });
+
+    it('should refuse to sign without QR_SIGNING_KEYS', () => {
+      delete process.env.QR_SIGNING_KEYS;
+
+      expect(() => issueQrToken(visitId, inOneHour())).toThrow('QR_SIGNING_KEYS environment variable is required');
+    });
+
+    it('should reject a token with a modified payload', () => {
+      const token = issueQrToken(visitId, inOneHour());
+      const [version, keyId, , signature] = token.split('.');
+      const forgedBody = Buffer.from(JSON.stringify({ vid: 'other-visit', exp: 9999999999 })).toString('base64url');
+
+      const result = verifyQrToken([version, keyId, forgedBody, signature].join('.'));
+
+      expect(result).toEqual({ valid: false, reason: 'invalid_signature', keyId: 'test' });
+    });
+
+    it('should reject legacy JSON payloads', () => {
+      const result = verifyQrToken(JSON.stringify({ visitId }));
+
+      expect(result).toEqual({ valid: false, reason: 'malformed' });
+    });
+
+    it('should report expired tokens with their visit', () => {
+      const token = issueQrToken(visitId, new Date(Date.now() - 60 * 1000));
+
+      const result = verifyQrToken(token);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('expired');
+      expect(result.visitId).toBe(visitId);
+    });
+
+    it('should hide the visit ID when payload encryption is enabled', () => {
+      process.env.QR_ENCRYPT_PAYLOAD = 'true';
+
+      const token = issueQrToken(visitId, inOneHour());
+      const body = token.split('.')[2];
+
+      expect(token.startsWith('Q1E.')).toBe(true);
+      expect(Buffer.from(body, 'base64url').toString('utf8')).not.toContain(visitId);
+      expect(verifyQrToken(token).visitId).toBe(visitId);
+    });
+  });
+
+  describe('key rotation', () => {
+    it('should sign with the active key and still verify older keys', () => {
+      process.env.QR_SIGNING_KEYS = 'k1:first-secret';
+      const oldToken = issueQrToken(visitId, inOneHour());
+
+      process.env.QR_SIGNING_KEYS = 'k1:first-secret,k2:second-secret';
+      process.env.QR_ACTIVE_KEY_ID = 'k2';
+      const newToken = issueQrToken(visitId, inOneHour());
+
+      expect(newToken.split('.')[1]).toBe('k2');
+      expect(verifyQrToken(oldToken).valid).toBe(true);
+      expect(verifyQrToken(newToken).valid).toBe(true);
+    });
+
+    it('should reject tokens signed with a retired key', () => {
+      process.env.QR_SIGNING_KEYS = 'k1:first-secret';
+      const oldToken = issueQrToken(visitId, inOneHour());
+
+      process.env.QR_SIGNING_KEYS = 'k2:second-secret';
+
+      expect(verifyQrToken(oldToken)).toEqual({ valid: false, reason: 'unknown_key', keyId: 'k1' });
+    });
+
+    it('should refuse an active key that is not in the keyring', () => {
+      process.env.QR_SIGNING_KEYS = 'k1:first-secret';
+      process.env.QR_ACTIVE_KEY_ID = 'k3';
+
+      expect(() => issueQrToken(visitId, inOneHour())).toThrow('QR_ACTIVE_KEY_ID k3');
+    });
+  });
+
+  describe('calculateQrCodeExpiry', () => {
+    it('should default to 24 hours', async () => {
+      const from = new Date('2030-01-01T08:00:00Z');
+
+      const expiry = await calculateQrCodeExpiry(null, from);
+
+      expect(expiry).toEqual(new Date('2030-01-02T08:00:00Z'));
+    });
+
+    it('should use the qr_code_expiry_hours setting counted from the scheduled arrival', async () => {
+      await SystemSetting.createSetting({
+        key: 'qr_code_expiry_hours',
+        value: 4,
+        type: 'number',
+        category: 'visitor'
+      });
+
+      const expiry = await calculateQrCodeExpiry('2030-01-05T09:00:00Z', new Date('2030-01-01T08:00:00Z'));
+
+      expect(expiry).toEqual(new Date('2030-01-05T13:00:00Z'));
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { Visit, Holiday } = require('../../server/models');
+const {
+  validateRecurrenceRule,
+  expandRecurrence,
+  createVisitSeries,
+  updateVisitSeries,
+  cancelVisitSeries,
+  cancelOccurrencesOnHoliday
+} = require('../../server/services/recurrenceService');
+
+describe('Recurrence Service', () => {
+  // Monday 7 January 2030, 09:00 local time
+  const monday = new Date(2030, 0, 7, 9, 0);
+  const weekdays = { frequency: 'weekly', byWeekday: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+
+  describe('validateRecurrenceRule', () => {
+    it('should require an end date or count', () => {
+      expect(validateRecurrenceRule({ frequency: 'daily' }, monday)).toMatch(/until.*count/);
+    });
+
+    it('should reject weekdays outside weekly rules', () => {
+      expect(validateRecurrenceRule({ frequency: 'daily', byWeekday: ['MO'], count: 2 }, monday))
+        .toBe('Recurrence weekdays can only be used with a weekly frequency');
+    });
+
+    it('should reject series longer than a year', () => {
+      expect(validateRecurrenceRule({ frequency: 'daily', until: '2031-06-01' }, monday))
+        .toMatch(/more than 366 days/);
+    });
+
+    it('should accept a weekday rule', () => {
+      expect(validateRecurrenceRule({ ...weekdays, count: 10 }, monday)).toBeNull();
+    });
+  });
+
+  describe('expandRecurrence', () => {
+    it('should expand every weekday and keep the time of day', () => {
+      const dates = expandRecurrence(monday, { ...weekdays, until: '2030-01-13' });
+
+      expect(dates.map(date => date.getDate())).toEqual([7, 8, 9, 10, 11]);
+      expect(dates.every(date => date.getHours() === 9)).toBe(true);
+    });
+
+    it('should honour the weekly interval', () => {
+      const dates = expandRecurrence(monday, { frequency: 'weekly', interval: 2, byWeekday: ['MO'], count: 3 });
+
+      expect(dates.map(date => date.getDate())).toEqual([7, 21, 4]);
+    });
+
+    it('should expand daily rules by count', () => {
+      const dates = expandRecurrence(monday, { frequency: 'daily', interval: 3, count: 3 });
+
+      expect(dates.map(date => date.getDate())).toEqual([7, 10, 13]);
+    });
+
+    it('should skip months without the start day', () => {
+      const dates = expandRecurrence(new Date(2030, 0, 31, 9, 0), { frequency: 'monthly', count: 3 });
+
+      expect(dates.map(date => date.getMonth())).toEqual([0, 2, 4]);
+    });
+  });
+
+  describe('series management', () => {
+    let visitData;
+
+    beforeEach(async () => {
+      const host = await global.testHelpers.createTestUser();
+      const visitor = await global.testHelpers.createTestVisitor();
+
+      visitData = {
+        visitorId: visitor.id,
+        hostId: host.id,
+        purpose: 'Maintenance',
+        scheduledArrival: monday
+      };
+    });
+
+    it('should materialise occurrences and skip holidays', async () => {
+      await Holiday.create({ date: '2030-01-09', name: 'Founders Day' });
+
+      const { parent, occurrences, skippedDates } = await createVisitSeries(visitData, { ...weekdays, count: 5 });
+
+      expect(occurrences).toHaveLength(4);
+      expect(skippedDates).toEqual(['2030-01-09']);
+      expect(parent.recurrenceRule.byWeekday).toHaveLength(5);
+      expect(occurrences.slice(1).every(visit => visit.recurringParentId === parent.id)).toBe(true);
+      expect(new Set(occurrences.map(visit => visit.qrCode)).size).toBe(4);
+    });
+
+    it('should update the whole series and shift arrival times', async () => {
+      const { occurrences } = await createVisitSeries(visitData, { ...weekdays, count: 3 });
+      const second = occurrences[1];
+      const oneHourLater = new Date(second.scheduledArrival.getTime() + 60 * 60 * 1000);
+
+      await updateVisitSeries(second, { location: 'Plant room', scheduledArrival: oneHourLater }, 'series');
+
+      const series = await Visit.findSeries(occurrences[0].id);
+      expect(series.every(visit => visit.location === 'Plant room')).toBe(true);
+      expect(series.map(visit => visit.scheduledArrival.getHours())).toEqual([10, 10, 10]);
+    });
+
+    it('should only update one occurrence by default', async () => {
+      const { occurrences } = await createVisitSeries(visitData, { ...weekdays, count: 3 });
+
+      await updateVisitSeries(occurrences[1], { location: 'Dock 2' });
+
+      const series = await Visit.findSeries(occurrences[0].id);
+      expect(series.map(visit => visit.location)).toEqual([null, 'Dock 2', null]);
+    });
+
+    it('should cancel this and following occurrences', async () => {
+      const { occurrences } = await createVisitSeries(visitData, { ...weekdays, count: 4 });
+
+      const cancelled = await cancelVisitSeries(occurrences[2], 'Contract ended', 'following');
+
+      expect(cancelled).toHaveLength(2);
+      const series = await Visit.findSeries(occurrences[0].id);
+      expect(series.map(visit => visit.status)).toEqual(['pre_registered', 'pre_registered', 'cancelled', 'cancelled']);
+    });
+
+    it('should cancel occurrences on a newly added holiday', async () => {
+      await createVisitSeries(visitData, { ...weekdays, count: 5 });
+      const holiday = await Holiday.create({ date: '2030-01-10', name: 'Company Day' });
+
+      const cancelled = await cancelOccurrencesOnHoliday(holiday);
+
+      expect(cancelled).toHaveLength(1);
+      expect(cancelled[0].status).toBe('cancelled');
+      expect(cancelled[0].scheduledArrival.getDate()).toBe(10);
+    });
+  });
+});
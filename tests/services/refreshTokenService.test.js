@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const { AuditLog, RefreshToken } = require('../../server/models');
+const { generateRefreshToken } = require('../../server/middleware/auth');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  purgeExpiredRefreshTokens
+} = require('../../server/services/refreshTokenService');
+
+describe('Refresh Token Service', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await global.testHelpers.createTestUser();
+  });
+
+  it('should store only a hash of the token ID', async () => {
+    const token = await issueRefreshToken(user, { ipAddress: '203.0.113.7' });
+    const { jti, family } = jwt.decode(token);
+
+    const record = await RefreshToken.findOne({ where: { userId: user.id } });
+    expect(record.tokenHash).toHaveLength(64);
+    expect(record.tokenHash).not.toContain(jti);
+    expect(record).toMatchObject({ familyId: family, status: 'active', ipAddress: '203.0.113.7' });
+  });
+
+  it('should rotate a token within its family', async () => {
+    const token = await issueRefreshToken(user);
+
+    const result = await rotateRefreshToken(token);
+
+    expect(result.valid).toBe(true);
+    expect(result.user.id).toBe(user.id);
+    expect(jwt.decode(result.refreshToken).family).toBe(jwt.decode(token).family);
+
+    const records = await RefreshToken.findAll({ order: [['createdAt', 'ASC']] });
+    expect(records.map(record => record.status).sort()).toEqual(['active', 'rotated']);
+  });
+
+  it('should revoke the family and raise an alert when a rotated token is reused', async () => {
+    const stolen = await issueRefreshToken(user);
+    const { refreshToken: current } = await rotateRefreshToken(stolen);
+
+    // Replayed after the grace window for concurrent refreshes has passed
+    await RefreshToken.update({ rotatedAt: new Date(Date.now() - 60 * 1000) }, { where: { status: 'rotated' } });
+
+    expect(await rotateRefreshToken(stolen)).toEqual({ valid: false, reason: 'reused' });
+
+    // The legitimate client's newer token dies with the family
+    expect(await rotateRefreshToken(current)).toEqual({ valid: false, reason: 'revoked' });
+
+    const alert = await AuditLog.findOne({ where: { action: 'REFRESH_TOKEN_REUSE_DETECTED' } });
+    expect(alert).toMatchObject({ userId: user.id, category: 'security', severity: 'high' });
+    expect(alert.details.revokedTokens).toBe(1);
+  });
+
+  it('should treat two concurrent refreshes with the same token as one', async () => {
+    const token = await issueRefreshToken(user);
+
+    const results = await Promise.all([rotateRefreshToken(token), rotateRefreshToken(token)]);
+
+    expect(results.every(result => result.valid)).toBe(true);
+    // Only one new refresh token is handed out, so the family does not fork
+    const issued = results.map(result => result.refreshToken).filter(Boolean);
+    expect(issued).toHaveLength(1);
+    expect(await RefreshToken.count({ where: { status: 'active' } })).toBe(1);
+    expect(await AuditLog.count({ where: { action: 'REFRESH_TOKEN_REUSE_DETECTED' } })).toBe(0);
+
+    expect((await rotateRefreshToken(issued[0])).valid).toBe(true);
+  });
+
+  it('should not let a replay inside the grace window revive a revoked family', async () => {
+    const token = await issueRefreshToken(user);
+    await rotateRefreshToken(token);
+    await revokeUserRefreshTokens(user.id, 'admin_action');
+
+    expect(await rotateRefreshToken(token)).toEqual({ valid: false, reason: 'revoked' });
+  });
+
+  it('should revoke only the presented family on logout', async () => {
+    const laptop = await issueRefreshToken(user);
+    const phone = await issueRefreshToken(user);
+
+    expect(await revokeRefreshToken(laptop, 'logout')).toBe(1);
+
+    expect(await rotateRefreshToken(laptop)).toEqual({ valid: false, reason: 'revoked' });
+    expect((await rotateRefreshToken(phone)).valid).toBe(true);
+  });
+
+  it('should revoke every family of a user', async () => {
+    const first = await issueRefreshToken(user);
+    const second = await issueRefreshToken(user);
+
+    expect(await revokeUserRefreshTokens(user.id, 'password_changed')).toBe(2);
+
+    for (const token of [first, second]) {
+      expect(await rotateRefreshToken(token)).toEqual({ valid: false, reason: 'revoked' });
+    }
+    const record = await RefreshToken.findOne({ where: { userId: user.id } });
+    expect(record.revokedReason).toBe('password_changed');
+  });
+
+  it('should reject untracked, inactive and tampered tokens', async () => {
+    const untracked = generateRefreshToken(user, { jti: 'never-issued', familyId: 'family' });
+    expect(await rotateRefreshToken(untracked)).toEqual({ valid: false, reason: 'unknown' });
+    expect(await rotateRefreshToken('not-a-jwt')).toEqual({ valid: false, reason: 'invalid' });
+
+    const token = await issueRefreshToken(user);
+    await user.update({ isActive: false });
+    expect(await rotateRefreshToken(token)).toEqual({ valid: false, reason: 'inactive' });
+  });
+
+  it('should purge expired records', async () => {
+    await issueRefreshToken(user);
+    await RefreshToken.create({
+      userId: user.id,
+      familyId: '00000000-0000-4000-8000-000000000000',
+      tokenHash: 'a'.repeat(64),
+      expiresAt: new Date(Date.now() - 1000)
+    });
+
+    expect(await purgeExpiredRefreshTokens()).toBe(1);
+    expect(await RefreshToken.count()).toBe(1);
+  });
+});
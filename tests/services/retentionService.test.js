@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { AccessLog, AuditLog, DataRetentionPolicy, SystemSetting, Visit, Visitor } = require('../../server/models');
+const { applyRetention } = require('../../server/services/retentionService');
+const { verifyAuditChain } = require('../../server/services/auditChainService');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('Retention Service', () => {
+  const photoDir = path.join(__dirname, '../../uploads/photos');
+  const documentPath = path.join(__dirname, '../../uploads', 'document-retention-test.pdf');
+  let host;
+
+  afterAll(() => {
+    fs.rmSync(path.join(photoDir, 'retention-old.jpg'), { force: true });
+    fs.rmSync(documentPath, { force: true });
+  });
+
+  beforeEach(async () => {
+    await DataRetentionPolicy.initializeDefaults();
+    await DataRetentionPolicy.update({ isActive: false }, { where: {} });
+    host = await global.testHelpers.createTestUser({ role: 'host' });
+  });
+
+  const activate = (dataType, values = {}) => DataRetentionPolicy.update(
+    { isActive: true, ...values },
+    { where: { dataType } }
+  );
+
+  const createVisitor = async (email, lastVisit, data = {}) => {
+    const visitor = await global.testHelpers.createTestVisitor({ email, nationalId: 'S1234567A', lastVisit, ...data });
+    await Visitor.update({ createdAt: lastVisit }, { where: { id: visitor.id }, silent: true });
+    return visitor;
+  };
+
+  describe('visitor profiles', () => {
+    beforeEach(() => activate('visitor_profiles', { retentionPeriod: 365 }));
+
+    it('should preview without changing anything', async () => {
+      const old = await createVisitor('old@example.com', daysAgo(400));
+      await createVisitor('recent@example.com', daysAgo(30));
+
+      const report = await applyRetention({ dryRun: true });
+
+      expect(report.dryRun).toBe(true);
+      expect(report.policies).toEqual([expect.objectContaining({
+        dataType: 'visitor_profiles',
+        mode: 'anonymize',
+        matched: 1,
+        anonymised: 0,
+        sample: [old.id]
+      })]);
+
+      await old.reload();
+      expect(old.nationalId).toBe('S1234567A');
+      expect(await AuditLog.count({ where: { action: 'RETENTION_PURGE_COMPLETED' } })).toBe(0);
+    });
+
+    it('should anonymise expired profiles and keep those under legal hold', async () => {
+      const old = await createVisitor('old@example.com', daysAgo(400));
+      const blacklisted = await createVisitor('banned@example.com', daysAgo(400), { isBlacklisted: true });
+      const recent = await createVisitor('recent@example.com', daysAgo(30));
+
+      const report = await applyRetention();
+
+      expect(report.totals).toEqual({ matched: 1, anonymised: 1, deleted: 0 });
+
+      await old.reload();
+      expect(old.isErased()).toBe(true);
+      expect(old.nationalId).toBeNull();
+
+      await blacklisted.reload();
+      expect(blacklisted.isErased()).toBe(false);
+      await recent.reload();
+      expect(recent.isErased()).toBe(false);
+
+      const audit = await AuditLog.findOne({ where: { action: 'RETENTION_PURGE_COMPLETED' } });
+      expect(audit.category).toBe('compliance');
+      expect(audit.details.totals.anonymised).toBe(1);
+    });
+
+    it('should work through profiles in batches, skipping held visitors', async () => {
+      const visitors = [];
+      for (const email of ['one@example.com', 'two@example.com', 'three@example.com']) {
+        visitors.push(await createVisitor(email, daysAgo(400)));
+      }
+      await Visit.create({ visitorId: visitors[1].id, hostId: host.id, purpose: 'Audit', status: 'checked_in' });
+
+      const report = await applyRetention({ batchSize: 2 });
+
+      expect(report.policies[0]).toMatchObject({ matched: 2, anonymised: 2, batches: 2 });
+      expect(report.policies[0].sample.sort()).toEqual([visitors[0].id, visitors[2].id].sort());
+      expect((await Visitor.findByPk(visitors[1].id)).isErased()).toBe(false);
+    });
+
+    it('should delete profiles without visits in delete mode and anonymise the rest', async () => {
+      await activate('visitor_profiles', { mode: 'delete' });
+      const withoutVisits = await createVisitor('novisits@example.com', daysAgo(400));
+      const withVisits = await createVisitor('visits@example.com', daysAgo(400));
+      await Visit.create({ visitorId: withVisits.id, hostId: host.id, purpose: 'Audit', status: 'checked_out' });
+
+      const report = await applyRetention();
+
+      expect(report.totals).toEqual({ matched: 2, anonymised: 1, deleted: 1 });
+      expect(await Visitor.findByPk(withoutVisits.id)).toBeNull();
+      expect((await Visitor.findByPk(withVisits.id)).isErased()).toBe(true);
+    });
+  });
+
+  describe('visit records', () => {
+    it('should clear free text from old visits once and keep their statistics', async () => {
+      await activate('visit_records', { retentionPeriod: 365 });
+      const visitor = await global.testHelpers.createTestVisitor();
+      const visit = await Visit.create({
+        visitorId: visitor.id,
+        hostId: host.id,
+        purpose: 'Audit',
+        status: 'checked_out',
+        actualDuration: 45,
+        vehicleNumber: 'SGX1234A',
+        notes: 'Met at lobby'
+      });
+      await Visit.update({ createdAt: daysAgo(400) }, { where: { id: visit.id }, silent: true });
+
+      expect((await applyRetention()).totals.anonymised).toBe(1);
+
+      await visit.reload();
+      expect(visit.vehicleNumber).toBeNull();
+      expect(visit.notes).toBeNull();
+      expect(visit.actualDuration).toBe(45);
+      expect(visit.anonymizedAt).not.toBeNull();
+
+      expect((await applyRetention()).totals.matched).toBe(0);
+    });
+  });
+
+  describe('photos and documents', () => {
+    it('should remove photos after photo_retention_days', async () => {
+      await activate('photos', { retentionPeriod: 3650 });
+      await SystemSetting.createSetting({ key: 'photo_retention_days', value: 90, type: 'number', category: 'pdpa' });
+
+      fs.mkdirSync(photoDir, { recursive: true });
+      fs.writeFileSync(path.join(photoDir, 'retention-old.jpg'), 'old');
+      const old = await createVisitor('old@example.com', daysAgo(120), { photo: 'retention-old.jpg' });
+      const recent = await createVisitor('recent@example.com', daysAgo(10), { photo: 'retention-recent.jpg' });
+
+      const report = await applyRetention();
+
+      expect(report.policies[0]).toMatchObject({ dataType: 'photos', retentionDays: 90, mode: 'delete', deleted: 1 });
+      expect(fs.existsSync(path.join(photoDir, 'retention-old.jpg'))).toBe(false);
+      expect((await Visitor.findByPk(old.id)).photo).toBeNull();
+      expect((await Visitor.findByPk(recent.id)).photo).toBe('retention-recent.jpg');
+    });
+
+    it('should delete uploaded documents older than the policy', async () => {
+      await activate('documents', { retentionPeriod: 30 });
+      fs.writeFileSync(documentPath, 'contract');
+      fs.utimesSync(documentPath, daysAgo(60), daysAgo(60));
+
+      const report = await applyRetention();
+
+      expect(report.policies[0]).toMatchObject({ dataType: 'documents', deleted: 1 });
+      expect(report.policies[0].sample).toContain('document-retention-test.pdf');
+      expect(fs.existsSync(documentPath)).toBe(false);
+    });
+  });
+
+  describe('logs', () => {
+    it('should delete or anonymise logs according to each policy mode', async () => {
+      await activate('audit_logs', { retentionPeriod: 365, mode: 'delete' });
+      await activate('access_logs', { retentionPeriod: 90, mode: 'anonymize' });
+
+      await AuditLog.create({ action: 'OLD_EVENT', category: 'data_access', createdAt: daysAgo(400) });
+      await AuditLog.create({ action: 'NEW_EVENT', category: 'data_access' });
+      const accessLog = await AccessLog.create({
+        userId: host.id,
+        ipAddress: '203.0.113.7',
+        userAgent: 'Browser',
+        action: 'GET_VISITS',
+        method: 'GET',
+        endpoint: '/api/visits',
+        statusCode: 200
+      });
+      await AccessLog.update({ createdAt: daysAgo(100) }, { where: { id: accessLog.id }, silent: true });
+
+      await applyRetention();
+
+      expect(await AuditLog.count({ where: { action: 'OLD_EVENT' } })).toBe(0);
+      expect(await AuditLog.count({ where: { action: 'NEW_EVENT' } })).toBe(1);
+
+      await accessLog.reload();
+      expect(accessLog.ipAddress).not.toBe('203.0.113.7');
+      expect(accessLog.userId).toBeNull();
+      expect(accessLog.anonymizedAt).not.toBeNull();
+    });
+  });
+
+  it('should prune the start of the audit chain in batches and keep it verifiable', async () => {
+    await activate('audit_logs', { retentionPeriod: 365, mode: 'delete' });
+    for (const action of ['OLD_EVENT_1', 'OLD_EVENT_2', 'OLD_EVENT_3']) {
+      await AuditLog.create({ action, category: 'data_access', createdAt: daysAgo(400) });
+    }
+    await AuditLog.create({ action: 'NEW_EVENT', category: 'data_access' });
+
+    const report = await applyRetention({ batchSize: 2 });
+
+    expect(report.policies[0]).toMatchObject({ matched: 3, deleted: 3, batches: 2 });
+    expect(await AuditLog.count({ where: { action: 'NEW_EVENT' } })).toBe(1);
+    expect((await verifyAuditChain()).valid).toBe(true);
+  });
+
+  describe('scheduled runs', () => {
+    beforeEach(async () => {
+      await activate('visitor_profiles', { retentionPeriod: 365, autoDelete: false });
+      await activate('audit_logs', { retentionPeriod: 365, mode: 'delete', autoDelete: true });
+      await createVisitor('old@example.com', daysAgo(400));
+      await AuditLog.create({ action: 'OLD_EVENT', category: 'data_access', createdAt: daysAgo(400) });
+    });
+
+    it('should do nothing while auto_purge_enabled is off', async () => {
+      await SystemSetting.createSetting({ key: 'auto_purge_enabled', value: false, type: 'boolean', category: 'pdpa' });
+
+      const report = await applyRetention({ automatic: true });
+
+      expect(report.skipped).toBe(true);
+      expect(await AuditLog.count({ where: { action: 'OLD_EVENT' } })).toBe(1);
+    });
+
+    it('should only apply autoDelete policies', async () => {
+      await SystemSetting.createSetting({ key: 'auto_purge_enabled', value: true, type: 'boolean', category: 'pdpa' });
+
+      const report = await applyRetention({ automatic: true });
+
+      expect(report.policies.map(policy => policy.dataType)).toEqual(['audit_logs']);
+      expect(await AuditLog.count({ where: { action: 'OLD_EVENT' } })).toBe(0);
+      expect(await Visitor.count({ where: { erasedAt: null } })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const { Visit, AuditLog, ScheduledJob, SchedulerLock, SystemSetting } = require('../../server/models');
+const { sendOverdueVisitNotification } = require('../../server/services/notificationService');
+const {
+  instanceId,
+  registerJob,
+  registerDefaultJobs,
+  syncJobState,
+  tick,
+  runJobNow,
+  stopScheduler
+} = require('../../server/services/schedulerService');
+const {
+  autoCheckoutStaleVisits,
+  sendOverdueAlerts,
+  closeMissedVisits
+} = require('../../server/services/visitLifecycleService');
+
+jest.mock('../../server/services/notificationService');
+jest.mock('../../server/services/socketService');
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('Scheduler Service', () => {
+  beforeAll(() => {
+    registerDefaultJobs();
+  });
+
+  beforeEach(async () => {
+    sendOverdueVisitNotification.mockResolvedValue();
+    await syncJobState();
+  });
+
+  afterEach(async () => {
+    await stopScheduler();
+  });
+
+  describe('leader election', () => {
+    it('should grant the lock to one owner until it expires', async () => {
+      expect(await SchedulerLock.acquire('test-lock', 'instance-a', 60)).toBe(true);
+      expect(await SchedulerLock.acquire('test-lock', 'instance-b', 60)).toBe(false);
+      expect(await SchedulerLock.acquire('test-lock', 'instance-a', 60)).toBe(true);
+
+      await SchedulerLock.update({ expiresAt: hoursAgo(1) }, { where: { name: 'test-lock' } });
+
+      expect(await SchedulerLock.acquire('test-lock', 'instance-b', 60)).toBe(true);
+    });
+
+    it('should not run jobs while another instance leads', async () => {
+      await SchedulerLock.create({
+        name: 'scheduler-leader',
+        owner: 'other-instance',
+        expiresAt: new Date(Date.now() + 60 * 1000)
+      });
+
+      await tick();
+
+      const states = await ScheduledJob.findAll();
+      expect(states.every(state => state.runCount === 0)).toBe(true);
+    });
+
+    it('should run due jobs and persist their state when leading', async () => {
+      await tick();
+
+      const state = await ScheduledJob.findOne({ where: { name: 'missed-visits' } });
+      expect(state.lastStatus).toBe('success');
+      expect(state.lastRunBy).toBe(instanceId);
+      expect(state.runCount).toBe(1);
+      expect(state.nextRunAt > new Date()).toBe(true);
+
+      // Not due again until the interval has passed
+      await tick();
+      await state.reload();
+      expect(state.runCount).toBe(1);
+    });
+
+    it('should keep the lease while a job outlives its TTL', async () => {
+      process.env.SCHEDULER_LOCK_TTL_SECONDS = '1';
+      registerJob('slow-job', {
+        intervalMinutes: 60,
+        description: 'Runs longer than the lease',
+        handler: async () => {
+          await global.testHelpers.wait(2500);
+          return { takenOver: await SchedulerLock.acquire('scheduler-leader', 'other-instance', 60) };
+        }
+      });
+      await syncJobState();
+      await ScheduledJob.update({ nextRunAt: new Date(Date.now() + 60 * 60 * 1000) }, { where: {} });
+      await ScheduledJob.update({ nextRunAt: null }, { where: { name: 'slow-job' } });
+
+      try {
+        await tick();
+      } finally {
+        delete process.env.SCHEDULER_LOCK_TTL_SECONDS;
+      }
+
+      const state = await ScheduledJob.findOne({ where: { name: 'slow-job' } });
+      expect(state.lastResult).toEqual({ takenOver: false });
+    });
+
+    it('should stop running jobs once leadership is lost', async () => {
+      registerJob('handover-job', {
+        intervalMinutes: 60,
+        description: 'Another instance takes over while this runs',
+        handler: () => SchedulerLock.update(
+          { owner: 'other-instance', expiresAt: new Date(Date.now() + 60 * 1000) },
+          { where: { name: 'scheduler-leader' } }
+        )
+      });
+      await syncJobState();
+      await ScheduledJob.update({ nextRunAt: new Date(Date.now() + 60 * 60 * 1000) }, { where: {} });
+      await ScheduledJob.update({ nextRunAt: hoursAgo(2) }, { where: { name: 'handover-job' } });
+      await ScheduledJob.update({ nextRunAt: hoursAgo(1) }, { where: { name: 'missed-visits' } });
+
+      await tick();
+
+      const handover = await ScheduledJob.findOne({ where: { name: 'handover-job' } });
+      const missed = await ScheduledJob.findOne({ where: { name: 'missed-visits' } });
+      expect(handover.runCount).toBe(1);
+      expect(missed.runCount).toBe(0);
+    });
+  });
+
+  describe('runJobNow', () => {
+    it('should leave visits whose alert failed for the next run', async () => {
+      sendOverdueVisitNotification.mockRejectedValue(new Error('SMTP down'));
+      const visit = await global.testHelpers.createTestVisit({
+        status: 'checked_in',
+        checkedInAt: hoursAgo(2),
+        expectedCheckout: hoursAgo(1)
+      });
+
+      await runJobNow('overdue-alerts');
+
+      const state = await ScheduledJob.findOne({ where: { name: 'overdue-alerts' } });
+      expect(state.lastStatus).toBe('success');
+      expect(state.lastResult).toEqual({ alerted: 0, failed: 1 });
+
+      await visit.reload();
+      expect(visit.overdueAlertSentAt).toBeNull();
+    });
+
+    it('should reject unknown jobs', async () => {
+      await expect(runJobNow('unknown')).rejects.toThrow('Unknown scheduled job');
+    });
+  });
+
+  describe('visit lifecycle jobs', () => {
+    it('should auto check out stale visits with an audit entry', async () => {
+      const visit = await global.testHelpers.createTestVisit({
+        status: 'checked_in',
+        checkedInAt: hoursAgo(9)
+      });
+
+      const result = await autoCheckoutStaleVisits();
+
+      expect(result).toEqual({ checkedOut: 1 });
+      await visit.reload();
+      expect(visit.status).toBe('checked_out');
+      expect(visit.checkedOutBy).toBeNull();
+      expect(await AuditLog.count({ where: { action: 'VISITOR_AUTO_CHECKED_OUT', visitId: visit.id } })).toBe(1);
+    });
+
+    it('should respect the auto checkout settings', async () => {
+      await SystemSetting.createSetting({ key: 'auto_checkout_enabled', value: false, type: 'boolean' });
+      await global.testHelpers.createTestVisit({
+        status: 'checked_in',
+        checkedInAt: hoursAgo(9)
+      });
+
+      const result = await autoCheckoutStaleVisits();
+
+      expect(result).toEqual({ skipped: true, checkedOut: 0 });
+    });
+
+    it('should send overdue alerts only once per visit', async () => {
+      const visit = await global.testHelpers.createTestVisit({
+        status: 'checked_in',
+        checkedInAt: hoursAgo(2),
+        expectedCheckout: hoursAgo(1)
+      });
+
+      await sendOverdueAlerts();
+      await sendOverdueAlerts();
+
+      expect(sendOverdueVisitNotification).toHaveBeenCalledTimes(1);
+      await visit.reload();
+      expect(visit.overdueAlertSentAt).not.toBeNull();
+      expect(visit.notificationsSent.map(notification => notification.type)).toEqual(['visit_overdue']);
+    });
+
+    it('should mark missed visits as no_show or expired', async () => {
+      const missed = await global.testHelpers.createTestVisit({ scheduledArrival: hoursAgo(3) });
+      const upcoming = await Visit.create({
+        visitorId: missed.visitorId,
+        hostId: missed.hostId,
+        purpose: 'Later today',
+        scheduledArrival: hoursAgo(1)
+      });
+      const unscheduled = await Visit.create({
+        visitorId: missed.visitorId,
+        hostId: missed.hostId,
+        purpose: 'Walk-up',
+        qrCodeExpiry: hoursAgo(1)
+      });
+
+      const result = await closeMissedVisits();
+
+      expect(result).toEqual({ noShow: 1, expired: 1 });
+      await Promise.all([missed.reload(), upcoming.reload(), unscheduled.reload()]);
+      expect(missed.status).toBe('no_show');
+      expect(upcoming.status).toBe('pre_registered');
+      expect(unscheduled.status).toBe('expired');
+      expect(await AuditLog.count({ where: { action: 'VISIT_MARKED_NO_SHOW' } })).toBe(1);
+      expect(await AuditLog.count({ where: { action: 'VISIT_EXPIRED' } })).toBe(1);
+    });
+  });
+});
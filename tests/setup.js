@@ -27,16 +27,20 @@ jest.mock('../server/services/smsService', () => ({
   sendSMS: jest.fn().mockResolvedValue({ success: true, messageId: 'test-sms-id' }),
   sendBulkSMS: jest.fn().mockResolvedValue([]),
   verifySMSConfig: jest.fn().mockResolvedValue(true),
-  sendTestSMS: jest.fn().mockResolvedValue(true)
+  sendTestSMS: jest.fn().mockResolvedValue(true),
+  sendEmergencySMS: jest.fn().mockResolvedValue([])
 }));
 
 // Mock socket service
 jest.mock('../server/services/socketService', () => ({
   sendNotificationToUser: jest.fn(),
   sendNotificationToRole: jest.fn(),
+  broadcastToAll: jest.fn(),
+  broadcastEmergencyAlert: jest.fn(),
   initializeSocket: jest.fn(),
   getConnectionStats: jest.fn().mockReturnValue({ totalConnections: 0 }),
-  isUserOnline: jest.fn().mockReturnValue(false)
+  isUserOnline: jest.fn().mockReturnValue(false),
+  disconnectUserSockets: jest.fn().mockReturnValue(0)
 }));
 
 // Global test setup
@@ -47,6 +51,13 @@ beforeAll(async () => {
   process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
   process.env.SESSION_SECRET = 'test-session-secret';
   process.env.CSRF_SECRET = 'test-csrf-secret';
+  process.env.PII_ENCRYPTION_KEYS = 'test:test-pii-encryption-key';
+  process.env.PII_BLIND_INDEX_KEY = 'test-pii-blind-index-key';
+  process.env.MFA_RECOVERY_CODE_KEY = 'test-mfa-recovery-code-key';
+  process.env.QR_SIGNING_KEYS = 'test:test-qr-signing-key';
+  process.env.INVITATION_SECRET = 'test-invitation-secret';
+  process.env.ERASURE_SIGNING_SECRET = 'test-erasure-signing-secret';
+  process.env.AUDIT_CHECKPOINT_SECRET = 'test-audit-checkpoint-secret';
   process.env.BCRYPT_ROUNDS = '4'; // Lower rounds for faster tests
   
   // Initialize test database
@@ -63,6 +74,9 @@ afterEach(async () => {
   for (const model of Object.values(models)) {
     await model.destroy({ where: {}, truncate: true });
   }
+
+  // Settings rows were just removed, so cached values would leak into the next test
+  require('../server/services/settingsService').invalidateSetting();
 });
 
 // Global test teardown